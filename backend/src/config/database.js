@@ -211,10 +211,12 @@ class Database {
         { unique: true, background: true }
       );
       
-      // Product indexes
+      // Product indexes - the search index is named so it can be told apart from text
+      // indexes made by earlier versions, which are dropped first (only one is allowed)
+      await this.dropOtherTextIndexes('products', 'product_search_text');
       await mongoose.connection.collection('products').createIndex(
-        { name: 'text', description: 'text', category: 'text' },
-        { background: true }
+        { name: 'text', description: 'text' },
+        { name: 'product_search_text', background: true }
       );
       
       await mongoose.connection.collection('products').createIndex(
@@ -238,6 +240,27 @@ class Database {
       logger.error(`❌ Failed to create indexes: ${error.message}`);
     }
   }
+
+  // Drop a collection's text indexes other than the one named keepName
+  async dropOtherTextIndexes(collectionName, keepName) {
+    const collection = mongoose.connection.collection(collectionName);
+
+    let indexes;
+    try {
+      indexes = await collection.indexes();
+    } catch (error) {
+      // Nothing to drop before the collection exists
+      if (error.codeName === 'NamespaceNotFound') return;
+      throw error;
+    }
+
+    for (const index of indexes) {
+      if (index.key._fts === 'text' && index.name !== keepName) {
+        await collection.dropIndex(index.name);
+        logger.info(`📊 Dropped old text index ${collectionName}.${index.name}`);
+      }
+    }
+  }
 }
 
 // Create singleton instance
@@ -4,21 +4,28 @@
  */
 
 import UserService from '../services/UserService.js';
+import CartService from '../services/CartService.js';
+import TwoFactorService from '../services/TwoFactorService.js';
 import { catchAsync } from '../utils/AppError.js';
+import { readCartId, clearCartCookie } from '../utils/cartCookie.js';
 import logger from '../utils/logger.js';
 
 class AuthController {
   constructor() {
     this.userService = new UserService();
+    this.cartService = new CartService();
+    this.twoFactorService = new TwoFactorService();
   }
 
   // User registration
   register = catchAsync(async (req, res) => {
-    const result = await this.userService.registerUser(req.body);
+    const result = await this.userService.registerUser(req.body, this.sessionContext(req));
 
     // Set secure HTTP-only cookies
     this.setTokenCookies(res, result.data.tokens);
 
+    const cart = await this.mergeAnonymousCart(req, res, result.data.user.id);
+
     logger.logAuth('user_registered', result.data.user.id, {
       email: result.data.user.email,
       role: result.data.user.role
@@ -28,7 +35,8 @@ class AuthController {
     const response = {
       ...result,
       data: {
-        user: result.data.user
+        user: result.data.user,
+        ...(cart && { cart })
       }
     };
 
@@ -37,11 +45,23 @@ class AuthController {
 
   // User login
   login = catchAsync(async (req, res) => {
-    const result = await this.userService.loginUser(req.body);
+    const result = await this.userService.loginUser(req.body, this.sessionContext(req));
+
+    // Two-factor accounts get no session until the code is checked
+    if (result.data.twoFactorRequired) {
+      logger.logAuth('two_factor_challenge_issued', null, {
+        email: req.body.email,
+        ip: req.ip
+      });
+
+      return res.status(200).json(result);
+    }
 
     // Set secure HTTP-only cookies
     this.setTokenCookies(res, result.data.tokens);
 
+    const cart = await this.mergeAnonymousCart(req, res, result.data.user.id);
+
     logger.logAuth('user_login', result.data.user.id, {
       email: result.data.user.email,
       ip: req.ip,
@@ -52,17 +72,132 @@ class AuthController {
     const response = {
       ...result,
       data: {
-        user: result.data.user
+        user: result.data.user,
+        ...(cart && { cart })
       }
     };
 
     res.status(200).json(response);
   });
 
+  // Second step of login with a code from the authenticator app (or a recovery code)
+  verifyTwoFactorLogin = catchAsync(async (req, res) => {
+    const result = await this.userService.completeTwoFactorLogin(req.body, this.sessionContext(req));
+
+    // Set secure HTTP-only cookies
+    this.setTokenCookies(res, result.data.tokens);
+
+    const cart = await this.mergeAnonymousCart(req, res, result.data.user.id);
+
+    logger.logAuth('user_login', result.data.user.id, {
+      email: result.data.user.email,
+      twoFactor: req.body.recoveryCode ? 'recovery_code' : 'totp',
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    // Remove tokens from response body for security
+    const response = {
+      ...result,
+      data: {
+        user: result.data.user,
+        ...(cart && { cart })
+      }
+    };
+
+    res.status(200).json(response);
+  });
+
+  // Start two-factor setup
+  setupTwoFactor = catchAsync(async (req, res) => {
+    const result = await this.twoFactorService.setupTwoFactor(req.user.id);
+    res.status(200).json(result);
+  });
+
+  // Confirm two-factor setup with a code from the app
+  enableTwoFactor = catchAsync(async (req, res) => {
+    const result = await this.twoFactorService.enableTwoFactor(req.user.id, req.body);
+
+    logger.logAuth('two_factor_enabled', req.user.id, {
+      ip: req.ip
+    });
+
+    res.status(200).json(result);
+  });
+
+  // Turn off two-factor authentication
+  disableTwoFactor = catchAsync(async (req, res) => {
+    const result = await this.twoFactorService.disableTwoFactor(req.user.id, req.body);
+
+    logger.logAuth('two_factor_disabled', req.user.id, {
+      ip: req.ip
+    });
+
+    res.status(200).json(result);
+  });
+
+  // Replace the two-factor recovery codes
+  regenerateRecoveryCodes = catchAsync(async (req, res) => {
+    const result = await this.twoFactorService.regenerateRecoveryCodes(req.user.id, req.body);
+
+    logger.logAuth('two_factor_recovery_codes_regenerated', req.user.id, {
+      ip: req.ip
+    });
+
+    res.status(200).json(result);
+  });
+
+  // Verify email address with the token from the verification email
+  verifyEmail = catchAsync(async (req, res) => {
+    const result = await this.userService.verifyEmail(req.body);
+
+    logger.logAuth('email_verified', result.data.id, {
+      ip: req.ip
+    });
+
+    res.status(200).json(result);
+  });
+
+  // Send a new verification email
+  resendVerification = catchAsync(async (req, res) => {
+    const result = await this.userService.resendEmailVerification(req.user.id);
+
+    logger.logAuth('email_verification_resent', req.user.id, {
+      ip: req.ip
+    });
+
+    res.status(200).json(result);
+  });
+
+  // Email a password reset link
+  forgotPassword = catchAsync(async (req, res) => {
+    const result = await this.userService.requestPasswordReset(req.body);
+
+    logger.logAuth('password_reset_requested', null, {
+      ip: req.ip
+    });
+
+    res.status(200).json(result);
+  });
+
+  // Set a new password with the token from the reset email
+  resetPassword = catchAsync(async (req, res) => {
+    const result = await this.userService.resetPassword(req.body);
+
+    logger.logAuth('password_reset', result.data.id, {
+      ip: req.ip
+    });
+
+    // Clear cookies - every session has been signed out
+    this.clearTokenCookies(res);
+
+    res.status(200).json(result);
+  });
+
   // Refresh access token
   refreshToken = catchAsync(async (req, res) => {
     const refreshToken = req.cookies.refreshToken || req.body.refreshToken;
-    const result = await this.userService.refreshToken(refreshToken);
+    const result = await this.userService.refreshToken(refreshToken, this.sessionContext(req));
 
     // Set new tokens in cookies
     this.setTokenCookies(res, result.data.tokens);
@@ -147,6 +282,34 @@ class AuthController {
     res.status(200).json(result);
   });
 
+  // Helper method to move the cart built before signing in into the account
+  // Returns { mergedItems, adjustments } when there was a cart to merge
+  async mergeAnonymousCart(req, res, userId) {
+    const cartId = readCartId(req);
+    if (!cartId) return null;
+
+    const merge = await this.cartService.mergeIntoUser(cartId, userId);
+    clearCartCookie(res);
+
+    if (merge) {
+      logger.logBusiness('anonymous_cart_merged', {
+        userId,
+        mergedItems: merge.mergedItems,
+        adjustedItems: merge.adjustments.length
+      });
+    }
+
+    return merge;
+  }
+
+  // Helper method to describe the device a session is for
+  sessionContext(req) {
+    return {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+  }
+
   // Helper method to set secure cookies
   setTokenCookies(res, tokens) {
     const isProduction = process.env.NODE_ENV === 'production';
@@ -0,0 +1,71 @@
+/**
+ * Category Controller - Clean Architecture Implementation
+ * Handles HTTP requests for the category tree
+ */
+
+import CategoryService from '../services/CategoryService.js';
+import { catchAsync } from '../utils/AppError.js';
+import logger from '../utils/logger.js';
+
+class CategoryController {
+  constructor() {
+    this.categoryService = new CategoryService();
+  }
+
+  // Get category tree with product counts
+  getCategoryTree = catchAsync(async (req, res) => {
+    // Admins can ask for inactive categories too
+    const includeInactive = req.user?.role === 'admin' && req.query.includeInactive === 'true';
+    const result = await this.categoryService.getCategoryTree(includeInactive);
+
+    res.status(200).json(result);
+  });
+
+  // Get single category by ID or slug
+  getCategory = catchAsync(async (req, res) => {
+    const result = await this.categoryService.getCategory(req.params.idOrSlug);
+    res.status(200).json(result);
+  });
+
+  // Create new category (admin only)
+  createCategory = catchAsync(async (req, res) => {
+    const result = await this.categoryService.createCategory(req.body, req.user.id);
+
+    logger.logBusiness('category_created', {
+      categoryId: result.data._id,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json(result);
+  });
+
+  // Update category (admin only)
+  updateCategory = catchAsync(async (req, res) => {
+    const result = await this.categoryService.updateCategory(
+      req.params.id,
+      req.body,
+      req.user.id
+    );
+
+    logger.logBusiness('category_updated', {
+      categoryId: req.params.id,
+      updatedBy: req.user.id
+    });
+
+    res.status(200).json(result);
+  });
+
+  // Delete category (admin only)
+  deleteCategory = catchAsync(async (req, res) => {
+    const result = await this.categoryService.deleteCategory(req.params.id);
+
+    logger.logBusiness('category_deleted', {
+      categoryId: req.params.id,
+      deletedBy: req.user.id
+    });
+
+    res.status(200).json(result);
+  });
+}
+
+export default CategoryController;
@@ -4,12 +4,14 @@
  */
 
 import OrderService from '../services/OrderService.js';
+import InvoiceService from '../services/InvoiceService.js';
 import { catchAsync } from '../utils/AppError.js';
 import logger from '../utils/logger.js';
 
 class OrderController {
   constructor() {
     this.orderService = new OrderService();
+    this.invoiceService = new InvoiceService();
   }
 
   // Create new order
@@ -20,12 +22,46 @@ class OrderController {
       orderId: result.data._id,
       customerId: req.user.id,
       total: result.data.total,
-      itemCount: result.data.items.length
+      itemCount: result.data.items.length,
+      couponCode: result.data.promotion?.code
     });
 
     res.status(201).json(result);
   });
 
+  // Create order without an account
+  createGuestOrder = catchAsync(async (req, res) => {
+    const result = await this.orderService.createGuestOrder(req.body);
+
+    logger.logBusiness('guest_order_created', {
+      orderId: result.data._id,
+      total: result.data.total,
+      itemCount: result.data.items.length,
+      couponCode: result.data.promotion?.code
+    });
+
+    res.status(201).json(result);
+  });
+
+  // Get a guest order with its lookup token
+  getOrderByLookupToken = catchAsync(async (req, res) => {
+    const result = await this.orderService.getOrderByLookupToken(req.params.token);
+    res.status(200).json(result);
+  });
+
+  // Claim guest orders placed with the customer's email
+  claimGuestOrders = catchAsync(async (req, res) => {
+    const result = await this.orderService.claimGuestOrders(req.user.id, req.body.lookupToken);
+
+    logger.logBusiness('guest_orders_claimed', {
+      customerId: req.user.id,
+      orderIds: result.data.map(order => order._id),
+      withLookupToken: Boolean(req.body.lookupToken)
+    });
+
+    res.status(200).json(result);
+  });
+
   // Get order by ID
   getOrderById = catchAsync(async (req, res) => {
     const result = await this.orderService.getOrderById(
@@ -85,7 +121,8 @@ class OrderController {
 
     logger.logBusiness('payment_processed', {
       orderId: req.params.id,
-      transactionId: req.body.transactionId,
+      transactionId: result.data.payment.transactionId,
+      provider: result.data.payment.provider,
       amount: req.body.amount,
       processedBy: req.user.id
     });
@@ -97,13 +134,15 @@ class OrderController {
   processRefund = catchAsync(async (req, res) => {
     const result = await this.orderService.processRefund(
       req.params.id, 
-      req.body.amount, 
+      req.body, 
       req.user.id
     );
 
     logger.logBusiness('refund_processed', {
       orderId: req.params.id,
-      refundAmount: req.body.amount,
+      refundAmount: result.refund.amount,
+      itemCount: result.refund.items.length,
+      method: result.refund.method,
       processedBy: req.user.id
     });
 
@@ -127,6 +166,96 @@ class OrderController {
     res.status(200).json(result);
   });
 
+  // Record a shipment (admin only)
+  addShipment = catchAsync(async (req, res) => {
+    const result = await this.orderService.addShipment(
+      req.params.id,
+      req.body,
+      req.user.id
+    );
+
+    logger.logBusiness('shipment_added', {
+      orderId: req.params.id,
+      shipmentId: result.shipment._id,
+      trackingNumber: result.shipment.trackingNumber,
+      itemCount: result.shipment.items.length,
+      orderStatus: result.data.status,
+      addedBy: req.user.id
+    });
+
+    res.status(201).json(result);
+  });
+
+  // Mark a shipment delivered (admin only)
+  deliverShipment = catchAsync(async (req, res) => {
+    const result = await this.orderService.deliverShipment(
+      req.params.id,
+      req.params.shipmentId,
+      req.body,
+      req.user.id
+    );
+
+    logger.logBusiness('shipment_delivered', {
+      orderId: req.params.id,
+      shipmentId: req.params.shipmentId,
+      orderStatus: result.data.status,
+      updatedBy: req.user.id
+    });
+
+    res.status(200).json(result);
+  });
+
+  // Get order shipments and tracking
+  getShipments = catchAsync(async (req, res) => {
+    const result = await this.orderService.getShipments(
+      req.params.id,
+      req.user.id,
+      req.user.role
+    );
+    res.status(200).json(result);
+  });
+
+  // Download the order's invoice (issued on first download)
+  downloadInvoice = catchAsync(async (req, res) => {
+    const file = await this.invoiceService.getInvoicePdf(req.params.id, req.user.id, req.user.role);
+
+    logger.logBusiness('invoice_downloaded', {
+      orderId: req.params.id,
+      filename: file.filename,
+      userId: req.user.id
+    });
+
+    this.sendPdf(res, file);
+  });
+
+  // Download the credit note of a refund
+  downloadCreditNote = catchAsync(async (req, res) => {
+    const file = await this.invoiceService.getCreditNotePdf(
+      req.params.id,
+      req.params.refundId,
+      req.user.id,
+      req.user.role
+    );
+    this.sendPdf(res, file);
+  });
+
+  // Download a packing slip for the order or one shipment (?shipmentId=)
+  downloadPackingSlip = catchAsync(async (req, res) => {
+    const file = await this.invoiceService.getPackingSlipPdf(
+      req.params.id,
+      req.user.id,
+      req.user.role,
+      req.query.shipmentId
+    );
+    this.sendPdf(res, file);
+  });
+
+  // Get the invoice and credit notes issued for an order
+  getDocuments = catchAsync(async (req, res) => {
+    const result = await this.invoiceService.getDocuments(req.params.id, req.user.id, req.user.role);
+    res.status(200).json(result);
+  });
+
   // Cancel order
   cancelOrder = catchAsync(async (req, res) => {
     const { reason } = req.body;
@@ -148,7 +277,7 @@ class OrderController {
 
   // Validate cart for order creation
   validateCartForOrder = catchAsync(async (req, res) => {
-    const result = await this.orderService.validateCartForOrder(req.user.id);
+    const result = await this.orderService.validateCartForOrder(req.user.id, req.query.couponCode);
     res.status(200).json(result);
   });
 
@@ -224,6 +353,14 @@ class OrderController {
 
     res.status(200).json(result);
   });
+
+  sendPdf(res, file) {
+    res.status(200);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.setHeader('Content-Length', file.content.length);
+    res.end(file.content);
+  }
 }
 
 export default OrderController;
@@ -0,0 +1,63 @@
+/**
+ * Payment Controller - Clean Architecture Implementation
+ * Handles HTTP requests for payment intents and provider webhooks
+ */
+
+import PaymentService from '../services/PaymentService.js';
+import { catchAsync } from '../utils/AppError.js';
+import logger from '../utils/logger.js';
+
+class PaymentController {
+  constructor() {
+    this.paymentService = new PaymentService();
+  }
+
+  // Start paying for an order
+  createIntent = catchAsync(async (req, res) => {
+    const result = await this.paymentService.createIntent(req.body.orderId, req.user.id, req.user.role);
+
+    logger.logBusiness('payment_intent_created', {
+      orderId: req.body.orderId,
+      provider: result.data.provider,
+      intentId: result.data.intentId,
+      userId: req.user.id
+    });
+
+    res.status(201).json(result);
+  });
+
+  // Start paying for a guest order
+  createGuestIntent = catchAsync(async (req, res) => {
+    const result = await this.paymentService.createGuestIntent(req.body.lookupToken);
+
+    logger.logBusiness('payment_intent_created', {
+      provider: result.data.provider,
+      intentId: result.data.intentId,
+      guest: true
+    });
+
+    res.status(201).json(result);
+  });
+
+  // Receive a signed event from a payment provider
+  handleWebhook = catchAsync(async (req, res) => {
+    const result = await this.paymentService.handleWebhook(req.params.provider, req.rawBody, req.headers);
+
+    logger.logBusiness('payment_webhook_received', {
+      provider: req.params.provider,
+      eventId: result.data.eventId,
+      status: result.data.status,
+      duplicate: result.data.duplicate
+    });
+
+    res.status(200).json(result);
+  });
+
+  // Get recorded provider events (admin only)
+  getEvents = catchAsync(async (req, res) => {
+    const result = await this.paymentService.getEvents(req.query);
+    res.status(200).json(result);
+  });
+}
+
+export default PaymentController;
@@ -3,13 +3,26 @@
  * Handles HTTP requests and delegates business logic to services
  */
 
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
 import ProductService from '../services/ProductService.js';
+import ReservationService from '../services/ReservationService.js';
+import SearchIndexService from '../services/SearchIndexService.js';
+import ImportService from '../services/ImportService.js';
+import ExportService from '../services/ExportService.js';
+import ImageService from '../services/ImageService.js';
+import importRunner from '../jobs/importRunner.js';
 import { catchAsync } from '../utils/AppError.js';
 import logger from '../utils/logger.js';
 
 class ProductController {
   constructor() {
     this.productService = new ProductService();
+    this.reservationService = new ReservationService();
+    this.searchIndexService = new SearchIndexService();
+    this.importService = new ImportService();
+    this.exportService = new ExportService();
+    this.imageService = new ImageService();
   }
 
   // Get all products with filtering and pagination
@@ -98,20 +111,27 @@ class ProductController {
     res.status(200).json(result);
   });
 
-  // Search products
+  // Search products with facet counts
   searchProducts = catchAsync(async (req, res) => {
-    const { q: searchTerm, ...options } = req.query;
-    const result = await this.productService.searchProducts(searchTerm, options);
+    const result = await this.productService.searchProducts(req.query);
 
     logger.logBusiness('product_search', {
-      searchTerm,
-      resultsCount: result.data.length,
+      searchTerm: result.searchTerm,
+      resultsCount: result.pagination.totalItems,
       userId: req.user?.id
     });
 
     res.status(200).json(result);
   });
 
+  // Get autocomplete suggestions
+  getSuggestions = catchAsync(async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 8, 20);
+    const result = await this.searchIndexService.suggest(req.query.q, limit);
+
+    res.status(200).json(result);
+  });
+
   // Get product categories
   getCategories = catchAsync(async (req, res) => {
     const result = await this.productService.getCategories();
@@ -134,6 +154,24 @@ class ProductController {
     res.status(200).json(result);
   });
 
+  // Get active stock reservations per product (admin only)
+  getActiveReservations = catchAsync(async (req, res) => {
+    const result = await this.reservationService.getActiveReservations(req.query.productId);
+    res.status(200).json(result);
+  });
+
+  // Rebuild the suggestion index (admin only)
+  rebuildSearchIndex = catchAsync(async (req, res) => {
+    const result = await this.searchIndexService.rebuildIndex();
+
+    logger.logBusiness('search_index_rebuilt', {
+      ...result.data,
+      rebuiltBy: req.user.id
+    });
+
+    res.status(200).json(result);
+  });
+
   // Update product stock (admin only)
   updateStock = catchAsync(async (req, res) => {
     const { quantity, operation = 'set' } = req.body;
@@ -199,12 +237,131 @@ class ProductController {
     res.status(200).json(result);
   });
 
+  // Import products from CSV or NDJSON (admin only)
+  // Accepts the raw file as the body, or JSON { content, format, dryRun, filename }
+  importProducts = catchAsync(async (req, res) => {
+    const isRawUpload = typeof req.body === 'string';
+    const body = isRawUpload ? {} : req.body;
+    const content = isRawUpload ? req.body : body.content;
+    const format = req.query.format || body.format || (req.is('text/csv') ? 'csv' : 'ndjson');
+    const dryRun = String(req.query.dryRun ?? body.dryRun) === 'true';
+
+    const result = await this.importService.createImport(
+      content,
+      { format, dryRun, filename: req.query.filename || body.filename },
+      req.user.id
+    );
+
+    const job = result.data.job || result.data;
+    const isQueued = job.status === 'queued';
+    if (isQueued) {
+      importRunner.enqueue(job._id);
+    }
+
+    logger.logBusiness('products_import_started', {
+      importId: job._id,
+      format,
+      dryRun,
+      totalRows: job.totalRows,
+      background: isQueued,
+      importedBy: req.user.id
+    });
+
+    res.status(isQueued ? 202 : 200).json(result);
+  });
+
+  // Get import status and first failed rows (admin only)
+  getImport = catchAsync(async (req, res) => {
+    const result = await this.importService.getImportJob(req.params.importId);
+    res.status(200).json(result);
+  });
+
+  // Get failed rows of an import (admin only)
+  getImportErrors = catchAsync(async (req, res) => {
+    const result = await this.importService.getImportErrors(req.params.importId, req.query);
+    res.status(200).json(result);
+  });
+
+  // Resume an import that stopped with an error (admin only)
+  resumeImport = catchAsync(async (req, res) => {
+    const result = await this.importService.resumeImport(req.params.importId);
+    importRunner.enqueue(result.data._id);
+
+    res.status(202).json(result);
+  });
+
+  // Export products as CSV, NDJSON or a Google Merchant feed (admin only)
+  // Streams straight from a database cursor, so the response has no fixed length
+  exportProducts = catchAsync(async (req, res) => {
+    const exportFile = await this.exportService.prepareExport(req.query);
+
+    logger.logBusiness('products_exported', {
+      format: exportFile.format,
+      filters: req.query,
+      exportedBy: req.user.id
+    });
+
+    res.status(200);
+    res.setHeader('Content-Type', exportFile.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFile.filename}"`);
+
+    try {
+      await pipeline(Readable.from(exportFile.chunks), res);
+    } catch (error) {
+      // Headers are already sent, so the only option is to cut the download short
+      logger.error(`❌ Product export interrupted: ${error.message}`);
+    }
+  });
+
+  // Upload images before creating a product (admin only)
+  // Returns image entries to send as the product's images
+  uploadImages = catchAsync(async (req, res) => {
+    const result = await this.imageService.uploadImages(req.files, req.body.alt);
+
+    logger.logBusiness('product_images_uploaded', {
+      count: result.data.length,
+      uploadedBy: req.user.id
+    });
+
+    res.status(201).json(result);
+  });
+
+  // Upload images and add them to a product (admin only)
+  addProductImages = catchAsync(async (req, res) => {
+    const result = await this.imageService.attachImages(req.params.id, req.files, {
+      alt: req.body.alt,
+      isPrimary: req.body.isPrimary
+    });
+
+    logger.logBusiness('product_images_added', {
+      productId: req.params.id,
+      count: req.files ? req.files.length : 0,
+      uploadedBy: req.user.id
+    });
+
+    res.status(201).json(result);
+  });
+
+  // Remove a product image and its files (admin only)
+  removeProductImage = catchAsync(async (req, res) => {
+    const result = await this.imageService.removeImage(req.params.id, req.params.imageId);
+
+    logger.logBusiness('product_image_removed', {
+      productId: req.params.id,
+      imageId: req.params.imageId,
+      removedBy: req.user.id
+    });
+
+    res.status(200).json(result);
+  });
+
   // Check stock availability
   checkStockAvailability = catchAsync(async (req, res) => {
-    const { quantity } = req.query;
+    const { quantity, variantId } = req.query;
     const result = await this.productService.checkStockAvailability(
       req.params.id, 
-      parseInt(quantity)
+      parseInt(quantity),
+      variantId
     );
 
     res.status(200).json(result);
@@ -0,0 +1,69 @@
+/**
+ * Promotion Controller - Clean Architecture Implementation
+ * Handles HTTP requests for coupon and promotion management
+ */
+
+import PromotionService from '../services/PromotionService.js';
+import { catchAsync } from '../utils/AppError.js';
+import logger from '../utils/logger.js';
+
+class PromotionController {
+  constructor() {
+    this.promotionService = new PromotionService();
+  }
+
+  // Get promotions (admin only)
+  getPromotions = catchAsync(async (req, res) => {
+    const result = await this.promotionService.getPromotions(req.query);
+    res.status(200).json(result);
+  });
+
+  // Get single promotion (admin only)
+  getPromotion = catchAsync(async (req, res) => {
+    const result = await this.promotionService.getPromotion(req.params.id);
+    res.status(200).json(result);
+  });
+
+  // Create new promotion (admin only)
+  createPromotion = catchAsync(async (req, res) => {
+    const result = await this.promotionService.createPromotion(req.body, req.user.id);
+
+    logger.logBusiness('promotion_created', {
+      promotionId: result.data._id,
+      code: result.data.code,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json(result);
+  });
+
+  // Update promotion (admin only)
+  updatePromotion = catchAsync(async (req, res) => {
+    const result = await this.promotionService.updatePromotion(
+      req.params.id,
+      req.body,
+      req.user.id
+    );
+
+    logger.logBusiness('promotion_updated', {
+      promotionId: req.params.id,
+      updatedBy: req.user.id
+    });
+
+    res.status(200).json(result);
+  });
+
+  // Deactivate promotion (admin only)
+  deactivatePromotion = catchAsync(async (req, res) => {
+    const result = await this.promotionService.deactivatePromotion(req.params.id, req.user.id);
+
+    logger.logBusiness('promotion_deactivated', {
+      promotionId: req.params.id,
+      deactivatedBy: req.user.id
+    });
+
+    res.status(200).json(result);
+  });
+}
+
+export default PromotionController;
@@ -0,0 +1,95 @@
+/**
+ * Return Controller - Clean Architecture Implementation
+ * Handles HTTP requests for customer returns (RMA)
+ */
+
+import ReturnService from '../services/ReturnService.js';
+import { catchAsync } from '../utils/AppError.js';
+import logger from '../utils/logger.js';
+
+class ReturnController {
+  constructor() {
+    this.returnService = new ReturnService();
+  }
+
+  // Request a return, with optional photos
+  requestReturn = catchAsync(async (req, res) => {
+    const result = await this.returnService.requestReturn(req.body, req.files, req.user.id);
+
+    logger.logBusiness('return_requested', {
+      returnId: result.data._id,
+      rmaNumber: result.data.rmaNumber,
+      orderId: req.body.orderId,
+      reasonCode: result.data.reasonCode,
+      photoCount: result.data.photos.length,
+      customerId: req.user.id
+    });
+
+    res.status(201).json(result);
+  });
+
+  // Get returns (customers see their own)
+  getReturns = catchAsync(async (req, res) => {
+    const result = await this.returnService.getReturns(req.query, req.user.id, req.user.role);
+    res.status(200).json(result);
+  });
+
+  // Get return by ID
+  getReturn = catchAsync(async (req, res) => {
+    const result = await this.returnService.getReturnById(req.params.id, req.user.id, req.user.role);
+    res.status(200).json(result);
+  });
+
+  // Approve return (admin only)
+  approveReturn = catchAsync(async (req, res) => {
+    const result = await this.returnService.approveReturn(req.params.id, req.user.id, req.body.note);
+
+    logger.logBusiness('return_approved', {
+      returnId: req.params.id,
+      approvedBy: req.user.id
+    });
+
+    res.status(200).json(result);
+  });
+
+  // Reject return (admin only)
+  rejectReturn = catchAsync(async (req, res) => {
+    const result = await this.returnService.rejectReturn(req.params.id, req.user.id, req.body.reason);
+
+    logger.logBusiness('return_rejected', {
+      returnId: req.params.id,
+      reason: req.body.reason,
+      rejectedBy: req.user.id
+    });
+
+    res.status(200).json(result);
+  });
+
+  // Record receipt and item condition, then refund (admin only)
+  receiveReturn = catchAsync(async (req, res) => {
+    const result = await this.returnService.receiveReturn(req.params.id, req.body, req.user.id);
+
+    logger.logBusiness('return_received', {
+      returnId: req.params.id,
+      refundAmount: result.data.refund.amount,
+      receivedBy: req.user.id
+    });
+
+    res.status(200).json(result);
+  });
+
+  // Retry the refund of a received return (admin only)
+  refundReturn = catchAsync(async (req, res) => {
+    const result = await this.returnService.refundReturn(req.params.id, req.user.id, req.body.refundMethod);
+
+    logger.logBusiness('return_refunded', {
+      returnId: req.params.id,
+      refundAmount: result.data.refund.amount,
+      processedBy: req.user.id
+    });
+
+    res.status(200).json(result);
+  });
+}
+
+export default ReturnController;
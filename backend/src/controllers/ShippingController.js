@@ -0,0 +1,67 @@
+/**
+ * Shipping Controller - Clean Architecture Implementation
+ * Handles HTTP requests for shipping quotes and shipping zones
+ */
+
+import ShippingService from '../services/ShippingService.js';
+import { catchAsync } from '../utils/AppError.js';
+import { readCartId } from '../utils/cartCookie.js';
+import logger from '../utils/logger.js';
+
+class ShippingController {
+  constructor() {
+    this.shippingService = new ShippingService();
+  }
+
+  // Quote shipping methods for the cart (or given items) and an address
+  getQuote = catchAsync(async (req, res) => {
+    const result = await this.shippingService.getQuote(req.body, req.user ? req.user.id : null, readCartId(req));
+    res.status(200).json(result);
+  });
+
+  // Get shipping zones (admin only)
+  getZones = catchAsync(async (req, res) => {
+    const result = await this.shippingService.getZones();
+    res.status(200).json(result);
+  });
+
+  // Create new shipping zone (admin only)
+  createZone = catchAsync(async (req, res) => {
+    const result = await this.shippingService.createZone(req.body, req.user.id);
+
+    logger.logBusiness('shipping_zone_created', {
+      zoneId: result.data._id,
+      name: result.data.name,
+      countries: result.data.countries,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json(result);
+  });
+
+  // Update shipping zone (admin only)
+  updateZone = catchAsync(async (req, res) => {
+    const result = await this.shippingService.updateZone(req.params.id, req.body, req.user.id);
+
+    logger.logBusiness('shipping_zone_updated', {
+      zoneId: req.params.id,
+      updatedBy: req.user.id
+    });
+
+    res.status(200).json(result);
+  });
+
+  // Delete shipping zone (admin only)
+  deleteZone = catchAsync(async (req, res) => {
+    const result = await this.shippingService.deleteZone(req.params.id);
+
+    logger.logBusiness('shipping_zone_deleted', {
+      zoneId: req.params.id,
+      deletedBy: req.user.id
+    });
+
+    res.status(200).json(result);
+  });
+}
+
+export default ShippingController;
@@ -0,0 +1,61 @@
+/**
+ * Tax Controller - Clean Architecture Implementation
+ * Handles HTTP requests for jurisdiction tax rates
+ */
+
+import TaxService from '../services/TaxService.js';
+import { catchAsync } from '../utils/AppError.js';
+import logger from '../utils/logger.js';
+
+class TaxController {
+  constructor() {
+    this.taxService = new TaxService();
+  }
+
+  // Get tax rates (admin only)
+  getTaxRates = catchAsync(async (req, res) => {
+    const result = await this.taxService.getTaxRates(req.query);
+    res.status(200).json(result);
+  });
+
+  // Create new tax rate (admin only)
+  createTaxRate = catchAsync(async (req, res) => {
+    const result = await this.taxService.createTaxRate(req.body, req.user.id);
+
+    logger.logBusiness('tax_rate_created', {
+      taxRateId: result.data._id,
+      country: result.data.country,
+      state: result.data.state,
+      rate: result.data.rate,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json(result);
+  });
+
+  // Update tax rate (admin only)
+  updateTaxRate = catchAsync(async (req, res) => {
+    const result = await this.taxService.updateTaxRate(req.params.id, req.body, req.user.id);
+
+    logger.logBusiness('tax_rate_updated', {
+      taxRateId: req.params.id,
+      updatedBy: req.user.id
+    });
+
+    res.status(200).json(result);
+  });
+
+  // Delete tax rate (admin only)
+  deleteTaxRate = catchAsync(async (req, res) => {
+    const result = await this.taxService.deleteTaxRate(req.params.id);
+
+    logger.logBusiness('tax_rate_deleted', {
+      taxRateId: req.params.id,
+      deletedBy: req.user.id
+    });
+
+    res.status(200).json(result);
+  });
+}
+
+export default TaxController;
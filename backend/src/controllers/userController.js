@@ -4,12 +4,15 @@
  */
 
 import UserService from '../services/UserService.js';
+import CartService from '../services/CartService.js';
 import { catchAsync } from '../utils/AppError.js';
+import { readCartId, setCartCookie, clearCartCookie } from '../utils/cartCookie.js';
 import logger from '../utils/logger.js';
 
 class UserController {
   constructor() {
     this.userService = new UserService();
+    this.cartService = new CartService();
   }
 
   // Get current user profile
@@ -18,19 +21,30 @@ class UserController {
     res.status(200).json(result);
   });
 
-  // Cart operations
+  // Cart operations - shoppers who are not signed in use an anonymous cart kept by a signed cookie
   getCart = catchAsync(async (req, res) => {
-    const result = await this.userService.getCart(req.user.id);
+    const result = req.user
+      ? await this.userService.getCart(req.user.id)
+      : await this.cartService.getCart(readCartId(req));
     res.status(200).json(result);
   });
 
   addToCart = catchAsync(async (req, res) => {
-    const { productId, quantity = 1 } = req.body;
-    const result = await this.userService.addToCart(req.user.id, productId, quantity);
+    const { productId, quantity = 1, variantId } = req.body;
+
+    let result;
+    if (req.user) {
+      result = await this.userService.addToCart(req.user.id, productId, quantity, variantId);
+    } else {
+      const { cartId, ...response } = await this.cartService.addToCart(readCartId(req), productId, quantity, variantId);
+      setCartCookie(res, cartId);
+      result = response;
+    }
 
     logger.logBusiness('item_added_to_cart', {
-      userId: req.user.id,
+      userId: req.user?.id,
       productId,
+      variantId,
       quantity
     });
 
@@ -39,13 +53,17 @@ class UserController {
 
   updateCartItem = catchAsync(async (req, res) => {
     const { productId } = req.params;
-    const { quantity } = req.body;
+    const { quantity, variantId } = req.body;
     
-    const result = await this.userService.updateCartItem(req.user.id, productId, quantity);
+    const result = req.user
+      ? await this.userService.updateCartItem(req.user.id, productId, quantity, variantId)
+      : await this.refreshAnonymousCart(req, res, cartId =>
+        this.cartService.updateCartItem(cartId, productId, quantity, variantId));
 
     logger.logBusiness('cart_item_updated', {
-      userId: req.user.id,
+      userId: req.user?.id,
       productId,
+      variantId,
       quantity
     });
 
@@ -54,21 +72,32 @@ class UserController {
 
   removeFromCart = catchAsync(async (req, res) => {
     const { productId } = req.params;
-    const result = await this.userService.removeFromCart(req.user.id, productId);
+    const { variantId } = req.query;
+    const result = req.user
+      ? await this.userService.removeFromCart(req.user.id, productId, variantId)
+      : await this.refreshAnonymousCart(req, res, cartId =>
+        this.cartService.removeFromCart(cartId, productId, variantId));
 
     logger.logBusiness('item_removed_from_cart', {
-      userId: req.user.id,
-      productId
+      userId: req.user?.id,
+      productId,
+      variantId
     });
 
     res.status(200).json(result);
   });
 
   clearCart = catchAsync(async (req, res) => {
-    const result = await this.userService.clearCart(req.user.id);
+    let result;
+    if (req.user) {
+      result = await this.userService.clearCart(req.user.id);
+    } else {
+      result = await this.cartService.clearCart(readCartId(req));
+      clearCartCookie(res);
+    }
 
     logger.logBusiness('cart_cleared', {
-      userId: req.user.id
+      userId: req.user?.id
     });
 
     res.status(200).json(result);
@@ -117,6 +146,30 @@ class UserController {
     res.status(200).json(result);
   });
 
+  // Signed-in devices
+  getSessions = catchAsync(async (req, res) => {
+    const result = await this.userService.getSessions(req.user.id, req.user.sessionId);
+    res.status(200).json(result);
+  });
+
+  revokeSession = catchAsync(async (req, res) => {
+    const { sessionId } = req.params;
+    const result = await this.userService.revokeSession(req.user.id, sessionId);
+
+    logger.logAuth('session_revoked', req.user.id, {
+      sessionId,
+      ip: req.ip
+    });
+
+    // Signing out this device - clear its cookies too
+    if (sessionId === req.user.sessionId) {
+      res.clearCookie('accessToken');
+      res.clearCookie('refreshToken');
+    }
+
+    res.status(200).json(result);
+  });
+
   // Admin operations
   getAllUsers = catchAsync(async (req, res) => {
     const result = await this.userService.getAllUsers(req.query);
@@ -166,6 +219,18 @@ class UserController {
     res.status(200).json(result);
   });
 
+  unlockUser = catchAsync(async (req, res) => {
+    const { userId } = req.params;
+    const result = await this.userService.unlockUser(userId);
+
+    logger.logAuth('account_unlocked', userId, {
+      adminId: req.user.id,
+      ip: req.ip
+    });
+
+    res.status(200).json(result);
+  });
+
   searchUsers = catchAsync(async (req, res) => {
     const { q: searchTerm, ...options } = req.query;
     const result = await this.userService.searchUsers(searchTerm, options);
@@ -178,6 +243,16 @@ class UserController {
 
     res.status(200).json(result);
   });
+
+  // Run a change on the anonymous cart, keeping its cookie alive as long as the cart
+  async refreshAnonymousCart(req, res, change) {
+    const cartId = readCartId(req);
+    const result = await change(cartId);
+    if (cartId) {
+      setCartCookie(res, cartId);
+    }
+    return result;
+  }
 }
 
 export default UserController;
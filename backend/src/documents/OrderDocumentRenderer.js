@@ -0,0 +1,295 @@
+// Order Document Renderer
+// Lays out invoices, credit notes and packing slips with PDFKit's built-in fonts,
+// so documents render without network access or font files
+
+import PDFDocument from 'pdfkit';
+import logger from '../utils/logger.js';
+
+const MARGIN = 50;
+const CONTENT_WIDTH = 495; // A4 width less both margins
+
+class OrderDocumentRenderer {
+  // store: { name, address: [lines], email, taxId, logoPath }
+  constructor({ store }) {
+    this.store = store;
+  }
+
+  // Invoice for an order - the lines and totals charged at checkout
+  async renderInvoice(order, invoice) {
+    return await this.render(`Invoice ${invoice.number}`, (doc) => {
+      this.drawHeader(doc, 'INVOICE', [
+        ['Invoice No.', invoice.number],
+        ['Invoice Date', this.formatDate(invoice.issuedAt)],
+        ['Order No.', order.orderNumber],
+        ['Order Date', this.formatDate(order.createdAt)]
+      ]);
+      this.drawParties(doc, order);
+
+      const currency = order.currency;
+      this.drawTable(doc, [
+        { header: 'Item', width: 235 },
+        { header: 'Qty', width: 40, align: 'right' },
+        { header: 'Unit Price', width: 75, align: 'right' },
+        { header: 'Tax', width: 65, align: 'right' },
+        { header: 'Amount', width: 80, align: 'right' }
+      ], order.items.map(item => [
+        this.describeItem(item),
+        String(item.quantity),
+        this.formatMoney(item.price, currency),
+        item.taxRate ? `${item.taxRate}%` : '-',
+        this.formatMoney(item.total, currency)
+      ]));
+
+      const pricesIncludeTax = order.taxDetails && order.taxDetails.pricesIncludeTax;
+      this.drawTotals(doc, [
+        ['Subtotal', this.formatMoney(order.subtotal, currency)],
+        order.discount > 0 && [
+          order.promotion && order.promotion.code ? `Discount (${order.promotion.code})` : 'Discount',
+          `-${this.formatMoney(order.discount, currency)}`
+        ],
+        ['Shipping', this.formatMoney(order.shippingCost, currency)],
+        [pricesIncludeTax ? 'Tax (included)' : 'Tax', this.formatMoney(order.tax, currency)],
+        ['Total', this.formatMoney(order.total, currency), true]
+      ]);
+
+      this.drawNote(doc, order.payment.paymentDate
+        ? `Paid by ${this.formatLabel(order.payment.method)} on ${this.formatDate(order.payment.paymentDate)}.`
+        : `Payment by ${this.formatLabel(order.payment.method)} is ${order.payment.status}.`);
+    });
+  }
+
+  // Credit note for one refund ledger entry
+  async renderCreditNote(order, refund, creditNote, invoice) {
+    return await this.render(`Credit Note ${creditNote.number}`, (doc) => {
+      this.drawHeader(doc, 'CREDIT NOTE', [
+        ['Credit Note No.', creditNote.number],
+        ['Date', this.formatDate(creditNote.issuedAt)],
+        ['Invoice No.', invoice.number],
+        ['Order No.', order.orderNumber]
+      ]);
+      this.drawParties(doc, order);
+
+      const currency = order.currency;
+      const taxAdded = !(order.taxDetails && order.taxDetails.pricesIncludeTax);
+      const rows = refund.items.map(line => [
+        line.name || 'Item',
+        String(line.quantity),
+        this.formatMoney(line.amount, currency)
+      ]);
+      if (refund.shippingAmount > 0) {
+        rows.push(['Shipping', '', this.formatMoney(refund.shippingAmount + (taxAdded ? refund.shippingTax : 0), currency)]);
+      }
+      if (rows.length === 0) {
+        rows.push([refund.reason || 'Refund', '', this.formatMoney(refund.amount, currency)]);
+      }
+
+      this.drawTable(doc, [
+        { header: 'Description', width: 335 },
+        { header: 'Qty', width: 60, align: 'right' },
+        { header: 'Amount', width: 100, align: 'right' }
+      ], rows);
+
+      this.drawTotals(doc, [
+        [taxAdded ? 'Tax reversed' : 'Tax reversed (included)', this.formatMoney(refund.taxAmount, currency)],
+        ['Total credited', this.formatMoney(refund.amount, currency), true]
+      ]);
+
+      this.drawNote(doc, [
+        refund.reason && `Reason: ${refund.reason}`,
+        `Refunded to: ${this.formatLabel(refund.method)}`,
+        `Refund date: ${this.formatDate(refund.createdAt)}`
+      ].filter(Boolean).join('\n'));
+    });
+  }
+
+  // Packing slip for an order or one of its shipments - quantities only, no prices
+  async renderPackingSlip(order, shipment) {
+    return await this.render(`Packing Slip ${order.orderNumber}`, (doc) => {
+      this.drawHeader(doc, 'PACKING SLIP', [
+        ['Order No.', order.orderNumber],
+        ['Order Date', this.formatDate(order.createdAt)],
+        ['Shipping', this.formatLabel(order.shipping.method)],
+        shipment && ['Tracking', [shipment.carrier, shipment.trackingNumber].filter(Boolean).join(' ')]
+      ]);
+      this.drawParties(doc, order);
+
+      const lines = shipment
+        ? shipment.items.map(line => ({ item: order.items.id(line.item), quantity: line.quantity })).filter(line => line.item)
+        : order.items.map(item => ({ item, quantity: item.quantity }));
+
+      this.drawTable(doc, [
+        { header: 'Item', width: 300 },
+        { header: 'SKU', width: 135 },
+        { header: 'Qty', width: 60, align: 'right' }
+      ], lines.map(({ item, quantity }) => [
+        this.describeItem(item, false),
+        item.sku || '-',
+        String(quantity)
+      ]));
+
+      const unshipped = shipment ? order.getUnshippedItems() : [];
+      if (unshipped.length > 0) {
+        this.drawNote(doc, `${unshipped.reduce((sum, line) => sum + line.quantity, 0)} more item(s) will ship separately.`);
+      }
+      if (order.notes && order.notes.customer) {
+        this.drawNote(doc, `Customer note: ${order.notes.customer}`);
+      }
+    });
+  }
+
+  // Run a drawing function and collect the PDF into a Buffer
+  render(title, draw) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: MARGIN,
+        info: { Title: title, Author: this.store.name }
+      });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      try {
+        draw(doc);
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  // Store details on the left, document title and numbers on the right
+  drawHeader(doc, title, details) {
+    const top = MARGIN;
+    let storeTop = top;
+
+    if (this.store.logoPath) {
+      try {
+        doc.image(this.store.logoPath, MARGIN, top, { fit: [150, 50] });
+        storeTop = top + 58;
+      } catch (error) {
+        // A missing or unreadable logo should not stop documents being issued
+        logger.warn(`Store logo could not be drawn: ${error.message}`);
+      }
+    }
+
+    doc.font('Helvetica-Bold').fontSize(14).text(this.store.name, MARGIN, storeTop, { width: 250 });
+    doc.font('Helvetica').fontSize(9);
+    [...this.store.address, this.store.email, this.store.taxId && `Tax ID: ${this.store.taxId}`]
+      .filter(Boolean)
+      .forEach(line => doc.text(line, { width: 250 }));
+    const storeBottom = doc.y;
+
+    doc.font('Helvetica-Bold').fontSize(20).text(title, MARGIN + 250, top, { width: CONTENT_WIDTH - 250, align: 'right' });
+    doc.font('Helvetica').fontSize(9).moveDown(0.5);
+    details
+      .filter(Boolean)
+      .forEach(([label, value]) => doc.text(`${label}: ${value}`, { width: CONTENT_WIDTH - 250, align: 'right' }));
+
+    doc.y = Math.max(storeBottom, doc.y) + 15;
+    this.drawRule(doc);
+  }
+
+  // Customer and delivery address side by side
+  drawParties(doc, order) {
+    const top = doc.y + 10;
+    const customer = order.customer && order.customer.name ? order.customer : order.guest || {};
+    const address = order.shipping.address;
+
+    doc.font('Helvetica-Bold').fontSize(10).text('Bill To', MARGIN, top, { width: 240 });
+    doc.font('Helvetica').fontSize(9);
+    [customer.name, customer.email, customer.phone].filter(Boolean).forEach(line => doc.text(line, { width: 240 }));
+    const billBottom = doc.y;
+
+    doc.font('Helvetica-Bold').fontSize(10).text('Ship To', MARGIN + 255, top, { width: 240 });
+    doc.font('Helvetica').fontSize(9);
+    [
+      customer.name,
+      address.street,
+      `${address.city}, ${address.state} ${address.zipCode}`,
+      address.country
+    ].filter(Boolean).forEach(line => doc.text(line, { width: 240 }));
+
+    doc.x = MARGIN;
+    doc.y = Math.max(billBottom, doc.y) + 20;
+  }
+
+  // Rows of cells under a header row, carried over to new pages as needed
+  drawTable(doc, columns, rows) {
+    const drawRow = (cells, font) => {
+      doc.font(font).fontSize(9);
+      const height = Math.max(...cells.map((cell, index) => doc.heightOfString(cell, { width: columns[index].width - 8 })));
+
+      if (doc.y + height > doc.page.height - MARGIN - 20) {
+        doc.addPage();
+        if (font !== 'Helvetica-Bold') drawRow(columns.map(column => column.header), 'Helvetica-Bold');
+        doc.font(font).fontSize(9);
+      }
+
+      const top = doc.y;
+      let x = MARGIN;
+      cells.forEach((cell, index) => {
+        doc.text(cell, x + 4, top, { width: columns[index].width - 8, align: columns[index].align || 'left' });
+        x += columns[index].width;
+      });
+
+      doc.x = MARGIN;
+      doc.y = top + height + 6;
+      this.drawRule(doc);
+      doc.y += 6;
+    };
+
+    drawRow(columns.map(column => column.header), 'Helvetica-Bold');
+    rows.forEach(cells => drawRow(cells, 'Helvetica'));
+  }
+
+  // Label/amount pairs aligned under the table's last columns
+  drawTotals(doc, rows) {
+    doc.moveDown(0.5);
+    rows.filter(Boolean).forEach(([label, value, emphasis]) => {
+      const top = doc.y;
+      doc.font(emphasis ? 'Helvetica-Bold' : 'Helvetica').fontSize(emphasis ? 11 : 9);
+      doc.text(label, MARGIN + 295, top, { width: 100, align: 'right' });
+      doc.text(value, MARGIN + 395, top, { width: 100, align: 'right' });
+      doc.y = Math.max(doc.y, top) + 4;
+    });
+    doc.x = MARGIN;
+  }
+
+  drawNote(doc, text) {
+    doc.moveDown(1);
+    doc.font('Helvetica').fontSize(9).text(text, MARGIN, doc.y, { width: CONTENT_WIDTH });
+  }
+
+  drawRule(doc) {
+    doc.moveTo(MARGIN, doc.y).lineTo(MARGIN + CONTENT_WIDTH, doc.y).lineWidth(0.5).strokeColor('#cccccc').stroke();
+  }
+
+  describeItem(item, withSku = true) {
+    return [
+      item.variantLabel ? `${item.name} (${item.variantLabel})` : item.name,
+      withSku && item.sku && `SKU: ${item.sku}`
+    ].filter(Boolean).join('\n');
+  }
+
+  formatMoney(amount, currency) {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency || 'USD' }).format(amount || 0);
+  }
+
+  formatDate(date) {
+    return date
+      ? new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
+      : '-';
+  }
+
+  // e.g. "credit_card" -> "Credit card"
+  formatLabel(value) {
+    if (!value) return '-';
+    const label = value.replace(/_/g, ' ');
+    return label.charAt(0).toUpperCase() + label.slice(1);
+  }
+}
+
+export default OrderDocumentRenderer;
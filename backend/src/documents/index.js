@@ -0,0 +1,25 @@
+// Documents
+// Renders order invoices, credit notes and packing slips as PDFs
+// The store header comes from STORE_NAME, STORE_ADDRESS (lines separated by "|"),
+// STORE_EMAIL, STORE_TAX_ID and STORE_LOGO_PATH (a PNG or JPEG file)
+
+import OrderDocumentRenderer from './OrderDocumentRenderer.js';
+
+const createDocumentRenderer = () => new OrderDocumentRenderer({
+  store: {
+    name: process.env.STORE_NAME || 'Product Store',
+    address: (process.env.STORE_ADDRESS || '')
+      .split('|')
+      .map(line => line.trim())
+      .filter(Boolean),
+    email: process.env.STORE_EMAIL,
+    taxId: process.env.STORE_TAX_ID,
+    logoPath: process.env.STORE_LOGO_PATH
+  }
+});
+
+// Create singleton instance
+const documentRenderer = createDocumentRenderer();
+
+export default documentRenderer;
+export { createDocumentRenderer };
@@ -0,0 +1,77 @@
+// Import Runner
+// Background job that processes large product imports one at a time
+
+import ImportService from '../services/ImportService.js';
+import logger from '../utils/logger.js';
+
+class ImportRunner {
+  constructor() {
+    this.importService = new ImportService();
+    this.queue = [];
+    this.isRunning = false;
+    this.isStopping = false;
+  }
+
+  // Pick up jobs that were queued or interrupted by a restart
+  async start() {
+    this.isStopping = false;
+
+    try {
+      const jobIds = await this.importService.getResumableJobIds();
+      jobIds.forEach(jobId => this.enqueue(jobId));
+
+      if (jobIds.length > 0) {
+        logger.info(`📦 Resuming ${jobIds.length} product import(s)`);
+      }
+    } catch (error) {
+      logger.error(`❌ Failed to resume product imports: ${error.message}`);
+    }
+  }
+
+  // Stop after the current batch - the job stays queued and resumes on next start
+  stop() {
+    this.isStopping = true;
+  }
+
+  enqueue(jobId) {
+    const id = jobId.toString();
+    if (!this.queue.includes(id)) {
+      this.queue.push(id);
+    }
+
+    this.drain();
+  }
+
+  async drain() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    try {
+      while (this.queue.length > 0 && !this.isStopping) {
+        const jobId = this.queue.shift();
+        const job = await this.importService.processJob(jobId, () => this.isStopping);
+
+        if (job) {
+          logger.logBusiness('products_imported', {
+            importId: jobId,
+            status: job.status,
+            dryRun: job.dryRun,
+            created: job.counts.created,
+            updated: job.counts.updated,
+            failed: job.counts.failed
+          });
+        }
+      }
+    } catch (error) {
+      logger.error(`❌ Import runner failed: ${error.message}`);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+// Create singleton instance
+const importRunner = new ImportRunner();
+
+export default importRunner;
+export { ImportRunner };
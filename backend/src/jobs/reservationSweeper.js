@@ -0,0 +1,61 @@
+// Reservation Sweeper
+// Background job that cancels unpaid orders once their stock reservation expires
+
+import OrderService from '../services/OrderService.js';
+import logger from '../utils/logger.js';
+
+class ReservationSweeper {
+  constructor() {
+    this.orderService = new OrderService();
+    this.intervalMs = parseInt(process.env.RESERVATION_SWEEP_INTERVAL_MS) || 60 * 1000; // 1 minute
+    this.timer = null;
+    this.isSweeping = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.sweep(), this.intervalMs);
+    // Don't keep the process alive just for the sweeper
+    this.timer.unref();
+
+    logger.info(`🧹 Reservation sweeper started (every ${this.intervalMs / 1000}s)`);
+  }
+
+  stop() {
+    if (!this.timer) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    logger.info('🧹 Reservation sweeper stopped');
+  }
+
+  async sweep() {
+    // Skip this tick if the previous sweep is still running
+    if (this.isSweeping) return 0;
+    this.isSweeping = true;
+
+    try {
+      const expiredCount = await this.orderService.expireUnpaidOrders();
+
+      if (expiredCount > 0) {
+        logger.logBusiness('reservations_expired', {
+          ordersCancelled: expiredCount
+        });
+      }
+
+      return expiredCount;
+    } catch (error) {
+      logger.error(`❌ Reservation sweep failed: ${error.message}`);
+      return 0;
+    } finally {
+      this.isSweeping = false;
+    }
+  }
+}
+
+// Create singleton instance
+const reservationSweeper = new ReservationSweeper();
+
+export default reservationSweeper;
+export { ReservationSweeper };
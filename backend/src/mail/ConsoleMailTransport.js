@@ -0,0 +1,22 @@
+/**
+ * Console Mail Transport - Prints emails to the log instead of sending them
+ * For local development, where links in the email can be copied from the console
+ */
+
+import logger from '../utils/logger.js';
+
+class ConsoleMailTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send({ from, to, subject, text }) {
+    const messageId = `console-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+    logger.info(`📧 Email to ${to}: ${subject}\n${text}`, { from, messageId });
+
+    return { messageId };
+  }
+}
+
+export default ConsoleMailTransport;
@@ -0,0 +1,62 @@
+/**
+ * File Mail Transport - Writes each email to a .eml file instead of sending it
+ * For local development and tests; the files open in any mail client
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+
+class FileMailTransport {
+  constructor({ outboxDir }) {
+    this.name = 'file';
+    this.outboxDir = path.resolve(outboxDir);
+  }
+
+  async send({ from, to, subject, text, html }) {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const filePath = path.join(this.outboxDir, `${messageId}.eml`);
+
+    await fs.mkdir(this.outboxDir, { recursive: true });
+    await fs.writeFile(filePath, this.format({ messageId, from, to, subject, text, html }));
+
+    logger.info(`📧 Email to ${to} saved to ${filePath}`, { subject });
+
+    return { messageId };
+  }
+
+  // A plain text message, or text and HTML alternatives when there is HTML
+  format({ messageId, from, to, subject, text, html }) {
+    const headers = [
+      `Message-ID: <${messageId}@localhost>`,
+      `Date: ${new Date().toUTCString()}`,
+      `From: ${from}`,
+      `To: ${to}`,
+      `Subject: ${subject}`,
+      'MIME-Version: 1.0'
+    ];
+
+    if (!html) {
+      return [...headers, 'Content-Type: text/plain; charset=utf-8', '', text].join('\r\n');
+    }
+
+    const boundary = `alt-${messageId}`;
+    return [
+      ...headers,
+      `Content-Type: multipart/alternative; boundary="${boundary}"`,
+      '',
+      `--${boundary}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      text,
+      `--${boundary}`,
+      'Content-Type: text/html; charset=utf-8',
+      '',
+      html,
+      `--${boundary}--`
+    ].join('\r\n');
+  }
+}
+
+export default FileMailTransport;
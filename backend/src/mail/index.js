@@ -0,0 +1,39 @@
+// Mail
+// Picks the transport emails go through (MAIL_TRANSPORT, default "console").
+// "file" writes .eml files to MAIL_OUTBOX_DIR instead. Other transports (e.g. SMTP)
+// only need send({ from, to, subject, text, html }) returning { messageId }
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ConsoleMailTransport from './ConsoleMailTransport.js';
+import FileMailTransport from './FileMailTransport.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const transports = {
+  console: () => new ConsoleMailTransport(),
+  file: () => new FileMailTransport({
+    outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../../mail-outbox')
+  })
+};
+
+const createMailTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  if (!transports[name]) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transports[name]();
+};
+
+// Create singleton instance
+const mailTransport = createMailTransport();
+
+// Send an email from the store's address
+const sendMail = (message) => mailTransport.send({
+  from: process.env.MAIL_FROM || `${process.env.STORE_NAME || 'Product Store'} <no-reply@localhost>`,
+  ...message
+});
+
+export default mailTransport;
+export { createMailTransport, sendMail };
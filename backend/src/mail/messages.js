@@ -0,0 +1,61 @@
+// Mail messages
+// Subject, plain text and HTML of the emails the store sends
+
+const storeName = () => process.env.STORE_NAME || 'Product Store';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// A short message with one call-to-action link
+const linkMessage = ({ subject, greeting, lines, action, link, footer }) => ({
+  subject,
+  text: [greeting, '', ...lines, '', `${action}: ${link}`, '', footer].join('\n'),
+  html: [
+    `<p>${escapeHtml(greeting)}</p>`,
+    ...lines.map(line => `<p>${escapeHtml(line)}</p>`),
+    `<p><a href="${escapeHtml(link)}">${escapeHtml(action)}</a></p>`,
+    `<p style="color:#6b7280">${escapeHtml(footer)}</p>`
+  ].join('\n')
+});
+
+// Email address verification after registering (or asking for a new link)
+export const emailVerificationMessage = ({ name, link, expiresInHours }) => linkMessage({
+  subject: `Verify your email for ${storeName()}`,
+  greeting: `Hi ${name},`,
+  lines: [
+    `Please confirm this is your email address to finish setting up your ${storeName()} account.`,
+    `The link expires in ${expiresInHours} hours.`
+  ],
+  action: 'Verify email address',
+  link,
+  footer: 'If you did not create an account, you can ignore this email.'
+});
+
+// Password reset link (sent only when the email belongs to an account)
+export const passwordResetMessage = ({ name, link, expiresInMinutes }) => linkMessage({
+  subject: `Reset your ${storeName()} password`,
+  greeting: `Hi ${name},`,
+  lines: [
+    'We received a request to reset the password of your account.',
+    `The link can be used once and expires in ${expiresInMinutes} minutes. Resetting your password signs you out everywhere.`
+  ],
+  action: 'Choose a new password',
+  link,
+  footer: 'If you did not ask to reset your password, you can ignore this email - your password stays the same.'
+});
+
+// Account locked after too many failed logins
+export const accountLockedMessage = ({ name, lockoutMinutes, link }) => linkMessage({
+  subject: `Your ${storeName()} account was locked`,
+  greeting: `Hi ${name},`,
+  lines: [
+    `After several failed login attempts, your account is locked for ${lockoutMinutes} minutes.`,
+    'If this was not you, someone may be trying to guess your password. Resetting your password also unlocks the account.'
+  ],
+  action: 'Reset your password',
+  link,
+  footer: 'If it was you, you can login again once the lock ends.'
+});
@@ -6,6 +6,7 @@
 import jwt from 'jsonwebtoken';
 import UserRepository from '../repositories/UserRepository.js';
 import { AppError, catchAsync } from '../utils/AppError.js';
+import { isTwoFactorRequired } from '../utils/twoFactorPolicy.js';
 import logger from '../utils/logger.js';
 
 const userRepository = new UserRepository();
@@ -46,7 +47,10 @@ export const authenticate = catchAsync(async (req, res, next) => {
       email: currentUser.email,
       name: currentUser.name,
       role: currentUser.role,
-      avatar: currentUser.avatar
+      avatar: currentUser.avatar,
+      emailVerified: currentUser.emailVerified,
+      twoFactorEnabled: Boolean(currentUser.twoFactor?.enabled),
+      sessionId: decoded.sid
     };
 
     next();
@@ -79,6 +83,39 @@ export const authorize = (...roles) => {
       return next(new AppError('Insufficient permissions to access this resource.', 403));
     }
 
+    // Roles listed in TWO_FACTOR_REQUIRED_ROLES only get their permissions with 2FA on
+    if (isTwoFactorRequired(req.user.role) && !req.user.twoFactorEnabled) {
+      logger.logAuth('two_factor_required', req.user.id, {
+        userRole: req.user.role,
+        route: req.originalUrl,
+        ip: req.ip
+      });
+
+      return next(new AppError('Two-factor authentication must be enabled to access this resource. Set it up at /api/auth/2fa/setup.', 403));
+    }
+
+    next();
+  };
+};
+
+// What each action that can require a verified email address is called in errors
+const VERIFIED_EMAIL_ACTIONS = {
+  checkout: 'place orders',
+  reviews: 'write reviews'
+};
+
+// Middleware to block unverified accounts from an action - must come after authenticate
+// Only applies to the actions listed in EMAIL_VERIFICATION_REQUIRED_FOR (e.g. "checkout,reviews")
+export const requireVerifiedEmail = (action) => {
+  return (req, res, next) => {
+    const requiredFor = (process.env.EMAIL_VERIFICATION_REQUIRED_FOR || '')
+      .split(',')
+      .map(name => name.trim());
+
+    if (requiredFor.includes(action) && !req.user.emailVerified && req.user.role !== 'admin') {
+      return next(new AppError(`Please verify your email address to ${VERIFIED_EMAIL_ACTIONS[action] || 'continue'}`, 403));
+    }
+
     next();
   };
 };
@@ -108,7 +145,10 @@ export const optionalAuth = catchAsync(async (req, res, next) => {
         email: currentUser.email,
         name: currentUser.name,
         role: currentUser.role,
-        avatar: currentUser.avatar
+        avatar: currentUser.avatar,
+        emailVerified: currentUser.emailVerified,
+        twoFactorEnabled: Boolean(currentUser.twoFactor?.enabled),
+        sessionId: decoded.sid
       };
     }
   } catch (error) {
@@ -224,6 +264,7 @@ export const securityHeaders = (req, res, next) => {
 export default {
   authenticate,
   authorize,
+  requireVerifiedEmail,
   optionalAuth,
   checkOwnership,
   validateRequestSize,
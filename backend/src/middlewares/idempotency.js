@@ -0,0 +1,169 @@
+/**
+ * Idempotency Middleware
+ * Makes mutating requests safe to retry: a request repeated with the same
+ * Idempotency-Key header gets the first request's response instead of running again
+ */
+
+import crypto from 'crypto';
+import IdempotencyKeyRepository from '../repositories/IdempotencyKeyRepository.js';
+import { AppError, catchAsync } from '../utils/AppError.js';
+import { readCartId } from '../utils/cartCookie.js';
+import logger from '../utils/logger.js';
+import { verifyOrderLookupToken } from '../utils/orderLookupToken.js';
+
+const idempotencyKeyRepository = new IdempotencyKeyRepository();
+
+// How long a stored response is replayed
+const ttlHours = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+// A request still processing after this long is assumed to have died with its server
+// Its key is not taken over, since a slow request may still be running
+const STALE_AFTER_MS = 5 * 60 * 1000;
+
+// JSON with sorted object keys, so the same body hashes the same however it was serialized
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body)}`)
+  .digest('hex');
+
+// Who a request's keys belong to: the signed-in user, or a guest by the email they
+// check out with (in the order, or in the lookup token of the order being paid), else their
+// anonymous cart. Returns null when there is nothing to tell the guest by
+const getKeyScope = (req) => {
+  if (req.user) return `user:${req.user.id}`;
+
+  let email = req.body?.guest?.email;
+  if (!email && req.body?.lookupToken) {
+    try {
+      ({ email } = verifyOrderLookupToken(req.body.lookupToken));
+    } catch (error) {
+      // The route refuses the token itself
+    }
+  }
+  if (typeof email === 'string' && email.trim()) {
+    return `guest:${email.trim().toLowerCase()}`;
+  }
+
+  const cartId = readCartId(req);
+  return cartId ? `cart:${cartId}` : null;
+};
+
+// Save the outcome of a request once it has run
+// A request refused with a client error (4xx) frees its key, so it can be corrected and retried.
+// Any other outcome keeps the key: after a server error (5xx) the request may have partly run,
+// and a successful response is stored for replay - tried twice, and if it still fails the key
+// stays processing so retries are refused rather than run again
+const storeResponse = async (record, responseStatus, body) => {
+  if (responseStatus >= 400 && responseStatus < 500) {
+    return await idempotencyKeyRepository.release(record._id);
+  }
+
+  if (responseStatus >= 500) {
+    return await idempotencyKeyRepository.markUnknown(record._id);
+  }
+
+  const responseBody = JSON.parse(JSON.stringify(body));
+  try {
+    return await idempotencyKeyRepository.complete(record._id, responseStatus, responseBody);
+  } catch (error) {
+    return await idempotencyKeyRepository.complete(record._id, responseStatus, responseBody);
+  }
+};
+
+// Middleware to run a request once per Idempotency-Key - must come after authenticate on
+// account routes. Successful responses are stored and replayed; requests refused with a client
+// error free the key so they can be retried. Requests without the header run as usual, as do
+// guest requests without an email or cart to scope the key to (validation refuses those)
+export const idempotent = catchAsync(async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  const scope = getKeyScope(req);
+  if (!scope) return next();
+
+  if (key.length > 255) {
+    return next(new AppError('Idempotency-Key cannot exceed 255 characters', 400));
+  }
+
+  const requestHash = hashRequest(req);
+  const expiresAt = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+
+  let record;
+  try {
+    record = await idempotencyKeyRepository.create({
+      scope,
+      key,
+      method: req.method,
+      path: req.originalUrl,
+      requestHash,
+      expiresAt
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const existing = await idempotencyKeyRepository.findByKey(scope, key);
+    if (!existing) {
+      // The first request failed and freed the key in the meantime
+      return next(new AppError('A request with this Idempotency-Key just failed. Please retry.', 409));
+    }
+
+    if (existing.requestHash !== requestHash) {
+      return next(new AppError('This Idempotency-Key was already used for a different request', 409));
+    }
+
+    if (existing.status === 'completed') {
+      logger.info('Idempotent request replayed', {
+        scope,
+        key,
+        path: req.originalUrl
+      });
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    if (existing.status === 'unknown') {
+      return next(new AppError(
+        'A request with this Idempotency-Key failed and may have been partly applied. Check its outcome before retrying with a new key.',
+        409
+      ));
+    }
+
+    if (existing.updatedAt < new Date(Date.now() - STALE_AFTER_MS)) {
+      return next(new AppError(
+        'A request with this Idempotency-Key did not finish. Check its outcome before retrying with a new key.',
+        409
+      ));
+    }
+
+    return next(new AppError('A request with this Idempotency-Key is still being processed', 409));
+  }
+
+  // Store the response (as sent, virtuals included) before it goes out, so a retry never
+  // runs the request again - a client that disconnected early gets it once the request finishes
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    storeResponse(record, res.statusCode, body)
+      .catch(error => logger.error(`❌ Idempotency key not saved: ${error.message}`, { key, path: req.originalUrl }))
+      .finally(() => json(body));
+
+    return res;
+  };
+
+  next();
+});
+
+export default {
+  idempotent
+};
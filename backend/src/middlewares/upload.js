@@ -0,0 +1,51 @@
+/**
+ * Upload Middleware
+ * Parses multipart image uploads into memory for processing
+ */
+
+import multer from 'multer';
+import { AppError } from '../utils/AppError.js';
+
+export const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+const maxFileSizeMb = parseInt(process.env.UPLOAD_MAX_FILE_SIZE_MB) || 5;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: maxFileSizeMb * 1024 * 1024,
+    files: 10
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+      return cb(new AppError(`Unsupported image type: ${file.mimetype}. Use JPEG, PNG, WebP or GIF`, 400));
+    }
+    cb(null, true);
+  }
+});
+
+// Middleware to accept up to maxCount images from one multipart field
+export const uploadImages = (field = 'images', maxCount = 10) => {
+  const handler = upload.array(field, maxCount);
+
+  return (req, res, next) => {
+    handler(req, res, (error) => {
+      if (!error) return next();
+
+      if (error instanceof multer.MulterError) {
+        const messages = {
+          LIMIT_FILE_SIZE: `Each image must be smaller than ${maxFileSizeMb}MB`,
+          LIMIT_FILE_COUNT: `Upload at most ${maxCount} images at a time`,
+          LIMIT_UNEXPECTED_FILE: `Images must be sent in the "${field}" field (at most ${maxCount})`
+        };
+        return next(new AppError(messages[error.code] || error.message, 400));
+      }
+
+      next(error);
+    });
+  };
+};
+
+export default {
+  uploadImages
+};
@@ -0,0 +1,55 @@
+/**
+ * Cart Model - Carts of shoppers who are not signed in
+ * Identified by a signed cookie and merged into the user's cart at login;
+ * signed-in users keep their cart on the User document
+ */
+
+import mongoose from 'mongoose';
+
+const cartSchema = new mongoose.Schema({
+  items: [{
+    product: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    // Set when the product has variants
+    variant: {
+      type: mongoose.Schema.ObjectId
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+      default: 1
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Removed by MongoDB once expired - pushed back on every change
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+
+}, {
+  timestamps: true
+});
+
+// Indexes for expiry
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Instance method to find a cart line by product and optional variant
+cartSchema.methods.findItem = function(productId, variantId = null) {
+  return this.items.find(item =>
+    item.product.toString() === productId.toString() &&
+    String(item.variant || '') === String(variantId || '')
+  );
+};
+
+const Cart = mongoose.model('Cart', cartSchema);
+
+export default Cart;
@@ -0,0 +1,151 @@
+/**
+ * Category Model - Hierarchical product categories
+ * Stores the ancestor path on each category so subtrees can be queried directly
+ */
+
+import mongoose from 'mongoose';
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [50, 'Category name cannot exceed 50 characters'],
+    minlength: [2, 'Category name must be at least 2 characters']
+  },
+
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true,
+    index: true
+  },
+
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+
+  image: String,
+
+  // Direct parent (null for top-level categories)
+  parent: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Category',
+    default: null,
+    index: true
+  },
+
+  // Path from the root down to the parent
+  ancestors: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'Category'
+  }],
+
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+
+  // Tax class for products in this category (unset inherits from the parent)
+  taxClass: {
+    type: String,
+    enum: ['standard', 'reduced', 'exempt']
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  // Admin fields
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+
+  lastModifiedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for tree queries
+categorySchema.index({ ancestors: 1 });
+categorySchema.index({ parent: 1, sortOrder: 1, name: 1 });
+
+// Virtual for depth in the tree (0 for top-level)
+categorySchema.virtual('level').get(function() {
+  return this.ancestors ? this.ancestors.length : 0;
+});
+
+// Pre-save middleware to generate slug
+categorySchema.pre('save', function(next) {
+  if (this.isModified('name') && (!this.slug || !this.isModified('slug'))) {
+    this.slug = categorySchema.statics.slugify(this.name);
+  }
+  next();
+});
+
+// Static helper to turn a name into a slug ("Power Banks" -> "power-banks")
+categorySchema.statics.slugify = function(value) {
+  return String(value)
+    .toLowerCase()
+    .replace(/[^a-zA-Z0-9]/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+};
+
+// Static method to build a nested tree from a flat list
+// productCounts maps category ID -> number of products directly in it. The roots are the
+// top-level categories, or only rootId when given; a category whose parent is not in the
+// list (e.g. an inactive one) is left out together with its subtree, not promoted to a root
+categorySchema.statics.buildTree = function(categories, productCounts = new Map(), rootId = null) {
+  const nodes = new Map();
+
+  categories.forEach(category => {
+    const plain = category.toObject ? category.toObject() : { ...category };
+    const id = plain._id.toString();
+    nodes.set(id, {
+      ...plain,
+      productCount: productCounts.get(id) || 0,
+      totalProductCount: 0,
+      children: []
+    });
+  });
+
+  const roots = [];
+  nodes.forEach((node, id) => {
+    if (rootId ? id === rootId.toString() : !node.parent) {
+      roots.push(node);
+      return;
+    }
+    const parentNode = node.parent ? nodes.get(node.parent.toString()) : null;
+    if (parentNode) {
+      parentNode.children.push(node);
+    }
+  });
+
+  // Sort siblings and roll product counts up to each ancestor
+  const finalize = (node) => {
+    node.children.sort((a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name));
+    node.totalProductCount = node.productCount +
+      node.children.reduce((sum, child) => sum + finalize(child), 0);
+    return node.totalProductCount;
+  };
+
+  roots.sort((a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name));
+  roots.forEach(finalize);
+
+  return roots;
+};
+
+const Category = mongoose.model('Category', categorySchema);
+
+export default Category;
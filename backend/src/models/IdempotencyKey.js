@@ -0,0 +1,58 @@
+/**
+ * Idempotency Key Model - Responses of mutating requests sent with an Idempotency-Key header
+ * A retried request with the same key gets the stored response instead of running again
+ */
+
+import mongoose from 'mongoose';
+
+const idempotencyKeySchema = new mongoose.Schema({
+  // Keys are only unique per scope - the user (user:<id>), or for guests
+  // the email they check out with (guest:<email>) or their anonymous cart (cart:<id>)
+  scope: {
+    type: String,
+    required: [true, 'Scope is required']
+  },
+
+  key: {
+    type: String,
+    required: [true, 'Idempotency key is required'],
+    maxlength: 255
+  },
+
+  method: String,
+  path: String,
+
+  // Hash of the method, path and body - the same key with a different request is rejected
+  requestHash: {
+    type: String,
+    required: true
+  },
+
+  // processing: the first request is still running (or its response could not be saved),
+  // completed: response stored, unknown: it failed with a server error and may have partly run
+  status: {
+    type: String,
+    enum: ['processing', 'completed', 'unknown'],
+    default: 'processing'
+  },
+
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+
+  // Removed by MongoDB once expired
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+
+}, {
+  timestamps: true
+});
+
+// Indexes for key lookups and expiry
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+export default IdempotencyKey;
@@ -0,0 +1,71 @@
+/**
+ * ImportJob Model - Bulk product import from CSV or NDJSON
+ * Rows are stored separately so an interrupted import can resume where it stopped
+ */
+
+import mongoose from 'mongoose';
+
+const importJobSchema = new mongoose.Schema({
+  format: {
+    type: String,
+    enum: ['csv', 'ndjson'],
+    required: true
+  },
+
+  filename: String,
+
+  // Validate and report only - nothing is written to products
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued',
+    index: true
+  },
+
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+
+  processedRows: {
+    type: Number,
+    default: 0
+  },
+
+  counts: {
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+
+  // Why the job itself stopped (row problems are recorded on the rows)
+  error: String,
+
+  startedAt: Date,
+  completedAt: Date,
+
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for completion percentage
+importJobSchema.virtual('progress').get(function() {
+  if (this.totalRows === 0) return 100;
+  return Math.round((this.processedRows / this.totalRows) * 100);
+});
+
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+
+export default ImportJob;
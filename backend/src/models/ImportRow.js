@@ -0,0 +1,51 @@
+/**
+ * ImportRow Model - One source row of a bulk product import
+ * Holds the raw row data and the outcome once it has been processed
+ */
+
+import mongoose from 'mongoose';
+
+const importRowSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ImportJob',
+    required: true
+  },
+
+  // Line number in the uploaded file
+  rowNumber: {
+    type: Number,
+    required: true
+  },
+
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // created/updated are what happened (or would happen on a dry run)
+  status: {
+    type: String,
+    enum: ['pending', 'created', 'updated', 'failed'],
+    default: 'pending'
+  },
+
+  // Validation or write errors for this row
+  messages: [String],
+
+  product: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Product'
+  }
+
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Index for processing rows in file order and listing failures
+importRowSchema.index({ job: 1, status: 1, rowNumber: 1 });
+
+const ImportRow = mongoose.model('ImportRow', importRowSchema);
+
+export default ImportRow;
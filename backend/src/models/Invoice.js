@@ -0,0 +1,90 @@
+/**
+ * Invoice Model - Numbered invoices and credit notes issued for orders
+ * Numbers run per series without gaps: a number only exists once its document does
+ */
+
+import mongoose from 'mongoose';
+
+const invoiceSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['invoice', 'credit_note'],
+    required: [true, 'Document type is required']
+  },
+
+  // Number prefix, e.g. INV - each series is numbered from 1
+  series: {
+    type: String,
+    required: true
+  },
+
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // Printed number, e.g. INV-000042
+  number: {
+    type: String,
+    required: true
+  },
+
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required']
+  },
+
+  customer: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+
+  // Refund ledger entry a credit note is for
+  refund: {
+    type: mongoose.Schema.ObjectId
+  },
+
+  // Invoice a credit note corrects
+  invoice: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Invoice'
+  },
+
+  // Totals when the document was issued
+  amount: {
+    type: Number,
+    required: true
+  },
+
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for gap-free numbering and one document per order or refund
+invoiceSchema.index({ series: 1, sequence: 1 }, { unique: true });
+invoiceSchema.index({ number: 1 }, { unique: true });
+invoiceSchema.index({ order: 1, type: 1 }, { unique: true, partialFilterExpression: { type: 'invoice' } });
+invoiceSchema.index({ refund: 1 }, { unique: true, partialFilterExpression: { type: 'credit_note' } });
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+export default Invoice;
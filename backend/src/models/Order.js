@@ -5,6 +5,8 @@
 
 import mongoose from 'mongoose';
 
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
 const orderSchema = new mongoose.Schema({
   // Order identification
   orderNumber: {
@@ -13,11 +15,23 @@ const orderSchema = new mongoose.Schema({
     required: true,
   },
   
-  // Customer information
+  // Customer information - guest orders have guest details instead until claimed
   customer: {
     type: mongoose.Schema.ObjectId,
     ref: 'User',
-    required: [true, 'Customer is required'],
+    required: [function() { return !this.guest || !this.guest.email; }, 'Customer is required'],
+  },
+
+  // Guest checkout contact - kept after the order is claimed into an account
+  guest: {
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    name: String,
+    phone: String,
+    claimedAt: Date
   },
   
   // Order items - store price at purchase time
@@ -27,6 +41,12 @@ const orderSchema = new mongoose.Schema({
       ref: 'Product',
       required: true
     },
+    // Set when the product has variants
+    variant: {
+      type: mongoose.Schema.ObjectId
+    },
+    sku: String,
+    variantLabel: String,
     name: {
       type: String,
       required: true
@@ -49,6 +69,22 @@ const orderSchema = new mongoose.Schema({
       type: Number,
       required: true,
       min: 0
+    },
+    // Share of the order discount and the tax charged on this line
+    discount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    taxClass: String,
+    taxRate: {
+      type: Number,
+      default: 0
+    },
+    tax: {
+      type: Number,
+      default: 0,
+      min: 0
     }
   }],
   
@@ -64,6 +100,23 @@ const orderSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+
+  // How tax was worked out - line amounts are on the items
+  taxDetails: {
+    // Prices included tax, so it is part of the subtotal rather than added to it
+    pricesIncludeTax: {
+      type: Boolean,
+      default: false
+    },
+    shippingTax: {
+      type: Number,
+      default: 0
+    },
+    shippingTaxRate: {
+      type: Number,
+      default: 0
+    }
+  },
   
   shippingCost: {
     type: Number,
@@ -76,6 +129,23 @@ const orderSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+
+  // Coupon applied at checkout - the discount above is computed from it
+  promotion: {
+    promotion: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Promotion'
+    },
+    code: String,
+    name: String,
+    type: {
+      type: String
+    },
+    itemDiscount: Number,
+    shippingDiscount: Number,
+    // Customer the redemption counts against when the promotion has a per-customer limit
+    usageKey: String
+  },
   
   total: {
     type: Number,
@@ -96,6 +166,7 @@ const orderSchema = new mongoose.Schema({
       'pending',
       'confirmed',
       'processing',
+      'partially_shipped',
       'shipped',
       'delivered',
       'cancelled',
@@ -113,14 +184,100 @@ const orderSchema = new mongoose.Schema({
     },
     status: {
       type: String,
-      enum: ['pending', 'completed', 'failed', 'refunded'],
+      enum: ['pending', 'completed', 'failed', 'partially_refunded', 'refunded'],
       default: 'pending',
     },
     transactionId: String,
+    provider: String, // Payment gateway adapter the order is paid through
+    intentId: String, // The provider's ID for this order's payment
+    failureReason: String,
     paymentDate: Date,
-    refundDate: Date,
-    refundAmount: Number
+    expiresAt: Date, // Reserved stock is released if unpaid by then
+    // Totals of the refund ledger below
+    refundDate: Date, // Latest refund
+    refundAmount: Number,
+    refundTax: Number // Tax reversed by the refunds
   },
+
+  // Refund ledger - one entry per refund, oldest first
+  refunds: [{
+    // Money returned to the customer
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    // Returned order lines - amount includes the line's tax when tax was added on top
+    items: [{
+      item: {
+        type: mongoose.Schema.ObjectId,
+        required: true
+      },
+      product: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Product'
+      },
+      variant: mongoose.Schema.ObjectId,
+      name: String,
+      quantity: {
+        type: Number,
+        required: true,
+        min: 1
+      },
+      amount: {
+        type: Number,
+        default: 0
+      },
+      tax: {
+        type: Number,
+        default: 0
+      },
+      // Units put back in stock (damaged returns are refunded but not restocked)
+      restockedQuantity: {
+        type: Number,
+        default: 0,
+        min: 0
+      }
+    }],
+    shippingAmount: {
+      type: Number,
+      default: 0
+    },
+    shippingTax: {
+      type: Number,
+      default: 0
+    },
+    taxAmount: {
+      type: Number,
+      default: 0
+    },
+    reason: String,
+    method: {
+      type: String,
+      enum: ['original_payment', 'store_credit', 'bank_transfer'],
+      default: 'original_payment'
+    },
+    // Some of the returned quantities were put back in stock
+    restocked: {
+      type: Boolean,
+      default: false
+    },
+    // Set when the refund settles a customer return
+    return: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Return'
+    },
+    provider: String,
+    providerRefundId: String,
+    processedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   
   // Shipping information
   shipping: {
@@ -136,11 +293,42 @@ const orderSchema = new mongoose.Schema({
       enum: ['standard', 'express', 'overnight', 'pickup'],
       default: 'standard'
     },
-    trackingNumber: String,
-    shippedDate: Date,
+    trackingNumber: String, // Orders shipped before shipments were recorded
+    shippedDate: Date, // First shipment
     estimatedDeliveryDate: Date,
-    actualDeliveryDate: Date
+    actualDeliveryDate: Date // Last shipment delivered
   },
+
+  // Parcels sent for this order - an order can ship in several boxes
+  shipments: [{
+    items: [{
+      item: {
+        type: mongoose.Schema.ObjectId,
+        required: true
+      },
+      quantity: {
+        type: Number,
+        required: true,
+        min: 1
+      }
+    }],
+    carrier: String,
+    trackingNumber: {
+      type: String,
+      required: true
+    },
+    trackingUrl: String,
+    shippedDate: {
+      type: Date,
+      default: Date.now
+    },
+    estimatedDeliveryDate: Date,
+    deliveredDate: Date,
+    createdBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    }
+  }],
   
   // Order notes and communication
   notes: {
@@ -168,6 +356,9 @@ const orderSchema = new mongoose.Schema({
   
 }, {
   timestamps: true,
+  // Reject saves made from a stale copy so concurrent status changes
+  // (e.g. two cancellations) cannot both restore stock
+  optimisticConcurrency: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
@@ -177,6 +368,9 @@ orderSchema.index({ customer: 1, createdAt: -1 });
 orderSchema.index({ status: 1, createdAt: -1 });
 orderSchema.index({ 'payment.status': 1, createdAt: -1 });
 orderSchema.index({ orderNumber: 1 });
+orderSchema.index({ 'promotion.promotion': 1, customer: 1 });
+orderSchema.index({ 'payment.provider': 1, 'payment.intentId': 1 }, { sparse: true });
+orderSchema.index({ 'guest.email': 1, customer: 1 }, { sparse: true });
 
 // Virtual for order age in days
 orderSchema.virtual('orderAge').get(function() {
@@ -194,6 +388,16 @@ orderSchema.virtual('summary').get(function() {
   };
 });
 
+// Virtual for the money refunded so far
+orderSchema.virtual('refundedAmount').get(function() {
+  return roundMoney((this.refunds || []).reduce((sum, refund) => sum + refund.amount, 0));
+});
+
+// Virtual for the money that can still be refunded
+orderSchema.virtual('refundableAmount').get(function() {
+  return Math.max(0, roundMoney(this.total - this.refundedAmount));
+});
+
 // Pre-save middleware to generate order number
 orderSchema.pre('save', function(next) {
   if (this.isNew && !this.orderNumber) {
@@ -210,8 +414,9 @@ orderSchema.pre('save', function(next) {
   // Calculate subtotal
   this.subtotal = this.items.reduce((sum, item) => sum + item.total, 0);
   
-  // Calculate final total
-  this.total = this.subtotal + this.tax + this.shippingCost - this.discount;
+  // Calculate final total (inclusive prices already contain the tax)
+  const addedTax = this.taxDetails && this.taxDetails.pricesIncludeTax ? 0 : this.tax;
+  this.total = this.subtotal + addedTax + this.shippingCost - this.discount;
   
   next();
 });
@@ -227,14 +432,21 @@ orderSchema.pre('save', function(next) {
   next();
 });
 
+// Instance method to check whether an order belongs to a user (guest orders belong to nobody until claimed)
+orderSchema.methods.isOwnedBy = function(userId) {
+  return Boolean(this.customer) && (this.customer._id || this.customer).toString() === String(userId);
+};
+
 // Instance method to update status
 orderSchema.methods.updateStatus = async function(newStatus, updatedBy, note) {
   const validTransitions = {
     pending: ['confirmed', 'cancelled'],
     confirmed: ['processing', 'cancelled'],
     processing: ['shipped', 'cancelled'],
+    partially_shipped: [],
     shipped: ['delivered'],
-    delivered: ['refunded'],
+    // Orders become refunded through the refund ledger (addRefund), not a status change
+    delivered: [],
     cancelled: [],
     refunded: []
   };
@@ -250,59 +462,246 @@ orderSchema.methods.updateStatus = async function(newStatus, updatedBy, note) {
     note,
     updatedAt: new Date()
   });
+
+  // Starts the return window
+  if (newStatus === 'delivered' && !this.shipping.actualDeliveryDate) {
+    this.shipping.actualDeliveryDate = new Date();
+  }
   
   return await this.save();
 };
 
+// Instance method to record an event (e.g. a return) without changing status
+orderSchema.methods.addHistoryNote = async function(note, updatedBy) {
+  this.statusHistory.push({
+    status: this.status,
+    updatedBy,
+    note,
+    updatedAt: new Date()
+  });
+
+  return await this.save();
+};
+
 // Instance method to process payment
-orderSchema.methods.processPayment = async function(transactionId) {
-  this.payment.status = 'completed';
-  this.payment.transactionId = transactionId;
-  this.payment.paymentDate = new Date();
-  
+// Written atomically so a payment never lands on an order the reservation sweeper
+// cancelled, or another capture paid, in the meantime - returns null when either happened first
+orderSchema.methods.processPayment = async function(transactionId, provider) {
+  const Order = this.constructor;
+
+  const paid = await Order.findOneAndUpdate(
+    { _id: this._id, status: { $ne: 'cancelled' }, 'payment.status': { $in: ['pending', 'failed'] } },
+    {
+      $set: {
+        'payment.status': 'completed',
+        'payment.transactionId': transactionId,
+        'payment.paymentDate': new Date(),
+        ...(provider && { 'payment.provider': provider })
+      },
+      $unset: { 'payment.failureReason': 1 },
+      $inc: { __v: 1 }
+    },
+    { new: true }
+  );
+  if (!paid || paid.status !== 'pending') return paid;
+
   // Auto-confirm order after successful payment
-  if (this.status === 'pending') {
-    this.status = 'confirmed';
+  const confirmed = await Order.findOneAndUpdate(
+    { _id: this._id, status: 'pending' },
+    {
+      $set: { status: 'confirmed' },
+      $push: { statusHistory: { status: 'confirmed', updatedAt: new Date(), note: 'Auto-confirmed after payment' } },
+      $inc: { __v: 1 }
+    },
+    { new: true }
+  );
+
+  return confirmed || await Order.findById(this._id);
+};
+
+// Instance method to record a declined or failed payment
+// The order stays open so the customer can pay again
+orderSchema.methods.failPayment = async function(reason) {
+  this.payment.status = 'failed';
+  this.payment.failureReason = reason;
+
+  return await this.save();
+};
+
+// Instance method to sum what the ledger has refunded per order line
+// Returns a Map of item ID to { quantity, amount, tax }
+orderSchema.methods.getRefundedItems = function() {
+  const refunded = new Map();
+
+  for (const refund of this.refunds || []) {
+    for (const line of refund.items) {
+      const key = line.item.toString();
+      const totals = refunded.get(key) || { quantity: 0, amount: 0, tax: 0 };
+      totals.quantity += line.quantity;
+      totals.amount = roundMoney(totals.amount + line.amount);
+      totals.tax = roundMoney(totals.tax + line.tax);
+      refunded.set(key, totals);
+    }
+  }
+
+  return refunded;
+};
+
+// Instance method to add a refund to the ledger
+// Refunds not tied to lines (taxAmount unset) reverse tax in proportion to the amount
+orderSchema.methods.addRefund = async function(refund) {
+  if (refund.amount > this.refundableAmount) {
+    throw new Error(`Refund exceeds the refundable balance of ${this.refundableAmount}`);
+  }
+
+  if (refund.taxAmount === undefined) {
+    refund.taxAmount = this.total > 0 ? roundMoney(this.tax * refund.amount / this.total) : 0;
+  }
+
+  this.refunds.push(refund);
+
+  this.payment.refundDate = new Date();
+  this.payment.refundAmount = this.refundedAmount;
+  this.payment.refundTax = roundMoney(this.refunds.reduce((sum, entry) => sum + entry.taxAmount, 0));
+
+  if (this.refundableAmount > 0) {
+    this.payment.status = 'partially_refunded';
+    this.statusHistory.push({
+      status: this.status,
+      updatedBy: refund.processedBy,
+      updatedAt: new Date(),
+      note: `Partially refunded $${refund.amount}`
+    });
+    // Refunding lines that never shipped can leave nothing else to ship
+    this.syncFulfillmentStatus(refund.processedBy, 'Remaining items refunded instead of shipped');
+  } else {
+    this.payment.status = 'refunded';
+    this.status = 'refunded';
     this.statusHistory.push({
-      status: 'confirmed',
+      status: 'refunded',
+      updatedBy: refund.processedBy,
       updatedAt: new Date(),
-      note: 'Auto-confirmed after payment'
+      note: `Refunded $${this.payment.refundAmount}`
     });
   }
-  
+
   return await this.save();
 };
 
-// Instance method to process refund
-orderSchema.methods.processRefund = async function(refundAmount) {
-  this.payment.status = 'refunded';
-  this.payment.refundDate = new Date();
-  this.payment.refundAmount = refundAmount || this.total;
-  this.status = 'refunded';
-  
+// Instance method to sum the quantities shipped per order line
+// Returns a Map of item ID to quantity
+orderSchema.methods.getShippedItems = function() {
+  const shipped = new Map();
+
+  for (const shipment of this.shipments || []) {
+    for (const line of shipment.items) {
+      const key = line.item.toString();
+      shipped.set(key, (shipped.get(key) || 0) + line.quantity);
+    }
+  }
+
+  return shipped;
+};
+
+// Instance method to list the order lines still waiting to ship (e.g. backordered)
+// Quantities refunded before they shipped are not owed any more
+orderSchema.methods.getUnshippedItems = function() {
+  const shipped = this.getShippedItems();
+  const refunded = this.getRefundedItems();
+
+  return this.items
+    .map(item => {
+      const key = item._id.toString();
+      const refundedQuantity = (refunded.get(key) || { quantity: 0 }).quantity;
+      return {
+        item: item._id,
+        name: item.name,
+        quantity: Math.max(0, item.quantity - (shipped.get(key) || 0) - refundedQuantity)
+      };
+    })
+    .filter(line => line.quantity > 0);
+};
+
+// Instance method to work out the fulfillment status from the shipments
+// Returns null for orders with no shipments, which keep their status
+orderSchema.methods.getFulfillmentStatus = function() {
+  if (!this.shipments || this.shipments.length === 0) return null;
+
+  if (this.getUnshippedItems().length > 0) return 'partially_shipped';
+
+  return this.shipments.every(shipment => shipment.deliveredDate) ? 'delivered' : 'shipped';
+};
+
+// Instance method to move the order to the status its shipments add up to
+orderSchema.methods.syncFulfillmentStatus = function(updatedBy, note) {
+  const status = this.getFulfillmentStatus();
+  if (!status || status === this.status || !['confirmed', 'processing', 'partially_shipped', 'shipped'].includes(this.status)) {
+    return;
+  }
+
+  this.status = status;
   this.statusHistory.push({
-    status: 'refunded',
-    updatedAt: new Date(),
-    note: `Refunded $${this.payment.refundAmount}`
+    status,
+    updatedBy,
+    note,
+    updatedAt: new Date()
   });
-  
+
+  if (status === 'delivered') {
+    // Starts the return window
+    this.shipping.actualDeliveryDate = new Date(Math.max(...this.shipments.map(shipment => shipment.deliveredDate)));
+  }
+};
+
+// Instance method to record a shipment
+// shipment.items: [{ item, quantity }] - every line not shipped yet when empty
+orderSchema.methods.addShipment = async function(shipment, createdBy) {
+  if (!['confirmed', 'processing', 'partially_shipped'].includes(this.status)) {
+    throw new Error(`Cannot ship an order that is ${this.status}`);
+  }
+
+  const unshipped = new Map(this.getUnshippedItems().map(line => [line.item.toString(), line]));
+  const items = shipment.items && shipment.items.length > 0
+    ? shipment.items
+    : [...unshipped.values()].map(line => ({ item: line.item, quantity: line.quantity }));
+
+  if (items.length === 0) {
+    throw new Error('Every item of this order has already shipped');
+  }
+
+  for (const line of items) {
+    const remaining = unshipped.get(line.item.toString());
+    if (!remaining || line.quantity > remaining.quantity) {
+      throw new Error(`Only ${remaining ? remaining.quantity : 0} of order item ${line.item} can still be shipped`);
+    }
+  }
+
+  this.shipments.push({ ...shipment, items, createdBy });
+  const added = this.shipments[this.shipments.length - 1];
+
+  if (!this.shipping.shippedDate) {
+    this.shipping.shippedDate = added.shippedDate;
+  }
+
+  this.syncFulfillmentStatus(createdBy, `Shipped ${added.items.reduce((sum, line) => sum + line.quantity, 0)} item(s), tracking: ${added.trackingNumber}`);
+
   return await this.save();
 };
 
-// Instance method to add tracking information
-orderSchema.methods.addTracking = async function(trackingNumber, shippedDate) {
-  this.shipping.trackingNumber = trackingNumber;
-  this.shipping.shippedDate = shippedDate || new Date();
-  
-  if (this.status !== 'shipped') {
-    this.status = 'shipped';
-    this.statusHistory.push({
-      status: 'shipped',
-      updatedAt: new Date(),
-      note: `Tracking: ${trackingNumber}`
-    });
+// Instance method to mark one shipment delivered
+orderSchema.methods.deliverShipment = async function(shipmentId, deliveredDate, updatedBy) {
+  const shipment = this.shipments.id(shipmentId);
+  if (!shipment) {
+    throw new Error('Shipment not found');
   }
-  
+
+  if (shipment.deliveredDate) {
+    throw new Error('Shipment has already been delivered');
+  }
+
+  shipment.deliveredDate = deliveredDate || new Date();
+  this.syncFulfillmentStatus(updatedBy, `Shipment ${shipment.trackingNumber} delivered`);
+
   return await this.save();
 };
 
@@ -0,0 +1,60 @@
+/**
+ * Payment Event Model - Every webhook event received from a payment provider
+ * The provider and event ID are unique, so redelivered events are applied once
+ */
+
+import mongoose from 'mongoose';
+
+const paymentEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: [true, 'Provider is required']
+  },
+
+  // The provider's own event ID
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required']
+  },
+
+  type: {
+    type: String,
+    required: [true, 'Event type is required']
+  },
+
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order'
+  },
+
+  intentId: String,
+
+  // received: being applied, processed: order updated, ignored: nothing to change,
+  // failed: applying it errored (a redelivery retries it)
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'ignored', 'failed'],
+    default: 'received'
+  },
+
+  // Why the event was ignored or failed
+  note: String,
+
+  payload: mongoose.Schema.Types.Mixed,
+
+  processedAt: Date
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for deduplication and admin lookups
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ order: 1, createdAt: -1 });
+paymentEventSchema.index({ status: 1, createdAt: -1 });
+
+const PaymentEvent = mongoose.model('PaymentEvent', paymentEventSchema);
+
+export default PaymentEvent;
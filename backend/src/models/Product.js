@@ -4,6 +4,105 @@
  */
 
 import mongoose from 'mongoose';
+import Category from './Category.js';
+
+// Variant option axis, e.g. { name: 'Color', values: ['Black', 'Blue'] }
+const optionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Option name is required'],
+    trim: true,
+    maxlength: [30, 'Option name cannot exceed 30 characters']
+  },
+  values: [{
+    type: String,
+    trim: true
+  }]
+}, { _id: false });
+
+// Purchasable variant - one value per option axis
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+
+  // Option values keyed by axis name, e.g. { Color: 'Black', Size: 'M' }
+  options: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+
+  // Overrides the product price when set
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+
+  originalPrice: {
+    type: Number,
+    min: [0, 'Original price cannot be negative']
+  },
+
+  stock: {
+    type: Number,
+    min: [0, 'Stock cannot be negative'],
+    default: 0
+  },
+
+  // Falls back to the product threshold when not set
+  lowStockThreshold: {
+    type: Number,
+    min: 0
+  },
+
+  images: [{
+    url: {
+      type: String,
+      required: true
+    },
+    alt: {
+      type: String,
+      default: ''
+    },
+    isPrimary: {
+      type: Boolean,
+      default: false
+    }
+  }],
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for variant label, e.g. "Black / M"
+variantSchema.virtual('label').get(function() {
+  return Array.from(this.options.values()).join(' / ');
+});
+
+// Virtual for price actually charged
+variantSchema.virtual('effectivePrice').get(function() {
+  if (this.price !== undefined && this.price !== null) return this.price;
+  const product = this.ownerDocument();
+  return product ? product.price : undefined;
+});
+
+// Virtual for variant availability status
+variantSchema.virtual('availability').get(function() {
+  const product = this.ownerDocument();
+  const threshold = this.lowStockThreshold ?? (product ? product.lowStockThreshold : 10);
+
+  if (!this.isActive || this.stock === 0) return 'Out of Stock';
+  if (this.stock <= threshold) return 'Low Stock';
+  return 'In Stock';
+});
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -11,8 +110,7 @@ const productSchema = new mongoose.Schema({
     required: [true, 'Product name is required'],
     trim: true,
     maxlength: [100, 'Product name cannot exceed 100 characters'],
-    minlength: [2, 'Product name must be at least 2 characters'],
-    index: 'text' // Text index for search
+    minlength: [2, 'Product name must be at least 2 characters']
   },
   
   slug: {
@@ -26,8 +124,7 @@ const productSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Product description is required'],
     minlength: [10, 'Description must be at least 10 characters'],
-    maxlength: [2000, 'Description cannot exceed 2000 characters'],
-    index: 'text' // Text index for search
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
   },
   
   shortDescription: {
@@ -70,6 +167,13 @@ const productSchema = new mongoose.Schema({
     isPrimary: {
       type: Boolean,
       default: false
+    },
+    // Storage folder for uploaded images, unset for external URLs
+    key: String,
+    renditions: {
+      thumbnail: String,
+      medium: String,
+      large: String
     }
   }],
   
@@ -80,20 +184,9 @@ const productSchema = new mongoose.Schema({
   },
   
   category: {
-    type: String,
+    type: mongoose.Schema.ObjectId,
+    ref: 'Category',
     required: [true, 'Product category is required'],
-    enum: [
-      'Electronics',
-      'Clothing',
-      'Books',
-      'Home & Garden',
-      'Sports',
-      'Beauty',
-      'Automotive',
-      'Food & Beverages',
-      'Other'
-    ],
-    default: 'Other',
     index: true
   },
   
@@ -126,6 +219,11 @@ const productSchema = new mongoose.Schema({
     type: Number,
     default: 10
   },
+
+  // Variants - when present, stock is the sum of variant stock
+  options: [optionSchema],
+
+  variants: [variantSchema],
   
   // Product status
   status: {
@@ -242,7 +340,9 @@ const productSchema = new mongoose.Schema({
 productSchema.index({ category: 1, status: 1, isActive: 1 });
 productSchema.index({ price: 1, averageRating: -1 });
 productSchema.index({ isFeatured: 1, createdAt: -1 });
-productSchema.index({ name: 'text', description: 'text', category: 'text' });
+// Text index for search - a collection can only have one, see Database.createIndexes
+productSchema.index({ name: 'text', description: 'text' }, { name: 'product_search_text' });
+productSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
 
 // Virtual for discount percentage
 productSchema.virtual('discountPercentage').get(function() {
@@ -254,11 +354,23 @@ productSchema.virtual('discountPercentage').get(function() {
 
 // Virtual for availability status
 productSchema.virtual('availability').get(function() {
+  if (this.variants && this.variants.length > 0) {
+    const statuses = this.variants.map(variant => variant.availability);
+    if (statuses.includes('In Stock')) return 'In Stock';
+    if (statuses.includes('Low Stock')) return 'Low Stock';
+    return 'Out of Stock';
+  }
+
   if (this.stock === 0) return 'Out of Stock';
   if (this.stock <= this.lowStockThreshold) return 'Low Stock';
   return 'In Stock';
 });
 
+// Virtual for whether a variant must be chosen before purchase
+productSchema.virtual('hasVariants').get(function() {
+  return Boolean(this.variants && this.variants.length > 0);
+});
+
 // Virtual for primary image
 productSchema.virtual('primaryImage').get(function() {
   if (this.images && this.images.length > 0) {
@@ -281,13 +393,30 @@ productSchema.pre('save', function(next) {
 });
 
 // Pre-save middleware to generate SKU if not provided
-productSchema.pre('save', function(next) {
+productSchema.pre('save', async function() {
   if (!this.sku && this.isNew) {
-    const prefix = this.category.substring(0, 3).toUpperCase();
+    const category = await Category.findById(this.category).select('slug').lean();
+    const prefix = (category ? category.slug.replace(/-/g, '') : 'GEN').substring(0, 3).toUpperCase();
     const timestamp = Date.now().toString().slice(-6);
     const random = Math.random().toString(36).substring(2, 5).toUpperCase();
     this.sku = `${prefix}${timestamp}${random}`;
   }
+});
+
+// Pre-save middleware to generate variant SKUs and sync total stock
+productSchema.pre('save', function(next) {
+  if (this.isModified('variants') && this.variants.length > 0) {
+    this.variants.forEach((variant, index) => {
+      if (!variant.sku) {
+        const suffix = Array.from(variant.options.values())
+          .map(value => value.replace(/[^a-zA-Z0-9]/g, '').substring(0, 3).toUpperCase())
+          .join('-');
+        variant.sku = `${this.sku}-${suffix || index + 1}`;
+      }
+    });
+
+    this.stock = this.variants.reduce((sum, variant) => sum + (variant.isActive ? variant.stock : 0), 0);
+  }
   next();
 });
 
@@ -311,6 +440,41 @@ productSchema.pre('save', function(next) {
   next();
 });
 
+// Instance method to find a variant by ID
+productSchema.methods.findVariant = function(variantId) {
+  if (!variantId || !this.variants) return null;
+  return this.variants.id(variantId);
+};
+
+// Instance method to get the purchasable unit for an optional variant
+// Returns null when a variant is required but missing or unknown
+productSchema.methods.resolvePurchasable = function(variantId) {
+  if (!this.variants || this.variants.length === 0) {
+    return {
+      variant: null,
+      sku: this.sku,
+      price: this.price,
+      stock: this.stock,
+      image: this.primaryImage,
+      label: null
+    };
+  }
+
+  const variant = this.findVariant(variantId);
+  if (!variant || !variant.isActive) return null;
+
+  const variantImage = variant.images.find(img => img.isPrimary) || variant.images[0];
+
+  return {
+    variant,
+    sku: variant.sku,
+    price: variant.effectivePrice,
+    stock: variant.stock,
+    image: variantImage ? variantImage.url : this.primaryImage,
+    label: variant.label
+  };
+};
+
 // Instance method to add review
 productSchema.methods.addReview = async function(userId, userName, rating, comment, isVerifiedPurchase = false) {
   // Check if user already reviewed
@@ -376,9 +540,9 @@ productSchema.statics.search = function(query, options = {}) {
     searchQuery.$text = { $search: query };
   }
 
-  // Category filter
+  // Category filter (a list of IDs matches the whole subtree)
   if (category) {
-    searchQuery.category = category;
+    searchQuery.category = Array.isArray(category) ? { $in: category } : category;
   }
 
   // Price range filter
@@ -406,6 +570,7 @@ productSchema.statics.search = function(query, options = {}) {
     .sort(sortOptions)
     .limit(limit * 1)
     .skip((page - 1) * limit)
+    .populate('category', 'name slug')
     .populate('createdBy', 'name')
     .populate('reviews.user', 'name avatar');
 };
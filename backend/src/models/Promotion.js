@@ -0,0 +1,152 @@
+/**
+ * Promotion Model - Coupon codes and the discount rules behind them
+ * Supports percentage, fixed amount, free shipping and buy-X-get-Y promotions
+ */
+
+import mongoose from 'mongoose';
+
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Promotion name is required'],
+    trim: true,
+    maxlength: [100, 'Promotion name cannot exceed 100 characters']
+  },
+
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed_amount', 'free_shipping', 'buy_x_get_y'],
+    required: [true, 'Promotion type is required']
+  },
+
+  // Percent off (percentage) or amount off (fixed_amount)
+  value: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Cap for percentage discounts
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+
+  // buy_x_get_y: for every buyQuantity items, getQuantity more are discounted by getDiscountPercent
+  buyQuantity: {
+    type: Number,
+    min: 1
+  },
+
+  getQuantity: {
+    type: Number,
+    min: 1
+  },
+
+  getDiscountPercent: {
+    type: Number,
+    default: 100,
+    min: 1,
+    max: 100
+  },
+
+  // Limit the discount to these products/categories (empty applies to the whole order)
+  // Categories include their subcategories
+  products: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'Product'
+  }],
+
+  categories: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'Category'
+  }],
+
+  minOrderValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Usage limits (unset means unlimited)
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+
+  usageLimitPerCustomer: {
+    type: Number,
+    min: 1
+  },
+
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  endsAt: Date,
+
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  // Admin fields
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+
+  lastModifiedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for admin listings
+promotionSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+// Virtual for whether the promotion can currently be redeemed
+promotionSchema.virtual('isRedeemable').get(function() {
+  const now = new Date();
+  if (!this.isActive) return false;
+  if (this.startsAt && this.startsAt > now) return false;
+  if (this.endsAt && this.endsAt <= now) return false;
+  if (this.usageLimit && this.usageCount >= this.usageLimit) return false;
+  return true;
+});
+
+// Virtual for remaining redemptions (null when unlimited)
+promotionSchema.virtual('remainingUses').get(function() {
+  if (!this.usageLimit) return null;
+  return Math.max(0, this.usageLimit - this.usageCount);
+});
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+export default Promotion;
@@ -0,0 +1,36 @@
+/**
+ * Promotion Usage Model - How many times each customer has redeemed a promotion
+ * One document per promotion and customer (or guest email), so the per-customer
+ * limit can be claimed with a single conditional update
+ */
+
+import mongoose from 'mongoose';
+
+const promotionUsageSchema = new mongoose.Schema({
+  promotion: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Promotion',
+    required: [true, 'Promotion is required']
+  },
+
+  // "customer:<id>" or "guest:<email>"
+  customerKey: {
+    type: String,
+    required: [true, 'Customer key is required']
+  },
+
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+
+}, {
+  timestamps: true
+});
+
+promotionUsageSchema.index({ promotion: 1, customerKey: 1 }, { unique: true });
+
+const PromotionUsage = mongoose.model('PromotionUsage', promotionUsageSchema);
+
+export default PromotionUsage;
@@ -0,0 +1,66 @@
+/**
+ * Reservation Model - Stock held for an order until payment completes
+ * Each record ties a quantity of one product to an order with an expiry time
+ */
+
+import mongoose from 'mongoose';
+
+const reservationSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required']
+  },
+
+  product: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+
+  // Set when the product has variants
+  variant: {
+    type: mongoose.Schema.ObjectId
+  },
+
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // active: stock is held, committed: order paid,
+  // released: order cancelled, expired: payment never arrived
+  status: {
+    type: String,
+    enum: ['active', 'committed', 'released', 'expired'],
+    default: 'active'
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  resolvedAt: Date
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for the sweeper and admin lookups
+reservationSchema.index({ status: 1, expiresAt: 1 });
+reservationSchema.index({ product: 1, status: 1 });
+reservationSchema.index({ order: 1 });
+
+// Virtual for remaining time in seconds
+reservationSchema.virtual('secondsRemaining').get(function() {
+  if (this.status !== 'active') return 0;
+  return Math.max(0, Math.floor((this.expiresAt - Date.now()) / 1000));
+});
+
+const Reservation = mongoose.model('Reservation', reservationSchema);
+
+export default Reservation;
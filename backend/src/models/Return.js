@@ -0,0 +1,170 @@
+/**
+ * Return Model - Customer return requests (RMA) for delivered orders
+ * Tracks the requested items through approval, receipt and refund
+ */
+
+import mongoose from 'mongoose';
+
+const returnSchema = new mongoose.Schema({
+  // Return merchandise authorization number shown to the customer
+  rmaNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required']
+  },
+
+  customer: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Customer is required']
+  },
+
+  // Order lines being returned
+  items: [{
+    item: {
+      type: mongoose.Schema.ObjectId,
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Product'
+    },
+    variant: mongoose.Schema.ObjectId,
+    name: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    // Condition recorded on receipt - only restockable units go back in stock
+    restockableQuantity: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    damagedQuantity: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  }],
+
+  reasonCode: {
+    type: String,
+    enum: ['damaged', 'defective', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other'],
+    required: [true, 'Return reason is required']
+  },
+
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Return reason cannot exceed 1000 characters']
+  },
+
+  // Uploaded by the customer with the request
+  photos: [{
+    url: String,
+    key: String,
+    renditions: {
+      thumbnail: String,
+      medium: String,
+      large: String
+    }
+  }],
+
+  // requested -> approved -> received -> refunded, or requested -> rejected
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'received', 'refunded'],
+    default: 'requested'
+  },
+
+  rejectionReason: String,
+  receivedAt: Date,
+
+  // Refund ledger entry on the order that settled this return
+  refund: {
+    entry: mongoose.Schema.ObjectId,
+    amount: Number,
+    refundedAt: Date
+  },
+
+  statusHistory: [{
+    status: {
+      type: String,
+      required: true
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now
+    },
+    updatedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    note: String
+  }]
+
+}, {
+  timestamps: true,
+  // Reject saves made from a stale copy so two admins cannot both receive a return
+  optimisticConcurrency: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for customer and admin lookups
+returnSchema.index({ order: 1, status: 1 });
+returnSchema.index({ customer: 1, createdAt: -1 });
+returnSchema.index({ status: 1, createdAt: -1 });
+
+// Virtual for the number of units being returned
+returnSchema.virtual('itemCount').get(function() {
+  return (this.items || []).reduce((sum, item) => sum + item.quantity, 0);
+});
+
+// Pre-validate middleware to generate the RMA number
+returnSchema.pre('validate', function(next) {
+  if (this.isNew && !this.rmaNumber) {
+    const year = new Date().getFullYear();
+    const timestamp = Date.now().toString().slice(-8);
+    const random = Math.random().toString(36).substring(2, 5).toUpperCase();
+    this.rmaNumber = `RMA${year}${timestamp}${random}`;
+  }
+  next();
+});
+
+// Instance method to move the return along its workflow
+returnSchema.methods.updateStatus = async function(newStatus, updatedBy, note) {
+  const validTransitions = {
+    requested: ['approved', 'rejected'],
+    approved: ['received'],
+    received: ['refunded'],
+    rejected: [],
+    refunded: []
+  };
+
+  if (!validTransitions[this.status].includes(newStatus)) {
+    throw new Error(`Cannot transition return from ${this.status} to ${newStatus}`);
+  }
+
+  this.status = newStatus;
+  this.statusHistory.push({
+    status: newStatus,
+    updatedBy,
+    note,
+    updatedAt: new Date()
+  });
+
+  return await this.save();
+};
+
+const Return = mongoose.model('Return', returnSchema);
+
+export default Return;
@@ -0,0 +1,45 @@
+/**
+ * SearchIndex Model - Trigram index for product suggestions
+ * One entry per active product, rebuilt whenever its searchable fields change
+ */
+
+import mongoose from 'mongoose';
+
+const searchIndexSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Product',
+    required: true,
+    unique: true
+  },
+
+  // Normalized words per searchable field
+  fields: {
+    name: [String],
+    brand: [String],
+    category: [String],
+    sku: [String]
+  },
+
+  // All words across fields, for prefix matching
+  words: [String],
+
+  // Padded trigrams of every word, for fuzzy matching
+  grams: [String],
+
+  indexedAt: {
+    type: Date,
+    default: Date.now
+  }
+
+}, {
+  timestamps: true
+});
+
+// Multikey indexes for candidate lookup
+searchIndexSchema.index({ grams: 1 });
+searchIndexSchema.index({ words: 1 });
+
+const SearchIndex = mongoose.model('SearchIndex', searchIndexSchema);
+
+export default SearchIndex;
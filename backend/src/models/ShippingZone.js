@@ -0,0 +1,128 @@
+/**
+ * Shipping Zone Model - Where we ship and what each shipping method costs there
+ * Rates are priced by chargeable weight (the larger of actual and volumetric weight, in kg)
+ */
+
+import mongoose from 'mongoose';
+
+// Price of one shipping method within a zone
+const shippingMethodSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: ['standard', 'express', 'overnight', 'pickup'],
+    required: true
+  },
+
+  label: String,
+
+  // Charged on every shipment
+  baseRate: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Added to the base rate - the first tier whose maxWeight covers the parcel applies
+  weightTiers: [{
+    maxWeight: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+
+  // Charged per kg above the heaviest tier (unset means heavier parcels can't use this method)
+  additionalPerKg: {
+    type: Number,
+    min: 0
+  },
+
+  // Orders at or above this subtotal ship free with this method
+  freeShippingThreshold: {
+    type: Number,
+    min: 0
+  },
+
+  // Delivery window in business days
+  minDeliveryDays: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+
+  maxDeliveryDays: {
+    type: Number,
+    default: 5,
+    min: 0
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+const shippingZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    trim: true,
+    maxlength: [100, 'Zone name cannot exceed 100 characters']
+  },
+
+  // Matched against the shipping address, ignoring case
+  countries: [{
+    type: String,
+    uppercase: true,
+    trim: true
+  }],
+
+  // Narrows the zone to these states of its countries (empty covers whole countries)
+  states: [{
+    type: String,
+    uppercase: true,
+    trim: true
+  }],
+
+  // Used for addresses no other zone covers
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+
+  methods: [shippingMethodSchema],
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Admin fields
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+
+  lastModifiedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for address lookups
+shippingZoneSchema.index({ countries: 1, isActive: 1 });
+shippingZoneSchema.index({ isDefault: 1, isActive: 1 });
+
+const ShippingZone = mongoose.model('ShippingZone', shippingZoneSchema);
+
+export default ShippingZone;
@@ -0,0 +1,97 @@
+/**
+ * Tax Rate Model - Sales tax/VAT rates by jurisdiction and tax class
+ * The most specific matching rate (ZIP prefix, then state, then country) applies to an order line
+ */
+
+import mongoose from 'mongoose';
+
+const taxRateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tax rate name is required'],
+    trim: true,
+    maxlength: [100, 'Tax rate name cannot exceed 100 characters']
+  },
+
+  // Matched against the shipping address, ignoring case
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    uppercase: true,
+    trim: true
+  },
+
+  // Unset applies to the whole country
+  state: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: null
+  },
+
+  // Unset applies to the whole state/country, "902" matches 90210
+  zipCodePrefix: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: null
+  },
+
+  taxClass: {
+    type: String,
+    enum: ['standard', 'reduced'],
+    default: 'standard'
+  },
+
+  // Percent, e.g. 8.25
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: 0,
+    max: 100
+  },
+
+  // Whether shipping is taxed in this jurisdiction (standard class rates only)
+  appliesToShipping: {
+    type: Boolean,
+    default: false
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Admin fields
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+
+  lastModifiedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for address lookups
+taxRateSchema.index({ country: 1, state: 1, isActive: 1 });
+taxRateSchema.index(
+  { country: 1, state: 1, zipCodePrefix: 1, taxClass: 1 },
+  { unique: true }
+);
+
+// Virtual for how specific the jurisdiction is (higher wins)
+taxRateSchema.virtual('specificity').get(function() {
+  if (this.zipCodePrefix) return 2 + this.zipCodePrefix.length;
+  return this.state ? 1 : 0;
+});
+
+const TaxRate = mongoose.model('TaxRate', taxRateSchema);
+
+export default TaxRate;
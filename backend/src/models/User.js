@@ -3,6 +3,7 @@
  * Supports authentication, roles, and user management
  */
 
+import crypto from 'crypto';
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
@@ -70,19 +71,70 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+
+  // Hash of the token in the last verification email sent
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
   
   // Security fields
   lastLogin: {
     type: Date
   },
   
-  refreshTokens: [{
-    token: { type: String, required: true },
-    createdAt: { type: Date, default: Date.now, expires: '7d' }
-  }],
+  // Failed logins since the last successful one (or lockout)
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+
+  // Logins are refused until then (a short delay after failed logins, or a lockout)
+  lockUntil: {
+    type: Date
+  },
   
-  passwordResetToken: String,
-  passwordResetExpires: Date,
+  // Signed-in devices - each holds the hash of its current refresh token and keeps
+  // its id when the token is rotated
+  sessions: {
+    type: [{
+      _id: { type: String, required: true },
+      tokenHash: { type: String, required: true },
+      userAgent: { type: String, maxlength: 500 },
+      ip: { type: String },
+      createdAt: { type: Date, default: Date.now },
+      lastUsedAt: { type: Date, default: Date.now },
+      expiresAt: { type: Date, required: true }
+    }],
+    select: false
+  },
+  
+  // Hash of the token in the last password reset email sent
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+
+  // Two-factor authentication (TOTP) - the secret is stored encrypted, recovery codes hashed
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    // Secret of a setup not yet confirmed with a code
+    pendingSecret: { type: String, select: false },
+    recoveryCodes: { type: [String], select: false },
+    // Time step of the last code accepted, so a code cannot be used twice
+    lastUsedStep: { type: Number, select: false },
+    enabledAt: { type: Date }
+  },
   
   // Shopping preferences
   cart: [{
@@ -91,6 +143,10 @@ const userSchema = new mongoose.Schema({
       ref: 'Product',
       required: true
     },
+    // Set when the product has variants
+    variant: {
+      type: mongoose.Schema.ObjectId
+    },
     quantity: {
       type: Number,
       required: true,
@@ -118,6 +174,8 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1, isActive: 1 });
 userSchema.index({ role: 1, isActive: 1 });
 userSchema.index({ 'cart.product': 1 });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
 
 // Virtual for full name if needed later
 userSchema.virtual('fullAddress').get(function() {
@@ -125,6 +183,11 @@ userSchema.virtual('fullAddress').get(function() {
   return `${this.address.street}, ${this.address.city}, ${this.address.state} ${this.address.zipCode}`;
 });
 
+// Virtual for whether logins are currently refused
+userSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+});
+
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
   // Only hash password if it's modified
@@ -148,80 +211,78 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Instance method to generate JWT tokens
-userSchema.methods.generateAccessToken = function() {
+// Instance method to generate JWT tokens - sessionId ties them to a session (device)
+userSchema.methods.generateAccessToken = function(sessionId) {
   return jwt.sign(
     {
       id: this._id,
       email: this.email,
-      role: this.role
+      role: this.role,
+      ...(sessionId && { sid: sessionId })
     },
     process.env.JWT_ACCESS_SECRET,
     { expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m' }
   );
 };
 
-userSchema.methods.generateRefreshToken = function() {
+userSchema.methods.generateRefreshToken = function(sessionId) {
   return jwt.sign(
     {
       id: this._id,
-      email: this.email
+      email: this.email,
+      sid: sessionId
     },
     process.env.JWT_REFRESH_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d' }
+    {
+      expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d',
+      jwtid: crypto.randomBytes(8).toString('hex') // Every rotation gets a different token
+    }
   );
 };
 
-// Instance method to add refresh token
-userSchema.methods.addRefreshToken = async function(refreshToken) {
-  this.refreshTokens.push({ token: refreshToken });
-  
-  // Keep only last 5 refresh tokens
-  if (this.refreshTokens.length > 5) {
-    this.refreshTokens = this.refreshTokens.slice(-5);
-  }
-  
-  await this.save();
-};
-
-// Instance method to remove refresh token
-userSchema.methods.removeRefreshToken = async function(refreshToken) {
-  this.refreshTokens = this.refreshTokens.filter(tokenObj => tokenObj.token !== refreshToken);
-  await this.save();
-};
-
 // Static method to find by credentials
+// Every failure throws the same error; when the account exists it is attached as error.user
 userSchema.statics.findByCredentials = async function(email, password) {
-  const user = await this.findOne({ email, isActive: true }).select('+password');
+  const user = await this.findOne({ email, isActive: true }).select('+password +failedLoginAttempts');
   
   if (!user) {
     throw new Error('Invalid login credentials');
   }
   
+  // A locked account fails like a wrong password, so lockouts do not reveal which emails have accounts
   const isMatch = await user.comparePassword(password);
-  if (!isMatch) {
-    throw new Error('Invalid login credentials');
+  if (!isMatch || user.isLocked) {
+    throw Object.assign(new Error('Invalid login credentials'), { user, locked: user.isLocked });
   }
   
   return user;
 };
 
+// Instance method to find a cart line by product and optional variant
+userSchema.methods.findCartItem = function(productId, variantId = null) {
+  return this.cart.find(item =>
+    item.product.toString() === productId.toString() &&
+    String(item.variant || '') === String(variantId || '')
+  );
+};
+
 // Instance method to add to cart
-userSchema.methods.addToCart = async function(productId, quantity = 1) {
-  const existingItem = this.cart.find(item => item.product.toString() === productId.toString());
+userSchema.methods.addToCart = async function(productId, quantity = 1, variantId = null) {
+  const existingItem = this.findCartItem(productId, variantId);
   
   if (existingItem) {
     existingItem.quantity += quantity;
   } else {
-    this.cart.push({ product: productId, quantity });
+    this.cart.push({ product: productId, variant: variantId || undefined, quantity });
   }
   
   return await this.save();
 };
 
 // Instance method to remove from cart
-userSchema.methods.removeFromCart = async function(productId) {
-  this.cart = this.cart.filter(item => item.product.toString() !== productId.toString());
+userSchema.methods.removeFromCart = async function(productId, variantId = null) {
+  const itemToRemove = this.findCartItem(productId, variantId);
+  this.cart = this.cart.filter(item => item !== itemToRemove);
   return await this.save();
 };
 
@@ -0,0 +1,124 @@
+/**
+ * Mock Payment Provider - Local gateway for development and tests
+ * Deterministic: IDs are derived from their inputs and every payment succeeds
+ * unless it is made with the tok_decline test token
+ */
+
+import crypto from 'crypto';
+import PaymentProvider from './PaymentProvider.js';
+import { AppError } from '../utils/AppError.js';
+
+export const SIGNATURE_HEADER = 'x-mock-signature';
+
+// Test tokens, in the spirit of gateway test cards
+export const DECLINE_TOKEN = 'tok_decline';
+
+const hashId = (prefix, ...parts) =>
+  `${prefix}_${crypto.createHash('sha256').update(parts.join(':')).digest('hex').slice(0, 24)}`;
+
+class MockPaymentProvider extends PaymentProvider {
+  constructor({ webhookSecret, toleranceSeconds = 300 }) {
+    super('mock');
+    this.webhookSecret = webhookSecret;
+    this.toleranceSeconds = toleranceSeconds;
+  }
+
+  // The same order and amount always give the same intent
+  async createIntent({ orderId, amount, currency = 'USD' }) {
+    const intentId = hashId('mock_pi', orderId, amount, currency);
+
+    return {
+      intentId,
+      clientSecret: hashId(`${intentId}_secret`, this.webhookSecret),
+      status: 'requires_capture'
+    };
+  }
+
+  async capture(intentId, { paymentToken } = {}) {
+    if (paymentToken === DECLINE_TOKEN) {
+      return { status: 'failed', failureReason: 'card_declined' };
+    }
+
+    return {
+      status: 'succeeded',
+      transactionId: hashId('mock_ch', intentId)
+    };
+  }
+
+  async refund(transactionId, amount, { reference = '' } = {}) {
+    return {
+      refundId: hashId('mock_re', transactionId, amount, reference),
+      status: 'succeeded',
+      amount
+    };
+  }
+
+  // Header format: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+  verifyWebhook(rawBody, headers) {
+    const header = headers[SIGNATURE_HEADER];
+    if (!header || !rawBody) {
+      throw new AppError('Missing webhook signature', 400);
+    }
+
+    const parts = Object.fromEntries(header.split(',').map(part => part.trim().split('=')));
+    const timestamp = parseInt(parts.t);
+    if (!timestamp || !parts.v1) {
+      throw new AppError('Malformed webhook signature', 400);
+    }
+
+    if (Math.abs(Date.now() / 1000 - timestamp) > this.toleranceSeconds) {
+      throw new AppError('Webhook signature has expired', 400);
+    }
+
+    const expected = Buffer.from(this.computeSignature(timestamp, rawBody), 'hex');
+    const received = Buffer.from(parts.v1, 'hex');
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new AppError('Invalid webhook signature', 400);
+    }
+
+    let event;
+    try {
+      event = JSON.parse(rawBody.toString('utf8'));
+    } catch (error) {
+      throw new AppError('Invalid webhook payload', 400);
+    }
+
+    if (!event.id || !event.type) {
+      throw new AppError('Webhook event is missing its id or type', 400);
+    }
+
+    const data = event.data || {};
+    return {
+      id: event.id,
+      type: event.type,
+      intentId: data.intentId,
+      orderId: data.orderId,
+      transactionId: data.transactionId,
+      refundId: data.refundId,
+      amount: data.amount,
+      data
+    };
+  }
+
+  // Build a signed webhook request, as the gateway would send it
+  signWebhook(event, timestamp = Math.floor(Date.now() / 1000)) {
+    const body = JSON.stringify(event);
+
+    return {
+      body,
+      headers: {
+        'content-type': 'application/json',
+        [SIGNATURE_HEADER]: `t=${timestamp},v1=${this.computeSignature(timestamp, body)}`
+      }
+    };
+  }
+
+  computeSignature(timestamp, rawBody) {
+    return crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(`${timestamp}.${rawBody.toString('utf8')}`)
+      .digest('hex');
+  }
+}
+
+export default MockPaymentProvider;
@@ -0,0 +1,41 @@
+/**
+ * Payment Provider - Interface every payment gateway adapter implements
+ * Adapters translate gateway responses and webhooks into the shapes below so
+ * the order services never depend on a particular gateway
+ */
+
+class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Start a payment for an order
+  // Calling it again for the same order and amount must return the same intent
+  // (gateways support this through idempotency keys)
+  // Returns { intentId, clientSecret, status }
+  async createIntent({ orderId, amount, currency, metadata }) {
+    throw new Error(`${this.name} provider does not implement createIntent`);
+  }
+
+  // Collect the money for an intent
+  // Returns { status: 'succeeded' | 'failed', transactionId, failureReason }
+  async capture(intentId, { amount, paymentToken }) {
+    throw new Error(`${this.name} provider does not implement capture`);
+  }
+
+  // Give money back for a captured payment
+  // Returns { refundId, status: 'succeeded' | 'failed', amount }
+  async refund(transactionId, amount, { reason }) {
+    throw new Error(`${this.name} provider does not implement refund`);
+  }
+
+  // Check a webhook's signature and normalize its event
+  // Throws an AppError (400) for unsigned or tampered requests, otherwise returns
+  // { id, type: 'payment.succeeded' | 'payment.failed' | 'refund.succeeded' | string,
+  //   intentId, orderId, transactionId, refundId, amount, data }
+  verifyWebhook(rawBody, headers) {
+    throw new Error(`${this.name} provider does not implement verifyWebhook`);
+  }
+}
+
+export default PaymentProvider;
@@ -0,0 +1,49 @@
+// Payments
+// Registry of payment gateway adapters. PAYMENT_PROVIDER picks the one new payments
+// use (default "mock" outside production); orders keep the provider they were paid with
+// for refunds and webhooks. Adapters implement the PaymentProvider interface.
+// The mock gateway marks orders paid for anyone holding its webhook secret, so it is
+// never registered in production, and it is only registered when that secret is set.
+// A missing or unusable default provider stops the server at startup rather than failing payments
+
+import MockPaymentProvider from './MockPaymentProvider.js';
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+const factories = {};
+
+if (!isProduction && process.env.MOCK_PAYMENT_WEBHOOK_SECRET) {
+  factories.mock = () => new MockPaymentProvider({
+    webhookSecret: process.env.MOCK_PAYMENT_WEBHOOK_SECRET
+  });
+}
+
+const defaultProvider = process.env.PAYMENT_PROVIDER || (isProduction ? undefined : 'mock');
+
+if (!defaultProvider) {
+  throw new Error('PAYMENT_PROVIDER is required in production (the mock payment provider is not available there)');
+}
+
+if (defaultProvider === 'mock' && !isProduction && !process.env.MOCK_PAYMENT_WEBHOOK_SECRET) {
+  throw new Error('MOCK_PAYMENT_WEBHOOK_SECRET is required for the mock payment provider');
+}
+
+if (!factories[defaultProvider]) {
+  throw new Error(`Unknown payment provider: ${defaultProvider}`);
+}
+
+const instances = new Map();
+
+const getPaymentProvider = (name = defaultProvider) => {
+  if (!factories[name]) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  if (!instances.has(name)) {
+    instances.set(name, factories[name]());
+  }
+  return instances.get(name);
+};
+
+const hasPaymentProvider = (name) => Boolean(factories[name]);
+
+export { getPaymentProvider, hasPaymentProvider };
@@ -0,0 +1,76 @@
+/**
+ * Cart Repository - Data access layer for anonymous carts
+ * Handles all database operations for carts of shoppers who are not signed in
+ */
+
+import Cart from '../models/Cart.js';
+
+class CartRepository {
+
+  // Create an empty cart
+  async create(expiresAt) {
+    const cart = new Cart({ items: [], expiresAt });
+    return await cart.save();
+  }
+
+  // Find cart by ID
+  async findById(id) {
+    return await Cart.findById(id);
+  }
+
+  // Get a cart's items with their products (same shape as a user's cart)
+  async getItems(id) {
+    const cart = await Cart.findById(id)
+      .populate('items.product', 'name price imageUrl stock variants options')
+      .select('items');
+
+    return cart ? cart.items : [];
+  }
+
+  // Add to a cart line, or add the line
+  async addItem(cart, productId, quantity = 1, variantId = null, expiresAt) {
+    const existingItem = cart.findItem(productId, variantId);
+
+    if (existingItem) {
+      existingItem.quantity += quantity;
+    } else {
+      cart.items.push({ product: productId, variant: variantId || undefined, quantity });
+    }
+
+    cart.expiresAt = expiresAt;
+    return await cart.save();
+  }
+
+  // Set a cart line's quantity
+  async updateItem(id, productId, quantity, variantId = null, expiresAt) {
+    const cart = await Cart.findById(id);
+    if (!cart) return null;
+
+    const cartItem = cart.findItem(productId, variantId);
+    if (cartItem) {
+      cartItem.quantity = quantity;
+    }
+
+    cart.expiresAt = expiresAt;
+    return await cart.save();
+  }
+
+  // Remove a cart line
+  async removeItem(id, productId, variantId = null, expiresAt) {
+    const cart = await Cart.findById(id);
+    if (!cart) return null;
+
+    const itemToRemove = cart.findItem(productId, variantId);
+    cart.items = cart.items.filter(item => item !== itemToRemove);
+
+    cart.expiresAt = expiresAt;
+    return await cart.save();
+  }
+
+  // Delete cart by ID
+  async deleteById(id) {
+    return await Cart.findByIdAndDelete(id);
+  }
+}
+
+export default CartRepository;
@@ -0,0 +1,128 @@
+/**
+ * Category Repository - Data access layer for category operations
+ * Handles all database operations for the category tree
+ */
+
+import Category from '../models/Category.js';
+import Product from '../models/Product.js';
+
+class CategoryRepository {
+
+  // Get all categories as a flat list
+  async findAll(includeInactive = false) {
+    const query = includeInactive ? {} : { isActive: true };
+
+    return await Category.find(query)
+      .sort({ sortOrder: 1, name: 1 })
+      .lean();
+  }
+
+  // Find category by ID
+  async findById(id) {
+    return await Category.findById(id);
+  }
+
+  // Find category by slug
+  async findBySlug(slug) {
+    return await Category.findOne({ slug: slug.toLowerCase() });
+  }
+
+  // Find category by ID or slug
+  async findByIdOrSlug(value) {
+    if (/^[0-9a-fA-F]{24}$/.test(value)) {
+      const category = await this.findById(value);
+      if (category) return category;
+    }
+    return await this.findBySlug(Category.slugify(value));
+  }
+
+  // Create new category
+  async create(categoryData) {
+    const category = new Category(categoryData);
+    return await category.save();
+  }
+
+  // Get all descendants of a category
+  async findDescendants(id) {
+    return await Category.find({ ancestors: id }).lean();
+  }
+
+  // Get IDs of a category and all of its descendants
+  async getSubtreeIds(id, includeInactive = false) {
+    const query = { ancestors: id };
+    if (!includeInactive) query.isActive = true;
+
+    const descendants = await Category.find(query).select('_id').lean();
+    return [id, ...descendants.map(category => category._id)];
+  }
+
+  // Get the tax classes set on any of the given categories
+  async findTaxClasses(ids) {
+    const categories = await Category.find({ _id: { $in: ids }, taxClass: { $ne: null } })
+      .select('taxClass')
+      .lean();
+    return new Map(categories.map(category => [category._id.toString(), category.taxClass]));
+  }
+
+  // Rewrite the ancestor path of every descendant after a move
+  // oldPrefix/newPrefix are the ancestors of the moved category including itself
+  async replaceAncestorPrefix(descendants, oldPrefix, newPrefix) {
+    if (descendants.length === 0) return null;
+
+    const operations = descendants.map(descendant => ({
+      updateOne: {
+        filter: { _id: descendant._id },
+        update: {
+          ancestors: [...newPrefix, ...descendant.ancestors.slice(oldPrefix.length)]
+        }
+      }
+    }));
+
+    return await Category.bulkWrite(operations, { ordered: false });
+  }
+
+  // Check if a category has child categories
+  async hasChildren(id) {
+    return await Category.exists({ parent: id });
+  }
+
+  // Count products assigned directly to a category
+  async countProducts(id) {
+    return await Product.countDocuments({ category: id, isActive: true });
+  }
+
+  // Get active product counts grouped by category
+  async getProductCounts() {
+    const counts = await Product.aggregate([
+      { $match: { isActive: true, status: 'active' } },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ]);
+
+    return new Map(
+      counts
+        .filter(entry => entry._id)
+        .map(entry => [entry._id.toString(), entry.count])
+    );
+  }
+
+  // Get category names still stored as plain strings on products
+  // (products created before categories became their own collection)
+  async getLegacyProductCategories() {
+    return await Product.collection.distinct('category', { category: { $type: 'string' } });
+  }
+
+  // Point products with a legacy string category at a category document
+  async assignLegacyCategory(name, categoryId) {
+    return await Product.collection.updateMany(
+      { category: name },
+      { $set: { category: categoryId } }
+    );
+  }
+
+  // Hard delete category
+  async deleteById(id) {
+    return await Category.findByIdAndDelete(id);
+  }
+}
+
+export default CategoryRepository;
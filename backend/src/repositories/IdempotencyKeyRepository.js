@@ -0,0 +1,45 @@
+/**
+ * Idempotency Key Repository - Data access layer for idempotency keys
+ * Handles claiming keys and storing the responses to replay
+ */
+
+import IdempotencyKey from '../models/IdempotencyKey.js';
+
+class IdempotencyKeyRepository {
+
+  // Claim a key (fails with a duplicate key error when its scope already used it)
+  async create(keyData) {
+    const record = new IdempotencyKey(keyData);
+    return await record.save();
+  }
+
+  // Find a key of a scope
+  async findByKey(scope, key) {
+    return await IdempotencyKey.findOne({ scope, key });
+  }
+
+  // Store the response to replay
+  async complete(id, responseStatus, responseBody) {
+    return await IdempotencyKey.findByIdAndUpdate(
+      id,
+      { status: 'completed', responseStatus, responseBody },
+      { new: true }
+    );
+  }
+
+  // Keep a key whose request failed part way, so it is not run again
+  async markUnknown(id) {
+    return await IdempotencyKey.findOneAndUpdate(
+      { _id: id, status: 'processing' },
+      { status: 'unknown' },
+      { new: true }
+    );
+  }
+
+  // Free a key so the request can be retried with it
+  async release(id) {
+    return await IdempotencyKey.findOneAndDelete({ _id: id, status: 'processing' });
+  }
+}
+
+export default IdempotencyKeyRepository;
@@ -0,0 +1,103 @@
+/**
+ * Import Repository - Data access layer for bulk product imports
+ * Handles all database operations for import jobs and their rows
+ */
+
+import ImportJob from '../models/ImportJob.js';
+import ImportRow from '../models/ImportRow.js';
+
+class ImportRepository {
+
+  // Create a new import job
+  async createJob(jobData) {
+    const job = new ImportJob(jobData);
+    return await job.save();
+  }
+
+  // Find import job by ID
+  async findJobById(id) {
+    return await ImportJob.findById(id)
+      .populate('createdBy', 'name email');
+  }
+
+  // Update import job by ID
+  async updateJob(id, updateData) {
+    return await ImportJob.findByIdAndUpdate(id, updateData, { new: true });
+  }
+
+  // Move a job to a new status only if it is still in one of the expected ones
+  async transitionJob(id, fromStatuses, updateData) {
+    return await ImportJob.findOneAndUpdate(
+      { _id: id, status: { $in: fromStatuses } },
+      updateData,
+      { new: true }
+    );
+  }
+
+  // Find jobs that were queued or interrupted while running
+  async findResumableJobs() {
+    return await ImportJob.find({ status: { $in: ['queued', 'running'] } })
+      .sort({ createdAt: 1 })
+      .select('_id')
+      .lean();
+  }
+
+  // Store the rows of a job in chunks
+  async insertRows(jobId, rows, chunkSize = 1000) {
+    for (let i = 0; i < rows.length; i += chunkSize) {
+      await ImportRow.insertMany(
+        rows.slice(i, i + chunkSize).map(row => ({ ...row, job: jobId })),
+        { ordered: false }
+      );
+    }
+  }
+
+  // Get the next rows still waiting to be processed, in file order
+  async findPendingRows(jobId, limit = 50) {
+    return await ImportRow.find({ job: jobId, status: 'pending' })
+      .sort({ rowNumber: 1 })
+      .limit(limit)
+      .lean();
+  }
+
+  // Record the outcome of a row
+  async updateRow(id, updateData) {
+    return await ImportRow.updateOne({ _id: id }, updateData);
+  }
+
+  // Count processed rows per outcome
+  async countRowsByStatus(jobId) {
+    const groups = await ImportRow.aggregate([
+      { $match: { job: jobId } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    return Object.fromEntries(groups.map(group => [group._id, group.count]));
+  }
+
+  // Get failed rows with their messages
+  async findFailedRows(jobId, options = {}) {
+    const { page = 1, limit = 100 } = options;
+    const query = { job: jobId, status: 'failed' };
+
+    const rows = await ImportRow.find(query)
+      .sort({ rowNumber: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('rowNumber messages data')
+      .lean();
+
+    const total = await ImportRow.countDocuments(query);
+
+    return {
+      rows,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total
+      }
+    };
+  }
+}
+
+export default ImportRepository;
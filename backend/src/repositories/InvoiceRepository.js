@@ -0,0 +1,42 @@
+/**
+ * Invoice Repository - Data access layer for invoices and credit notes
+ * Handles issuing numbered documents and looking them up
+ */
+
+import Invoice from '../models/Invoice.js';
+
+class InvoiceRepository {
+
+  // Create a document (fails with a duplicate key error when its number is taken)
+  async create(invoiceData) {
+    const invoice = new Invoice(invoiceData);
+    return await invoice.save();
+  }
+
+  // Highest sequence used in a series (0 when the series is new)
+  async getLastSequence(series) {
+    const last = await Invoice.findOne({ series })
+      .sort({ sequence: -1 })
+      .select('sequence')
+      .lean();
+
+    return last ? last.sequence : 0;
+  }
+
+  // Find the invoice of an order
+  async findInvoiceForOrder(orderId) {
+    return await Invoice.findOne({ order: orderId, type: 'invoice' });
+  }
+
+  // Find the credit note of a refund ledger entry
+  async findCreditNoteForRefund(refundId) {
+    return await Invoice.findOne({ refund: refundId, type: 'credit_note' });
+  }
+
+  // Get every document issued for an order, oldest first
+  async findByOrder(orderId) {
+    return await Invoice.find({ order: orderId }).sort({ issuedAt: 1, sequence: 1 });
+  }
+}
+
+export default InvoiceRepository;
@@ -27,6 +27,32 @@ class OrderRepository {
       .populate('items.product', 'name slug');
   }
 
+  // Find a guest order by its order number and the email it was placed with
+  async findGuestOrder(orderNumber, email) {
+    return await Order.findOne({ orderNumber, 'guest.email': email })
+      .populate('items.product', 'name slug');
+  }
+
+  // Attach unclaimed guest orders placed with an email to a customer account
+  // (only the given order when orderNumber is set)
+  async claimGuestOrders(email, customerId, orderNumber) {
+    const query = { 'guest.email': email.toLowerCase(), customer: null };
+    if (orderNumber) query.orderNumber = orderNumber;
+
+    const orders = await Order.find(query).select('_id');
+    if (orders.length === 0) return [];
+
+    const ids = orders.map(order => order._id);
+    await Order.updateMany(
+      { _id: { $in: ids }, customer: null },
+      { $set: { customer: customerId, 'guest.claimedAt': new Date() } }
+    );
+
+    return await Order.find({ _id: { $in: ids }, customer: customerId })
+      .populate('items.product', 'name')
+      .sort({ createdAt: -1 });
+  }
+
   // Update order by ID
   async updateById(id, updateData) {
     return await Order.findByIdAndUpdate(
@@ -67,7 +93,8 @@ class OrderRepository {
     if (search) {
       query.$or = [
         { orderNumber: { $regex: search, $options: 'i' } },
-        { 'payment.transactionId': { $regex: search, $options: 'i' } }
+        { 'payment.transactionId': { $regex: search, $options: 'i' } },
+        { 'guest.email': { $regex: search, $options: 'i' } }
       ];
     }
 
@@ -133,28 +160,87 @@ class OrderRepository {
     return await order.updateStatus(newStatus, updatedBy, note);
   }
 
-  // Process payment
-  async processPayment(id, transactionId) {
+  // Cancel an order that is still in one of the given statuses
+  // A single conditional update, so of two requests cancelling (or changing) the order at once
+  // only one gets it; returns null when the order had already moved on
+  async cancel(id, fromStatuses, updatedBy, note) {
+    return await Order.findOneAndUpdate(
+      { _id: id, status: { $in: fromStatuses } },
+      {
+        $set: { status: 'cancelled' },
+        $push: { statusHistory: { status: 'cancelled', updatedBy, note, updatedAt: new Date() } },
+        $inc: { __v: 1 }
+      },
+      { new: true }
+    );
+  }
+
+  // Cancel an unpaid order whose reservation expired
+  // A single conditional update, so a payment recorded at the same moment wins;
+  // returns null once the order has been paid or moved past pending
+  async expireUnpaid(id, note) {
+    return await Order.findOneAndUpdate(
+      { _id: id, status: 'pending', 'payment.status': { $in: ['pending', 'failed'] } },
+      {
+        $set: { status: 'cancelled' },
+        $push: { statusHistory: { status: 'cancelled', note, updatedAt: new Date() } },
+        $inc: { __v: 1 }
+      },
+      { new: true }
+    );
+  }
+
+  // Process payment - returns null when the order was cancelled or paid first
+  async processPayment(id, transactionId, provider) {
     const order = await Order.findById(id);
     if (!order) throw new Error('Order not found');
     
-    return await order.processPayment(transactionId);
+    return await order.processPayment(transactionId, provider);
   }
 
-  // Process refund
-  async processRefund(id, refundAmount) {
+  // Record a failed payment
+  async failPayment(id, reason) {
     const order = await Order.findById(id);
     if (!order) throw new Error('Order not found');
-    
-    return await order.processRefund(refundAmount);
+
+    return await order.failPayment(reason);
+  }
+
+  // Add a note to the order's status history
+  async addHistoryNote(id, note, updatedBy) {
+    const order = await Order.findById(id);
+    if (!order) throw new Error('Order not found');
+
+    return await order.addHistoryNote(note, updatedBy);
   }
 
-  // Add tracking information
-  async addTracking(id, trackingNumber, shippedDate) {
+  // Find order by its payment provider's intent ID
+  async findByPaymentIntent(provider, intentId) {
+    return await Order.findOne({ 'payment.provider': provider, 'payment.intentId': intentId });
+  }
+
+  // Add a refund to the order's ledger
+  async addRefund(id, refund) {
     const order = await Order.findById(id);
     if (!order) throw new Error('Order not found');
     
-    return await order.addTracking(trackingNumber, shippedDate);
+    return await order.addRefund(refund);
+  }
+
+  // Record a shipment
+  async addShipment(id, shipment, createdBy) {
+    const order = await Order.findById(id);
+    if (!order) throw new Error('Order not found');
+
+    return await order.addShipment(shipment, createdBy);
+  }
+
+  // Mark a shipment delivered
+  async deliverShipment(id, shipmentId, deliveredDate, updatedBy) {
+    const order = await Order.findById(id);
+    if (!order) throw new Error('Order not found');
+
+    return await order.deliverShipment(shipmentId, deliveredDate, updatedBy);
   }
 
   // Get order statistics
@@ -216,7 +302,7 @@ class OrderRepository {
       {
         $match: {
           createdAt: { $gte: startDate },
-          status: { $in: ['delivered', 'shipped'] }
+          status: { $in: ['delivered', 'shipped', 'partially_shipped'] }
         }
       },
       {
@@ -243,7 +329,7 @@ class OrderRepository {
     return await Order.aggregate([
       {
         $match: {
-          status: { $in: ['delivered', 'shipped'] }
+          status: { $in: ['delivered', 'shipped', 'partially_shipped'] }
         }
       },
       {
@@ -325,7 +411,8 @@ class OrderRepository {
     const query = {
       $or: [
         { orderNumber: { $regex: searchTerm, $options: 'i' } },
-        { 'payment.transactionId': { $regex: searchTerm, $options: 'i' } }
+        { 'payment.transactionId': { $regex: searchTerm, $options: 'i' } },
+        { 'guest.email': { $regex: searchTerm, $options: 'i' } }
       ]
     };
 
@@ -0,0 +1,56 @@
+/**
+ * Payment Event Repository - Data access layer for payment provider events
+ * Handles recording webhook events and looking them up
+ */
+
+import PaymentEvent from '../models/PaymentEvent.js';
+
+class PaymentEventRepository {
+
+  // Record a new event (fails with a duplicate key error for redeliveries)
+  async create(eventData) {
+    const event = new PaymentEvent(eventData);
+    return await event.save();
+  }
+
+  // Find event by provider and provider event ID
+  async findByEventId(provider, eventId) {
+    return await PaymentEvent.findOne({ provider, eventId });
+  }
+
+  // Update event by ID
+  async updateById(id, updateData) {
+    return await PaymentEvent.findByIdAndUpdate(id, updateData, { new: true });
+  }
+
+  // Get events with filtering and pagination
+  async findAll(options = {}) {
+    const { page = 1, limit = 20, order, provider, status, type } = options;
+
+    const query = {};
+    if (order) query.order = order;
+    if (provider) query.provider = provider;
+    if (status) query.status = status;
+    if (type) query.type = type;
+
+    const events = await PaymentEvent.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await PaymentEvent.countDocuments(query);
+
+    return {
+      events,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        hasNextPage: page < Math.ceil(total / limit),
+        hasPrevPage: page > 1
+      }
+    };
+  }
+}
+
+export default PaymentEventRepository;
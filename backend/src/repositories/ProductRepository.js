@@ -7,13 +7,9 @@ import Product from '../models/Product.js';
 
 class ProductRepository {
   
-  // Get all products with filtering and pagination
-  async findAll(options = {}) {
+  // Build the product query shared by listing and export
+  buildFilterQuery(options = {}) {
     const {
-      page = 1,
-      limit = 12,
-      sortBy = 'createdAt',
-      sortOrder = 'desc',
       category,
       minPrice,
       maxPrice,
@@ -25,8 +21,8 @@ class ProductRepository {
 
     const query = { isActive: true, status };
     
-    // Apply filters
-    if (category) query.category = category;
+    // Apply filters (a list of category IDs matches the whole subtree)
+    if (category) query.category = Array.isArray(category) ? { $in: category } : category;
     if (inStock) query.stock = { $gt: 0 };
     if (featured !== undefined) query.isFeatured = featured;
     
@@ -40,6 +36,20 @@ class ProductRepository {
       query.$text = { $search: search };
     }
 
+    return query;
+  }
+
+  // Get all products with filtering and pagination
+  async findAll(options = {}) {
+    const {
+      page = 1,
+      limit = 12,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = options;
+
+    const query = this.buildFilterQuery(options);
+
     const sortOptions = {};
     sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
 
@@ -47,6 +57,7 @@ class ProductRepository {
       .sort(sortOptions)
       .limit(limit * 1)
       .skip((page - 1) * limit)
+      .populate('category', 'name slug')
       .populate('createdBy', 'name')
       .lean();
 
@@ -64,20 +75,44 @@ class ProductRepository {
     };
   }
 
+  // Stream every product matching the findAll filters, without pagination
+  // Returns full documents so virtuals like availability are available
+  streamAll(options = {}) {
+    const { sortBy = 'createdAt', sortOrder = 'desc' } = options;
+
+    return Product.find(this.buildFilterQuery(options))
+      .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1, _id: 1 })
+      .select('-reviews')
+      .populate('category', 'name slug')
+      .cursor({ batchSize: 200 });
+  }
+
   // Find product by ID
   async findById(id) {
     return await Product.findById(id)
+      .populate('category', 'name slug ancestors')
       .populate('createdBy', 'name email')
       .populate('reviews.user', 'name avatar');
   }
 
+  // Find products by IDs (without populated references)
+  async findByIds(ids) {
+    return await Product.find({ _id: { $in: ids } });
+  }
+
   // Find product by slug
   async findBySlug(slug) {
     return await Product.findOne({ slug, isActive: true })
+      .populate('category', 'name slug ancestors')
       .populate('createdBy', 'name email')
       .populate('reviews.user', 'name avatar');
   }
 
+  // Find product by SKU (including inactive products)
+  async findBySku(sku) {
+    return await Product.findOne({ sku: String(sku).toUpperCase() });
+  }
+
   // Create new product
   async create(productData) {
     const product = new Product(productData);
@@ -140,30 +175,170 @@ class ProductRepository {
     return await Product.search(searchTerm, options);
   }
 
-  // Get product categories
-  async getCategories() {
-    return await Product.distinct('category', { isActive: true });
+  // Faceted search - a single aggregation returns one page of results
+  // together with filter counts. Each facet is computed with every filter
+  // except its own, so multi-select options keep showing their counts
+  async facetedSearch(filters = {}, options = {}) {
+    const {
+      page = 1,
+      limit = 12,
+      sortBy = filters.search ? 'relevance' : 'createdAt',
+      sortOrder = 'desc'
+    } = options;
+
+    // Filters shared by the results and every facet
+    const baseMatch = { isActive: true, status: 'active' };
+    if (filters.search) baseMatch.$text = { $search: filters.search };
+    if (filters.inStock) baseMatch.stock = { $gt: 0 };
+    if (filters.featured !== undefined) baseMatch.isFeatured = filters.featured;
+
+    // Filters that also have a facet of their own
+    const clauses = {};
+    if (filters.category) clauses.category = { category: { $in: filters.category } };
+    if (filters.brand) clauses.brand = { brand: { $in: this.toExactMatchers(filters.brand) } };
+    if (filters.color) clauses.color = { 'specifications.color': { $in: this.toExactMatchers(filters.color) } };
+    if (filters.material) clauses.material = { 'specifications.material': { $in: this.toExactMatchers(filters.material) } };
+    if (filters.minRating) clauses.rating = { averageRating: { $gte: filters.minRating } };
+    if (filters.minPrice !== undefined || filters.maxPrice !== undefined) {
+      clauses.price = { price: {} };
+      if (filters.minPrice !== undefined) clauses.price.price.$gte = filters.minPrice;
+      if (filters.maxPrice !== undefined) clauses.price.price.$lte = filters.maxPrice;
+    }
+
+    const matchExcept = (facet) => {
+      const applied = Object.keys(clauses)
+        .filter(key => key !== facet)
+        .map(key => clauses[key]);
+      return { $match: applied.length > 0 ? { $and: applied } : {} };
+    };
+
+    const sortStage = sortBy === 'relevance' && filters.search
+      ? { score: { $meta: 'textScore' }, _id: 1 }
+      : { [sortBy === 'relevance' ? 'createdAt' : sortBy]: sortOrder === 'desc' ? -1 : 1, _id: 1 };
+
+    const valueFacet = (facet, field) => [
+      matchExcept(facet),
+      { $match: { [field]: { $nin: [null, ''] } } },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, value: '$_id', count: 1 } }
+    ];
+
+    const [result] = await Product.aggregate([
+      { $match: baseMatch },
+      {
+        $facet: {
+          results: [
+            matchExcept(null),
+            { $sort: sortStage },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            { $project: { reviews: 0 } },
+            {
+              $lookup: {
+                from: 'categories',
+                localField: 'category',
+                foreignField: '_id',
+                pipeline: [{ $project: { name: 1, slug: 1 } }],
+                as: 'category'
+              }
+            },
+            { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } }
+          ],
+          total: [
+            matchExcept(null),
+            { $count: 'count' }
+          ],
+          categories: [
+            matchExcept('category'),
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            {
+              $lookup: {
+                from: 'categories',
+                localField: '_id',
+                foreignField: '_id',
+                as: 'category'
+              }
+            },
+            { $unwind: '$category' },
+            { $sort: { count: -1, 'category.name': 1 } },
+            { $project: { _id: 1, name: '$category.name', slug: '$category.slug', count: 1 } }
+          ],
+          brands: valueFacet('brand', 'brand'),
+          colors: valueFacet('color', 'specifications.color'),
+          materials: valueFacet('material', 'specifications.material'),
+          ratings: [
+            matchExcept('rating'),
+            {
+              $group: {
+                _id: null,
+                ...Object.fromEntries([4, 3, 2, 1].map(rating => [
+                  `up${rating}`,
+                  { $sum: { $cond: [{ $gte: ['$averageRating', rating] }, 1, 0] } }
+                ]))
+              }
+            }
+          ],
+          priceRanges: [
+            matchExcept('price'),
+            { $bucketAuto: { groupBy: '$price', buckets: 5 } },
+            { $project: { _id: 0, min: '$_id.min', max: '$_id.max', count: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    const total = result.total[0] ? result.total[0].count : 0;
+    const ratingCounts = result.ratings[0] || {};
+
+    return {
+      products: result.results,
+      facets: {
+        categories: result.categories,
+        brands: result.brands,
+        colors: result.colors,
+        materials: result.materials,
+        ratings: [4, 3, 2, 1].map(rating => ({
+          minRating: rating,
+          count: ratingCounts[`up${rating}`] || 0
+        })),
+        priceRanges: result.priceRanges
+      },
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        hasNextPage: page < Math.ceil(total / limit),
+        hasPrevPage: page > 1
+      }
+    };
   }
 
-  // Get products by category
-  async getByCategory(category, options = {}) {
+  // Case-insensitive exact matchers for free-text facet values
+  toExactMatchers(values) {
+    return values.map(value => {
+      const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(`^${escaped}$`, 'i');
+    });
+  }
+
+  // Get products in any of the given categories
+  async getByCategory(categoryIds, options = {}) {
     const { limit = 12, page = 1 } = options;
-    
-    const products = await Product.find({
-      category,
+    const query = {
+      category: { $in: categoryIds },
       isActive: true,
       status: 'active'
-    })
+    };
+    
+    const products = await Product.find(query)
     .sort({ createdAt: -1 })
     .limit(limit * 1)
     .skip((page - 1) * limit)
+    .populate('category', 'name slug')
     .lean();
 
-    const total = await Product.countDocuments({
-      category,
-      isActive: true,
-      status: 'active'
-    });
+    const total = await Product.countDocuments(query);
 
     return {
       products,
@@ -184,6 +359,150 @@ class ProductRepository {
     );
   }
 
+  // Reserve stock for a set of line items ({ product, variant?, quantity })
+  // Each decrement only applies while enough stock is left, and every
+  // reservation is rolled back if any single item cannot be reserved
+  // (or an update errors, which is rethrown once the stock is back)
+  async reserveStock(items) {
+    const reserved = [];
+    const failed = [];
+
+    try {
+      for (const item of items) {
+        const { filter, update } = this.buildStockUpdate(item, -item.quantity);
+        const product = await Product.findOneAndUpdate(filter, update, { new: true });
+
+        if (product) {
+          reserved.push(item);
+        } else {
+          failed.push(item);
+        }
+      }
+    } catch (error) {
+      await this.releaseStock(reserved);
+      throw error;
+    }
+
+    if (failed.length > 0) {
+      await this.releaseStock(reserved);
+    }
+
+    return { reserved, failed };
+  }
+
+  // Return previously reserved stock in a single bulk operation
+  async releaseStock(items) {
+    if (!items || items.length === 0) return null;
+
+    const operations = items.map(item => ({
+      updateOne: this.buildStockUpdate(item, item.quantity)
+    }));
+
+    return await Product.bulkWrite(operations, { ordered: false });
+  }
+
+  // Build a guarded stock update for a product or one of its variants
+  // Variant updates keep the product-level stock total in sync
+  buildStockUpdate(item, delta) {
+    const productId = item.product._id || item.product;
+    const guard = delta < 0 ? { $gte: -delta } : undefined;
+
+    if (item.variant) {
+      const variantMatch = { _id: item.variant._id || item.variant };
+      if (guard) variantMatch.stock = guard;
+
+      return {
+        filter: { _id: productId, variants: { $elemMatch: variantMatch } },
+        update: { $inc: { 'variants.$.stock': delta, stock: delta } }
+      };
+    }
+
+    const filter = { _id: productId };
+    if (guard) filter.stock = guard;
+
+    return {
+      filter,
+      update: { $inc: { stock: delta } }
+    };
+  }
+
+  // Get current stock levels for a set of line items ({ product, variant? })
+  // Keyed by "productId" or "productId:variantId"
+  async getStockLevels(items) {
+    const ids = items.map(item => item.product._id || item.product);
+    const products = await Product.find({ _id: { $in: ids } })
+      .select('name stock variants._id variants.stock')
+      .lean();
+
+    const levels = new Map();
+    for (const product of products) {
+      levels.set(product._id.toString(), product.stock);
+      for (const variant of product.variants || []) {
+        levels.set(`${product._id}:${variant._id}`, variant.stock);
+      }
+    }
+
+    return levels;
+  }
+
+  // Stream products with the fields needed by the suggestion index
+  streamForSearchIndex(filter = {}) {
+    return Product.find(filter)
+      .select('name brand sku category isActive status')
+      .populate('category', 'name')
+      .lean()
+      .cursor();
+  }
+
+  // Append images to a product
+  // Saved through the document so the primary image hook still runs
+  async addImages(id, images, makePrimary = false) {
+    const product = await Product.findById(id);
+    if (!product) return null;
+
+    if (makePrimary) {
+      product.images.forEach(img => { img.isPrimary = false; });
+    }
+
+    product.images.push(...images.map((img, index) => ({
+      ...img,
+      isPrimary: makePrimary && index === 0
+    })));
+
+    // Keep the legacy imageUrl pointing at the primary image
+    const saved = await product.save();
+    if (saved.imageUrl !== saved.primaryImage) {
+      saved.imageUrl = saved.primaryImage;
+      return await saved.save();
+    }
+    return saved;
+  }
+
+  // Remove one image from a product and return the removed entry
+  async removeImage(id, imageId) {
+    const product = await Product.findById(id);
+    if (!product) return null;
+
+    const image = product.images.id(imageId);
+    if (!image) return { product, removed: null };
+
+    const removed = image.toObject();
+    image.deleteOne();
+
+    // Promote another image if the primary one was removed
+    if (removed.isPrimary && product.images.length > 0) {
+      product.images[0].isPrimary = true;
+    }
+    product.imageUrl = product.primaryImage;
+
+    return { product: await product.save(), removed };
+  }
+
+  // Check whether any product (including deleted ones) still uses stored image files
+  async isImageKeyReferenced(key) {
+    return await Product.exists({ 'images.key': key });
+  }
+
   // Increment view count
   async incrementViewCount(id) {
     return await Product.findByIdAndUpdate(
@@ -271,7 +590,7 @@ class ProductRepository {
   async getRelated(productId, category, limit = 4) {
     return await Product.find({
       _id: { $ne: productId },
-      category,
+      category: category._id || category,
       isActive: true,
       status: 'active',
       stock: { $gt: 0 }
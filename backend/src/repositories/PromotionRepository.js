@@ -0,0 +1,142 @@
+/**
+ * Promotion Repository - Data access layer for promotion operations
+ * Handles all database operations for coupons and their usage
+ */
+
+import Promotion from '../models/Promotion.js';
+import PromotionUsage from '../models/PromotionUsage.js';
+import Order from '../models/Order.js';
+
+class PromotionRepository {
+
+  // Create new promotion
+  async create(promotionData) {
+    const promotion = new Promotion(promotionData);
+    return await promotion.save();
+  }
+
+  // Get promotions with filtering and pagination
+  async findAll(options = {}) {
+    const { page = 1, limit = 20, isActive, search } = options;
+
+    const query = {};
+    if (isActive !== undefined) query.isActive = isActive;
+    if (search) {
+      query.$or = [
+        { code: { $regex: search, $options: 'i' } },
+        { name: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const promotions = await Promotion.find(query)
+      .populate('products', 'name sku')
+      .populate('categories', 'name slug')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Promotion.countDocuments(query);
+
+    return {
+      promotions,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        hasNextPage: page < Math.ceil(total / limit),
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  // Find promotion by ID
+  async findById(id) {
+    return await Promotion.findById(id)
+      .populate('products', 'name sku')
+      .populate('categories', 'name slug');
+  }
+
+  // Find promotion by coupon code
+  async findByCode(code) {
+    return await Promotion.findOne({ code: code.trim().toUpperCase() });
+  }
+
+  // Update promotion by ID
+  async updateById(id, updateData) {
+    return await Promotion.findByIdAndUpdate(
+      id,
+      updateData,
+      { new: true, runValidators: true }
+    );
+  }
+
+  // Count one use of a promotion, unless its global limit is already reached
+  // Returns null when no uses are left
+  async claimUsage(id) {
+    return await Promotion.findOneAndUpdate(
+      {
+        _id: id,
+        $or: [
+          { usageLimit: null },
+          { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+        ]
+      },
+      { $inc: { usageCount: 1 } },
+      { new: true }
+    );
+  }
+
+  // Give back a use of a promotion (e.g. when its order is cancelled)
+  async releaseUsage(id) {
+    return await Promotion.findOneAndUpdate(
+      { _id: id, usageCount: { $gt: 0 } },
+      { $inc: { usageCount: -1 } },
+      { new: true }
+    );
+  }
+
+  // Find how many times a customer has used a promotion
+  async findCustomerUsage(id, customerKey) {
+    return await PromotionUsage.findOne({ promotion: id, customerKey });
+  }
+
+  // Start a customer's usage count (from orders placed before usage was counted)
+  // Does nothing when another request started it first
+  async createCustomerUsage(id, customerKey, count) {
+    try {
+      await PromotionUsage.create({ promotion: id, customerKey, count });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  // Count one use of a promotion by a customer, unless they have reached the limit
+  // Returns null when the customer has no uses left
+  async claimCustomerUsage(id, customerKey, limit) {
+    return await PromotionUsage.findOneAndUpdate(
+      { promotion: id, customerKey, count: { $lt: limit } },
+      { $inc: { count: 1 } },
+      { new: true }
+    );
+  }
+
+  // Give back a customer's use of a promotion
+  async releaseCustomerUsage(id, customerKey) {
+    return await PromotionUsage.findOneAndUpdate(
+      { promotion: id, customerKey, count: { $gt: 0 } },
+      { $inc: { count: -1 } },
+      { new: true }
+    );
+  }
+
+  // Count a customer's (or guest email's) orders that used a promotion (cancelled orders don't count)
+  async countCustomerUsage(id, { customerId, guestEmail }) {
+    return await Order.countDocuments({
+      ...(customerId ? { customer: customerId } : { 'guest.email': guestEmail }),
+      'promotion.promotion': id,
+      status: { $ne: 'cancelled' }
+    });
+  }
+}
+
+export default PromotionRepository;
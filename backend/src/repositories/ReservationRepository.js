@@ -0,0 +1,85 @@
+/**
+ * Reservation Repository - Data access layer for stock reservations
+ * Handles all database operations for reservations
+ */
+
+import mongoose from 'mongoose';
+import Reservation from '../models/Reservation.js';
+
+class ReservationRepository {
+
+  // Create reservations in bulk
+  async createMany(reservations) {
+    return await Reservation.insertMany(reservations);
+  }
+
+  // Find reservations for an order
+  async findByOrder(orderId) {
+    return await Reservation.find({ order: orderId })
+      .populate('product', 'name sku')
+      .sort({ createdAt: 1 });
+  }
+
+  // Move an order's active reservations to a final status
+  async resolveForOrder(orderId, status) {
+    return await Reservation.updateMany(
+      { order: orderId, status: 'active' },
+      { status, resolvedAt: new Date() }
+    );
+  }
+
+  // Get order IDs whose active reservations have expired
+  async getExpiredOrderIds(now = new Date(), limit = 100) {
+    const results = await Reservation.aggregate([
+      {
+        $match: { status: 'active', expiresAt: { $lte: now } }
+      },
+      {
+        $group: { _id: '$order', expiresAt: { $min: '$expiresAt' } }
+      },
+      {
+        $sort: { expiresAt: 1 }
+      },
+      {
+        $limit: limit
+      }
+    ]);
+
+    return results.map(result => result._id);
+  }
+
+  // Get active reservations grouped by product
+  async getActiveByProduct(productId) {
+    const match = { status: 'active' };
+    if (productId) match.product = new mongoose.Types.ObjectId(productId);
+
+    return await Reservation.aggregate([
+      {
+        $match: match
+      },
+      {
+        $sort: { expiresAt: 1 }
+      },
+      {
+        $group: {
+          _id: '$product',
+          reservedQuantity: { $sum: '$quantity' },
+          reservations: {
+            $push: {
+              _id: '$_id',
+              order: '$order',
+              variant: '$variant',
+              quantity: '$quantity',
+              expiresAt: '$expiresAt'
+            }
+          }
+        }
+      },
+      {
+        $sort: { reservedQuantity: -1 }
+      }
+    ]);
+  }
+}
+
+export default ReservationRepository;
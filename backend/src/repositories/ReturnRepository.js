@@ -0,0 +1,100 @@
+/**
+ * Return Repository - Data access layer for return (RMA) operations
+ * Handles all database operations for customer returns
+ */
+
+import Return from '../models/Return.js';
+
+// Returns still holding their items (not rejected)
+const OPEN_STATUSES = ['requested', 'approved', 'received'];
+
+class ReturnRepository {
+
+  // Create new return
+  async create(returnData) {
+    const returnRequest = new Return(returnData);
+    return await returnRequest.save();
+  }
+
+  // Find return by ID
+  async findById(id) {
+    return await Return.findById(id)
+      .populate('order', 'orderNumber status total')
+      .populate('customer', 'name email');
+  }
+
+  // Get returns with filtering and pagination
+  async findAll(options = {}) {
+    const { page = 1, limit = 10, status, customerId, orderId } = options;
+
+    const query = {};
+    if (status) query.status = status;
+    if (customerId) query.customer = customerId;
+    if (orderId) query.order = orderId;
+
+    const returns = await Return.find(query)
+      .populate('order', 'orderNumber status total')
+      .populate('customer', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Return.countDocuments(query);
+
+    return {
+      returns,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        hasNextPage: page < Math.ceil(total / limit),
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  // Get the open returns of an order
+  async findOpenForOrder(orderId) {
+    return await Return.find({ order: orderId, status: { $in: OPEN_STATUSES } });
+  }
+
+  // Update return status, setting any other fields in the same save
+  async updateStatus(id, newStatus, updatedBy, note, updates = {}) {
+    const returnRequest = await Return.findById(id);
+    if (!returnRequest) throw new Error('Return not found');
+
+    Object.assign(returnRequest, updates);
+    return await returnRequest.updateStatus(newStatus, updatedBy, note);
+  }
+
+  // Record the condition of the received items and mark the return received
+  async recordReceipt(id, conditions, receivedBy, note) {
+    const returnRequest = await Return.findById(id);
+    if (!returnRequest) throw new Error('Return not found');
+
+    for (const item of returnRequest.items) {
+      const condition = conditions.get(item.item.toString());
+      item.restockableQuantity = condition.restockableQuantity;
+      item.damagedQuantity = condition.damagedQuantity;
+    }
+    returnRequest.receivedAt = new Date();
+
+    return await returnRequest.updateStatus('received', receivedBy, note);
+  }
+
+  // Link the refund that settled the return and mark it refunded
+  async recordRefund(id, refund, processedBy) {
+    const returnRequest = await Return.findById(id);
+    if (!returnRequest) throw new Error('Return not found');
+
+    returnRequest.refund = {
+      entry: refund._id,
+      amount: refund.amount,
+      refundedAt: refund.createdAt
+    };
+
+    return await returnRequest.updateStatus('refunded', processedBy, `Refunded $${refund.amount}`);
+  }
+}
+
+export default ReturnRepository;
@@ -0,0 +1,120 @@
+/**
+ * SearchIndex Repository - Data access layer for the suggestion index
+ * Handles all database operations for search index entries
+ */
+
+import SearchIndex from '../models/SearchIndex.js';
+
+class SearchIndexRepository {
+
+  // Create or replace the entry for a product
+  async upsert(entry) {
+    return await SearchIndex.findOneAndUpdate(
+      { product: entry.product },
+      entry,
+      { upsert: true, new: true }
+    );
+  }
+
+  // Create or replace entries for many products in one round trip
+  async bulkUpsert(entries) {
+    if (entries.length === 0) return null;
+
+    const operations = entries.map(entry => ({
+      replaceOne: {
+        filter: { product: entry.product },
+        replacement: entry,
+        upsert: true
+      }
+    }));
+
+    return await SearchIndex.bulkWrite(operations, { ordered: false });
+  }
+
+  // Remove the entry for a product
+  async removeByProduct(productId) {
+    return await SearchIndex.deleteOne({ product: productId });
+  }
+
+  // Remove entries that were not refreshed since the given date
+  async removeIndexedBefore(date) {
+    return await SearchIndex.deleteMany({ indexedAt: { $lt: date } });
+  }
+
+  // Find candidate entries sharing at least minSharedGrams trigrams with the query, or with
+  // a word starting with its last word, joined with their product
+  // Ranked by shared trigrams, then popularity, before the limit is applied
+  async findCandidates(grams, prefix, limit = 50, minSharedGrams = 1) {
+    const escapedPrefix = prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const prefixMatch = { words: { $regex: `^${escapedPrefix}` } };
+
+    return await SearchIndex.aggregate([
+      {
+        $match: {
+          $or: [
+            { grams: { $in: grams } },
+            prefixMatch
+          ]
+        }
+      },
+      {
+        $addFields: {
+          sharedGrams: { $size: { $setIntersection: ['$grams', grams] } }
+        }
+      },
+      {
+        $match: {
+          $or: [
+            { sharedGrams: { $gte: minSharedGrams } },
+            prefixMatch
+          ]
+        }
+      },
+      {
+        $lookup: {
+          from: 'products',
+          localField: 'product',
+          foreignField: '_id',
+          pipeline: [
+            { $match: { isActive: true, status: 'active' } },
+            {
+              $project: {
+                name: 1,
+                slug: 1,
+                brand: 1,
+                sku: 1,
+                price: 1,
+                imageUrl: 1,
+                stock: 1,
+                soldCount: 1,
+                viewCount: 1
+              }
+            }
+          ],
+          as: 'product'
+        }
+      },
+      { $unwind: '$product' },
+      {
+        // Small next to a trigram, so popularity only orders similarly relevant products
+        $addFields: {
+          popularity: {
+            $add: [
+              { $multiply: [{ $log10: { $add: [1, { $ifNull: ['$product.soldCount', 0] }] } }, 0.05] },
+              { $multiply: [{ $log10: { $add: [1, { $ifNull: ['$product.viewCount', 0] }] } }, 0.02] }
+            ]
+          }
+        }
+      },
+      { $sort: { sharedGrams: -1, popularity: -1 } },
+      { $limit: limit }
+    ]);
+  }
+
+  // Count index entries
+  async count() {
+    return await SearchIndex.estimatedDocumentCount();
+  }
+}
+
+export default SearchIndexRepository;
@@ -0,0 +1,58 @@
+/**
+ * Shipping Zone Repository - Data access layer for shipping zone operations
+ * Handles all database operations for shipping zones and their rates
+ */
+
+import ShippingZone from '../models/ShippingZone.js';
+
+class ShippingZoneRepository {
+
+  // Get all shipping zones
+  async findAll(includeInactive = true) {
+    const query = includeInactive ? {} : { isActive: true };
+    return await ShippingZone.find(query).sort({ isDefault: 1, name: 1 });
+  }
+
+  // Find shipping zone by ID
+  async findById(id) {
+    return await ShippingZone.findById(id);
+  }
+
+  // Create new shipping zone
+  async create(zoneData) {
+    const zone = new ShippingZone(zoneData);
+    return await zone.save();
+  }
+
+  // Update shipping zone by ID
+  async updateById(id, updateData) {
+    return await ShippingZone.findByIdAndUpdate(
+      id,
+      updateData,
+      { new: true, runValidators: true }
+    );
+  }
+
+  // Delete shipping zone
+  async deleteById(id) {
+    return await ShippingZone.findByIdAndDelete(id);
+  }
+
+  // Whether any shipping zone is active
+  async hasActiveZones() {
+    return Boolean(await ShippingZone.exists({ isActive: true }));
+  }
+
+  // Get active zones covering a country, plus the default zones
+  async findForCountry(country) {
+    return await ShippingZone.find({
+      isActive: true,
+      $or: [
+        { countries: country.trim().toUpperCase() },
+        { isDefault: true }
+      ]
+    });
+  }
+}
+
+export default ShippingZoneRepository;
@@ -0,0 +1,56 @@
+/**
+ * Tax Rate Repository - Data access layer for tax rate operations
+ * Handles all database operations for jurisdiction tax rates
+ */
+
+import TaxRate from '../models/TaxRate.js';
+
+class TaxRateRepository {
+
+  // Get tax rates, optionally for one country
+  async findAll(options = {}) {
+    const query = {};
+    if (options.country) query.country = options.country.toUpperCase();
+    if (options.isActive !== undefined) query.isActive = options.isActive;
+
+    return await TaxRate.find(query)
+      .sort({ country: 1, state: 1, zipCodePrefix: 1, taxClass: 1 });
+  }
+
+  // Find tax rate by ID
+  async findById(id) {
+    return await TaxRate.findById(id);
+  }
+
+  // Create new tax rate
+  async create(taxRateData) {
+    const taxRate = new TaxRate(taxRateData);
+    return await taxRate.save();
+  }
+
+  // Update tax rate by ID
+  async updateById(id, updateData) {
+    return await TaxRate.findByIdAndUpdate(
+      id,
+      updateData,
+      { new: true, runValidators: true }
+    );
+  }
+
+  // Delete tax rate
+  async deleteById(id) {
+    return await TaxRate.findByIdAndDelete(id);
+  }
+
+  // Get active rates that could apply to an address
+  // ZIP prefixes are matched by the caller
+  async findForAddress(country, state) {
+    return await TaxRate.find({
+      country: country.trim().toUpperCase(),
+      state: { $in: [null, state ? state.trim().toUpperCase() : null] },
+      isActive: true
+    });
+  }
+}
+
+export default TaxRateRepository;
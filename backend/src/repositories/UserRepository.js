@@ -88,7 +88,7 @@ class UserRepository {
     sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
 
     const users = await User.find(query)
-      .select('-password -refreshTokens')
+      .select('-password')
       .sort(sortOptions)
       .limit(limit * 1)
       .skip((page - 1) * limit)
@@ -125,37 +125,238 @@ class UserRepository {
     ).select('-password');
   }
 
-  // Add refresh token
-  async addRefreshToken(id, refreshToken) {
-    const user = await User.findById(id);
-    if (!user) throw new Error('User not found');
-    
-    await user.addRefreshToken(refreshToken);
-    return user;
+  // Store the hash of a new email verification token (replacing any earlier one)
+  async setEmailVerificationToken(id, tokenHash, expiresAt) {
+    return await User.findByIdAndUpdate(
+      id,
+      { emailVerificationToken: tokenHash, emailVerificationExpires: expiresAt },
+      { new: true }
+    );
   }
 
-  // Remove refresh token
-  async removeRefreshToken(id, refreshToken) {
-    const user = await User.findById(id);
-    if (!user) throw new Error('User not found');
-    
-    await user.removeRefreshToken(refreshToken);
-    return user;
+  // Mark the email of the user holding an unexpired verification token as verified
+  // Returns null when no user holds the token
+  async verifyEmail(tokenHash) {
+    return await User.findOneAndUpdate(
+      { emailVerificationToken: tokenHash, emailVerificationExpires: { $gt: new Date() } },
+      {
+        $set: { emailVerified: true },
+        $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+      },
+      { new: true }
+    );
   }
 
-  // Verify refresh token
-  async verifyRefreshToken(id, refreshToken) {
-    const user = await User.findById(id);
-    if (!user) return false;
-    
-    return user.refreshTokens.some(tokenObj => tokenObj.token === refreshToken);
+  // Store the hash of a new password reset token (replacing any earlier one)
+  async setPasswordResetToken(id, tokenHash, expiresAt) {
+    return await User.findByIdAndUpdate(
+      id,
+      { passwordResetToken: tokenHash, passwordResetExpires: expiresAt },
+      { new: true }
+    );
+  }
+
+  // Use up an unexpired password reset token - returns its user, or null when no active user holds it
+  // Following the emailed link also proves the email address is the user's, and unlocks the account
+  async consumePasswordResetToken(tokenHash) {
+    return await User.findOneAndUpdate(
+      { passwordResetToken: tokenHash, passwordResetExpires: { $gt: new Date() }, isActive: true },
+      {
+        $set: { emailVerified: true, failedLoginAttempts: 0 },
+        $unset: { passwordResetToken: 1, passwordResetExpires: 1, lockUntil: 1 }
+      },
+      { new: true }
+    );
+  }
+
+  // Find user by ID with password and two-factor secrets
+  async findByIdWithTwoFactor(id) {
+    return await User.findById(id)
+      .select('+password +failedLoginAttempts +twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+  }
+
+  // Count a failed login - returns the user with the new count
+  async incrementFailedLogins(id) {
+    return await User.findByIdAndUpdate(
+      id,
+      { $inc: { failedLoginAttempts: 1 } },
+      { new: true }
+    ).select('+failedLoginAttempts');
+  }
+
+  // Refuse logins until a time, keeping the failed login count
+  async delayLogins(id, until) {
+    return await User.findByIdAndUpdate(
+      id,
+      { lockUntil: until },
+      { new: true }
+    );
+  }
+
+  // Lock the account until a time - the failed login count starts again after it
+  async lockAccount(id, until) {
+    return await User.findByIdAndUpdate(
+      id,
+      { lockUntil: until, failedLoginAttempts: 0 },
+      { new: true }
+    );
+  }
+
+  // Forget failed logins and unlock the account
+  async clearFailedLogins(id) {
+    return await User.findByIdAndUpdate(
+      id,
+      {
+        $set: { failedLoginAttempts: 0 },
+        $unset: { lockUntil: 1 }
+      },
+      { new: true }
+    ).select('-password');
+  }
+
+  // Store the (encrypted) secret of a two-factor setup waiting for confirmation
+  async setPendingTwoFactorSecret(id, secret) {
+    return await User.findByIdAndUpdate(
+      id,
+      { 'twoFactor.pendingSecret': secret },
+      { new: true }
+    );
+  }
+
+  // Turn on two-factor authentication with a confirmed secret
+  // Returns null when it was already on
+  async enableTwoFactor(id, secret, recoveryCodeHashes, usedStep) {
+    return await User.findOneAndUpdate(
+      { _id: id, 'twoFactor.enabled': { $ne: true } },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.secret': secret,
+          'twoFactor.recoveryCodes': recoveryCodeHashes,
+          'twoFactor.lastUsedStep': usedStep,
+          'twoFactor.enabledAt': new Date()
+        },
+        $unset: { 'twoFactor.pendingSecret': 1 }
+      },
+      { new: true }
+    );
+  }
+
+  // Turn off two-factor authentication and forget its secrets
+  async disableTwoFactor(id) {
+    return await User.findByIdAndUpdate(
+      id,
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.secret': 1,
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.recoveryCodes': 1,
+          'twoFactor.lastUsedStep': 1,
+          'twoFactor.enabledAt': 1
+        }
+      },
+      { new: true }
+    );
+  }
+
+  // Replace the hashes of the recovery codes
+  async setTwoFactorRecoveryCodes(id, recoveryCodeHashes) {
+    return await User.findByIdAndUpdate(
+      id,
+      { 'twoFactor.recoveryCodes': recoveryCodeHashes },
+      { new: true }
+    );
+  }
+
+  // Use up a recovery code - returns null when the user does not hold it
+  async useTwoFactorRecoveryCode(id, codeHash) {
+    return await User.findOneAndUpdate(
+      { _id: id, 'twoFactor.recoveryCodes': codeHash },
+      { $pull: { 'twoFactor.recoveryCodes': codeHash } },
+      { new: true }
+    );
+  }
+
+  // Record the time step of an accepted code - returns null when a code of that
+  // step (or a later one) was already used
+  async recordTwoFactorStep(id, step) {
+    return await User.findOneAndUpdate(
+      {
+        _id: id,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $lt: step } },
+          { 'twoFactor.lastUsedStep': { $exists: false } }
+        ]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } },
+      { new: true }
+    );
+  }
+
+  // Add a session (device) - drops expired ones and keeps the most recently used
+  async addSession(id, session, maxSessions = 5) {
+    await User.updateOne(
+      { _id: id },
+      { $pull: { sessions: { expiresAt: { $lte: new Date() } } } }
+    );
+
+    return await User.findByIdAndUpdate(
+      id,
+      { $push: { sessions: { $each: [session], $sort: { lastUsedAt: -1 }, $slice: maxSessions } } },
+      { new: true }
+    );
+  }
+
+  // Get the sessions (devices) of a user
+  async findSessions(id) {
+    const user = await User.findById(id).select('+sessions');
+    return user ? user.sessions : [];
+  }
+
+  // Swap a session's refresh token for the next one - only while tokenHash is still its current token
+  // Returns null otherwise (the session is gone, or the token was already rotated)
+  async rotateSession(id, sessionId, tokenHash, update) {
+    const { tokenHash: nextTokenHash, expiresAt, ip, userAgent } = update;
+
+    return await User.findOneAndUpdate(
+      { _id: id, sessions: { $elemMatch: { _id: sessionId, tokenHash } } },
+      {
+        $set: {
+          'sessions.$.tokenHash': nextTokenHash,
+          'sessions.$.expiresAt': expiresAt,
+          'sessions.$.lastUsedAt': new Date(),
+          'sessions.$.ip': ip,
+          'sessions.$.userAgent': userAgent
+        }
+      },
+      { new: true }
+    );
+  }
+
+  // Remove a session - returns whether it existed
+  async removeSession(id, sessionId) {
+    const result = await User.updateOne(
+      { _id: id, 'sessions._id': sessionId },
+      { $pull: { sessions: { _id: sessionId } } }
+    );
+
+    return result.modifiedCount > 0;
+  }
+
+  // Remove the session holding a refresh token
+  async removeSessionByToken(id, tokenHash) {
+    return await User.updateOne(
+      { _id: id },
+      { $pull: { sessions: { tokenHash } } }
+    );
   }
 
-  // Clear all refresh tokens
-  async clearRefreshTokens(id) {
+  // Remove all sessions (logout from all devices)
+  async clearSessions(id) {
     return await User.findByIdAndUpdate(
       id,
-      { refreshTokens: [] },
+      { sessions: [] },
       { new: true }
     );
   }
@@ -163,26 +364,24 @@ class UserRepository {
   // Cart operations
   async getCart(id) {
     const user = await User.findById(id)
-      .populate('cart.product', 'name price imageUrl stock')
+      .populate('cart.product', 'name price imageUrl stock variants options')
       .select('cart');
     
     return user ? user.cart : [];
   }
 
-  async addToCart(id, productId, quantity = 1) {
+  async addToCart(id, productId, quantity = 1, variantId = null) {
     const user = await User.findById(id);
     if (!user) throw new Error('User not found');
     
-    return await user.addToCart(productId, quantity);
+    return await user.addToCart(productId, quantity, variantId);
   }
 
-  async updateCartItem(id, productId, quantity) {
+  async updateCartItem(id, productId, quantity, variantId = null) {
     const user = await User.findById(id);
     if (!user) throw new Error('User not found');
     
-    const cartItem = user.cart.find(item => 
-      item.product.toString() === productId.toString()
-    );
+    const cartItem = user.findCartItem(productId, variantId);
     
     if (cartItem) {
       cartItem.quantity = quantity;
@@ -192,11 +391,11 @@ class UserRepository {
     return user;
   }
 
-  async removeFromCart(id, productId) {
+  async removeFromCart(id, productId, variantId = null) {
     const user = await User.findById(id);
     if (!user) throw new Error('User not found');
     
-    return await user.removeFromCart(productId);
+    return await user.removeFromCart(productId, variantId);
   }
 
   async clearCart(id) {
@@ -206,6 +405,23 @@ class UserRepository {
     return await user.clearCart();
   }
 
+  // Set the quantities of cart lines, adding the lines not in the cart yet
+  async setCartItems(id, items) {
+    const user = await User.findById(id);
+    if (!user) throw new Error('User not found');
+
+    for (const { product, variant, quantity } of items) {
+      const cartItem = user.findCartItem(product, variant);
+      if (cartItem) {
+        cartItem.quantity = quantity;
+      } else {
+        user.cart.push({ product, variant: variant || undefined, quantity });
+      }
+    }
+
+    return await user.save();
+  }
+
   // Wishlist operations
   async getWishlist(id) {
     const user = await User.findById(id)
@@ -251,7 +467,7 @@ class UserRepository {
       id,
       updateData,
       { new: true, runValidators: true }
-    ).select('-password -refreshTokens');
+    ).select('-password');
   }
 
   // Change password
@@ -328,7 +544,7 @@ class UserRepository {
     if (role) query.role = role;
 
     const users = await User.find(query)
-      .select('-password -refreshTokens')
+      .select('-password')
       .sort({ name: 1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
@@ -359,7 +575,7 @@ class UserRepository {
     } = options;
 
     const users = await User.find({ role, isActive })
-      .select('-password -refreshTokens')
+      .select('-password')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
@@ -7,7 +7,17 @@ import { Router } from 'express';
 import AuthController from '../controllers/AuthController.js';
 import { authenticate } from '../middlewares/auth.js';
 import { validationMiddleware } from '../middlewares/validation.js';
-import { validateUser, validateLogin, validateChangePassword } from '../validators/userValidator.js';
+import {
+  validateUser,
+  validateLogin,
+  validateChangePassword,
+  validateEmailVerification,
+  validatePasswordResetRequest,
+  validatePasswordReset,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable
+} from '../validators/userValidator.js';
 import rateLimit from 'express-rate-limit';
 
 const router = Router();
@@ -26,6 +36,30 @@ const authLimiter = rateLimit({
   skipSuccessfulRequests: true // Don't count successful requests
 });
 
+// Rate limiting for verification emails (each one is really sent)
+const verificationEmailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 3, // Limit each IP to 3 verification emails per windowMs
+  message: {
+    success: false,
+    message: 'Too many verification emails requested, try again later'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Rate limiting for password reset emails (every request gets the same success response)
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // Limit each IP to 5 reset requests per windowMs
+  message: {
+    success: false,
+    message: 'Too many password reset requests, try again later'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 const generalLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // More lenient for general auth operations
@@ -46,6 +80,30 @@ router.post('/login',
   authController.login
 );
 
+router.post('/2fa/login',
+  authLimiter,
+  validationMiddleware(validateTwoFactorLogin, 'body'),
+  authController.verifyTwoFactorLogin
+);
+
+router.post('/verify-email',
+  authLimiter,
+  validationMiddleware(validateEmailVerification, 'body'),
+  authController.verifyEmail
+);
+
+router.post('/forgot-password',
+  passwordResetLimiter,
+  validationMiddleware(validatePasswordResetRequest, 'body'),
+  authController.forgotPassword
+);
+
+router.post('/reset-password',
+  authLimiter,
+  validationMiddleware(validatePasswordReset, 'body'),
+  authController.resetPassword
+);
+
 router.post('/refresh-token',
   generalLimiter,
   authController.refreshToken
@@ -64,6 +122,34 @@ router.post('/logout-all',
   authController.logoutAllDevices
 );
 
+router.post('/resend-verification',
+  verificationEmailLimiter,
+  authController.resendVerification
+);
+
+router.post('/2fa/setup',
+  generalLimiter,
+  authController.setupTwoFactor
+);
+
+router.post('/2fa/enable',
+  authLimiter,
+  validationMiddleware(validateTwoFactorCode, 'body'),
+  authController.enableTwoFactor
+);
+
+router.post('/2fa/disable',
+  authLimiter,
+  validationMiddleware(validateTwoFactorDisable, 'body'),
+  authController.disableTwoFactor
+);
+
+router.post('/2fa/recovery-codes',
+  authLimiter,
+  validationMiddleware(validateTwoFactorCode, 'body'),
+  authController.regenerateRecoveryCodes
+);
+
 router.get('/me',
   generalLimiter,
   authController.getProfile
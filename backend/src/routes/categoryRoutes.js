@@ -0,0 +1,58 @@
+/**
+ * Category Routes - Category tree browsing and management
+ * Public reads, admin-only writes
+ */
+
+import { Router } from 'express';
+import CategoryController from '../controllers/CategoryController.js';
+import { authenticate, authorize, optionalAuth } from '../middlewares/auth.js';
+import { validateObjectId } from '../middlewares/validation.js';
+import rateLimit from 'express-rate-limit';
+
+const router = Router();
+const categoryController = new CategoryController();
+
+// Rate limiting for category changes
+const manageCategoryLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 50, // Limit each admin to 50 category changes per windowMs
+  message: 'Too many category changes, try again later',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Public routes - no authentication required
+router.get('/',
+  optionalAuth,
+  categoryController.getCategoryTree
+);
+
+router.get('/:idOrSlug',
+  categoryController.getCategory
+);
+
+// Admin only routes
+router.post('/',
+  authenticate,
+  authorize('admin'),
+  manageCategoryLimit,
+  categoryController.createCategory
+);
+
+router.put('/:id',
+  authenticate,
+  authorize('admin'),
+  manageCategoryLimit,
+  validateObjectId('id'),
+  categoryController.updateCategory
+);
+
+router.delete('/:id',
+  authenticate,
+  authorize('admin'),
+  manageCategoryLimit,
+  validateObjectId('id'),
+  categoryController.deleteCategory
+);
+
+export default router;
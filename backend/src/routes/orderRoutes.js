@@ -5,14 +5,19 @@
 
 import { Router } from 'express';
 import OrderController from '../controllers/OrderController.js';
-import { authenticate, authorize, checkOwnership } from '../middlewares/auth.js';
+import { authenticate, authorize, checkOwnership, requireVerifiedEmail } from '../middlewares/auth.js';
 import { validationMiddleware, validateObjectId } from '../middlewares/validation.js';
+import { idempotent } from '../middlewares/idempotency.js';
 import { 
   validateOrder, 
+  validateGuestOrder,
+  validateGuestOrderClaim,
   validateOrderStatusUpdate, 
   validatePayment, 
   validateRefund, 
   validateTracking, 
+  validateShipment,
+  validateShipmentDelivery,
   validateOrderQuery,
   validateOrderCancellation 
 } from '../validators/orderValidator.js';
@@ -36,16 +41,44 @@ const generalLimiter = rateLimit({
   legacyHeaders: false
 });
 
-// All routes require authentication
+const guestOrderLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // Guests are limited per IP
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Guest routes (no account - the lookup token authorizes viewing the order)
+router.post('/guest',
+  guestOrderLimiter,
+  idempotent,
+  validationMiddleware(validateGuestOrder, 'body'),
+  orderController.createGuestOrder
+);
+
+router.get('/lookup/:token',
+  generalLimiter,
+  orderController.getOrderByLookupToken
+);
+
+// All other routes require authentication
 router.use(authenticate);
 
 // Customer routes
 router.post('/',
   orderLimiter,
+  requireVerifiedEmail('checkout'),
+  idempotent,
   validationMiddleware(validateOrder, 'body'),
   orderController.createOrder
 );
 
+router.post('/claim',
+  orderLimiter,
+  validationMiddleware(validateGuestOrderClaim, 'body'),
+  orderController.claimGuestOrders
+);
+
 router.get('/validate-cart',
   generalLimiter,
   orderController.validateCartForOrder
@@ -62,8 +95,40 @@ router.get('/number/:orderNumber',
   orderController.getOrderByNumber
 );
 
+router.get('/:id/shipments',
+  generalLimiter,
+  validateObjectId('id'),
+  orderController.getShipments
+);
+
+router.get('/:id/documents',
+  generalLimiter,
+  validateObjectId('id'),
+  orderController.getDocuments
+);
+
+router.get('/:id/invoice.pdf',
+  generalLimiter,
+  validateObjectId('id'),
+  orderController.downloadInvoice
+);
+
+router.get('/:id/packing-slip.pdf',
+  generalLimiter,
+  validateObjectId('id'),
+  orderController.downloadPackingSlip
+);
+
+router.get('/:id/credit-notes/:refundId.pdf',
+  generalLimiter,
+  validateObjectId('id'),
+  validateObjectId('refundId'),
+  orderController.downloadCreditNote
+);
+
 router.delete('/:id/cancel',
   orderLimiter,
+  idempotent,
   validateObjectId('id'),
   validationMiddleware(validateOrderCancellation, 'body'),
   orderController.cancelOrder
@@ -80,6 +145,7 @@ router.get('/',
 router.patch('/:id/status',
   authorize('admin'),
   orderLimiter,
+  idempotent,
   validateObjectId('id'),
   validationMiddleware(validateOrderStatusUpdate, 'body'),
   orderController.updateOrderStatus
@@ -88,6 +154,7 @@ router.patch('/:id/status',
 router.post('/:id/payment',
   authorize('admin'),
   orderLimiter,
+  idempotent,
   validateObjectId('id'),
   validationMiddleware(validatePayment, 'body'),
   orderController.processPayment
@@ -96,6 +163,7 @@ router.post('/:id/payment',
 router.post('/:id/refund',
   authorize('admin'),
   orderLimiter,
+  idempotent,
   validateObjectId('id'),
   validationMiddleware(validateRefund, 'body'),
   orderController.processRefund
@@ -104,11 +172,31 @@ router.post('/:id/refund',
 router.post('/:id/tracking',
   authorize('admin'),
   orderLimiter,
+  idempotent,
   validateObjectId('id'),
   validationMiddleware(validateTracking, 'body'),
   orderController.addTracking
 );
 
+router.post('/:id/shipments',
+  authorize('admin'),
+  orderLimiter,
+  idempotent,
+  validateObjectId('id'),
+  validationMiddleware(validateShipment, 'body'),
+  orderController.addShipment
+);
+
+router.patch('/:id/shipments/:shipmentId/deliver',
+  authorize('admin'),
+  orderLimiter,
+  idempotent,
+  validateObjectId('id'),
+  validateObjectId('shipmentId'),
+  validationMiddleware(validateShipmentDelivery, 'body'),
+  orderController.deliverShipment
+);
+
 // Admin analytics and management
 router.get('/admin/statistics',
   authorize('admin'),
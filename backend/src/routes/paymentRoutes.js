@@ -0,0 +1,66 @@
+/**
+ * Payment Routes - Payment intents and provider webhooks
+ * Webhooks are authenticated by the provider's signature instead of a user token
+ */
+
+import { Router } from 'express';
+import PaymentController from '../controllers/PaymentController.js';
+import { authenticate, authorize } from '../middlewares/auth.js';
+import { validationMiddleware } from '../middlewares/validation.js';
+import { idempotent } from '../middlewares/idempotency.js';
+import { validatePaymentIntent, validateGuestPaymentIntent, validatePaymentEventQuery } from '../validators/paymentValidator.js';
+import rateLimit from 'express-rate-limit';
+
+const router = Router();
+const paymentController = new PaymentController();
+
+// Rate limiting for payment attempts
+const intentLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // Limit each IP to 30 payment attempts per windowMs
+  message: 'Too many payment attempts, try again later',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Rate limiting for provider webhooks
+const webhookLimit = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 600, // Providers send bursts when redelivering
+  message: 'Too many webhook requests',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Provider webhooks (verified by signature)
+router.post('/webhooks/:provider',
+  webhookLimit,
+  paymentController.handleWebhook
+);
+
+// Customer routes
+router.post('/intents',
+  intentLimit,
+  authenticate,
+  idempotent,
+  validationMiddleware(validatePaymentIntent, 'body'),
+  paymentController.createIntent
+);
+
+// Guest routes (authorized by the order lookup token)
+router.post('/intents/guest',
+  intentLimit,
+  idempotent,
+  validationMiddleware(validateGuestPaymentIntent, 'body'),
+  paymentController.createGuestIntent
+);
+
+// Admin routes
+router.get('/events',
+  authenticate,
+  authorize('admin'),
+  validationMiddleware(validatePaymentEventQuery, 'query'),
+  paymentController.getEvents
+);
+
+export default router;
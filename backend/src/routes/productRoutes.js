@@ -3,9 +3,11 @@
  * Implements proper HTTP methods and status codes
  */
 
-import { Router } from 'express';
+import express, { Router } from 'express';
 import ProductController from '../controllers/ProductController.js';
-import { authenticate, authorize, optionalAuth } from '../middlewares/auth.js';
+import { authenticate, authorize, optionalAuth, requireVerifiedEmail } from '../middlewares/auth.js';
+import { validateObjectId } from '../middlewares/validation.js';
+import { uploadImages } from '../middlewares/upload.js';
 import rateLimit from 'express-rate-limit';
 
 const router = Router();
@@ -28,6 +30,36 @@ const searchLimit = rateLimit({
   legacyHeaders: false
 });
 
+const importLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // Limit each admin to 20 imports per windowMs
+  message: 'Too many imports started, try again later',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Raw CSV/NDJSON upload bodies for imports
+const importBody = express.text({
+  type: ['text/csv', 'text/plain', 'application/x-ndjson', 'application/ndjson'],
+  limit: '20mb'
+});
+
+const uploadLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60, // Limit each admin to 60 image uploads per windowMs
+  message: 'Too many image uploads, try again later',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+const suggestLimit = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 120, // Autocomplete fires on every keystroke
+  message: 'Too many suggestion requests, try again later',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 // Public routes - no authentication required
 router.get('/', 
   optionalAuth,
@@ -48,11 +80,83 @@ router.get('/search',
   productController.searchProducts
 );
 
+router.get('/suggest',
+  suggestLimit,
+  productController.getSuggestions
+);
+
 router.get('/category/:category',
   optionalAuth,
   productController.getProductsByCategory
 );
 
+// Admin analytics and management routes
+// (registered before /:id so "admin" is not treated as a product ID)
+router.get('/admin/statistics',
+  authenticate,
+  authorize('admin'),
+  productController.getStatistics
+);
+
+router.get('/admin/low-stock',
+  authenticate,
+  authorize('admin'),
+  productController.getLowStockProducts
+);
+
+router.get('/admin/reservations',
+  authenticate,
+  authorize('admin'),
+  productController.getActiveReservations
+);
+
+router.post('/admin/search-index/rebuild',
+  authenticate,
+  authorize('admin'),
+  productController.rebuildSearchIndex
+);
+
+router.post('/admin/imports',
+  authenticate,
+  authorize('admin'),
+  importLimit,
+  importBody,
+  productController.importProducts
+);
+
+router.get('/admin/imports/:importId',
+  authenticate,
+  authorize('admin'),
+  validateObjectId('importId'),
+  productController.getImport
+);
+
+router.get('/admin/imports/:importId/errors',
+  authenticate,
+  authorize('admin'),
+  validateObjectId('importId'),
+  productController.getImportErrors
+);
+
+router.post('/admin/imports/:importId/resume',
+  authenticate,
+  authorize('admin'),
+  validateObjectId('importId'),
+  productController.resumeImport
+);
+
+router.get('/admin/export',
+  authenticate,
+  authorize('admin'),
+  productController.exportProducts
+);
+
+router.post('/admin/bulk-update',
+  authenticate,
+  authorize('admin'),
+  productController.bulkUpdateProducts
+);
+
 router.get('/:id/related',
   productController.getRelatedProducts
 );
@@ -74,52 +178,59 @@ router.get('/:id',
 // Protected routes - authentication required
 router.post('/:id/reviews',
   authenticate,
+  requireVerifiedEmail('reviews'),
   productController.addReview
 );
 
 // Admin only routes
-router.post('/',
+router.post('/images',
   authenticate,
   authorize('admin'),
-  createProductLimit,
-  productController.createProduct
+  uploadLimit,
+  uploadImages('images'),
+  productController.uploadImages
 );
 
-router.put('/:id',
+router.post('/:id/images',
   authenticate,
   authorize('admin'),
-  productController.updateProduct
+  validateObjectId('id'),
+  uploadLimit,
+  uploadImages('images'),
+  productController.addProductImages
 );
 
-router.patch('/:id/stock',
+router.delete('/:id/images/:imageId',
   authenticate,
   authorize('admin'),
-  productController.updateStock
+  validateObjectId('id'),
+  validateObjectId('imageId'),
+  productController.removeProductImage
 );
 
-router.delete('/:id',
+router.post('/',
   authenticate,
   authorize('admin'),
-  productController.deleteProduct
+  createProductLimit,
+  productController.createProduct
 );
 
-// Admin analytics and management routes
-router.get('/admin/statistics',
+router.put('/:id',
   authenticate,
   authorize('admin'),
-  productController.getStatistics
+  productController.updateProduct
 );
 
-router.get('/admin/low-stock',
+router.patch('/:id/stock',
   authenticate,
   authorize('admin'),
-  productController.getLowStockProducts
+  productController.updateStock
 );
 
-router.post('/admin/bulk-update',
+router.delete('/:id',
   authenticate,
   authorize('admin'),
-  productController.bulkUpdateProducts
+  productController.deleteProduct
 );
 
 export default router;
@@ -0,0 +1,55 @@
+/**
+ * Promotion Routes - Coupon and promotion management
+ * Admin only - customers redeem codes through order checkout
+ */
+
+import { Router } from 'express';
+import PromotionController from '../controllers/PromotionController.js';
+import { authenticate, authorize } from '../middlewares/auth.js';
+import { validationMiddleware, validateObjectId } from '../middlewares/validation.js';
+import { validatePromotionQuery } from '../validators/promotionValidator.js';
+import rateLimit from 'express-rate-limit';
+
+const router = Router();
+const promotionController = new PromotionController();
+
+// Rate limiting for promotion changes
+const managePromotionLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 50, // Limit each admin to 50 promotion changes per windowMs
+  message: 'Too many promotion changes, try again later',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// All routes require an admin
+router.use(authenticate, authorize('admin'));
+
+router.get('/',
+  validationMiddleware(validatePromotionQuery, 'query'),
+  promotionController.getPromotions
+);
+
+router.get('/:id',
+  validateObjectId('id'),
+  promotionController.getPromotion
+);
+
+router.post('/',
+  managePromotionLimit,
+  promotionController.createPromotion
+);
+
+router.put('/:id',
+  managePromotionLimit,
+  validateObjectId('id'),
+  promotionController.updatePromotion
+);
+
+router.delete('/:id',
+  managePromotionLimit,
+  validateObjectId('id'),
+  promotionController.deactivatePromotion
+);
+
+export default router;
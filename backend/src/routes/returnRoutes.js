@@ -0,0 +1,87 @@
+/**
+ * Return Routes - Customer returns (RMA) for delivered orders
+ * Customers request returns; admins approve, receive and refund them
+ */
+
+import { Router } from 'express';
+import ReturnController from '../controllers/ReturnController.js';
+import { authenticate, authorize } from '../middlewares/auth.js';
+import { validateObjectId, validationMiddleware } from '../middlewares/validation.js';
+import { uploadImages } from '../middlewares/upload.js';
+import {
+  validateReturnDecision,
+  validateReturnRejection
+} from '../validators/returnValidator.js';
+import rateLimit from 'express-rate-limit';
+
+const router = Router();
+const returnController = new ReturnController();
+
+// Rate limiting for return requests
+const requestReturnLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // Limit each IP to 10 return requests per hour
+  message: 'Too many return requests, try again later',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+const manageReturnLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 200, // Limit each admin to 200 return updates per windowMs
+  message: 'Too many return updates, try again later',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// All routes require authentication
+router.use(authenticate);
+
+// Customer routes - JSON, or multipart with up to 5 "photos"
+router.post('/',
+  requestReturnLimit,
+  uploadImages('photos', 5),
+  returnController.requestReturn
+);
+
+router.get('/',
+  returnController.getReturns
+);
+
+router.get('/:id',
+  validateObjectId('id'),
+  returnController.getReturn
+);
+
+// Admin routes
+router.patch('/:id/approve',
+  authorize('admin'),
+  manageReturnLimit,
+  validateObjectId('id'),
+  validationMiddleware(validateReturnDecision, 'body'),
+  returnController.approveReturn
+);
+
+router.patch('/:id/reject',
+  authorize('admin'),
+  manageReturnLimit,
+  validateObjectId('id'),
+  validationMiddleware(validateReturnRejection, 'body'),
+  returnController.rejectReturn
+);
+
+router.post('/:id/receive',
+  authorize('admin'),
+  manageReturnLimit,
+  validateObjectId('id'),
+  returnController.receiveReturn
+);
+
+router.post('/:id/refund',
+  authorize('admin'),
+  manageReturnLimit,
+  validateObjectId('id'),
+  returnController.refundReturn
+);
+
+export default router;
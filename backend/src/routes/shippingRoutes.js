@@ -0,0 +1,70 @@
+/**
+ * Shipping Routes - Shipping quotes and zone management
+ * Quotes are public so the cart can show rates before checkout
+ */
+
+import { Router } from 'express';
+import ShippingController from '../controllers/ShippingController.js';
+import { authenticate, authorize, optionalAuth } from '../middlewares/auth.js';
+import { validateObjectId } from '../middlewares/validation.js';
+import rateLimit from 'express-rate-limit';
+
+const router = Router();
+const shippingController = new ShippingController();
+
+// Rate limiting for shipping quotes
+const quoteLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 200, // Limit each IP to 200 quotes per windowMs
+  message: 'Too many shipping quote requests, try again later',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Rate limiting for shipping zone changes
+const manageZoneLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // Limit each admin to 100 zone changes per windowMs
+  message: 'Too many shipping zone changes, try again later',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Public route - uses the signed-in customer's (or the anonymous) cart when no items are given
+router.post('/quote',
+  quoteLimit,
+  optionalAuth,
+  shippingController.getQuote
+);
+
+// Admin routes
+router.get('/zones',
+  authenticate,
+  authorize('admin'),
+  shippingController.getZones
+);
+
+router.post('/zones',
+  manageZoneLimit,
+  authenticate,
+  authorize('admin'),
+  shippingController.createZone
+);
+
+router.put('/zones/:id',
+  manageZoneLimit,
+  authenticate,
+  authorize('admin'),
+  validateObjectId('id'),
+  shippingController.updateZone
+);
+
+router.delete('/zones/:id',
+  manageZoneLimit,
+  authenticate,
+  authorize('admin'),
+  validateObjectId('id'),
+  shippingController.deleteZone
+);
+
+export default router;
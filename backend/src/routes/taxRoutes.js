@@ -0,0 +1,48 @@
+/**
+ * Tax Routes - Jurisdiction tax rate management
+ * Admin only - orders are taxed automatically from the shipping address
+ */
+
+import { Router } from 'express';
+import TaxController from '../controllers/TaxController.js';
+import { authenticate, authorize } from '../middlewares/auth.js';
+import { validateObjectId } from '../middlewares/validation.js';
+import rateLimit from 'express-rate-limit';
+
+const router = Router();
+const taxController = new TaxController();
+
+// Rate limiting for tax rate changes
+const manageTaxLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // Limit each admin to 100 tax rate changes per windowMs
+  message: 'Too many tax rate changes, try again later',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// All routes require an admin
+router.use(authenticate, authorize('admin'));
+
+router.get('/',
+  taxController.getTaxRates
+);
+
+router.post('/',
+  manageTaxLimit,
+  taxController.createTaxRate
+);
+
+router.put('/:id',
+  manageTaxLimit,
+  validateObjectId('id'),
+  taxController.updateTaxRate
+);
+
+router.delete('/:id',
+  manageTaxLimit,
+  validateObjectId('id'),
+  taxController.deleteTaxRate
+);
+
+export default router;
@@ -6,7 +6,7 @@
 import { Router } from 'express';
 import AuthController from '../controllers/AuthController.js';
 import UserController from '../controllers/UserController.js';
-import { authenticate, authorize } from '../middlewares/auth.js';
+import { authenticate, authorize, optionalAuth } from '../middlewares/auth.js';
 import { validationMiddleware } from '../middlewares/validation.js';
 import { validateCartItem, validateWishlistItem, validateUserQuery, validateUpdateRole } from '../validators/userValidator.js';
 import rateLimit from 'express-rate-limit';
@@ -34,6 +34,37 @@ router.post('/login',
   authController.login
 );
 
+// Cart operations - signed in or not (anonymous carts are merged at login)
+router.get('/cart',
+  generalLimiter,
+  optionalAuth,
+  userController.getCart
+);
+
+router.post('/cart',
+  generalLimiter,
+  optionalAuth,
+  userController.addToCart
+);
+
+router.put('/cart/:productId',
+  generalLimiter,
+  optionalAuth,
+  userController.updateCartItem
+);
+
+router.delete('/cart/:productId',
+  generalLimiter,
+  optionalAuth,
+  userController.removeFromCart
+);
+
+router.delete('/cart',
+  generalLimiter,
+  optionalAuth,
+  userController.clearCart
+);
+
 // Protected user routes - require authentication
 router.use(authenticate);
 
@@ -57,35 +88,19 @@ router.post('/logout-all',
   authController.logoutAllDevices
 );
 
-router.post('/change-password',
+router.get('/sessions',
   generalLimiter,
-  authController.changePassword
+  userController.getSessions
 );
 
-// Cart operations
-router.get('/cart',
-  generalLimiter,
-  userController.getCart
-);
-
-router.post('/cart',
+router.delete('/sessions/:sessionId',
   generalLimiter,
-  userController.addToCart
-);
-
-router.put('/cart/:productId',
-  generalLimiter,
-  userController.updateCartItem
+  userController.revokeSession
 );
 
-router.delete('/cart/:productId',
-  generalLimiter,
-  userController.removeFromCart
-);
-
-router.delete('/cart',
+router.post('/change-password',
   generalLimiter,
-  userController.clearCart
+  authController.changePassword
 );
 
 // Wishlist operations
@@ -131,6 +146,11 @@ router.patch('/admin/:userId/deactivate',
   userController.deactivateUser
 );
 
+router.patch('/admin/:userId/unlock',
+  authorize('admin'),
+  userController.unlockUser
+);
+
 router.get('/admin/search',
   authorize('admin'),
   userController.searchUsers
@@ -1,3 +1,5 @@
+// Load environment variables before any module reads them at import time
+import 'dotenv/config';
 
 import express from 'express';
 import cors from 'cors';
@@ -5,7 +7,6 @@ import helmet from 'helmet';
 import morgan from 'morgan';
 import rateLimit from 'express-rate-limit';
 import cookieParser from 'cookie-parser';
-import dotenv from 'dotenv';
 
 // Import utilities and config
 import { connectDB, dbHealthCheck } from './config/database.js';
@@ -21,9 +22,23 @@ import productRoutes from './routes/productRoutes.js';
 import authRoutes from './routes/authRoutes.js';
 import userRoutes from './routes/userRoutes.js';
 import orderRoutes from './routes/orderRoutes.js';
+import categoryRoutes from './routes/categoryRoutes.js';
+import promotionRoutes from './routes/promotionRoutes.js';
+import taxRoutes from './routes/taxRoutes.js';
+import shippingRoutes from './routes/shippingRoutes.js';
+import paymentRoutes from './routes/paymentRoutes.js';
+import returnRoutes from './routes/returnRoutes.js';
 
-// Load environment variables
-dotenv.config();
+// Import storage
+import storage from './storage/index.js';
+
+// Import services
+import CategoryService from './services/CategoryService.js';
+import SearchIndexService from './services/SearchIndexService.js';
+
+// Import background jobs
+import reservationSweeper from './jobs/reservationSweeper.js';
+import importRunner from './jobs/importRunner.js';
 
 class Server {
   constructor() {
@@ -39,6 +54,8 @@ class Server {
   async initializeDatabase() {
     try {
       await connectDB();
+      await this.migrateCategories();
+      await this.buildSearchIndex();
       logger.info('✅ Database initialization completed');
     } catch (error) {
       logger.error(`❌ Database initialization failed: ${error.message}`);
@@ -46,6 +63,24 @@ class Server {
     }
   }
 
+  // Products created before the category tree still store the category name
+  async migrateCategories() {
+    try {
+      await new CategoryService().migrateLegacyCategories();
+    } catch (error) {
+      logger.warn(`⚠️ Legacy category migration failed: ${error.message}`);
+    }
+  }
+
+  // Suggestions need the trigram index, which is built on first start
+  async buildSearchIndex() {
+    try {
+      await new SearchIndexService().ensureBuilt();
+    } catch (error) {
+      logger.warn(`⚠️ Search index build failed: ${error.message}`);
+    }
+  }
+
   initializeMiddlewares() {
     // Trust proxy (for apps behind reverse proxy like nginx)
     this.app.set('trust proxy', 1);
@@ -88,13 +123,14 @@ class Server {
         : ['http://localhost:3000', 'http://localhost:5173', 'http://127.0.0.1:3000'],
       credentials: true,
       methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key'],
+      exposedHeaders: ['Idempotent-Replayed'],
       maxAge: 86400 // 24 hours
     };
     this.app.use(cors(corsOptions));
 
-    // Cookie parser for JWT tokens
-    this.app.use(cookieParser());
+    // Cookie parser for JWT tokens and the signed anonymous cart cookie
+    this.app.use(cookieParser(process.env.COOKIE_SECRET || process.env.JWT_ACCESS_SECRET));
 
     // Logging middleware
     if (process.env.NODE_ENV === 'development') {
@@ -110,7 +146,7 @@ class Server {
     this.app.use(express.json({ 
       limit: '10mb',
       verify: (req, res, buf, encoding) => {
-        // Store raw body for webhook verification if needed
+        // Store raw body for payment webhook signature verification
         req.rawBody = buf;
       }
     }));
@@ -132,7 +168,19 @@ class Server {
     this.app.use('/api/auth', authRoutes);
     this.app.use('/api/users', userRoutes);
     this.app.use('/api/products', productRoutes);
+    this.app.use('/api/categories', categoryRoutes);
     this.app.use('/api/orders', orderRoutes);
+    this.app.use('/api/promotions', promotionRoutes);
+    this.app.use('/api/tax-rates', taxRoutes);
+    this.app.use('/api/shipping', shippingRoutes);
+    this.app.use('/api/payments', paymentRoutes);
+    this.app.use('/api/returns', returnRoutes);
+
+    // Uploaded product images (adapters that serve files elsewhere return null)
+    const uploadsHandler = storage.serve();
+    if (uploadsHandler) {
+      this.app.use('/uploads', uploadsHandler);
+    }
 
     // Root endpoint
     this.app.get('/', this.rootEndpoint);
@@ -217,7 +265,13 @@ class Server {
         auth: '/api/auth',
         users: '/api/users',
         products: '/api/products',
-        orders: '/api/orders'
+        categories: '/api/categories',
+        orders: '/api/orders',
+        promotions: '/api/promotions',
+        taxRates: '/api/tax-rates',
+        shipping: '/api/shipping',
+        payments: '/api/payments',
+        returns: '/api/returns'
       },
       documentation: '/api'
     });
@@ -232,9 +286,17 @@ class Server {
       endpoints: {
         authentication: {
           register: 'POST /auth/register',
-          login: 'POST /auth/login',
+          login: 'POST /auth/login (returns a challengeToken instead when two-factor authentication is on)',
+          twoFactorLogin: 'POST /auth/2fa/login (challengeToken, code or recoveryCode)',
+          twoFactorSetup: 'POST /auth/2fa/setup, then POST /auth/2fa/enable (code)',
+          twoFactorDisable: 'POST /auth/2fa/disable (password, code or recoveryCode)',
+          twoFactorRecoveryCodes: 'POST /auth/2fa/recovery-codes (code)',
           logout: 'POST /auth/logout',
-          refreshToken: 'POST /auth/refresh-token',
+          refreshToken: 'POST /auth/refresh-token (rotates the refresh token - reusing an old one ends the session)',
+          verifyEmail: 'POST /auth/verify-email (token from the verification email)',
+          resendVerification: 'POST /auth/resend-verification',
+          forgotPassword: 'POST /auth/forgot-password (same response whether or not the email exists)',
+          resetPassword: 'POST /auth/reset-password (token, password, confirmPassword)',
           profile: 'GET /auth/me'
         },
         products: {
@@ -243,24 +305,89 @@ class Server {
           get: 'GET /products/:id',
           update: 'PUT /products/:id (admin)',
           delete: 'DELETE /products/:id (admin)',
-          search: 'GET /products/search?q=query',
+          search: 'GET /products/search?q=query&brand=a,b&color=&material=&minRating=&minPrice=&maxPrice= (with facets)',
+          suggest: 'GET /products/suggest?q=partial',
+          import: 'POST /products/admin/imports?format=csv|ndjson&dryRun=true (admin)',
+          importStatus: 'GET /products/admin/imports/:importId (admin)',
+          export: 'GET /products/admin/export?format=csv|ndjson|google-xml|google-tsv (admin)',
+          uploadImages: 'POST /products/images (admin, multipart "images")',
+          addImages: 'POST /products/:id/images (admin, multipart "images")',
+          removeImage: 'DELETE /products/:id/images/:imageId (admin)',
+          rebuildSearchIndex: 'POST /products/admin/search-index/rebuild (admin)',
           categories: 'GET /products/categories',
-          featured: 'GET /products/featured'
+          featured: 'GET /products/featured',
+          reservations: 'GET /products/admin/reservations?productId=id (admin)'
+        },
+        categories: {
+          tree: 'GET /categories',
+          get: 'GET /categories/:idOrSlug',
+          create: 'POST /categories (admin)',
+          update: 'PUT /categories/:id (admin)',
+          delete: 'DELETE /categories/:id (admin)'
         },
         orders: {
-          create: 'POST /orders',
+          create: 'POST /orders (couponCode applies a promotion, shipping priced from shipping.method)',
+          createGuest: 'POST /orders/guest (guest contact details, returns a lookupToken)',
+          lookup: 'GET /orders/lookup/:lookupToken',
+          claimGuest: 'POST /orders/claim (lookupToken optional with a verified email)',
+          validateCart: 'GET /orders/validate-cart?couponCode=CODE',
           list: 'GET /orders (admin) | GET /users/orders (customer)',
           get: 'GET /orders/:id',
           updateStatus: 'PATCH /orders/:id/status (admin)',
+          shipments: 'GET /orders/:id/shipments',
+          addShipment: 'POST /orders/:id/shipments (admin)',
+          deliverShipment: 'PATCH /orders/:id/shipments/:shipmentId/deliver (admin)',
+          invoice: 'GET /orders/:id/invoice.pdf',
+          packingSlip: 'GET /orders/:id/packing-slip.pdf?shipmentId=',
+          creditNote: 'GET /orders/:id/credit-notes/:refundId.pdf',
+          documents: 'GET /orders/:id/documents',
           cancel: 'DELETE /orders/:id'
         },
+        promotions: {
+          list: 'GET /promotions (admin)',
+          get: 'GET /promotions/:id (admin)',
+          create: 'POST /promotions (admin)',
+          update: 'PUT /promotions/:id (admin)',
+          deactivate: 'DELETE /promotions/:id (admin)'
+        },
+        taxRates: {
+          list: 'GET /tax-rates?country=US (admin)',
+          create: 'POST /tax-rates (admin)',
+          update: 'PUT /tax-rates/:id (admin)',
+          delete: 'DELETE /tax-rates/:id (admin)'
+        },
+        shipping: {
+          quote: 'POST /shipping/quote (items optional - defaults to the cart)',
+          zones: 'GET /shipping/zones (admin)',
+          createZone: 'POST /shipping/zones (admin)',
+          updateZone: 'PUT /shipping/zones/:id (admin)',
+          deleteZone: 'DELETE /shipping/zones/:id (admin)'
+        },
+        payments: {
+          createIntent: 'POST /payments/intents',
+          createGuestIntent: 'POST /payments/intents/guest (lookupToken)',
+          webhook: 'POST /payments/webhooks/:provider (signed by the provider)',
+          events: 'GET /payments/events?orderId=id (admin)'
+        },
+        returns: {
+          request: 'POST /returns (multipart "photos" optional)',
+          list: 'GET /returns (own returns, all for admin)',
+          get: 'GET /returns/:id',
+          approve: 'PATCH /returns/:id/approve (admin)',
+          reject: 'PATCH /returns/:id/reject (admin)',
+          receive: 'POST /returns/:id/receive (admin, refunds and restocks)',
+          refund: 'POST /returns/:id/refund (admin, retries a failed refund)'
+        },
         users: {
           profile: 'GET /users/profile',
           updateProfile: 'PUT /users/profile',
           changePassword: 'POST /users/change-password',
-          cart: 'GET /users/cart',
+          sessions: 'GET /users/sessions (signed-in devices)',
+          revokeSession: 'DELETE /users/sessions/:sessionId',
+          cart: 'GET /users/cart (signed in, or an anonymous cart merged at login)',
           addToCart: 'POST /users/cart',
-          orders: 'GET /users/orders'
+          orders: 'GET /users/orders',
+          unlock: 'PATCH /users/admin/:userId/unlock (admin, after failed logins locked the account)'
         }
       },
       authentication: 'JWT tokens via HTTP-only cookies or Authorization header',
@@ -317,6 +444,7 @@ class Server {
       success: false,
       error: {
         message,
+        ...(error.details && { details: error.details }),
         ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
         timestamp: new Date().toISOString(),
         requestId: req.id
@@ -344,6 +472,9 @@ class Server {
 
   gracefulShutdown = (signal) => {
     logger.info(`${signal} received. Shutting down gracefully...`);
+
+    reservationSweeper.stop();
+    importRunner.stop();
     
     this.server.close(() => {
       logger.info('Process terminated');
@@ -370,6 +501,10 @@ class Server {
       }
     });
 
+    // Background jobs
+    reservationSweeper.start();
+    importRunner.start();
+
     return this.server;
   }
 }
@@ -0,0 +1,82 @@
+/**
+ * Account Lockout Service - Per-account protection against password guessing
+ * Counts failed logins (from any IP), delays the next attempt longer after each one
+ * and locks the account after too many
+ */
+
+import UserRepository from '../repositories/UserRepository.js';
+import logger from '../utils/logger.js';
+import { sendMail } from '../mail/index.js';
+import { accountLockedMessage } from '../mail/messages.js';
+
+class AccountLockoutService {
+  constructor() {
+    this.userRepository = new UserRepository();
+    this.maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+    this.lockoutMinutes = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+    this.delaySeconds = parseInt(process.env.LOGIN_DELAY_SECONDS) || 1;
+    this.notifyOwner = process.env.LOGIN_LOCKOUT_NOTIFY !== 'false';
+    this.storeUrl = (process.env.STORE_URL || process.env.FRONTEND_URL?.split(',')[0] || 'http://localhost:5173')
+      .replace(/\/$/, '');
+  }
+
+  // Record a failed login (wrong password or second factor)
+  // From the second failure logins are refused for delaySeconds, doubling each time,
+  // and maxAttempts failures lock the account for lockoutMinutes
+  async recordFailure(user, { ip } = {}) {
+    const updated = await this.userRepository.incrementFailedLogins(user._id);
+    if (!updated) return;
+
+    const attempts = updated.failedLoginAttempts;
+
+    if (attempts >= this.maxAttempts) {
+      await this.lockAccount(updated, attempts, { ip });
+      return;
+    }
+
+    if (attempts > 1) {
+      const delayMs = this.delaySeconds * 1000 * 2 ** (attempts - 2);
+      await this.userRepository.delayLogins(user._id, new Date(Date.now() + delayMs));
+    }
+  }
+
+  // Forget failed logins after a successful one
+  async recordSuccess(user) {
+    if (user.failedLoginAttempts || user.lockUntil) {
+      await this.userRepository.clearFailedLogins(user._id);
+    }
+  }
+
+  // Unlock an account - returns the user, or null when not found
+  async unlockAccount(userId) {
+    return await this.userRepository.clearFailedLogins(userId);
+  }
+
+  // Helper method to lock an account and tell its owner
+  async lockAccount(user, attempts, { ip }) {
+    const lockedUntil = new Date(Date.now() + this.lockoutMinutes * 60 * 1000);
+    await this.userRepository.lockAccount(user._id, lockedUntil);
+
+    logger.logAuth('account_locked', user._id, {
+      attempts,
+      lockedUntil,
+      ip
+    });
+
+    if (this.notifyOwner) {
+      // Not awaited - the failed login responds as quickly as any other
+      sendMail({
+        to: user.email,
+        ...accountLockedMessage({
+          name: user.name,
+          lockoutMinutes: this.lockoutMinutes,
+          link: `${this.storeUrl}/auth?forgotPassword=1`
+        })
+      }).catch(mailError => {
+        logger.warn(`Account locked email not sent to ${user.email}: ${mailError.message}`, { userId: user._id });
+      });
+    }
+  }
+}
+
+export default AccountLockoutService;
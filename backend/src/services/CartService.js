@@ -0,0 +1,197 @@
+/**
+ * Cart Service - Business logic layer for anonymous carts
+ * Keeps the cart of a shopper who is not signed in and merges it into
+ * their account cart at login or registration
+ */
+
+import CartRepository from '../repositories/CartRepository.js';
+import ProductRepository from '../repositories/ProductRepository.js';
+import UserRepository from '../repositories/UserRepository.js';
+import { AppError } from '../utils/AppError.js';
+import { getCartTtlMs } from '../utils/cartCookie.js';
+import logger from '../utils/logger.js';
+
+// The most an order line can hold
+const MAX_LINE_QUANTITY = 100;
+
+class CartService {
+  constructor() {
+    this.cartRepository = new CartRepository();
+    this.productRepository = new ProductRepository();
+    this.userRepository = new UserRepository();
+  }
+
+  async getCart(cartId) {
+    try {
+      const items = cartId ? await this.cartRepository.getItems(cartId) : [];
+
+      return {
+        success: true,
+        data: items
+      };
+    } catch (error) {
+      throw new AppError('Failed to fetch cart', 500);
+    }
+  }
+
+  // Add to the cart, creating it on the first item - the response carries the cart ID for the cookie
+  async addToCart(cartId, productId, quantity = 1, variantId = null) {
+    try {
+      const product = await this.productRepository.findById(productId);
+      if (!product || !product.isActive) {
+        throw new AppError('Product not found', 404);
+      }
+
+      // Products with variants must be added with a valid variant
+      if (!product.resolvePurchasable(variantId)) {
+        throw new AppError(
+          variantId ? 'Selected option is not available' : 'Please select an option for this product',
+          400
+        );
+      }
+
+      const expiresAt = this.getExpiryDate();
+      const cart = (cartId && await this.cartRepository.findById(cartId)) ||
+        await this.cartRepository.create(expiresAt);
+
+      await this.cartRepository.addItem(cart, productId, quantity, product.hasVariants ? variantId : null, expiresAt);
+
+      return {
+        success: true,
+        message: 'Product added to cart',
+        cartId: cart._id
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to add to cart', 500);
+    }
+  }
+
+  async updateCartItem(cartId, productId, quantity, variantId = null) {
+    try {
+      if (quantity <= 0) {
+        return await this.removeFromCart(cartId, productId, variantId);
+      }
+
+      if (cartId) {
+        await this.cartRepository.updateItem(cartId, productId, quantity, variantId, this.getExpiryDate());
+      }
+
+      return {
+        success: true,
+        message: 'Cart updated'
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to update cart', 500);
+    }
+  }
+
+  async removeFromCart(cartId, productId, variantId = null) {
+    try {
+      if (cartId) {
+        await this.cartRepository.removeItem(cartId, productId, variantId, this.getExpiryDate());
+      }
+
+      return {
+        success: true,
+        message: 'Product removed from cart'
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to remove from cart', 500);
+    }
+  }
+
+  async clearCart(cartId) {
+    try {
+      if (cartId) {
+        await this.cartRepository.deleteById(cartId);
+      }
+
+      return {
+        success: true,
+        message: 'Cart cleared'
+      };
+    } catch (error) {
+      throw new AppError('Failed to clear cart', 500);
+    }
+  }
+
+  // Move an anonymous cart into a user's cart and delete it
+  // A line in both carts keeps the larger quantity (it was most likely added twice, not wanted twice);
+  // merged lines are limited to the stock available and unavailable items are left out.
+  // Returns { mergedItems, adjustments }, or null when there was nothing to merge.
+  // Best effort - signing in never fails because of the cart
+  async mergeIntoUser(cartId, userId) {
+    if (!cartId) return null;
+
+    try {
+      const cart = await this.cartRepository.findById(cartId);
+      if (!cart) return null;
+
+      const userCart = await this.userRepository.getCart(userId);
+      const merged = [];
+      const adjustments = [];
+
+      for (const item of cart.items) {
+        const existing = userCart.find(line =>
+          line.product &&
+          line.product._id.toString() === item.product.toString() &&
+          String(line.variant || '') === String(item.variant || '')
+        );
+
+        const product = await this.productRepository.findById(item.product);
+        const purchasable = product && product.isActive ? product.resolvePurchasable(item.variant) : null;
+        const name = product ? product.name : `Product ${item.product}`;
+
+        if (!purchasable || purchasable.stock <= 0) {
+          adjustments.push({
+            productId: item.product,
+            variantId: item.variant,
+            name,
+            requestedQuantity: item.quantity,
+            quantity: existing ? existing.quantity : 0,
+            message: purchasable ? `${name} is out of stock` : `${name} is no longer available`
+          });
+          continue;
+        }
+
+        const wanted = existing ? Math.max(existing.quantity, item.quantity) : item.quantity;
+        const quantity = Math.min(wanted, purchasable.stock, MAX_LINE_QUANTITY);
+
+        if (quantity < wanted) {
+          adjustments.push({
+            productId: item.product,
+            variantId: item.variant,
+            name,
+            requestedQuantity: wanted,
+            quantity,
+            message: `Only ${quantity} of ${name} could be kept in your cart`
+          });
+        }
+
+        merged.push({ product: item.product, variant: item.variant, quantity });
+      }
+
+      if (merged.length > 0) {
+        await this.userRepository.setCartItems(userId, merged);
+      }
+      await this.cartRepository.deleteById(cartId);
+
+      return {
+        mergedItems: merged.length,
+        adjustments
+      };
+    } catch (error) {
+      logger.warn(`Anonymous cart ${cartId} not merged: ${error.message}`, { userId });
+      return null;
+    }
+  }
+
+  getExpiryDate() {
+    return new Date(Date.now() + getCartTtlMs());
+  }
+}
+
+export default CartService;
@@ -0,0 +1,236 @@
+/**
+ * Category Service - Business logic layer for category operations
+ * Maintains the category tree and resolves categories for product queries
+ */
+
+import CategoryRepository from '../repositories/CategoryRepository.js';
+import SearchIndexService from './SearchIndexService.js';
+import Category from '../models/Category.js';
+import { AppError } from '../utils/AppError.js';
+import { validateCategory } from '../validators/categoryValidator.js';
+import logger from '../utils/logger.js';
+
+class CategoryService {
+  constructor() {
+    this.categoryRepository = new CategoryRepository();
+    this.searchIndexService = new SearchIndexService();
+  }
+
+  // Get the full category tree with live product counts
+  async getCategoryTree(includeInactive = false) {
+    try {
+      const [categories, productCounts] = await Promise.all([
+        this.categoryRepository.findAll(includeInactive),
+        this.categoryRepository.getProductCounts()
+      ]);
+
+      return {
+        success: true,
+        data: Category.buildTree(categories, productCounts)
+      };
+    } catch (error) {
+      throw new AppError('Failed to fetch categories', 500);
+    }
+  }
+
+  // Get a single category (by ID or slug) with its subtree and product counts
+  async getCategory(idOrSlug) {
+    try {
+      const category = await this.categoryRepository.findByIdOrSlug(idOrSlug);
+      if (!category) {
+        throw new AppError('Category not found', 404);
+      }
+
+      return {
+        success: true,
+        data: await this.getCategoryNode(category)
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to fetch category', 500);
+    }
+  }
+
+  // Build the tree node for one category including its active descendants
+  async getCategoryNode(category) {
+    const [descendants, productCounts] = await Promise.all([
+      this.categoryRepository.findDescendants(category._id),
+      this.categoryRepository.getProductCounts()
+    ]);
+
+    const activeDescendants = descendants.filter(descendant => descendant.isActive);
+    const [node] = Category.buildTree([category, ...activeDescendants], productCounts, category._id);
+    return node;
+  }
+
+  // Create new category (admin only)
+  async createCategory(categoryData, createdBy) {
+    try {
+      const { error, value } = validateCategory(categoryData);
+      if (error) {
+        throw new AppError(error.details[0].message, 400);
+      }
+
+      value.ancestors = await this.getAncestorsFor(value.parent);
+      value.createdBy = createdBy;
+
+      const category = await this.categoryRepository.create(value);
+
+      return {
+        success: true,
+        message: 'Category created successfully',
+        data: category
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      if (error.code === 11000) {
+        throw new AppError('A category with this name already exists', 400);
+      }
+      throw new AppError('Failed to create category', 500);
+    }
+  }
+
+  // Update category (admin only)
+  // Moving a category to a new parent rewrites the ancestor path of its whole subtree
+  async updateCategory(id, updateData, modifiedBy) {
+    try {
+      const category = await this.categoryRepository.findById(id);
+      if (!category) {
+        throw new AppError('Category not found', 404);
+      }
+
+      const { error, value } = validateCategory(updateData, true);
+      if (error) {
+        throw new AppError(error.details[0].message, 400);
+      }
+
+      const oldPrefix = [...category.ancestors, category._id];
+      const currentParent = category.parent ? category.parent.toString() : null;
+      const isMoving = value.parent !== undefined && (value.parent || null) !== currentParent;
+
+      if (isMoving) {
+        if (value.parent === id) {
+          throw new AppError('A category cannot be its own parent', 400);
+        }
+
+        value.ancestors = await this.getAncestorsFor(value.parent);
+
+        if (value.ancestors.some(ancestorId => ancestorId.toString() === id)) {
+          throw new AppError('A category cannot be moved under one of its own subcategories', 400);
+        }
+      }
+
+      const isRenamed = value.name !== undefined && value.name !== category.name;
+
+      Object.assign(category, value, { lastModifiedBy: modifiedBy });
+      const updatedCategory = await category.save();
+
+      // Product suggestions match on the category name
+      if (isRenamed) {
+        await this.searchIndexService.syncCategory(category._id);
+      }
+
+      if (isMoving) {
+        const descendants = await this.categoryRepository.findDescendants(category._id);
+        await this.categoryRepository.replaceAncestorPrefix(
+          descendants,
+          oldPrefix,
+          [...updatedCategory.ancestors, updatedCategory._id]
+        );
+      }
+
+      return {
+        success: true,
+        message: 'Category updated successfully',
+        data: updatedCategory
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      if (error.code === 11000) {
+        throw new AppError('A category with this name already exists', 400);
+      }
+      throw new AppError('Failed to update category', 500);
+    }
+  }
+
+  // Delete category (admin only)
+  // Only empty leaf categories can be deleted so no product is left without a category
+  async deleteCategory(id) {
+    try {
+      const category = await this.categoryRepository.findById(id);
+      if (!category) {
+        throw new AppError('Category not found', 404);
+      }
+
+      if (await this.categoryRepository.hasChildren(id)) {
+        throw new AppError('Category has subcategories. Move or delete them first.', 409);
+      }
+
+      const productCount = await this.categoryRepository.countProducts(id);
+      if (productCount > 0) {
+        throw new AppError(
+          `Category still has ${productCount} product(s). Reassign them before deleting.`,
+          409
+        );
+      }
+
+      await this.categoryRepository.deleteById(id);
+
+      return {
+        success: true,
+        message: 'Category deleted successfully'
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to delete category', 500);
+    }
+  }
+
+  // Get the ancestor path for a child of the given parent
+  async getAncestorsFor(parentId) {
+    if (!parentId) return [];
+
+    const parent = await this.categoryRepository.findById(parentId);
+    if (!parent) {
+      throw new AppError('Parent category not found', 400);
+    }
+
+    return [...parent.ancestors, parent._id];
+  }
+
+  // Resolve a category reference (ID, slug or name) to a category document
+  async resolveCategory(value) {
+    if (!value) return null;
+    return await this.categoryRepository.findByIdOrSlug(String(value));
+  }
+
+  // Resolve a category filter to the IDs of the category and its descendants
+  // Returns null when the category does not exist
+  async resolveCategoryFilter(value) {
+    const category = await this.resolveCategory(value);
+    if (!category) return null;
+
+    return await this.categoryRepository.getSubtreeIds(category._id);
+  }
+
+  // Convert string categories left on existing products into category documents
+  // Safe to run on every start - it does nothing once all products are migrated
+  async migrateLegacyCategories() {
+    const names = await this.categoryRepository.getLegacyProductCategories();
+    if (names.length === 0) return 0;
+
+    for (const name of names) {
+      let category = await this.resolveCategory(name);
+      if (!category) {
+        category = await this.categoryRepository.create({ name });
+      }
+
+      await this.categoryRepository.assignLegacyCategory(name, category._id);
+    }
+
+    logger.info(`🗂️  Migrated ${names.length} legacy product categories`);
+    return names.length;
+  }
+}
+
+export default CategoryService;
@@ -0,0 +1,284 @@
+/**
+ * Export Service - Business logic layer for catalog exports
+ * Streams products as CSV, NDJSON or a Google Merchant Center feed (XML/TSV)
+ */
+
+import ProductRepository from '../repositories/ProductRepository.js';
+import ProductService from './ProductService.js';
+import { AppError } from '../utils/AppError.js';
+import { formatCsvRow } from '../utils/csv.js';
+
+// CSV columns use the same names the product import accepts
+const CSV_COLUMNS = [
+  'sku',
+  'slug',
+  'name',
+  'description',
+  'shortDescription',
+  'price',
+  'originalPrice',
+  'currency',
+  'category',
+  'subcategory',
+  'brand',
+  'stock',
+  'lowStockThreshold',
+  'status',
+  'isFeatured',
+  'imageUrl',
+  'images',
+  'metaTitle',
+  'metaDescription',
+  'metaKeywords',
+  'specifications.weight',
+  'specifications.color',
+  'specifications.material',
+  'specifications.warranty',
+  'options',
+  'variants'
+];
+
+// Google Merchant Center attributes, in feed column order
+const FEED_FIELDS = [
+  'id',
+  'item_group_id',
+  'title',
+  'description',
+  'link',
+  'image_link',
+  'additional_image_link',
+  'availability',
+  'price',
+  'sale_price',
+  'brand',
+  'product_type',
+  'condition',
+  'identifier_exists',
+  'color',
+  'size'
+];
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  'google-xml': { contentType: 'application/xml; charset=utf-8', extension: 'xml' },
+  'google-tsv': { contentType: 'text/tab-separated-values; charset=utf-8', extension: 'tsv' }
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+class ExportService {
+  constructor() {
+    this.productRepository = new ProductRepository();
+    this.productService = new ProductService();
+    this.storeUrl = (process.env.STORE_URL || process.env.FRONTEND_URL?.split(',')[0] || 'http://localhost:5173')
+      .replace(/\/$/, '');
+  }
+
+  // Validate the request and open the product cursor
+  // Nothing is written until the caller starts reading the returned chunks
+  async prepareExport(queryParams = {}) {
+    try {
+      const format = queryParams.format || 'csv';
+      const formatInfo = FORMATS[format];
+      if (!formatInfo) {
+        throw new AppError(`Export format must be one of: ${Object.keys(FORMATS).join(', ')}`, 400);
+      }
+
+      // Same filters as the product listing
+      const cursor = this.productRepository.streamAll({
+        category: await this.productService.getCategoryFilter(queryParams.category),
+        minPrice: queryParams.minPrice,
+        maxPrice: queryParams.maxPrice,
+        inStock: queryParams.inStock === 'true',
+        featured: queryParams.featured ? queryParams.featured === 'true' : undefined,
+        search: queryParams.search,
+        status: queryParams.status || 'active',
+        sortBy: queryParams.sortBy || 'createdAt',
+        sortOrder: queryParams.sortOrder || 'desc'
+      });
+
+      const date = new Date().toISOString().slice(0, 10);
+
+      return {
+        format,
+        contentType: formatInfo.contentType,
+        filename: `products-${date}.${formatInfo.extension}`,
+        chunks: this.generateChunks(format, cursor)
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to export products', 500);
+    }
+  }
+
+  // Yield the export one product at a time
+  async *generateChunks(format, cursor) {
+    if (format === 'csv') {
+      yield formatCsvRow(CSV_COLUMNS);
+    } else if (format === 'google-tsv') {
+      yield FEED_FIELDS.join('\t') + '\n';
+    } else if (format === 'google-xml') {
+      yield '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">\n<channel>\n' +
+        '<title>Product Store</title>\n' +
+        `<link>${escapeXml(this.storeUrl)}</link>\n` +
+        '<description>Product catalog feed</description>\n';
+    }
+
+    for await (const product of cursor) {
+      if (format === 'csv') {
+        yield formatCsvRow(this.toCsvValues(product));
+      } else if (format === 'ndjson') {
+        yield JSON.stringify(product.toJSON()) + '\n';
+      } else {
+        for (const item of this.toFeedItems(product)) {
+          yield format === 'google-tsv' ? this.toTsvLine(item) : this.toXmlItem(item);
+        }
+      }
+    }
+
+    if (format === 'google-xml') {
+      yield '</channel>\n</rss>\n';
+    }
+  }
+
+  // Product values in CSV_COLUMNS order
+  toCsvValues(product) {
+    const values = {
+      ...product.toObject(),
+      category: product.category ? product.category.name : '',
+      images: (product.images || []).map(img => img.url).join('|'),
+      metaKeywords: (product.metaKeywords || []).join('|'),
+      // Variants and their option axes go in JSON cells, in the shape the import accepts
+      options: product.options && product.options.length > 0
+        ? JSON.stringify(product.options.map(option => ({ name: option.name, values: option.values })))
+        : '',
+      variants: product.variants && product.variants.length > 0
+        ? JSON.stringify(product.variants.map(variant => this.toVariantData(variant)))
+        : ''
+    };
+
+    return CSV_COLUMNS.map(column =>
+      column.split('.').reduce((value, key) => (value == null ? undefined : value[key]), values)
+    );
+  }
+
+  // Variant fields the import accepts (the ID keeps orders pointing at the same variant)
+  toVariantData(variant) {
+    return {
+      _id: variant._id.toString(),
+      sku: variant.sku,
+      options: Object.fromEntries(variant.options),
+      price: variant.price,
+      originalPrice: variant.originalPrice,
+      stock: variant.stock,
+      lowStockThreshold: variant.lowStockThreshold,
+      images: (variant.images || []).map(image => ({ url: image.url, alt: image.alt, isPrimary: image.isPrimary })),
+      isActive: variant.isActive
+    };
+  }
+
+  // Feed items for a product - one per active variant, or one for the product
+  toFeedItems(product) {
+    const base = {
+      title: product.name,
+      description: product.description,
+      link: `${this.storeUrl}/products/${product._id}`,
+      brand: product.brand,
+      product_type: product.category ? product.category.name : undefined,
+      condition: 'new',
+      // We don't hold GTINs, so items are submitted without product identifiers
+      identifier_exists: 'no'
+    };
+
+    const productImages = (product.images || []).map(img => img.url);
+
+    if (!product.hasVariants) {
+      return [{
+        ...base,
+        id: product.sku,
+        image_link: product.primaryImage,
+        additional_image_link: productImages.filter(url => url !== product.primaryImage).slice(0, 10),
+        availability: this.toFeedAvailability(product.availability),
+        color: product.specifications?.color,
+        ...this.toFeedPrices(product.price, product.originalPrice, product.currency)
+      }];
+    }
+
+    return product.variants
+      .filter(variant => variant.isActive)
+      .map(variant => {
+        const variantImages = variant.images.map(img => img.url);
+        const primary = variant.images.find(img => img.isPrimary);
+        const imageLink = primary ? primary.url : variantImages[0] || product.primaryImage;
+
+        return {
+          ...base,
+          id: variant.sku,
+          item_group_id: product.sku,
+          title: `${product.name} - ${variant.label}`,
+          image_link: imageLink,
+          additional_image_link: [...variantImages, ...productImages]
+            .filter(url => url !== imageLink)
+            .slice(0, 10),
+          availability: this.toFeedAvailability(variant.availability),
+          color: this.getVariantOption(variant, /^colou?r$/i) || product.specifications?.color,
+          size: this.getVariantOption(variant, /^size$/i),
+          ...this.toFeedPrices(
+            variant.effectivePrice,
+            variant.originalPrice ?? product.originalPrice,
+            product.currency
+          )
+        };
+      });
+  }
+
+  // Merchant Center shows originalPrice as the regular price and our price as the sale
+  toFeedPrices(price, originalPrice, currency) {
+    if (originalPrice && originalPrice > price) {
+      return {
+        price: `${originalPrice.toFixed(2)} ${currency}`,
+        sale_price: `${price.toFixed(2)} ${currency}`
+      };
+    }
+
+    return { price: `${price.toFixed(2)} ${currency}` };
+  }
+
+  toFeedAvailability(availability) {
+    return availability === 'Out of Stock' ? 'out_of_stock' : 'in_stock';
+  }
+
+  getVariantOption(variant, pattern) {
+    for (const [name, value] of variant.options) {
+      if (pattern.test(name)) return value;
+    }
+    return undefined;
+  }
+
+  toTsvLine(item) {
+    return FEED_FIELDS.map(field => {
+      const value = Array.isArray(item[field]) ? item[field].join(',') : item[field];
+      return value === undefined || value === null ? '' : String(value).replace(/[\t\r\n]+/g, ' ');
+    }).join('\t') + '\n';
+  }
+
+  toXmlItem(item) {
+    const elements = FEED_FIELDS.flatMap(field => {
+      const values = Array.isArray(item[field]) ? item[field] : [item[field]];
+      return values
+        .filter(value => value !== undefined && value !== null && value !== '')
+        .map(value => `<g:${field}>${escapeXml(value)}</g:${field}>`);
+    });
+
+    return `<item>\n${elements.join('\n')}\n</item>\n`;
+  }
+}
+
+export default ExportService;
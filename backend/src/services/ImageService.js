@@ -0,0 +1,172 @@
+/**
+ * Image Service - Business logic layer for product image uploads
+ * Validates uploads, strips metadata and stores resized renditions through the storage adapter
+ */
+
+import crypto from 'crypto';
+import sharp from 'sharp';
+import ProductRepository from '../repositories/ProductRepository.js';
+import storage from '../storage/index.js';
+import { AppError } from '../utils/AppError.js';
+import logger from '../utils/logger.js';
+
+// Longest edge in pixels for each rendition
+const RENDITIONS = {
+  thumbnail: 150,
+  medium: 600,
+  large: 1200
+};
+
+const SUPPORTED_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+
+class ImageService {
+  constructor() {
+    this.productRepository = new ProductRepository();
+    this.storage = storage;
+  }
+
+  // Process uploaded files into image entries
+  // prefix is the storage folder (products, or returns for return photos)
+  async uploadImages(files = [], alt = '', prefix = 'products') {
+    try {
+      if (files.length === 0) {
+        throw new AppError('Please select at least one image to upload', 400);
+      }
+
+      const images = [];
+      try {
+        for (const file of files) {
+          images.push(await this.processImage(file, alt, prefix));
+        }
+      } catch (error) {
+        // Don't leave files behind for a batch that was rejected
+        await Promise.all(images.map(image => this.storage.delete(image.key).catch(() => {})));
+        throw error;
+      }
+
+      return {
+        success: true,
+        message: `${images.length} image(s) uploaded successfully`,
+        data: images
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to upload images', 500);
+    }
+  }
+
+  // Upload images and add them to an existing product
+  async attachImages(productId, files = [], options = {}) {
+    try {
+      const product = await this.productRepository.findById(productId);
+      if (!product) {
+        throw new AppError('Product not found', 404);
+      }
+
+      if (product.images.length + files.length > 10) {
+        throw new AppError('Maximum 10 images allowed', 400);
+      }
+
+      const { data: images } = await this.uploadImages(files, options.alt || product.name);
+      const updatedProduct = await this.productRepository.addImages(
+        productId,
+        images,
+        options.isPrimary === true || options.isPrimary === 'true'
+      );
+
+      return {
+        success: true,
+        message: 'Images added successfully',
+        data: updatedProduct
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to add product images', 500);
+    }
+  }
+
+  // Remove an image from a product and delete its files
+  async removeImage(productId, imageId) {
+    try {
+      const result = await this.productRepository.removeImage(productId, imageId);
+      if (!result) {
+        throw new AppError('Product not found', 404);
+      }
+      if (!result.removed) {
+        throw new AppError('Image not found', 404);
+      }
+
+      await this.removeUnusedFiles([result.removed]);
+
+      return {
+        success: true,
+        message: 'Image removed successfully',
+        data: result.product
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to remove product image', 500);
+    }
+  }
+
+  // Validate one upload and store its renditions
+  // EXIF and other metadata are dropped because sharp does not copy them by default
+  async processImage(file, alt, prefix = 'products') {
+    let metadata;
+    try {
+      metadata = await sharp(file.buffer).metadata();
+    } catch (error) {
+      throw new AppError(`${file.originalname} is not a valid image`, 400);
+    }
+
+    if (!SUPPORTED_FORMATS.includes(metadata.format)) {
+      throw new AppError(`${file.originalname} is not a supported image format`, 400);
+    }
+
+    const key = `${prefix}/${crypto.randomUUID()}`;
+    const renditions = {};
+
+    try {
+      for (const [name, size] of Object.entries(RENDITIONS)) {
+        const buffer = await sharp(file.buffer)
+          .rotate() // Apply the EXIF orientation before it is stripped
+          .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+          .webp({ quality: 80 })
+          .toBuffer();
+
+        renditions[name] = await this.storage.save(`${key}/${name}.webp`, buffer, 'image/webp');
+      }
+    } catch (error) {
+      await this.storage.delete(key).catch(() => {});
+      throw error;
+    }
+
+    return {
+      url: renditions.large,
+      alt: alt || file.originalname.replace(/\.[^.]+$/, ''),
+      isPrimary: false,
+      key,
+      renditions
+    };
+  }
+
+  // Delete stored files of images taken off a product, unless another product still uses them
+  // Uploads that were never added to a product are not tracked, so they are not removed here
+  // Never throws - a leftover file must not fail the product operation
+  async removeUnusedFiles(images = []) {
+    for (const image of images) {
+      if (!image || !image.key) continue;
+
+      try {
+        const referenced = await this.productRepository.isImageKeyReferenced(image.key);
+        if (!referenced) {
+          await this.storage.delete(image.key);
+        }
+      } catch (error) {
+        logger.error(`❌ Failed to remove image files ${image.key}: ${error.message}`);
+      }
+    }
+  }
+}
+
+export default ImageService;
@@ -0,0 +1,382 @@
+/**
+ * Import Service - Business logic layer for bulk product imports
+ * Parses CSV/NDJSON uploads, validates every row and upserts products by SKU or slug
+ */
+
+import ImportRepository from '../repositories/ImportRepository.js';
+import ProductRepository from '../repositories/ProductRepository.js';
+import ProductService from './ProductService.js';
+import { AppError } from '../utils/AppError.js';
+import { parseCsv, unescapeFormula } from '../utils/csv.js';
+import { validateProduct } from '../validators/productValidator.js';
+import logger from '../utils/logger.js';
+
+// CSV columns holding "a|b|c" lists
+const LIST_COLUMNS = ['images', 'metaKeywords'];
+
+// CSV columns holding JSON (variants and their option axes)
+const JSON_COLUMNS = ['options', 'variants'];
+
+class ImportService {
+  constructor() {
+    this.importRepository = new ImportRepository();
+    this.productRepository = new ProductRepository();
+    this.productService = new ProductService();
+    this.syncRowLimit = parseInt(process.env.IMPORT_SYNC_ROW_LIMIT) || 200;
+    this.maxRows = parseInt(process.env.IMPORT_MAX_ROWS) || 50000;
+    this.batchSize = 50;
+  }
+
+  // Start an import - small files are processed right away,
+  // larger ones are queued for the background import runner
+  async createImport(content, options = {}, createdBy) {
+    try {
+      const { format, dryRun = false, filename } = options;
+
+      if (!['csv', 'ndjson'].includes(format)) {
+        throw new AppError('Import format must be csv or ndjson', 400);
+      }
+
+      if (typeof content !== 'string' || content.trim() === '') {
+        throw new AppError('Import file is empty', 400);
+      }
+
+      const rows = format === 'csv' ? this.parseCsvRows(content) : this.parseNdjsonRows(content);
+
+      if (rows.length === 0) {
+        throw new AppError('Import file contains no product rows', 400);
+      }
+
+      if (rows.length > this.maxRows) {
+        throw new AppError(`Import files are limited to ${this.maxRows} rows`, 400);
+      }
+
+      // Lines that could not be parsed are recorded as failed straight away
+      const unparsed = rows.filter(row => row.status === 'failed').length;
+
+      const job = await this.importRepository.createJob({
+        format,
+        filename,
+        dryRun,
+        totalRows: rows.length,
+        processedRows: unparsed,
+        counts: { failed: unparsed },
+        createdBy
+      });
+
+      await this.importRepository.insertRows(job._id, rows);
+
+      if (rows.length > this.syncRowLimit) {
+        return {
+          success: true,
+          message: 'Import queued for background processing',
+          data: job
+        };
+      }
+
+      await this.processJob(job._id);
+      return await this.getImportJob(job._id);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to import products', 500);
+    }
+  }
+
+  // Parse CSV into import rows
+  parseCsvRows(content) {
+    let records;
+    try {
+      records = parseCsv(content);
+    } catch (error) {
+      throw new AppError(`Invalid CSV: ${error.message}`, 400);
+    }
+
+    return records.map(record => {
+      try {
+        return { rowNumber: record.line, data: this.mapCsvRecord(record.data) };
+      } catch (error) {
+        return { rowNumber: record.line, status: 'failed', messages: [error.message] };
+      }
+    });
+  }
+
+  // Parse newline-delimited JSON into import rows
+  parseNdjsonRows(content) {
+    const rows = [];
+
+    content.split(/\r?\n/).forEach((line, index) => {
+      if (line.trim() === '') return;
+
+      try {
+        const data = JSON.parse(line);
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+          throw new Error('each line must be a JSON object');
+        }
+        rows.push({ rowNumber: index + 1, data });
+      } catch (error) {
+        rows.push({
+          rowNumber: index + 1,
+          status: 'failed',
+          messages: [`Invalid JSON: ${error.message}`]
+        });
+      }
+    });
+
+    return rows;
+  }
+
+  // Turn a flat CSV record into product data
+  // Empty cells are skipped, dotted headers (specifications.color) become nested fields,
+  // and the apostrophe exports put before formula-like text is removed
+  // Throws when a JSON column cannot be parsed
+  mapCsvRecord(record) {
+    const data = {};
+
+    for (const [column, rawValue] of Object.entries(record)) {
+      const value = unescapeFormula(rawValue.trim());
+      if (!column || value === '') continue;
+
+      const path = column.split('.');
+      let target = data;
+      path.slice(0, -1).forEach(key => {
+        target[key] = target[key] || {};
+        target = target[key];
+      });
+
+      if (JSON_COLUMNS.includes(column)) {
+        try {
+          target[path[path.length - 1]] = JSON.parse(value);
+        } catch (error) {
+          throw new Error(`Invalid JSON in the ${column} column: ${error.message}`);
+        }
+        continue;
+      }
+
+      target[path[path.length - 1]] = LIST_COLUMNS.includes(column)
+        ? value.split('|').map(item => item.trim()).filter(Boolean)
+        : value;
+    }
+
+    if (data.images) {
+      data.images = data.images.map(url => ({ url }));
+    }
+
+    return data;
+  }
+
+  // Process the pending rows of a job in batches
+  // shouldStop is checked between batches so shutdown leaves the job resumable
+  async processJob(jobId, shouldStop = () => false) {
+    const job = await this.importRepository.findJobById(jobId);
+    if (!job || !['queued', 'running'].includes(job.status)) return job;
+
+    await this.importRepository.updateJob(job._id, {
+      status: 'running',
+      startedAt: job.startedAt || new Date()
+    });
+
+    // Keys seen during a dry run, so repeated SKUs report as updates
+    const seenKeys = new Set();
+
+    try {
+      while (!shouldStop()) {
+        const rows = await this.importRepository.findPendingRows(job._id, this.batchSize);
+        if (rows.length === 0) break;
+
+        const counts = { created: 0, updated: 0, failed: 0 };
+
+        for (const row of rows) {
+          const outcome = await this.processRow(row, job, seenKeys);
+          await this.importRepository.updateRow(row._id, outcome);
+          counts[outcome.status]++;
+        }
+
+        await this.importRepository.updateJob(job._id, {
+          $inc: {
+            processedRows: rows.length,
+            'counts.created': counts.created,
+            'counts.updated': counts.updated,
+            'counts.failed': counts.failed
+          }
+        });
+      }
+
+      if (shouldStop()) {
+        return await this.importRepository.updateJob(job._id, { status: 'queued' });
+      }
+
+      // Recount from the rows so totals stay exact across resumes
+      const counts = await this.importRepository.countRowsByStatus(job._id);
+
+      return await this.importRepository.updateJob(job._id, {
+        status: 'completed',
+        completedAt: new Date(),
+        processedRows: job.totalRows - (counts.pending || 0),
+        counts: {
+          created: counts.created || 0,
+          updated: counts.updated || 0,
+          failed: counts.failed || 0
+        }
+      });
+    } catch (error) {
+      logger.error(`❌ Import ${job._id} failed: ${error.message}`);
+      return await this.importRepository.updateJob(job._id, {
+        status: 'failed',
+        error: error.message
+      });
+    }
+  }
+
+  // Validate one row and create or update its product
+  // Returns the outcome to store on the row
+  async processRow(row, job, seenKeys) {
+    const data = { ...row.data };
+    const { slug } = data;
+    delete data.slug;
+
+    try {
+      const existing = data.sku
+        ? await this.productRepository.findBySku(data.sku)
+        : slug ? await this.productRepository.findBySlug(slug) : null;
+
+      const { error } = validateProduct(data, Boolean(existing));
+      if (error) {
+        return {
+          status: 'failed',
+          messages: error.details.map(detail => detail.message)
+        };
+      }
+
+      if (data.category) {
+        await this.productService.resolveCategoryId(data.category);
+      }
+
+      if (job.dryRun) {
+        const key = data.sku ? `sku:${data.sku.toUpperCase()}` : slug ? `slug:${slug}` : null;
+        const isUpdate = Boolean(existing) || (key !== null && seenKeys.has(key));
+        if (key) seenKeys.add(key);
+
+        return {
+          status: isUpdate ? 'updated' : 'created',
+          product: existing ? existing._id : undefined
+        };
+      }
+
+      const createdBy = job.createdBy && (job.createdBy._id || job.createdBy);
+
+      if (existing) {
+        await this.productService.updateProduct(existing._id, data, createdBy);
+        return { status: 'updated', product: existing._id };
+      }
+
+      const result = await this.productService.createProduct(data, createdBy);
+      return { status: 'created', product: result.data._id };
+    } catch (error) {
+      if (!(error instanceof AppError)) throw error;
+      return { status: 'failed', messages: [error.message] };
+    }
+  }
+
+  // Get an import job with its first failed rows
+  async getImportJob(id) {
+    try {
+      const job = await this.importRepository.findJobById(id);
+      if (!job) {
+        throw new AppError('Import not found', 404);
+      }
+
+      const failed = await this.importRepository.findFailedRows(job._id, { limit: 100 });
+
+      return {
+        success: true,
+        message: this.describeJob(job),
+        data: {
+          job,
+          errors: failed.rows.map(row => this.formatFailedRow(row)),
+          errorPagination: failed.pagination
+        }
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to fetch import', 500);
+    }
+  }
+
+  // Get failed rows of an import job
+  async getImportErrors(id, options = {}) {
+    try {
+      const job = await this.importRepository.findJobById(id);
+      if (!job) {
+        throw new AppError('Import not found', 404);
+      }
+
+      const failed = await this.importRepository.findFailedRows(job._id, {
+        page: parseInt(options.page) || 1,
+        limit: Math.min(parseInt(options.limit) || 100, 500)
+      });
+
+      return {
+        success: true,
+        data: failed.rows.map(row => this.formatFailedRow(row)),
+        pagination: failed.pagination
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to fetch import errors', 500);
+    }
+  }
+
+  // Re-queue a job that stopped with an error
+  async resumeImport(id) {
+    try {
+      const job = await this.importRepository.findJobById(id);
+      if (!job) {
+        throw new AppError('Import not found', 404);
+      }
+
+      const resumed = await this.importRepository.transitionJob(job._id, ['failed'], {
+        status: 'queued',
+        $unset: { error: 1 }
+      });
+
+      if (!resumed) {
+        throw new AppError(`Import is ${job.status} and cannot be resumed`, 400);
+      }
+
+      return {
+        success: true,
+        message: 'Import queued to resume',
+        data: resumed
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to resume import', 500);
+    }
+  }
+
+  // IDs of jobs to pick up again after a restart
+  async getResumableJobIds() {
+    const jobs = await this.importRepository.findResumableJobs();
+    return jobs.map(job => job._id);
+  }
+
+  describeJob(job) {
+    if (job.status === 'completed') {
+      return job.dryRun
+        ? 'Dry run completed - no products were changed'
+        : 'Import completed';
+    }
+    if (job.status === 'failed') return 'Import stopped with an error and can be resumed';
+    return 'Import in progress';
+  }
+
+  formatFailedRow(row) {
+    return {
+      row: row.rowNumber,
+      sku: row.data && row.data.sku,
+      messages: row.messages
+    };
+  }
+}
+
+export default ImportService;
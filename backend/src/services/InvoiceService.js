@@ -0,0 +1,181 @@
+/**
+ * Invoice Service - Business logic layer for order documents
+ * Issues sequentially numbered invoices and credit notes, and renders them
+ * (and packing slips) as PDFs
+ */
+
+import InvoiceRepository from '../repositories/InvoiceRepository.js';
+import OrderRepository from '../repositories/OrderRepository.js';
+import documentRenderer from '../documents/index.js';
+import { AppError } from '../utils/AppError.js';
+
+const PAID_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+class InvoiceService {
+  constructor() {
+    this.invoiceRepository = new InvoiceRepository();
+    this.orderRepository = new OrderRepository();
+    this.renderer = documentRenderer;
+    this.invoicePrefix = process.env.INVOICE_NUMBER_PREFIX || 'INV';
+    this.creditNotePrefix = process.env.CREDIT_NOTE_NUMBER_PREFIX || 'CN';
+  }
+
+  // Get the invoice PDF of a paid order - the invoice is issued on first request
+  async getInvoicePdf(orderId, userId, userRole) {
+    try {
+      const order = await this.findOrder(orderId, userId, userRole);
+      const invoice = await this.issueInvoice(order);
+
+      return {
+        filename: `${invoice.number}.pdf`,
+        content: await this.renderer.renderInvoice(order, invoice)
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to generate invoice', 500);
+    }
+  }
+
+  // Get the credit note PDF of one refund
+  async getCreditNotePdf(orderId, refundId, userId, userRole) {
+    try {
+      const order = await this.findOrder(orderId, userId, userRole);
+      const refund = order.refunds.id(refundId);
+      if (!refund) {
+        throw new AppError('Refund not found', 404);
+      }
+
+      const { creditNote, invoice } = await this.issueCreditNote(order, refund);
+
+      return {
+        filename: `${creditNote.number}.pdf`,
+        content: await this.renderer.renderCreditNote(order, refund, creditNote, invoice)
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to generate credit note', 500);
+    }
+  }
+
+  // Get the packing slip PDF of an order, or of one of its shipments
+  async getPackingSlipPdf(orderId, userId, userRole, shipmentId) {
+    try {
+      const order = await this.findOrder(orderId, userId, userRole);
+
+      let shipment;
+      if (shipmentId) {
+        shipment = order.shipments.id(shipmentId);
+        if (!shipment) {
+          throw new AppError('Shipment not found', 404);
+        }
+      }
+
+      return {
+        filename: `packing-slip-${order.orderNumber}${shipment ? `-${shipment.trackingNumber}` : ''}.pdf`,
+        content: await this.renderer.renderPackingSlip(order, shipment)
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to generate packing slip', 500);
+    }
+  }
+
+  // Get the invoice and credit notes issued for an order
+  async getDocuments(orderId, userId, userRole) {
+    try {
+      await this.findOrder(orderId, userId, userRole);
+      const documents = await this.invoiceRepository.findByOrder(orderId);
+
+      return {
+        success: true,
+        data: documents
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to fetch order documents', 500);
+    }
+  }
+
+  // The order's invoice, issuing it if this is the first request
+  async issueInvoice(order) {
+    const existing = await this.invoiceRepository.findInvoiceForOrder(order._id);
+    if (existing) return existing;
+
+    if (!PAID_STATUSES.includes(order.payment.status)) {
+      throw new AppError('An invoice is issued once the order has been paid', 400);
+    }
+
+    return await this.issue(this.invoicePrefix, {
+      type: 'invoice',
+      order: order._id,
+      customer: order.customer ? order.customer._id || order.customer : undefined,
+      amount: order.total,
+      taxAmount: order.tax,
+      currency: order.currency
+    }, () => this.invoiceRepository.findInvoiceForOrder(order._id));
+  }
+
+  // The credit note of a refund ledger entry, issuing it (and the invoice it corrects) if needed
+  // Returns { creditNote, invoice }
+  async issueCreditNote(order, refund) {
+    const invoice = await this.issueInvoice(order);
+
+    const existing = await this.invoiceRepository.findCreditNoteForRefund(refund._id);
+    if (existing) return { creditNote: existing, invoice };
+
+    const creditNote = await this.issue(this.creditNotePrefix, {
+      type: 'credit_note',
+      order: order._id,
+      customer: order.customer ? order.customer._id || order.customer : undefined,
+      refund: refund._id,
+      invoice: invoice._id,
+      amount: refund.amount,
+      taxAmount: refund.taxAmount,
+      currency: order.currency,
+      issuedAt: refund.createdAt
+    }, () => this.invoiceRepository.findCreditNoteForRefund(refund._id));
+
+    return { creditNote, invoice };
+  }
+
+  // Take the next number of a series
+  // A number is only used by saving its document, so a clash with a concurrent request
+  // is retried with the following number instead of leaving a gap; findIssued returns
+  // the document when the concurrent request issued the very same one
+  async issue(series, documentData, findIssued) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const sequence = await this.invoiceRepository.getLastSequence(series) + 1;
+
+      try {
+        return await this.invoiceRepository.create({
+          ...documentData,
+          series,
+          sequence,
+          number: `${series}-${String(sequence).padStart(6, '0')}`
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        const issued = await findIssued();
+        if (issued) return issued;
+      }
+    }
+
+    throw new AppError('Document numbering is busy. Please retry.', 409);
+  }
+
+  async findOrder(orderId, userId, userRole) {
+    const order = await this.orderRepository.findById(orderId);
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+
+    if (userRole !== 'admin' && !order.isOwnedBy(userId)) {
+      throw new AppError('Access denied', 403);
+    }
+
+    return order;
+  }
+}
+
+export default InvoiceService;
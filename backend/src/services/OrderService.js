@@ -6,86 +6,241 @@
 import OrderRepository from '../repositories/OrderRepository.js';
 import ProductRepository from '../repositories/ProductRepository.js';
 import UserRepository from '../repositories/UserRepository.js';
+import ReservationService from './ReservationService.js';
+import PromotionService from './PromotionService.js';
+import TaxService from './TaxService.js';
+import ShippingService from './ShippingService.js';
+import PaymentService from './PaymentService.js';
+import InvoiceService from './InvoiceService.js';
 import { AppError } from '../utils/AppError.js';
+import logger from '../utils/logger.js';
+import { signOrderLookupToken, verifyOrderLookupToken } from '../utils/orderLookupToken.js';
 import { validateOrder } from '../validators/orderValidator.js';
 
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
 class OrderService {
   constructor() {
     this.orderRepository = new OrderRepository();
     this.productRepository = new ProductRepository();
     this.userRepository = new UserRepository();
+    this.reservationService = new ReservationService();
+    this.promotionService = new PromotionService();
+    this.taxService = new TaxService();
+    this.shippingService = new ShippingService();
+    this.paymentService = new PaymentService();
+    this.invoiceService = new InvoiceService();
   }
 
-  // Create new order
+  // Create new order - without a customer it is a guest order
   async createOrder(orderData, customerId) {
     try {
+      const isGuest = !customerId;
+
       // Validate order data
-      const { error, value } = validateOrder(orderData);
+      const { error, value } = validateOrder(orderData, isGuest);
       if (error) {
         throw new AppError(error.details[0].message, 400);
       }
 
       // Check if customer exists
-      const customer = await this.userRepository.findById(customerId);
-      if (!customer) {
-        throw new AppError('Customer not found', 404);
+      if (!isGuest) {
+        const customer = await this.userRepository.findById(customerId);
+        if (!customer) {
+          throw new AppError('Customer not found', 404);
+        }
       }
 
       // Validate and process order items
       const processedItems = [];
+      const pricingItems = [];
+      const shippingLines = [];
+      const unavailableItems = [];
       let subtotal = 0;
 
       for (const item of value.items) {
         const product = await this.productRepository.findById(item.productId);
-        if (!product) {
-          throw new AppError(`Product ${item.productId} not found`, 404);
+        if (!product || !product.isActive || product.status !== 'active') {
+          unavailableItems.push({
+            productId: item.productId,
+            variantId: item.variantId,
+            name: product ? product.name : null,
+            requestedQuantity: item.quantity,
+            availableStock: 0,
+            message: `${product ? product.name : `Product ${item.productId}`} is no longer available`
+          });
+          continue;
         }
 
-        // Check stock availability
-        if (product.stock < item.quantity) {
-          throw new AppError(`Insufficient stock for ${product.name}. Available: ${product.stock}`, 400);
+        // Resolve the variant (if the product has any) for price and stock
+        const purchasable = product.resolvePurchasable(item.variantId);
+        if (!purchasable) {
+          unavailableItems.push({
+            productId: item.productId,
+            variantId: item.variantId,
+            name: product.name,
+            requestedQuantity: item.quantity,
+            availableStock: 0,
+            message: item.variantId
+              ? `Selected option for ${product.name} is no longer available`
+              : `Please select an option for ${product.name}`
+          });
+          continue;
         }
 
-        const itemTotal = product.price * item.quantity;
+        const itemTotal = purchasable.price * item.quantity;
         subtotal += itemTotal;
 
         processedItems.push({
           product: product._id,
+          variant: purchasable.variant ? purchasable.variant._id : undefined,
+          sku: purchasable.sku,
+          variantLabel: purchasable.label || undefined,
           name: product.name,
-          image: product.primaryImage || product.imageUrl,
-          price: product.price,
+          image: purchasable.image || product.imageUrl,
+          price: purchasable.price,
           quantity: item.quantity,
           total: itemTotal
         });
-
-        // Reserve stock (decrease inventory)
-        await this.productRepository.updateStock(product._id, -item.quantity);
+        pricingItems.push(this.toPricingItem(product, purchasable, item.quantity));
+        shippingLines.push({ product, quantity: item.quantity });
       }
 
-      // Calculate totals
-      const tax = subtotal * (value.taxRate || 0);
-      const shippingCost = value.shippingCost || 0;
-      const discount = value.discount || 0;
-      const total = subtotal + tax + shippingCost - discount;
+      if (unavailableItems.length > 0) {
+        throw this.createReservationError(unavailableItems);
+      }
 
-      // Create order
-      const order = await this.orderRepository.create({
-        customer: customerId,
-        items: processedItems,
+      // Price the chosen shipping method for the parcel and address
+      const shippingOption = await this.shippingService.quoteMethod({
+        lines: shippingLines,
         subtotal,
-        tax,
+        address: value.shipping.address,
+        method: value.shipping.method
+      });
+      const shippingCost = shippingOption.cost;
+      value.shipping.estimatedDeliveryDate = shippingOption.estimatedDelivery.latest;
+
+      // Check the coupon before any stock is held
+      const appliedPromotion = value.couponCode
+        ? await this.promotionService.applyCoupon(value.couponCode, {
+          items: pricingItems,
+          subtotal,
+          shippingCost,
+          customerId,
+          guestEmail: isGuest ? value.guest.email : undefined
+        })
+        : null;
+
+      // Tax each line on its discounted amount using the rates for the shipping address
+      const discount = appliedPromotion ? appliedPromotion.discount : 0;
+      pricingItems.forEach((item, index) => {
+        item.discount = appliedPromotion ? appliedPromotion.lineDiscounts[index] : 0;
+      });
+
+      const taxResult = await this.taxService.calculateTax({
+        items: pricingItems,
+        address: value.shipping.address,
         shippingCost,
-        discount,
-        total,
-        currency: value.currency || 'USD',
-        payment: {
-          method: value.paymentMethod,
-          status: 'pending'
-        },
-        shipping: value.shipping,
-        notes: value.notes || {}
+        shippingDiscount: appliedPromotion ? appliedPromotion.shippingDiscount : 0
       });
 
+      processedItems.forEach((item, index) => {
+        const line = taxResult.lines[index];
+        item.discount = pricingItems[index].discount;
+        item.taxClass = line.taxClass;
+        item.taxRate = line.rate;
+        item.tax = line.amount;
+      });
+
+      // Reserve stock for every item at once (all or nothing)
+      const { failed } = await this.productRepository.reserveStock(processedItems);
+      if (failed.length > 0) {
+        const stockLevels = await this.productRepository.getStockLevels(failed);
+
+        throw this.createReservationError(failed.map(item => {
+          const available = stockLevels.get(this.getStockKey(item)) || 0;
+          const name = item.variantLabel ? `${item.name} (${item.variantLabel})` : item.name;
+          return {
+            productId: item.product,
+            variantId: item.variant,
+            name,
+            requestedQuantity: item.quantity,
+            availableStock: available,
+            message: `Insufficient stock for ${name}. Available: ${available}`
+          };
+        }));
+      }
+
+      // Count the coupon redemption, giving the stock back if it was used up meanwhile
+      if (appliedPromotion) {
+        try {
+          await this.promotionService.claimUsage(appliedPromotion.promotion, {
+            customerId,
+            guestEmail: isGuest ? value.guest.email : undefined
+          });
+        } catch (claimError) {
+          await this.productRepository.releaseStock(processedItems);
+          throw claimError;
+        }
+      }
+
+      // Calculate totals - inclusive prices already contain the tax
+      const tax = taxResult.total;
+      const total = subtotal + (taxResult.pricesIncludeTax ? 0 : tax) + shippingCost - discount;
+
+      const payment = {
+        method: value.paymentMethod,
+        status: 'pending'
+      };
+      if (this.reservationService.requiresExpiry({ payment })) {
+        payment.expiresAt = this.reservationService.getExpiryDate();
+      }
+
+      // Create order and its reservations, releasing the stock if either fails
+      let order;
+      try {
+        order = await this.orderRepository.create({
+          customer: customerId || undefined,
+          guest: value.guest,
+          items: processedItems,
+          subtotal,
+          tax,
+          taxDetails: {
+            pricesIncludeTax: taxResult.pricesIncludeTax,
+            shippingTax: taxResult.shippingTax,
+            shippingTaxRate: taxResult.shippingTaxRate
+          },
+          shippingCost,
+          discount,
+          promotion: this.promotionService.toOrderPromotion(appliedPromotion),
+          total,
+          currency: value.currency || 'USD',
+          payment,
+          shipping: value.shipping,
+          notes: value.notes || {}
+        });
+
+        if (this.reservationService.requiresExpiry(order)) {
+          await this.reservationService.createForOrder(order);
+        }
+      } catch (createError) {
+        if (order) {
+          await this.orderRepository.deleteById(order._id);
+        }
+        await this.productRepository.releaseStock(processedItems);
+        await this.promotionService.releaseUsage(this.promotionService.toOrderPromotion(appliedPromotion));
+        throw createError;
+      }
+
+      if (isGuest) {
+        return {
+          success: true,
+          message: 'Order created successfully',
+          data: order,
+          lookupToken: signOrderLookupToken(order)
+        };
+      }
+
       // Clear customer's cart after successful order
       await this.userRepository.clearCart(customerId);
 
@@ -100,6 +255,69 @@ class OrderService {
     }
   }
 
+  // Create an order without an account - the response carries the guest's lookup token
+  async createGuestOrder(orderData) {
+    return await this.createOrder(orderData, null);
+  }
+
+  // Get a guest order with its lookup token
+  async getOrderByLookupToken(lookupToken) {
+    try {
+      const { orderNumber, email } = verifyOrderLookupToken(lookupToken);
+
+      const order = await this.orderRepository.findGuestOrder(orderNumber, email);
+      if (!order) {
+        throw new AppError('Order not found', 404);
+      }
+
+      return {
+        success: true,
+        data: order
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to fetch order', 500);
+    }
+  }
+
+  // Move guest orders placed with the customer's email into their account
+  // A lookup token claims its order; without one the email address must be verified
+  async claimGuestOrders(customerId, lookupToken) {
+    try {
+      const customer = await this.userRepository.findById(customerId);
+      if (!customer) {
+        throw new AppError('Customer not found', 404);
+      }
+
+      let orders;
+      if (lookupToken) {
+        const { orderNumber, email } = verifyOrderLookupToken(lookupToken);
+        if (email !== customer.email.toLowerCase()) {
+          throw new AppError('This order was placed with a different email address', 403);
+        }
+
+        orders = await this.orderRepository.claimGuestOrders(email, customerId, orderNumber);
+      } else {
+        if (!customer.emailVerified) {
+          throw new AppError('Verify your email address to claim guest orders, or claim an order with its lookup token', 403);
+        }
+
+        orders = await this.orderRepository.claimGuestOrders(customer.email, customerId);
+      }
+
+      return {
+        success: true,
+        message: orders.length > 0
+          ? `${orders.length} guest order(s) added to your account`
+          : 'No guest orders to claim',
+        data: orders
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to claim guest orders', 500);
+    }
+  }
+
   // Get order by ID
   async getOrderById(orderId, userId, userRole) {
     try {
@@ -109,7 +327,7 @@ class OrderService {
       }
 
       // Check if user has access to this order
-      if (userRole !== 'admin' && order.customer._id.toString() !== userId) {
+      if (userRole !== 'admin' && !order.isOwnedBy(userId)) {
         throw new AppError('Access denied', 403);
       }
 
@@ -132,7 +350,7 @@ class OrderService {
       }
 
       // Check if user has access to this order
-      if (userRole !== 'admin' && order.customer._id.toString() !== userId) {
+      if (userRole !== 'admin' && !order.isOwnedBy(userId)) {
         throw new AppError('Access denied', 403);
       }
 
@@ -202,13 +420,27 @@ class OrderService {
         throw new AppError('Order not found', 404);
       }
 
-      const updatedOrder = await this.orderRepository.updateStatus(orderId, newStatus, updatedBy, note);
+      // Shipped orders follow their shipments
+      if (order.shipments.length > 0 && ['shipped', 'delivered'].includes(newStatus)) {
+        throw new AppError(`This order has shipments - record or deliver shipments to make it ${newStatus}`, 400);
+      }
+
+      // Refunded orders follow the refund ledger
+      if (newStatus === 'refunded') {
+        throw new AppError('Refund orders with POST /api/orders/:id/refund - the refunded status follows the refund ledger', 400);
+      }
 
-      // Handle stock restoration if order is cancelled
-      if (newStatus === 'cancelled' && order.status !== 'cancelled') {
-        for (const item of order.items) {
-          await this.productRepository.updateStock(item.product, item.quantity);
+      // Cancelling restocks and refunds the order the same way cancelOrder does
+      // (admins can still cancel an order being processed)
+      let updatedOrder;
+      if (newStatus === 'cancelled') {
+        const cancellableStatuses = ['pending', 'confirmed', 'processing'];
+        if (!cancellableStatuses.includes(order.status)) {
+          throw new AppError(`Cannot transition from ${order.status} to cancelled`, 400);
         }
+        updatedOrder = await this.cancelAndRefund(orderId, cancellableStatuses, updatedBy, note || 'Order cancelled by admin');
+      } else {
+        updatedOrder = await this.orderRepository.updateStatus(orderId, newStatus, updatedBy, note);
       }
 
       return {
@@ -218,6 +450,9 @@ class OrderService {
       };
     } catch (error) {
       if (error instanceof AppError) throw error;
+      if (error.name === 'VersionError') {
+        throw new AppError('Order was modified by another request. Please retry.', 409);
+      }
       throw new AppError('Failed to update order status', 500);
     }
   }
@@ -230,19 +465,29 @@ class OrderService {
         throw new AppError('Order not found', 404);
       }
 
-      if (order.payment.status === 'completed') {
-        throw new AppError('Order payment already completed', 400);
+      if (Math.round(paymentData.amount * 100) !== Math.round(order.total * 100)) {
+        throw new AppError(`Payment amount must match the order total of ${order.total}`, 400);
       }
 
-      // Simulate payment processing
-      // In real application, integrate with payment gateway
-      const isPaymentSuccessful = await this.simulatePayment(paymentData);
-      
-      if (!isPaymentSuccessful) {
-        throw new AppError('Payment processing failed', 400);
+      // Capture through the order's payment provider (declines are recorded on the order)
+      const { provider, transactionId } = await this.paymentService.capturePayment(order, paymentData);
+
+      const updatedOrder = await this.orderRepository.processPayment(orderId, transactionId, provider);
+      if (!updatedOrder) {
+        // While the payment was captured the reservation expired and the order was cancelled,
+        // or another capture paid it first - this capture is never recorded, so give it back
+        const refund = await this.paymentService.refundCapture(order, { provider, transactionId });
+        const current = await this.orderRepository.findById(orderId);
+        const reason = current && current.status !== 'cancelled'
+          ? 'Order was already paid by another payment.'
+          : 'Order was cancelled before the payment completed.';
+        throw new AppError(refund
+          ? `${reason} The payment has been refunded.`
+          : `${reason} Contact support for a refund.`, 409);
       }
 
-      const updatedOrder = await this.orderRepository.processPayment(orderId, paymentData.transactionId);
+      // Reserved stock now belongs to a paid order
+      await this.reservationService.commitForOrder(orderId);
 
       return {
         success: true,
@@ -251,66 +496,208 @@ class OrderService {
       };
     } catch (error) {
       if (error instanceof AppError) throw error;
+      if (error.name === 'VersionError') {
+        throw new AppError('Order was modified by another request. Please retry.', 409);
+      }
       throw new AppError('Failed to process payment', 500);
     }
   }
 
   // Process refund
-  async processRefund(orderId, refundAmount, processedBy) {
+  // Refunds order lines (restocking their quantities) and/or shipping, or a custom amount;
+  // each refund is added to the order's refund ledger
+  async processRefund(orderId, refundData, processedBy) {
     try {
       const order = await this.orderRepository.findById(orderId);
       if (!order) {
         throw new AppError('Order not found', 404);
       }
 
-      if (order.payment.status !== 'completed') {
+      if (order.payment.status === 'refunded') {
+        throw new AppError('Order has already been fully refunded', 400);
+      }
+
+      if (!['completed', 'partially_refunded'].includes(order.payment.status)) {
         throw new AppError('Cannot refund unpaid order', 400);
       }
 
-      if (refundAmount > order.total) {
-        throw new AppError('Refund amount cannot exceed order total', 400);
+      const refund = this.buildRefund(order, refundData);
+      if (refund.amount > order.refundableAmount) {
+        throw new AppError(`Refund amount cannot exceed the refundable balance of ${order.refundableAmount}`, 400);
       }
+      refund.processedBy = processedBy;
 
-      const updatedOrder = await this.orderRepository.processRefund(orderId, refundAmount);
+      const updatedOrder = await this.recordRefund(order, refund);
 
-      // Restore stock for refunded items
-      for (const item of order.items) {
-        await this.productRepository.updateStock(item.product, item.quantity);
+      // Restore stock for the restockable returned quantities only
+      if (refund.restocked) {
+        await this.productRepository.releaseStock(refund.items
+          .filter(line => line.restockedQuantity > 0)
+          .map(line => ({ product: line.product, variant: line.variant, quantity: line.restockedQuantity })));
       }
 
       return {
         success: true,
         message: 'Refund processed successfully',
-        data: updatedOrder
+        data: updatedOrder,
+        refund: updatedOrder.refunds[updatedOrder.refunds.length - 1]
       };
     } catch (error) {
       if (error instanceof AppError) throw error;
+      if (error.name === 'VersionError') {
+        throw new AppError('Order was modified by another request. Please retry.', 409);
+      }
       throw new AppError('Failed to process refund', 500);
     }
   }
 
-  // Add tracking information
+  // Record a shipment (admin only)
+  // Ships the listed quantities, or every item not shipped yet; the order moves to
+  // partially_shipped until nothing is left to ship
+  async addShipment(orderId, shipmentData, createdBy) {
+    try {
+      const order = await this.orderRepository.findById(orderId);
+      if (!order) {
+        throw new AppError('Order not found', 404);
+      }
+
+      if (!['confirmed', 'processing', 'partially_shipped'].includes(order.status)) {
+        throw new AppError(`Cannot ship an order that is ${order.status}`, 400);
+      }
+
+      const unshipped = new Map(order.getUnshippedItems().map(line => [line.item.toString(), line]));
+      if (unshipped.size === 0) {
+        throw new AppError('Every item of this order has already shipped', 400);
+      }
+
+      const { items = [], ...details } = shipmentData;
+      for (const requested of items) {
+        const item = order.items.id(requested.itemId);
+        if (!item) {
+          throw new AppError(`Order item ${requested.itemId} not found`, 400);
+        }
+
+        const remaining = unshipped.get(item._id.toString());
+        if (!remaining || requested.quantity > remaining.quantity) {
+          throw new AppError(`Only ${remaining ? remaining.quantity : 0} of ${item.name} can still be shipped`, 400);
+        }
+      }
+
+      const updatedOrder = await this.orderRepository.addShipment(orderId, {
+        ...details,
+        items: items.map(requested => ({ item: requested.itemId, quantity: requested.quantity }))
+      }, createdBy);
+
+      return {
+        success: true,
+        message: 'Shipment added successfully',
+        data: updatedOrder,
+        shipment: updatedOrder.shipments[updatedOrder.shipments.length - 1]
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      if (error.name === 'VersionError') {
+        throw new AppError('Order was modified by another request. Please retry.', 409);
+      }
+      throw new AppError('Failed to add shipment', 500);
+    }
+  }
+
+  // Add tracking information - ships everything not shipped yet in one parcel
   async addTracking(orderId, trackingData, updatedBy) {
+    const { trackingNumber, carrier, shippedDate, estimatedDeliveryDate } = trackingData;
+    return await this.addShipment(orderId, { trackingNumber, carrier, shippedDate, estimatedDeliveryDate }, updatedBy);
+  }
+
+  // Mark a shipment delivered (admin only) - the order is delivered with its last shipment
+  async deliverShipment(orderId, shipmentId, deliveryData, updatedBy) {
     try {
       const order = await this.orderRepository.findById(orderId);
       if (!order) {
         throw new AppError('Order not found', 404);
       }
 
-      const updatedOrder = await this.orderRepository.addTracking(
-        orderId, 
-        trackingData.trackingNumber, 
-        trackingData.shippedDate
+      const shipment = order.shipments.id(shipmentId);
+      if (!shipment) {
+        throw new AppError('Shipment not found', 404);
+      }
+
+      if (shipment.deliveredDate) {
+        throw new AppError('Shipment has already been delivered', 400);
+      }
+
+      if (deliveryData.deliveredDate && deliveryData.deliveredDate < shipment.shippedDate) {
+        throw new AppError('Delivered date cannot be before the shipped date', 400);
+      }
+
+      const updatedOrder = await this.orderRepository.deliverShipment(
+        orderId,
+        shipmentId,
+        deliveryData.deliveredDate,
+        updatedBy
       );
 
       return {
         success: true,
-        message: 'Tracking information added successfully',
+        message: 'Shipment marked as delivered',
         data: updatedOrder
       };
     } catch (error) {
       if (error instanceof AppError) throw error;
-      throw new AppError('Failed to add tracking information', 500);
+      if (error.name === 'VersionError') {
+        throw new AppError('Order was modified by another request. Please retry.', 409);
+      }
+      throw new AppError('Failed to update shipment', 500);
+    }
+  }
+
+  // Get an order's shipments with their items and tracking, and the items still to ship
+  async getShipments(orderId, userId, userRole) {
+    try {
+      const order = await this.orderRepository.findById(orderId);
+      if (!order) {
+        throw new AppError('Order not found', 404);
+      }
+
+      if (userRole !== 'admin' && !order.isOwnedBy(userId)) {
+        throw new AppError('Access denied', 403);
+      }
+
+      const describe = (line) => {
+        const item = order.items.id(line.item);
+        return {
+          item: line.item,
+          name: item ? item.name : null,
+          variantLabel: item ? item.variantLabel : undefined,
+          image: item ? item.image : null,
+          quantity: line.quantity
+        };
+      };
+
+      return {
+        success: true,
+        data: {
+          orderNumber: order.orderNumber,
+          status: order.status,
+          shipments: order.shipments.map(shipment => ({
+            _id: shipment._id,
+            status: shipment.deliveredDate ? 'delivered' : 'shipped',
+            carrier: shipment.carrier,
+            trackingNumber: shipment.trackingNumber,
+            trackingUrl: shipment.trackingUrl,
+            shippedDate: shipment.shippedDate,
+            estimatedDeliveryDate: shipment.estimatedDeliveryDate,
+            deliveredDate: shipment.deliveredDate,
+            items: shipment.items.map(describe)
+          })),
+          unshippedItems: ['cancelled', 'refunded'].includes(order.status)
+            ? []
+            : order.getUnshippedItems().map(describe)
+        }
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to fetch shipments', 500);
     }
   }
 
@@ -407,7 +794,7 @@ class OrderService {
       }
 
       // Check if user has permission to cancel
-      if (userRole !== 'admin' && order.customer._id.toString() !== userId) {
+      if (userRole !== 'admin' && !order.isOwnedBy(userId)) {
         throw new AppError('Access denied', 403);
       }
 
@@ -416,22 +803,7 @@ class OrderService {
         throw new AppError('Order cannot be cancelled at this stage', 400);
       }
 
-      const updatedOrder = await this.orderRepository.updateStatus(
-        orderId, 
-        'cancelled', 
-        userId, 
-        reason || 'Order cancelled by customer'
-      );
-
-      // Restore stock
-      for (const item of order.items) {
-        await this.productRepository.updateStock(item.product, item.quantity);
-      }
-
-      // Process refund if payment was completed
-      if (order.payment.status === 'completed') {
-        await this.orderRepository.processRefund(orderId, order.total);
-      }
+      const updatedOrder = await this.cancelAndRefund(orderId, ['pending', 'confirmed'], userId, reason || 'Order cancelled by customer');
 
       return {
         success: true,
@@ -440,10 +812,43 @@ class OrderService {
       };
     } catch (error) {
       if (error instanceof AppError) throw error;
+      if (error.name === 'VersionError') {
+        throw new AppError('Order was modified by another request. Please retry.', 409);
+      }
       throw new AppError('Failed to cancel order', 500);
     }
   }
 
+  // Cancel unpaid orders whose stock reservation has expired
+  // Returns the number of orders cancelled
+  async expireUnpaidOrders() {
+    const orderIds = await this.reservationService.getExpiredOrderIds();
+    let expiredCount = 0;
+
+    for (const orderId of orderIds) {
+      try {
+        const order = await this.orderRepository.expireUnpaid(
+          orderId,
+          'Cancelled automatically: payment not received before reservation expired'
+        );
+
+        if (order) {
+          await this.productRepository.releaseStock(order.items);
+          await this.promotionService.releaseUsage(order.promotion);
+          expiredCount++;
+        }
+
+        await this.reservationService.expireForOrder(orderId);
+      } catch (error) {
+        // Another request changed the order first; it will be re-checked next sweep
+        if (error.name === 'VersionError') continue;
+        throw error;
+      }
+    }
+
+    return expiredCount;
+  }
+
   // Search orders
   async searchOrders(searchTerm, options = {}) {
     try {
@@ -460,17 +865,231 @@ class OrderService {
     }
   }
 
-  // Simulate payment processing (replace with real payment gateway)
-  async simulatePayment(paymentData) {
-    // Simulate payment delay
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    // Simulate 95% success rate
-    return Math.random() > 0.05;
+  // Key used to look up product or variant stock levels
+  getStockKey(item) {
+    const productId = (item.product._id || item.product).toString();
+    return item.variant ? `${productId}:${item.variant._id || item.variant}` : productId;
+  }
+
+  // Item shape used to work out promotion discounts
+  // categories holds the product's category then its ancestors (nearest first)
+  // for scoped promotions and tax classes
+  toPricingItem(product, purchasable, quantity) {
+    const category = product.category;
+
+    return {
+      product: product._id,
+      categories: category && category._id ? [category._id, ...[...(category.ancestors || [])].reverse()] : [],
+      price: purchasable.price,
+      quantity,
+      total: purchasable.price * quantity
+    };
+  }
+
+  // Work out a refund ledger entry from a validated refund request
+  // Line and shipping amounts are shares of what was charged (after discounts); the last
+  // unit of a line or the rest of the shipping takes whatever is left so rounding never drifts
+  buildRefund(order, refundData) {
+    const refund = {
+      items: [],
+      shippingAmount: 0,
+      shippingTax: 0,
+      reason: refundData.reason,
+      method: refundData.refundMethod || 'original_payment',
+      restocked: false,
+      return: refundData.returnId
+    };
+
+    // Custom amounts reverse tax in proportion (see Order.addRefund)
+    if (refundData.amount !== undefined) {
+      refund.amount = roundMoney(refundData.amount);
+      return refund;
+    }
+
+    const taxAdded = !(order.taxDetails && order.taxDetails.pricesIncludeTax);
+    const refundedItems = order.getRefundedItems();
+
+    for (const requested of refundData.items || []) {
+      const item = order.items.id(requested.itemId);
+      if (!item) {
+        throw new AppError(`Order item ${requested.itemId} not found`, 400);
+      }
+
+      const refunded = refundedItems.get(item._id.toString()) || { quantity: 0, amount: 0, tax: 0 };
+      const remaining = item.quantity - refunded.quantity;
+      if (requested.quantity > remaining) {
+        throw new AppError(`Only ${remaining} of ${item.name} can still be refunded`, 400);
+      }
+
+      const charged = item.total - (item.discount || 0);
+      const isLast = requested.quantity === remaining;
+      const tax = isLast
+        ? roundMoney((item.tax || 0) - refunded.tax)
+        : roundMoney((item.tax || 0) * requested.quantity / item.quantity);
+      const goods = isLast
+        ? roundMoney(charged - (refunded.amount - (taxAdded ? refunded.tax : 0)))
+        : roundMoney(charged * requested.quantity / item.quantity);
+
+      refund.items.push({
+        item: item._id,
+        product: item.product._id || item.product,
+        variant: item.variant,
+        name: item.name,
+        quantity: requested.quantity,
+        amount: roundMoney(goods + (taxAdded ? tax : 0)),
+        tax,
+        restockedQuantity: refundData.restock === false
+          ? 0
+          : Math.min(requested.restockQuantity ?? requested.quantity, requested.quantity)
+      });
+    }
+
+    if (refundData.shippingAmount !== undefined) {
+      const charged = roundMoney(order.shippingCost - (order.promotion ? order.promotion.shippingDiscount || 0 : 0));
+      const refundedShipping = roundMoney(order.refunds.reduce((sum, entry) => sum + entry.shippingAmount, 0));
+      const refundedShippingTax = roundMoney(order.refunds.reduce((sum, entry) => sum + entry.shippingTax, 0));
+      const remaining = roundMoney(charged - refundedShipping);
+
+      if (refundData.shippingAmount > remaining) {
+        throw new AppError(`Only ${remaining} of shipping can still be refunded`, 400);
+      }
+
+      const shippingTax = order.taxDetails ? order.taxDetails.shippingTax || 0 : 0;
+      refund.shippingAmount = roundMoney(refundData.shippingAmount);
+      refund.shippingTax = refund.shippingAmount === remaining
+        ? roundMoney(shippingTax - refundedShippingTax)
+        : roundMoney(shippingTax * refund.shippingAmount / charged);
+    }
+
+    refund.taxAmount = roundMoney(refund.items.reduce((sum, line) => sum + line.tax, 0) + refund.shippingTax);
+    refund.amount = roundMoney(
+      refund.items.reduce((sum, line) => sum + line.amount, 0) +
+      refund.shippingAmount +
+      (taxAdded ? refund.shippingTax : 0)
+    );
+    // Earlier custom refunds may have used up part of what the lines are worth
+    refund.amount = Math.min(refund.amount, order.refundableAmount);
+    refund.taxAmount = Math.min(refund.taxAmount, Math.max(0, roundMoney(order.tax - (order.payment.refundTax || 0))));
+    refund.restocked = refund.items.some(line => line.restockedQuantity > 0);
+
+    if (refund.amount <= 0) {
+      throw new AppError('Nothing left to refund', 400);
+    }
+
+    return refund;
+  }
+
+  // Pay a refund out and add it to the order's ledger
+  // Store credit and bank transfers are paid by the store, not through the payment provider
+  async recordRefund(order, refund) {
+    if (refund.method === 'original_payment') {
+      const providerRefund = await this.paymentService.refundPayment(
+        order,
+        refund.amount,
+        `refund:${order._id}:${order.refunds.length + 1}`
+      );
+      if (providerRefund) {
+        refund.provider = order.payment.provider;
+        refund.providerRefundId = providerRefund.refundId;
+      }
+    }
+
+    const updatedOrder = await this.orderRepository.addRefund(order._id, refund);
+
+    // Number the credit note now so credit notes follow the order refunds were made in
+    // (if this fails, it is issued when first downloaded)
+    try {
+      await this.invoiceService.issueCreditNote(updatedOrder, updatedOrder.refunds[updatedOrder.refunds.length - 1]);
+    } catch (error) {
+      logger.warn(`Credit note not issued for order ${order.orderNumber}: ${error.message}`);
+    }
+
+    return updatedOrder;
+  }
+
+  // Cancel an order still in one of fromStatuses, give back its stock, reservation and coupon use,
+  // and refund whatever has been paid and not refunded yet
+  // Stock and refund are worked out from the order as it was cancelled, so a request that
+  // changed it in the meantime (or cancelled it first) is never restocked or refunded twice
+  async cancelAndRefund(orderId, fromStatuses, cancelledBy, reason) {
+    const order = await this.orderRepository.cancel(orderId, fromStatuses, cancelledBy, reason);
+    if (!order) {
+      throw new AppError('Order was changed by another request and can no longer be cancelled', 409);
+    }
+
+    // Quantities earlier refunds restocked are already back
+    await this.productRepository.releaseStock(this.getUnrestockedItems(order));
+    await this.reservationService.releaseForOrder(order._id);
+    await this.promotionService.releaseUsage(order.promotion);
+
+    if (['completed', 'partially_refunded'].includes(order.payment.status) && order.refundableAmount > 0) {
+      const remaining = this.getRemainingRefund(order);
+      const refundRequest = remaining.items.length > 0 || remaining.shippingAmount
+        ? remaining
+        : { amount: order.refundableAmount };
+
+      const refund = this.buildRefund(order, { ...refundRequest, reason, restock: false });
+      refund.processedBy = cancelledBy;
+
+      await this.recordRefund(order, refund);
+    }
+
+    return order;
+  }
+
+  // Order lines less the quantities earlier refunds already put back in stock
+  getUnrestockedItems(order) {
+    const restocked = new Map();
+    for (const refund of order.refunds) {
+      for (const line of refund.items) {
+        const key = line.item.toString();
+        restocked.set(key, (restocked.get(key) || 0) + (line.restockedQuantity || 0));
+      }
+    }
+
+    return order.items
+      .map(item => ({
+        product: item.product,
+        variant: item.variant,
+        quantity: item.quantity - (restocked.get(item._id.toString()) || 0)
+      }))
+      .filter(item => item.quantity > 0);
+  }
+
+  // Refund request for everything not refunded yet
+  getRemainingRefund(order) {
+    const refundedItems = order.getRefundedItems();
+    const items = order.items
+      .map(item => ({
+        itemId: item._id,
+        quantity: item.quantity - (refundedItems.get(item._id.toString()) || { quantity: 0 }).quantity
+      }))
+      .filter(item => item.quantity > 0);
+
+    const shippingCharged = order.shippingCost - (order.promotion ? order.promotion.shippingDiscount || 0 : 0);
+    const shippingAmount = roundMoney(
+      shippingCharged - order.refunds.reduce((sum, entry) => sum + entry.shippingAmount, 0)
+    );
+
+    return {
+      items,
+      shippingAmount: shippingAmount > 0 ? shippingAmount : undefined
+    };
+  }
+
+  // Build a 409 error listing every item that could not be reserved
+  createReservationError(items) {
+    const error = new AppError(
+      `Unable to reserve stock for ${items.length} item(s): ${items.map(item => item.message).join('; ')}`,
+      409
+    );
+    error.details = items;
+    return error;
   }
 
   // Validate order can be created from cart
-  async validateCartForOrder(customerId) {
+  // An optional coupon code is checked and its discount previewed
+  async validateCartForOrder(customerId, couponCode) {
     try {
       const cart = await this.userRepository.getCart(customerId);
       
@@ -479,16 +1098,20 @@ class OrderService {
       }
 
       const validationResults = [];
+      const pricingItems = [];
       let hasErrors = false;
 
       for (const item of cart) {
         const product = await this.productRepository.findById(item.product._id);
+        const purchasable = product ? product.resolvePurchasable(item.variant) : null;
         
         const result = {
           productId: item.product._id,
+          variantId: item.variant,
           name: item.product.name,
+          variantLabel: purchasable ? purchasable.label : null,
           requestedQuantity: item.quantity,
-          availableStock: product ? product.stock : 0,
+          availableStock: purchasable ? purchasable.stock : 0,
           isValid: true,
           message: 'OK'
         };
@@ -497,20 +1120,50 @@ class OrderService {
           result.isValid = false;
           result.message = 'Product is no longer available';
           hasErrors = true;
-        } else if (product.stock < item.quantity) {
+        } else if (!purchasable) {
           result.isValid = false;
-          result.message = `Only ${product.stock} items available`;
+          result.message = item.variant
+            ? 'Selected option is no longer available'
+            : 'Please select an option for this product';
+          hasErrors = true;
+        } else if (purchasable.stock < item.quantity) {
+          result.isValid = false;
+          result.message = `Only ${purchasable.stock} items available`;
           hasErrors = true;
         }
 
+        if (result.isValid) {
+          pricingItems.push(this.toPricingItem(product, purchasable, item.quantity));
+        }
         validationResults.push(result);
       }
 
+      const subtotal = pricingItems.reduce((sum, item) => sum + item.total, 0);
+      const pricing = { subtotal, discount: 0 };
+
+      if (couponCode) {
+        try {
+          const applied = await this.promotionService.applyCoupon(couponCode, {
+            items: pricingItems,
+            subtotal,
+            customerId
+          });
+          pricing.discount = applied.discount;
+          pricing.promotion = this.promotionService.toOrderPromotion(applied);
+          // Shipping is not known yet, so free shipping is reported as a flag
+          pricing.freeShipping = applied.promotion.type === 'free_shipping';
+        } catch (couponError) {
+          if (!(couponError instanceof AppError) || couponError.statusCode !== 400) throw couponError;
+          pricing.couponError = couponError.message;
+        }
+      }
+
       return {
         success: true,
         data: {
           isValid: !hasErrors,
           items: validationResults,
+          pricing,
           message: hasErrors ? 'Some items in your cart are not available' : 'Cart is valid for checkout'
         }
       };
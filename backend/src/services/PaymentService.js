@@ -0,0 +1,347 @@
+/**
+ * Payment Service - Business logic layer for payments
+ * Talks to the payment provider for intents, captures and refunds, and applies
+ * provider webhooks to orders exactly once
+ */
+
+import OrderRepository from '../repositories/OrderRepository.js';
+import PaymentEventRepository from '../repositories/PaymentEventRepository.js';
+import ReservationService from './ReservationService.js';
+import { getPaymentProvider, hasPaymentProvider } from '../payments/index.js';
+import { AppError } from '../utils/AppError.js';
+import logger from '../utils/logger.js';
+import { verifyOrderLookupToken } from '../utils/orderLookupToken.js';
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+class PaymentService {
+  constructor() {
+    this.orderRepository = new OrderRepository();
+    this.paymentEventRepository = new PaymentEventRepository();
+    this.reservationService = new ReservationService();
+  }
+
+  // Start paying for an order - the client confirms the intent with the provider,
+  // which reports the result through the webhook
+  async createIntent(orderId, userId, userRole) {
+    try {
+      const order = await this.orderRepository.findById(orderId);
+      if (!order) {
+        throw new AppError('Order not found', 404);
+      }
+
+      if (userRole !== 'admin' && !order.isOwnedBy(userId)) {
+        throw new AppError('Access denied', 403);
+      }
+
+      return await this.startIntent(order);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to create payment intent', 500);
+    }
+  }
+
+  // Start paying for a guest order - the order lookup token stands in for signing in
+  async createGuestIntent(lookupToken) {
+    try {
+      const { orderNumber, email } = verifyOrderLookupToken(lookupToken);
+
+      const order = await this.orderRepository.findGuestOrder(orderNumber, email);
+      if (!order) {
+        throw new AppError('Order not found', 404);
+      }
+
+      return await this.startIntent(order);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to create payment intent', 500);
+    }
+  }
+
+  // Make sure a payable order has an intent and describe it for the client
+  async startIntent(order) {
+    this.assertPayable(order);
+
+    const { provider, intentId, clientSecret } = await this.ensureIntent(order);
+
+    return {
+      success: true,
+      data: {
+        provider: provider.name,
+        intentId,
+        clientSecret,
+        amount: order.total,
+        currency: order.currency
+      }
+    };
+  }
+
+  // Capture an order's payment through its provider
+  // Returns { provider, transactionId }; a declined payment is recorded and throws a 400
+  async capturePayment(order, { paymentToken } = {}) {
+    this.assertPayable(order);
+
+    const { provider, intentId } = await this.ensureIntent(order);
+    const result = await provider.capture(intentId, { amount: order.total, paymentToken });
+
+    if (result.status !== 'succeeded') {
+      await this.orderRepository.failPayment(order._id, result.failureReason);
+      throw new AppError(`Payment processing failed: ${result.failureReason || 'declined'}`, 400);
+    }
+
+    return { provider: provider.name, transactionId: result.transactionId };
+  }
+
+  // Give back a payment captured for an order that was cancelled, or paid by another capture,
+  // before it could be recorded
+  async refundCapture(order, { provider, transactionId }) {
+    const result = await getPaymentProvider(provider).refund(transactionId, roundMoney(order.total), {
+      reference: `unrecorded:${order._id}`
+    });
+
+    if (result.status !== 'succeeded') {
+      logger.error('Unrecorded payment could not be refunded', {
+        orderId: order._id,
+        provider,
+        transactionId
+      });
+      return null;
+    }
+
+    return result;
+  }
+
+  // Refund part or all of an order's payment through its provider
+  // Orders paid outside a provider (e.g. recorded manually) have nothing to call
+  async refundPayment(order, amount, reference) {
+    if (!order.payment.provider || !order.payment.transactionId) {
+      return null;
+    }
+
+    const provider = getPaymentProvider(order.payment.provider);
+    const result = await provider.refund(order.payment.transactionId, roundMoney(amount), { reference });
+
+    if (result.status !== 'succeeded') {
+      throw new AppError('Refund was declined by the payment provider', 400);
+    }
+
+    return result;
+  }
+
+  // Verify, record and apply a provider webhook
+  // Redelivered events are acknowledged without being applied again
+  async handleWebhook(providerName, rawBody, headers) {
+    if (!hasPaymentProvider(providerName)) {
+      throw new AppError(`Unknown payment provider: ${providerName}`, 404);
+    }
+
+    const provider = getPaymentProvider(providerName);
+    const event = provider.verifyWebhook(rawBody, headers);
+
+    let record;
+    try {
+      record = await this.paymentEventRepository.create({
+        provider: provider.name,
+        eventId: event.id,
+        type: event.type,
+        intentId: event.intentId,
+        payload: event.data
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // Only events that failed to apply are tried again
+      record = await this.paymentEventRepository.findByEventId(provider.name, event.id);
+      if (!record || record.status !== 'failed') {
+        return {
+          success: true,
+          message: 'Event already received',
+          data: { eventId: event.id, status: record ? record.status : 'received', duplicate: true }
+        };
+      }
+    }
+
+    try {
+      const outcome = await this.applyEvent(provider.name, event);
+      const updated = await this.paymentEventRepository.updateById(record._id, {
+        status: outcome.applied ? 'processed' : 'ignored',
+        order: outcome.orderId,
+        note: outcome.note,
+        processedAt: new Date()
+      });
+
+      return {
+        success: true,
+        message: 'Event processed',
+        data: { eventId: event.id, status: updated.status, duplicate: false }
+      };
+    } catch (error) {
+      await this.paymentEventRepository.updateById(record._id, {
+        status: 'failed',
+        note: error.message,
+        processedAt: new Date()
+      });
+
+      logger.error('❌ Payment webhook failed:', {
+        provider: provider.name,
+        eventId: event.id,
+        type: event.type,
+        error: error.message
+      });
+
+      // Ask the provider to redeliver it
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to process payment event', 500);
+    }
+  }
+
+  // Move the order's payment to the state the event reports
+  // Returns { applied, orderId, note }
+  async applyEvent(providerName, event) {
+    const order = await this.findEventOrder(providerName, event);
+    if (!order) {
+      return { applied: false, note: 'No order matches this event' };
+    }
+
+    const result = { applied: false, orderId: order._id };
+
+    switch (event.type) {
+      case 'payment.succeeded': {
+        if (order.payment.status === 'completed') {
+          return { ...result, note: 'Payment already completed' };
+        }
+        if (order.status === 'cancelled') {
+          logger.warn('Payment received for a cancelled order', { orderId: order._id, eventId: event.id });
+          return { ...result, note: 'Order was cancelled before the payment arrived - refund it' };
+        }
+        // The amount is required - an event without one cannot prove the order was paid in full
+        if (typeof event.amount !== 'number' || roundMoney(event.amount) !== roundMoney(order.total)) {
+          return { ...result, note: `Paid ${event.amount ?? 'no amount'}, which does not match the order total ${order.total}` };
+        }
+
+        // The sweeper can still cancel the order, or a direct capture pay it, up to this write, which then does nothing
+        const paidOrder = await this.orderRepository.processPayment(order._id, event.transactionId, providerName);
+        if (!paidOrder) {
+          const current = await this.orderRepository.findById(order._id);
+          if (current && current.status !== 'cancelled') {
+            return { ...result, note: 'Payment already completed' };
+          }
+          logger.warn('Payment received for a cancelled order', { orderId: order._id, eventId: event.id });
+          return { ...result, note: 'Order was cancelled before the payment arrived - refund it' };
+        }
+
+        await this.reservationService.commitForOrder(order._id);
+        return { ...result, applied: true };
+      }
+
+      case 'payment.failed': {
+        if (order.payment.status !== 'pending') {
+          return { ...result, note: `Payment is already ${order.payment.status}` };
+        }
+
+        await this.orderRepository.failPayment(order._id, event.data.failureReason || 'Payment failed');
+        return { ...result, applied: true };
+      }
+
+      case 'refund.succeeded': {
+        if (!['completed', 'partially_refunded'].includes(order.payment.status)) {
+          return { ...result, note: `Payment is ${order.payment.status}` };
+        }
+
+        // Refunds made through the API are already in the ledger when the event arrives
+        if (event.refundId && order.refunds.some(refund => refund.providerRefundId === event.refundId)) {
+          return { ...result, note: 'Refund already recorded' };
+        }
+
+        const amount = Math.min(
+          event.amount !== undefined ? roundMoney(event.amount) : order.refundableAmount,
+          order.refundableAmount
+        );
+        if (amount <= 0) {
+          return { ...result, note: 'Nothing left to refund' };
+        }
+
+        // Stock stays as is - a refund made at the provider doesn't mean the goods came back
+        await this.orderRepository.addRefund(order._id, {
+          amount,
+          reason: 'Refunded at the payment provider',
+          provider: providerName,
+          providerRefundId: event.refundId
+        });
+        return { ...result, applied: true };
+      }
+
+      default:
+        return { ...result, note: `Unhandled event type ${event.type}` };
+    }
+  }
+
+  // Get recorded provider events (admin only)
+  async getEvents(queryParams = {}) {
+    try {
+      const result = await this.paymentEventRepository.findAll({
+        page: parseInt(queryParams.page) || 1,
+        limit: parseInt(queryParams.limit) || 20,
+        order: queryParams.orderId,
+        provider: queryParams.provider,
+        status: queryParams.status,
+        type: queryParams.type
+      });
+
+      return {
+        success: true,
+        data: result.events,
+        pagination: result.pagination
+      };
+    } catch (error) {
+      throw new AppError('Failed to fetch payment events', 500);
+    }
+  }
+
+  // Order an event is about - by intent first, then by the order ID the provider echoes back
+  async findEventOrder(providerName, event) {
+    if (event.intentId) {
+      const order = await this.orderRepository.findByPaymentIntent(providerName, event.intentId);
+      if (order) return order;
+    }
+
+    if (event.orderId && /^[0-9a-fA-F]{24}$/.test(event.orderId)) {
+      return await this.orderRepository.findById(event.orderId);
+    }
+
+    return null;
+  }
+
+  // The order's intent with its provider (the default provider for orders not yet paid through one)
+  async ensureIntent(order) {
+    const provider = getPaymentProvider(order.payment.provider || undefined);
+    const { intentId, clientSecret } = await provider.createIntent({
+      orderId: order._id.toString(),
+      amount: order.total,
+      currency: order.currency,
+      metadata: { orderNumber: order.orderNumber }
+    });
+
+    if (order.payment.provider !== provider.name || order.payment.intentId !== intentId) {
+      await this.orderRepository.updateById(order._id, {
+        'payment.provider': provider.name,
+        'payment.intentId': intentId
+      });
+    }
+
+    return { provider, intentId, clientSecret };
+  }
+
+  assertPayable(order) {
+    // Refunded payments were completed first - a refund never reopens an order for payment
+    if (['completed', 'partially_refunded', 'refunded'].includes(order.payment.status)) {
+      throw new AppError('Order payment already completed', 400);
+    }
+
+    if (order.status === 'cancelled') {
+      throw new AppError('Order has been cancelled', 400);
+    }
+  }
+}
+
+export default PaymentService;
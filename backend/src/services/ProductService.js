@@ -4,12 +4,18 @@
  */
 
 import ProductRepository from '../repositories/ProductRepository.js';
+import CategoryService from './CategoryService.js';
+import ImageService from './ImageService.js';
+import SearchIndexService from './SearchIndexService.js';
 import { AppError } from '../utils/AppError.js';
-import { validateProduct } from '../validators/productValidator.js';
+import { validateProduct, validateProductQuery } from '../validators/productValidator.js';
 
 class ProductService {
   constructor() {
     this.productRepository = new ProductRepository();
+    this.categoryService = new CategoryService();
+    this.imageService = new ImageService();
+    this.searchIndexService = new SearchIndexService();
   }
 
   // Get all products with filtering and pagination
@@ -29,7 +35,10 @@ class ProductService {
         status: queryParams.status || 'active'
       };
 
-      const result = await this.productRepository.findAll(options);
+      const result = await this.productRepository.findAll({
+        ...options,
+        category: await this.getCategoryFilter(options.category)
+      });
       
       return {
         success: true,
@@ -103,16 +112,20 @@ class ProductService {
         throw new AppError(error.details[0].message, 400);
       }
 
+      value.category = await this.resolveCategoryId(value.category);
+
       // Add creator information
       value.createdBy = createdBy;
 
       // Process images if provided
       if (value.images && value.images.length > 0) {
         value.images = value.images.map((img, index) => ({
+          ...img,
           url: img.url || img,
           alt: img.alt || value.name,
           isPrimary: index === 0
         }));
+        value.imageUrl = value.imageUrl || value.images[0].url;
       } else if (value.imageUrl) {
         value.images = [{
           url: value.imageUrl,
@@ -122,6 +135,7 @@ class ProductService {
       }
 
       const product = await this.productRepository.create(value);
+      await this.searchIndexService.syncProducts([product._id]);
 
       return {
         success: true,
@@ -149,12 +163,22 @@ class ProductService {
         throw new AppError(error.details[0].message, 400);
       }
 
+      if (value.category) {
+        value.category = await this.resolveCategoryId(value.category);
+      }
+
       // Add modifier information
       value.modifiedBy = modifiedBy;
 
+      // Keep the product stock total in sync with its variants
+      if (value.variants) {
+        value.stock = this.sumVariantStock(value.variants);
+      }
+
       // Process images if provided
       if (value.images) {
         value.images = value.images.map((img, index) => ({
+          ...img,
           url: img.url || img,
           alt: img.alt || value.name || existingProduct.name,
           isPrimary: img.isPrimary || index === 0
@@ -162,6 +186,15 @@ class ProductService {
       }
 
       const updatedProduct = await this.productRepository.updateById(id, value);
+      await this.searchIndexService.syncProducts([id]);
+
+      // Remove files of uploaded images that were dropped from the product
+      if (value.images) {
+        const keptKeys = value.images.map(img => img.key).filter(Boolean);
+        await this.imageService.removeUnusedFiles(
+          existingProduct.images.filter(img => !keptKeys.includes(img.key))
+        );
+      }
 
       return {
         success: true,
@@ -183,6 +216,9 @@ class ProductService {
       }
 
       await this.productRepository.deleteById(id, deletedBy);
+      await this.searchIndexService.syncProducts([id]);
+
+      // Image files are kept - the product (and orders showing its images) stay in the database
 
       return {
         success: true,
@@ -208,18 +244,53 @@ class ProductService {
     }
   }
 
-  // Search products
-  async searchProducts(searchTerm, options = {}) {
+  // Search products with facet counts for the filter sidebar
+  async searchProducts(queryParams = {}) {
     try {
-      if (!searchTerm || searchTerm.trim().length < 2) {
-        throw new AppError('Search term must be at least 2 characters long', 400);
+      const { error, value } = validateProductQuery(queryParams);
+      if (error) {
+        throw new AppError(error.details[0].message, 400);
       }
 
-      const products = await this.productRepository.search(searchTerm, options);
+      const searchTerm = value.q || value.search;
+      const filters = {
+        search: searchTerm,
+        category: await this.getCategoryListFilter(this.parseListFilter(value.category)),
+        brand: this.parseListFilter(value.brand),
+        color: this.parseListFilter(value.color),
+        material: this.parseListFilter(value.material),
+        minPrice: value.minPrice,
+        maxPrice: value.maxPrice,
+        minRating: value.minRating,
+        inStock: value.inStock,
+        featured: value.featured
+      };
+
+      const result = await this.productRepository.facetedSearch(filters, {
+        page: value.page,
+        limit: value.limit,
+        sortBy: value.sortBy,
+        sortOrder: value.sortOrder
+      });
 
       return {
         success: true,
-        data: products,
+        data: result.products,
+        pagination: result.pagination,
+        facets: result.facets,
+        filters: {
+          category: this.parseListFilter(value.category),
+          brand: filters.brand,
+          color: filters.color,
+          material: filters.material,
+          priceRange: {
+            min: value.minPrice,
+            max: value.maxPrice
+          },
+          minRating: value.minRating,
+          inStock: value.inStock,
+          featured: value.featured
+        },
         searchTerm
       };
     } catch (error) {
@@ -228,36 +299,74 @@ class ProductService {
     }
   }
 
-  // Get product categories
-  async getCategories() {
-    try {
-      const categories = await this.productRepository.getCategories();
+  // Split a multi-select filter ("a,b" or ['a', 'b']) into trimmed values
+  parseListFilter(value) {
+    if (!value) return undefined;
 
-      return {
-        success: true,
-        data: categories
-      };
-    } catch (error) {
-      throw new AppError('Failed to fetch categories', 500);
-    }
+    const values = (Array.isArray(value) ? value : value.split(','))
+      .map(item => item.trim())
+      .filter(Boolean);
+
+    return values.length > 0 ? [...new Set(values)] : undefined;
+  }
+
+  // Get product categories as a tree with product counts
+  async getCategories() {
+    return await this.categoryService.getCategoryTree();
   }
 
-  // Get products by category
-  async getProductsByCategory(category, options = {}) {
+  // Get products by category, including products in its subcategories
+  async getProductsByCategory(categoryRef, options = {}) {
     try {
-      const result = await this.productRepository.getByCategory(category, options);
+      const category = await this.categoryService.resolveCategory(categoryRef);
+      if (!category || !category.isActive) {
+        throw new AppError('Category not found', 404);
+      }
+
+      const [categoryIds, categoryNode] = await Promise.all([
+        this.categoryService.resolveCategoryFilter(category._id),
+        this.categoryService.getCategoryNode(category)
+      ]);
+
+      const result = await this.productRepository.getByCategory(categoryIds, options);
 
       return {
         success: true,
         data: result.products,
         pagination: result.pagination,
-        category
+        category: categoryNode
       };
     } catch (error) {
+      if (error instanceof AppError) throw error;
       throw new AppError('Failed to fetch products by category', 500);
     }
   }
 
+  // Resolve a category filter to the category and its descendants
+  // Unknown categories match nothing rather than being ignored
+  async getCategoryFilter(categoryRef) {
+    if (!categoryRef) return undefined;
+    return (await this.categoryService.resolveCategoryFilter(categoryRef)) || [];
+  }
+
+  // Resolve several category filters to one combined list of category IDs
+  async getCategoryListFilter(categoryRefs) {
+    if (!categoryRefs) return undefined;
+
+    const idLists = await Promise.all(categoryRefs.map(ref => this.getCategoryFilter(ref)));
+    const ids = new Map(idLists.flat().map(id => [id.toString(), id]));
+    return [...ids.values()];
+  }
+
+  // Resolve a category ID, slug or name to the ID stored on the product
+  async resolveCategoryId(categoryRef) {
+    const category = await this.categoryService.resolveCategory(categoryRef);
+    if (!category) {
+      throw new AppError(`Category "${categoryRef}" does not exist`, 400);
+    }
+    return category._id;
+  }
+
   // Get low stock products (admin only)
   async getLowStockProducts() {
     try {
@@ -378,6 +487,7 @@ class ProductService {
   async bulkUpdateProducts(updates) {
     try {
       const result = await this.productRepository.bulkUpdate(updates);
+      await this.searchIndexService.syncProducts(updates.map(update => update.id));
 
       return {
         success: true,
@@ -392,26 +502,42 @@ class ProductService {
     }
   }
 
+  // Total stock across active variants
+  sumVariantStock(variants) {
+    return variants.reduce((sum, variant) => sum + (variant.isActive === false ? 0 : variant.stock || 0), 0);
+  }
+
   // Check stock availability
-  async checkStockAvailability(productId, quantity) {
+  async checkStockAvailability(productId, quantity, variantId = null) {
     try {
       const product = await this.productRepository.findById(productId);
       if (!product) {
         throw new AppError('Product not found', 404);
       }
 
-      const isAvailable = product.stock >= quantity;
+      const purchasable = product.resolvePurchasable(variantId);
+      if (!purchasable) {
+        throw new AppError(
+          variantId ? 'Variant not found' : 'Please select an option for this product',
+          variantId ? 404 : 400
+        );
+      }
+
+      const isAvailable = purchasable.stock >= quantity;
       
       return {
         success: true,
         data: {
           productId,
+          variantId: purchasable.variant ? purchasable.variant._id : undefined,
+          sku: purchasable.sku,
           requestedQuantity: quantity,
-          availableStock: product.stock,
+          availableStock: purchasable.stock,
+          availability: purchasable.variant ? purchasable.variant.availability : product.availability,
           isAvailable,
           message: isAvailable 
             ? 'Stock is available' 
-            : `Only ${product.stock} items available`
+            : `Only ${purchasable.stock} items available`
         }
       };
     } catch (error) {
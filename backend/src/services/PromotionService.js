@@ -0,0 +1,370 @@
+/**
+ * Promotion Service - Business logic layer for coupons and promotions
+ * Checks coupon eligibility and computes order discounts on the server
+ */
+
+import PromotionRepository from '../repositories/PromotionRepository.js';
+import { AppError } from '../utils/AppError.js';
+import { validatePromotion } from '../validators/promotionValidator.js';
+import logger from '../utils/logger.js';
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+class PromotionService {
+  constructor() {
+    this.promotionRepository = new PromotionRepository();
+  }
+
+  // Get promotions (admin only)
+  async getPromotions(queryParams = {}) {
+    try {
+      const result = await this.promotionRepository.findAll({
+        page: parseInt(queryParams.page) || 1,
+        limit: Math.min(parseInt(queryParams.limit) || 20, 100),
+        isActive: queryParams.isActive === undefined ? undefined : String(queryParams.isActive) === 'true',
+        search: queryParams.search
+      });
+
+      return {
+        success: true,
+        data: result.promotions,
+        pagination: result.pagination
+      };
+    } catch (error) {
+      throw new AppError('Failed to fetch promotions', 500);
+    }
+  }
+
+  // Get single promotion (admin only)
+  async getPromotion(id) {
+    try {
+      const promotion = await this.promotionRepository.findById(id);
+      if (!promotion) {
+        throw new AppError('Promotion not found', 404);
+      }
+
+      return {
+        success: true,
+        data: promotion
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to fetch promotion', 500);
+    }
+  }
+
+  // Create new promotion (admin only)
+  async createPromotion(promotionData, createdBy) {
+    try {
+      const { error, value } = validatePromotion(promotionData);
+      if (error) {
+        throw new AppError(error.details[0].message, 400);
+      }
+
+      this.checkTypeRules(value);
+      value.createdBy = createdBy;
+
+      const promotion = await this.promotionRepository.create(value);
+
+      return {
+        success: true,
+        message: 'Promotion created successfully',
+        data: promotion
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      if (error.code === 11000) {
+        throw new AppError('A promotion with this coupon code already exists', 400);
+      }
+      throw new AppError('Failed to create promotion', 500);
+    }
+  }
+
+  // Update promotion (admin only)
+  async updatePromotion(id, updateData, modifiedBy) {
+    try {
+      const promotion = await this.promotionRepository.findById(id);
+      if (!promotion) {
+        throw new AppError('Promotion not found', 404);
+      }
+
+      const { error, value } = validatePromotion(updateData, true);
+      if (error) {
+        throw new AppError(error.details[0].message, 400);
+      }
+
+      // Type rules apply to the promotion as it will be saved
+      this.checkTypeRules({ ...promotion.toObject(), ...value });
+      value.lastModifiedBy = modifiedBy;
+
+      const updatedPromotion = await this.promotionRepository.updateById(id, value);
+
+      return {
+        success: true,
+        message: 'Promotion updated successfully',
+        data: updatedPromotion
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      if (error.code === 11000) {
+        throw new AppError('A promotion with this coupon code already exists', 400);
+      }
+      throw new AppError('Failed to update promotion', 500);
+    }
+  }
+
+  // Deactivate promotion (admin only)
+  // Promotions are kept because past orders reference them
+  async deactivatePromotion(id, modifiedBy) {
+    try {
+      const promotion = await this.promotionRepository.updateById(id, {
+        isActive: false,
+        lastModifiedBy: modifiedBy
+      });
+      if (!promotion) {
+        throw new AppError('Promotion not found', 404);
+      }
+
+      return {
+        success: true,
+        message: 'Promotion deactivated successfully',
+        data: promotion
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to deactivate promotion', 500);
+    }
+  }
+
+  // Check the fields each promotion type needs, and the date range
+  checkTypeRules(promotion) {
+    if (promotion.startsAt && promotion.endsAt && new Date(promotion.endsAt) <= new Date(promotion.startsAt)) {
+      throw new AppError('End date must be after the start date', 400);
+    }
+
+    if (promotion.type === 'percentage' && !(promotion.value > 0 && promotion.value <= 100)) {
+      throw new AppError('Percentage promotions need a value between 0 and 100', 400);
+    }
+
+    if (promotion.type === 'fixed_amount' && !(promotion.value > 0)) {
+      throw new AppError('Fixed amount promotions need a value greater than 0', 400);
+    }
+
+    if (promotion.type === 'buy_x_get_y' && !(promotion.buyQuantity && promotion.getQuantity)) {
+      throw new AppError('Buy X get Y promotions need buyQuantity and getQuantity', 400);
+    }
+  }
+
+  // Check a coupon against an order and work out its discount
+  // items: [{ product, categories, price, quantity, total }] where categories is the
+  // product's category path; guests are limited per email address; throws a 400 explaining why a coupon cannot be used
+  async applyCoupon(code, { items, subtotal, shippingCost = 0, customerId, guestEmail }) {
+    const promotion = await this.promotionRepository.findByCode(code);
+    if (!promotion || !promotion.isActive) {
+      throw new AppError(`Coupon code ${code.toUpperCase()} is not valid`, 400);
+    }
+
+    const now = new Date();
+    if (promotion.startsAt && promotion.startsAt > now) {
+      throw new AppError(`Coupon code ${promotion.code} is not active yet`, 400);
+    }
+    if (promotion.endsAt && promotion.endsAt <= now) {
+      throw new AppError(`Coupon code ${promotion.code} has expired`, 400);
+    }
+    if (promotion.usageLimit && promotion.usageCount >= promotion.usageLimit) {
+      throw new AppError(`Coupon code ${promotion.code} has reached its usage limit`, 400);
+    }
+
+    const usageKey = this.getUsageKey(promotion, { customerId, guestEmail });
+    if (usageKey) {
+      const uses = await this.countCustomerUses(promotion, usageKey, { customerId, guestEmail });
+      if (uses >= promotion.usageLimitPerCustomer) {
+        throw new AppError(`You have already used coupon code ${promotion.code}`, 400);
+      }
+    }
+
+    if (subtotal < promotion.minOrderValue) {
+      throw new AppError(
+        `Coupon code ${promotion.code} requires a minimum order of ${promotion.minOrderValue.toFixed(2)}`,
+        400
+      );
+    }
+
+    const { itemDiscount, shippingDiscount, lineDiscounts } = this.calculateDiscount(promotion, items, shippingCost);
+
+    if (itemDiscount === 0 && promotion.type !== 'free_shipping') {
+      throw new AppError(`Coupon code ${promotion.code} does not apply to the items in your order`, 400);
+    }
+
+    return {
+      promotion,
+      itemDiscount,
+      shippingDiscount,
+      lineDiscounts,
+      discount: roundMoney(itemDiscount + shippingDiscount),
+      usageKey
+    };
+  }
+
+  // Compute the discount a promotion gives on a set of items
+  calculateDiscount(promotion, items, shippingCost = 0) {
+    const eligibleItems = items.filter(item => this.isEligibleItem(promotion, item));
+    const eligibleSubtotal = eligibleItems.reduce((sum, item) => sum + item.total, 0);
+
+    let itemDiscount = 0;
+    let shippingDiscount = 0;
+
+    switch (promotion.type) {
+      case 'percentage':
+        itemDiscount = eligibleSubtotal * promotion.value / 100;
+        if (promotion.maxDiscount) {
+          itemDiscount = Math.min(itemDiscount, promotion.maxDiscount);
+        }
+        break;
+
+      case 'fixed_amount':
+        itemDiscount = Math.min(promotion.value, eligibleSubtotal);
+        break;
+
+      case 'free_shipping':
+        shippingDiscount = shippingCost;
+        break;
+
+      case 'buy_x_get_y': {
+        // Group units from most to least expensive - the cheapest units
+        // of every full group are the discounted ones
+        const unitPrices = eligibleItems
+          .flatMap(item => Array(item.quantity).fill(item.price))
+          .sort((a, b) => b - a);
+        const groupSize = promotion.buyQuantity + promotion.getQuantity;
+        const groups = Math.floor(unitPrices.length / groupSize);
+
+        for (let group = 0; group < groups; group++) {
+          const start = group * groupSize + promotion.buyQuantity;
+          unitPrices.slice(start, start + promotion.getQuantity).forEach(price => {
+            itemDiscount += price * promotion.getDiscountPercent / 100;
+          });
+        }
+        break;
+      }
+    }
+
+    itemDiscount = roundMoney(itemDiscount);
+
+    return {
+      itemDiscount,
+      shippingDiscount: roundMoney(shippingDiscount),
+      lineDiscounts: this.allocateDiscount(items, eligibleItems, itemDiscount, eligibleSubtotal)
+    };
+  }
+
+  // Spread an item discount over the eligible lines by value, so tax can be
+  // charged on what each line actually costs; the last line takes the rounding remainder
+  allocateDiscount(items, eligibleItems, discount, eligibleSubtotal) {
+    const lastEligible = eligibleItems[eligibleItems.length - 1];
+    let remaining = discount;
+
+    return items.map(item => {
+      if (discount === 0 || !eligibleItems.includes(item)) return 0;
+      if (item === lastEligible) return roundMoney(remaining);
+
+      const share = roundMoney(discount * item.total / eligibleSubtotal);
+      remaining -= share;
+      return share;
+    });
+  }
+
+  // Whether an item falls within a promotion's product/category scope
+  isEligibleItem(promotion, item) {
+    const products = promotion.products || [];
+    const categories = promotion.categories || [];
+    if (products.length === 0 && categories.length === 0) return true;
+
+    const toId = (value) => (value && value._id ? value._id : value).toString();
+    const productId = toId(item.product);
+    const itemCategories = (item.categories || []).map(toId);
+
+    return products.some(product => toId(product) === productId) ||
+      categories.some(category => itemCategories.includes(toId(category)));
+  }
+
+  // Count a redemption once the order is being placed - against the customer's own limit
+  // first, then the overall limit (giving the customer's use back when that is reached)
+  async claimUsage(promotion, { customerId, guestEmail } = {}) {
+    const usageKey = this.getUsageKey(promotion, { customerId, guestEmail });
+
+    if (usageKey) {
+      const usage = await this.promotionRepository.findCustomerUsage(promotion._id, usageKey);
+      if (!usage) {
+        const usedBefore = await this.promotionRepository.countCustomerUsage(promotion._id, { customerId, guestEmail });
+        await this.promotionRepository.createCustomerUsage(promotion._id, usageKey, usedBefore);
+      }
+
+      const claimedByCustomer = await this.promotionRepository.claimCustomerUsage(
+        promotion._id,
+        usageKey,
+        promotion.usageLimitPerCustomer
+      );
+      if (!claimedByCustomer) {
+        throw new AppError(`You have already used coupon code ${promotion.code}`, 409);
+      }
+    }
+
+    const claimed = await this.promotionRepository.claimUsage(promotion._id);
+    if (!claimed) {
+      if (usageKey) {
+        await this.promotionRepository.releaseCustomerUsage(promotion._id, usageKey);
+      }
+      throw new AppError(`Coupon code ${promotion.code} has reached its usage limit`, 409);
+    }
+    return claimed;
+  }
+
+  // Give back a redemption when its order is cancelled or never created
+  // Takes the order's promotion snapshot; never throws - the cancellation has already happened
+  async releaseUsage(orderPromotion) {
+    if (!orderPromotion || !orderPromotion.promotion) return;
+
+    try {
+      await this.promotionRepository.releaseUsage(orderPromotion.promotion);
+      if (orderPromotion.usageKey) {
+        await this.promotionRepository.releaseCustomerUsage(orderPromotion.promotion, orderPromotion.usageKey);
+      }
+    } catch (error) {
+      logger.error(`❌ Failed to release usage of coupon ${orderPromotion.code}: ${error.message}`);
+    }
+  }
+
+  // Key a customer's redemptions are counted under, or null when the promotion has no per-customer limit
+  getUsageKey(promotion, { customerId, guestEmail }) {
+    if (!promotion.usageLimitPerCustomer) return null;
+    if (customerId) return `customer:${customerId}`;
+    if (guestEmail) return `guest:${guestEmail.trim().toLowerCase()}`;
+    return null;
+  }
+
+  // How many times a customer has used a promotion - counted orders until their usage is tracked
+  async countCustomerUses(promotion, usageKey, { customerId, guestEmail }) {
+    const usage = await this.promotionRepository.findCustomerUsage(promotion._id, usageKey);
+    if (usage) return usage.count;
+
+    return await this.promotionRepository.countCustomerUsage(promotion._id, { customerId, guestEmail });
+  }
+
+  // Snapshot of the applied promotion stored on the order
+  toOrderPromotion(applied) {
+    if (!applied) return undefined;
+
+    return {
+      promotion: applied.promotion._id,
+      code: applied.promotion.code,
+      name: applied.promotion.name,
+      type: applied.promotion.type,
+      itemDiscount: applied.itemDiscount,
+      shippingDiscount: applied.shippingDiscount,
+      usageKey: applied.usageKey || undefined
+    };
+  }
+}
+
+export default PromotionService;
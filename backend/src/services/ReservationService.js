@@ -0,0 +1,109 @@
+/**
+ * Reservation Service - Business logic layer for stock reservations
+ * Tracks stock held by unpaid orders and when that hold expires
+ */
+
+import ReservationRepository from '../repositories/ReservationRepository.js';
+import ProductRepository from '../repositories/ProductRepository.js';
+import { AppError } from '../utils/AppError.js';
+
+class ReservationService {
+  constructor() {
+    this.reservationRepository = new ReservationRepository();
+    this.productRepository = new ProductRepository();
+    this.ttlMinutes = parseInt(process.env.RESERVATION_TTL_MINUTES) || 30;
+  }
+
+  // Whether an order's stock should only be held for a limited time
+  // Cash on delivery stays pending until delivery, so it is never expired
+  requiresExpiry(order) {
+    return order.payment.status === 'pending' && order.payment.method !== 'cash_on_delivery';
+  }
+
+  // Get the expiry date for a reservation created now
+  getExpiryDate(from = new Date()) {
+    return new Date(from.getTime() + this.ttlMinutes * 60 * 1000);
+  }
+
+  // Record reservations for every item of a newly created order
+  async createForOrder(order) {
+    const expiresAt = order.payment.expiresAt || this.getExpiryDate();
+
+    return await this.reservationRepository.createMany(
+      order.items.map(item => ({
+        order: order._id,
+        product: item.product,
+        variant: item.variant,
+        quantity: item.quantity,
+        expiresAt
+      }))
+    );
+  }
+
+  // Payment completed - reservations become permanent
+  async commitForOrder(orderId) {
+    return await this.reservationRepository.resolveForOrder(orderId, 'committed');
+  }
+
+  // Order cancelled - stock has been returned
+  async releaseForOrder(orderId) {
+    return await this.reservationRepository.resolveForOrder(orderId, 'released');
+  }
+
+  // Order expired by the sweeper
+  async expireForOrder(orderId) {
+    return await this.reservationRepository.resolveForOrder(orderId, 'expired');
+  }
+
+  // Get orders with expired active reservations
+  async getExpiredOrderIds(limit = 100) {
+    return await this.reservationRepository.getExpiredOrderIds(new Date(), limit);
+  }
+
+  // Get reservations for an order
+  async getOrderReservations(orderId) {
+    return await this.reservationRepository.findByOrder(orderId);
+  }
+
+  // Get active reservations per product (admin only)
+  async getActiveReservations(productId) {
+    try {
+      if (productId && !/^[0-9a-fA-F]{24}$/.test(productId)) {
+        throw new AppError('Invalid productId format', 400);
+      }
+
+      const groups = await this.reservationRepository.getActiveByProduct(productId);
+
+      const products = await this.productRepository.findByIds(groups.map(group => group._id));
+      const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+      const data = groups.map(group => {
+        const product = productsById.get(group._id.toString());
+
+        return {
+          product: product ? {
+            _id: product._id,
+            name: product.name,
+            sku: product.sku,
+            stock: product.stock,
+            lowStockThreshold: product.lowStockThreshold
+          } : { _id: group._id },
+          availability: product ? product.availability : 'Unknown',
+          reservedQuantity: group.reservedQuantity,
+          reservations: group.reservations
+        };
+      });
+
+      return {
+        success: true,
+        data,
+        ttlMinutes: this.ttlMinutes
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to fetch reservations', 500);
+    }
+  }
+}
+
+export default ReservationService;
@@ -0,0 +1,340 @@
+/**
+ * Return Service - Business logic layer for customer returns (RMA)
+ * Customers request returns for delivered items; admins approve, receive and refund them
+ */
+
+import ReturnRepository from '../repositories/ReturnRepository.js';
+import OrderRepository from '../repositories/OrderRepository.js';
+import OrderService from './OrderService.js';
+import ImageService from './ImageService.js';
+import { AppError } from '../utils/AppError.js';
+import {
+  validateReturnRequest,
+  validateReturnReceipt,
+  validateReturnQuery
+} from '../validators/returnValidator.js';
+
+class ReturnService {
+  constructor() {
+    this.returnRepository = new ReturnRepository();
+    this.orderRepository = new OrderRepository();
+    this.orderService = new OrderService();
+    this.imageService = new ImageService();
+    // Days after delivery a return can be requested
+    this.windowDays = parseInt(process.env.RETURN_WINDOW_DAYS) || 30;
+  }
+
+  // Request a return (customer)
+  async requestReturn(returnData, files, customerId) {
+    let photos = [];
+    try {
+      const { error, value } = validateReturnRequest(returnData);
+      if (error) {
+        throw new AppError(error.details[0].message, 400);
+      }
+
+      const order = await this.orderRepository.findById(value.orderId);
+      if (!order || !order.isOwnedBy(customerId)) {
+        throw new AppError('Order not found', 404);
+      }
+
+      if (order.status !== 'delivered') {
+        throw new AppError('Only delivered orders can be returned', 400);
+      }
+
+      const deadline = this.getReturnDeadline(order);
+      if (deadline < new Date()) {
+        throw new AppError(`The ${this.windowDays}-day return window for this order closed on ${deadline.toDateString()}`, 400);
+      }
+
+      const items = await this.resolveReturnItems(order, value.items);
+
+      if (files && files.length > 0) {
+        ({ data: photos } = await this.imageService.uploadImages(files, `Return photo for ${order.orderNumber}`, 'returns'));
+      }
+
+      const returnRequest = await this.returnRepository.create({
+        order: order._id,
+        customer: customerId,
+        items,
+        reasonCode: value.reasonCode,
+        reason: value.reason,
+        photos: photos.map(({ url, key, renditions }) => ({ url, key, renditions })),
+        statusHistory: [{ status: 'requested', updatedBy: customerId, note: value.reason }]
+      });
+
+      await this.orderRepository.addHistoryNote(
+        order._id,
+        `Return ${returnRequest.rmaNumber} requested for ${returnRequest.itemCount} item(s): ${value.reasonCode}`,
+        customerId
+      );
+
+      return {
+        success: true,
+        message: 'Return requested successfully',
+        data: returnRequest
+      };
+    } catch (error) {
+      await this.imageService.removeUnusedFiles(photos);
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to request return', 500);
+    }
+  }
+
+  // Get returns - customers see their own
+  async getReturns(queryParams, userId, userRole) {
+    try {
+      const { error, value } = validateReturnQuery(queryParams);
+      if (error) {
+        throw new AppError(error.details[0].message, 400);
+      }
+
+      const result = await this.returnRepository.findAll({
+        ...value,
+        customerId: userRole === 'admin' ? value.customerId : userId
+      });
+
+      return {
+        success: true,
+        data: result.returns,
+        pagination: result.pagination
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to fetch returns', 500);
+    }
+  }
+
+  // Get return by ID
+  async getReturnById(id, userId, userRole) {
+    try {
+      const returnRequest = await this.returnRepository.findById(id);
+      if (!returnRequest) {
+        throw new AppError('Return not found', 404);
+      }
+
+      if (userRole !== 'admin' && returnRequest.customer._id.toString() !== userId) {
+        throw new AppError('Access denied', 403);
+      }
+
+      return {
+        success: true,
+        data: returnRequest
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to fetch return', 500);
+    }
+  }
+
+  // Approve a return (admin only) - the customer can send the items back
+  async approveReturn(id, adminId, note) {
+    return await this.decide(id, 'approved', adminId, note || 'Return approved');
+  }
+
+  // Reject a return (admin only)
+  async rejectReturn(id, adminId, reason) {
+    return await this.decide(id, 'rejected', adminId, reason);
+  }
+
+  // Record the returned items' condition, then refund them (admin only)
+  // Every received unit is refunded; only restockable units go back in stock
+  async receiveReturn(id, receiptData, adminId) {
+    try {
+      const { error, value } = validateReturnReceipt(receiptData);
+      if (error) {
+        throw new AppError(error.details[0].message, 400);
+      }
+
+      const returnRequest = await this.findReturn(id);
+      if (returnRequest.status !== 'approved') {
+        throw new AppError(`Only approved returns can be received (this one is ${returnRequest.status})`, 400);
+      }
+
+      const conditions = this.resolveConditions(returnRequest, value.items);
+      const damaged = [...conditions.values()].reduce((sum, condition) => sum + condition.damagedQuantity, 0);
+      const received = await this.returnRepository.recordReceipt(
+        id,
+        conditions,
+        adminId,
+        value.note || (damaged > 0 ? `Received, ${damaged} unit(s) damaged` : 'Received in restockable condition')
+      );
+
+      await this.orderRepository.addHistoryNote(
+        returnRequest.order._id,
+        `Return ${returnRequest.rmaNumber} received (${damaged} damaged unit(s))`,
+        adminId
+      );
+
+      return await this.refundReturn(received._id, adminId, value.refundMethod);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      if (error.name === 'VersionError') {
+        throw new AppError('Return was modified by another request. Please retry.', 409);
+      }
+      throw new AppError('Failed to receive return', 500);
+    }
+  }
+
+  // Refund a received return (admin only) - also retries a refund that failed on receipt
+  async refundReturn(id, adminId, refundMethod = 'original_payment') {
+    try {
+      const returnRequest = await this.findReturn(id);
+      if (returnRequest.status !== 'received') {
+        throw new AppError(`Only received returns can be refunded (this one is ${returnRequest.status})`, 400);
+      }
+
+      const orderId = returnRequest.order._id;
+      const { refund } = await this.orderService.processRefund(orderId, {
+        items: returnRequest.items.map(item => ({
+          itemId: item.item.toString(),
+          quantity: item.restockableQuantity + item.damagedQuantity,
+          restockQuantity: item.restockableQuantity
+        })),
+        reason: `Return ${returnRequest.rmaNumber}`,
+        refundMethod,
+        returnId: returnRequest._id
+      }, adminId);
+
+      const updatedReturn = await this.returnRepository.recordRefund(id, refund, adminId);
+
+      await this.orderRepository.addHistoryNote(
+        orderId,
+        `Return ${returnRequest.rmaNumber} refunded $${refund.amount}`,
+        adminId
+      );
+
+      return {
+        success: true,
+        message: 'Return received and refunded successfully',
+        data: updatedReturn
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      if (error.name === 'VersionError') {
+        throw new AppError('Return was modified by another request. Please retry.', 409);
+      }
+      throw new AppError('Failed to refund return', 500);
+    }
+  }
+
+  // Approve or reject a requested return
+  async decide(id, status, adminId, note) {
+    try {
+      const returnRequest = await this.findReturn(id);
+      if (returnRequest.status !== 'requested') {
+        throw new AppError(`Return has already been ${returnRequest.status}`, 400);
+      }
+
+      const updatedReturn = await this.returnRepository.updateStatus(
+        id,
+        status,
+        adminId,
+        note,
+        status === 'rejected' ? { rejectionReason: note } : {}
+      );
+
+      await this.orderRepository.addHistoryNote(
+        returnRequest.order._id,
+        `Return ${returnRequest.rmaNumber} ${status}: ${note}`,
+        adminId
+      );
+
+      return {
+        success: true,
+        message: `Return ${status} successfully`,
+        data: updatedReturn
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      if (error.name === 'VersionError') {
+        throw new AppError('Return was modified by another request. Please retry.', 409);
+      }
+      throw new AppError('Failed to update return', 500);
+    }
+  }
+
+  // Last day a return can be requested
+  // Orders delivered before delivery dates were recorded use their "delivered" status change
+  getReturnDeadline(order) {
+    const deliveredEntry = [...order.statusHistory].reverse().find(entry => entry.status === 'delivered');
+    const deliveredAt = order.shipping.actualDeliveryDate || (deliveredEntry ? deliveredEntry.updatedAt : order.updatedAt);
+
+    return new Date(new Date(deliveredAt).getTime() + this.windowDays * 24 * 60 * 60 * 1000);
+  }
+
+  // Check requested quantities against what was bought, refunded or is already being returned
+  async resolveReturnItems(order, requestedItems) {
+    const refundedItems = order.getRefundedItems();
+    const openReturns = await this.returnRepository.findOpenForOrder(order._id);
+    const inReturn = new Map();
+    for (const openReturn of openReturns) {
+      for (const line of openReturn.items) {
+        const key = line.item.toString();
+        inReturn.set(key, (inReturn.get(key) || 0) + line.quantity);
+      }
+    }
+
+    return requestedItems.map(requested => {
+      const item = order.items.id(requested.itemId);
+      if (!item) {
+        throw new AppError(`Order item ${requested.itemId} not found`, 400);
+      }
+
+      const key = item._id.toString();
+      const returnable = item.quantity
+        - (refundedItems.get(key) || { quantity: 0 }).quantity
+        - (inReturn.get(key) || 0);
+      if (requested.quantity > returnable) {
+        throw new AppError(`Only ${Math.max(returnable, 0)} of ${item.name} can be returned`, 400);
+      }
+
+      return {
+        item: item._id,
+        product: item.product._id || item.product,
+        variant: item.variant,
+        name: item.name,
+        quantity: requested.quantity
+      };
+    });
+  }
+
+  // Condition of each returned line - lines not listed arrived restockable
+  resolveConditions(returnRequest, receivedItems = []) {
+    const reported = new Map(receivedItems.map(item => [item.itemId, item]));
+    const conditions = new Map();
+
+    for (const item of returnRequest.items) {
+      const key = item.item.toString();
+      const report = reported.get(key);
+      reported.delete(key);
+
+      const damagedQuantity = report ? report.damagedQuantity : 0;
+      const restockableQuantity = report && report.restockableQuantity !== undefined
+        ? report.restockableQuantity
+        : item.quantity - damagedQuantity;
+
+      if (restockableQuantity < 0 || restockableQuantity + damagedQuantity !== item.quantity) {
+        throw new AppError(`Restockable and damaged units of ${item.name} must add up to ${item.quantity}`, 400);
+      }
+
+      conditions.set(key, { restockableQuantity, damagedQuantity });
+    }
+
+    if (reported.size > 0) {
+      throw new AppError(`Item ${[...reported.keys()][0]} is not part of this return`, 400);
+    }
+
+    return conditions;
+  }
+
+  async findReturn(id) {
+    const returnRequest = await this.returnRepository.findById(id);
+    if (!returnRequest) {
+      throw new AppError('Return not found', 404);
+    }
+    return returnRequest;
+  }
+}
+
+export default ReturnService;
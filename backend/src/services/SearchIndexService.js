@@ -0,0 +1,244 @@
+/**
+ * Search Index Service - Business logic layer for product suggestions
+ * Maintains the trigram index and ranks typo-tolerant autocomplete results
+ */
+
+import SearchIndexRepository from '../repositories/SearchIndexRepository.js';
+import ProductRepository from '../repositories/ProductRepository.js';
+import { AppError } from '../utils/AppError.js';
+import { tokenize, trigrams, wordSimilarity } from '../utils/textSearch.js';
+import logger from '../utils/logger.js';
+
+// Weight of each field when a query word matches it
+const FIELD_WEIGHTS = {
+  name: 1,
+  brand: 0.9,
+  category: 0.8,
+  sku: 0.7
+};
+
+// Word similarity below this is not considered a match
+const MIN_WORD_SIMILARITY = 0.45;
+
+// Share of the query's trigrams a candidate must have (unless a word starts with the last query word)
+const MIN_SHARED_GRAMS_RATIO = 0.3;
+
+class SearchIndexService {
+  constructor() {
+    this.searchIndexRepository = new SearchIndexRepository();
+    this.productRepository = new ProductRepository();
+    this.batchSize = 500;
+  }
+
+  // Build the index entry for a product (category populated with its name)
+  buildEntry(product) {
+    const fields = {
+      name: tokenize(product.name),
+      brand: tokenize(product.brand),
+      category: tokenize(product.category && product.category.name),
+      sku: tokenize(product.sku)
+    };
+    const words = [...new Set(Object.values(fields).flat())];
+
+    return {
+      product: product._id,
+      fields,
+      words,
+      grams: trigrams(words),
+      indexedAt: new Date()
+    };
+  }
+
+  // Whether a product should appear in suggestions
+  isSearchable(product) {
+    return product.isActive && product.status === 'active';
+  }
+
+  // Refresh the entries for the given products
+  async indexProducts(productIds) {
+    const cursor = this.productRepository.streamForSearchIndex({ _id: { $in: productIds } });
+
+    for await (const product of cursor) {
+      if (this.isSearchable(product)) {
+        await this.searchIndexRepository.upsert(this.buildEntry(product));
+      } else {
+        await this.searchIndexRepository.removeByProduct(product._id);
+      }
+    }
+  }
+
+  // Keep the index in sync without failing the request that changed the product
+  async syncProducts(productIds) {
+    try {
+      await this.indexProducts(productIds);
+    } catch (error) {
+      logger.warn(`⚠️ Search index update failed for ${productIds.length} product(s): ${error.message}`);
+    }
+  }
+
+  // Refresh every product in a category after the category is renamed
+  async syncCategory(categoryId) {
+    try {
+      const cursor = this.productRepository.streamForSearchIndex({ category: categoryId });
+      const productIds = [];
+
+      for await (const product of cursor) {
+        productIds.push(product._id);
+      }
+
+      await this.indexProducts(productIds);
+    } catch (error) {
+      logger.warn(`⚠️ Search index update failed for category ${categoryId}: ${error.message}`);
+    }
+  }
+
+  // Rebuild the whole index from the product collection
+  async rebuild() {
+    const startedAt = new Date();
+    const cursor = this.productRepository.streamForSearchIndex({ isActive: true, status: 'active' });
+
+    let batch = [];
+    let indexed = 0;
+
+    for await (const product of cursor) {
+      batch.push(this.buildEntry(product));
+
+      if (batch.length >= this.batchSize) {
+        await this.searchIndexRepository.bulkUpsert(batch);
+        indexed += batch.length;
+        batch = [];
+      }
+    }
+
+    await this.searchIndexRepository.bulkUpsert(batch);
+    indexed += batch.length;
+
+    // Anything not refreshed belongs to a deleted or inactive product
+    const { deletedCount } = await this.searchIndexRepository.removeIndexedBefore(startedAt);
+
+    return { indexed, removed: deletedCount };
+  }
+
+  // Build the index on first start
+  async ensureBuilt() {
+    const count = await this.searchIndexRepository.count();
+    if (count > 0) return null;
+
+    const result = await this.rebuild();
+    logger.info(`🔎 Search index built (${result.indexed} products)`);
+    return result;
+  }
+
+  // Rebuild the index (admin only)
+  async rebuildIndex() {
+    try {
+      const result = await this.rebuild();
+
+      return {
+        success: true,
+        message: 'Search index rebuilt successfully',
+        data: result
+      };
+    } catch (error) {
+      throw new AppError('Failed to rebuild search index', 500);
+    }
+  }
+
+  // Score how well one query word matches an indexed entry
+  // A word that is a prefix of an indexed word counts as a full match,
+  // otherwise the best trigram similarity is used
+  scoreWord(queryWord, entry, isLastWord) {
+    let best = { score: 0, field: null, word: null };
+
+    for (const [field, words] of Object.entries(entry.fields)) {
+      for (const word of words || []) {
+        let score;
+        if (word === queryWord) {
+          score = 1;
+        } else if (isLastWord && word.startsWith(queryWord)) {
+          score = 0.95;
+        } else if (queryWord.length >= 3) {
+          score = wordSimilarity(queryWord, word);
+          if (score < MIN_WORD_SIMILARITY) score = 0;
+        } else {
+          score = 0;
+        }
+
+        score *= FIELD_WEIGHTS[field];
+        if (score > best.score) {
+          best = { score, field, word };
+        }
+      }
+    }
+
+    return best;
+  }
+
+  // Get typo-tolerant suggestions for a partial query
+  async suggest(query, limit = 8) {
+    try {
+      const queryWords = tokenize(query);
+      if (queryWords.length === 0) {
+        throw new AppError('Search query is required', 400);
+      }
+
+      const lastWord = queryWords[queryWords.length - 1];
+      const grams = trigrams(queryWords);
+      const candidates = await this.searchIndexRepository.findCandidates(
+        grams,
+        lastWord,
+        limit * 6,
+        Math.max(1, Math.ceil(grams.length * MIN_SHARED_GRAMS_RATIO))
+      );
+
+      const suggestions = [];
+      const completions = new Map();
+
+      for (const candidate of candidates) {
+        const matches = queryWords.map((word, index) =>
+          this.scoreWord(word, candidate, index === queryWords.length - 1)
+        );
+
+        // Every query word has to match something
+        if (matches.some(match => match.score === 0)) continue;
+
+        const relevance = matches.reduce((sum, match) => sum + match.score, 0) / matches.length;
+        const { product, popularity } = candidate;
+
+        const lastMatch = matches[matches.length - 1];
+        completions.set(lastMatch.word, (completions.get(lastMatch.word) || 0) + 1);
+
+        suggestions.push({
+          _id: product._id,
+          name: product.name,
+          slug: product.slug,
+          brand: product.brand,
+          sku: product.sku,
+          price: product.price,
+          imageUrl: product.imageUrl,
+          inStock: product.stock > 0,
+          matchedFields: [...new Set(matches.map(match => match.field))],
+          // Popularity only breaks ties between similarly relevant products
+          score: Math.round((relevance + popularity) * 1000) / 1000
+        });
+      }
+
+      suggestions.sort((a, b) => b.score - a.score);
+
+      return {
+        success: true,
+        data: suggestions.slice(0, limit),
+        completions: [...completions.entries()]
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 5)
+          .map(([word]) => word),
+        query
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to fetch suggestions', 500);
+    }
+  }
+}
+
+export default SearchIndexService;
@@ -0,0 +1,340 @@
+/**
+ * Shipping Service - Business logic layer for shipping rates
+ * Prices each shipping method for a parcel and address, and estimates delivery dates
+ */
+
+import ShippingZoneRepository from '../repositories/ShippingZoneRepository.js';
+import ProductRepository from '../repositories/ProductRepository.js';
+import UserRepository from '../repositories/UserRepository.js';
+import CartRepository from '../repositories/CartRepository.js';
+import { AppError } from '../utils/AppError.js';
+import { validateShippingZone, validateShippingQuote } from '../validators/shippingValidator.js';
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const METHOD_LABELS = {
+  standard: 'Standard Shipping',
+  express: 'Express Shipping',
+  overnight: 'Overnight Shipping',
+  pickup: 'Store Pickup'
+};
+
+class ShippingService {
+  constructor() {
+    this.shippingZoneRepository = new ShippingZoneRepository();
+    this.productRepository = new ProductRepository();
+    this.userRepository = new UserRepository();
+    this.cartRepository = new CartRepository();
+    // cm³ per kg used by carriers to turn parcel size into weight
+    this.volumetricDivisor = parseInt(process.env.SHIPPING_VOLUMETRIC_DIVISOR) || 5000;
+    // Charged for standard shipping until the first shipping zone is set up
+    this.flatRate = parseFloat(process.env.SHIPPING_FLAT_RATE) || 0;
+  }
+
+  // Get shipping zones (admin only)
+  async getZones() {
+    try {
+      const zones = await this.shippingZoneRepository.findAll();
+
+      return {
+        success: true,
+        data: zones
+      };
+    } catch (error) {
+      throw new AppError('Failed to fetch shipping zones', 500);
+    }
+  }
+
+  // Create new shipping zone (admin only)
+  async createZone(zoneData, createdBy) {
+    try {
+      const { error, value } = validateShippingZone(zoneData);
+      if (error) {
+        throw new AppError(error.details[0].message, 400);
+      }
+
+      value.createdBy = createdBy;
+      const zone = await this.shippingZoneRepository.create(value);
+
+      return {
+        success: true,
+        message: 'Shipping zone created successfully',
+        data: zone
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to create shipping zone', 500);
+    }
+  }
+
+  // Update shipping zone (admin only)
+  async updateZone(id, updateData, modifiedBy) {
+    try {
+      const { error, value } = validateShippingZone(updateData, true);
+      if (error) {
+        throw new AppError(error.details[0].message, 400);
+      }
+
+      value.lastModifiedBy = modifiedBy;
+      const zone = await this.shippingZoneRepository.updateById(id, value);
+      if (!zone) {
+        throw new AppError('Shipping zone not found', 404);
+      }
+
+      return {
+        success: true,
+        message: 'Shipping zone updated successfully',
+        data: zone
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to update shipping zone', 500);
+    }
+  }
+
+  // Delete shipping zone (admin only)
+  async deleteZone(id) {
+    try {
+      const zone = await this.shippingZoneRepository.deleteById(id);
+      if (!zone) {
+        throw new AppError('Shipping zone not found', 404);
+      }
+
+      return {
+        success: true,
+        message: 'Shipping zone deleted successfully'
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to delete shipping zone', 500);
+    }
+  }
+
+  // Quote every shipping method for some items (or the customer's cart) and an address
+  async getQuote(quoteData, customerId, cartId) {
+    try {
+      const { error, value } = validateShippingQuote(quoteData);
+      if (error) {
+        throw new AppError(error.details[0].message, 400);
+      }
+
+      const lines = value.items
+        ? await this.resolveItems(value.items)
+        : await this.resolveCart(customerId, cartId);
+
+      const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+      const quote = await this.getRates({ lines, subtotal, address: value.address });
+
+      return {
+        success: true,
+        data: {
+          ...quote,
+          subtotal: roundMoney(subtotal)
+        }
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to calculate shipping rates', 500);
+    }
+  }
+
+  // Price one shipping method for an order
+  // Throws a 400 when the method is not offered for the address or parcel
+  async quoteMethod({ lines, subtotal, address, method }) {
+    const quote = await this.getRates({ lines, subtotal, address });
+    const option = quote.options.find(candidate => candidate.method === method);
+
+    if (!option) {
+      throw new AppError(
+        `${METHOD_LABELS[method] || method} is not available for this order. ` +
+        `Available: ${quote.options.map(candidate => candidate.method).join(', ') || 'none'}`,
+        400
+      );
+    }
+
+    return option;
+  }
+
+  // Price all active methods of the zone covering an address
+  // lines: [{ product, quantity, price }]
+  async getRates({ lines, subtotal, address }) {
+    let zone = await this.findZone(address);
+    if (!zone && !(await this.shippingZoneRepository.hasActiveZones())) {
+      zone = this.buildFlatRateZone();
+    }
+    if (!zone) {
+      throw new AppError(`We don't ship to ${address.country} yet`, 400);
+    }
+
+    const parcel = this.buildParcel(lines);
+
+    const options = zone.methods
+      .filter(method => method.isActive)
+      .map(method => this.priceMethod(method, parcel.chargeableWeight, subtotal))
+      .filter(Boolean)
+      .sort((a, b) => a.cost - b.cost);
+
+    return {
+      zone: { _id: zone._id, name: zone.name },
+      parcel,
+      options
+    };
+  }
+
+  // Zone for an address - a zone naming the state beats one covering the whole country,
+  // which beats the default zone
+  async findZone(address) {
+    const country = address.country.trim().toUpperCase();
+    const state = (address.state || '').trim().toUpperCase();
+    const zones = await this.shippingZoneRepository.findForCountry(country);
+
+    const rank = (zone) => {
+      if (zone.countries.includes(country)) {
+        if (zone.states.length === 0) return 2;
+        return zone.states.includes(state) ? 3 : 0;
+      }
+      return zone.isDefault ? 1 : 0;
+    };
+
+    return zones
+      .filter(zone => rank(zone) > 0)
+      .sort((a, b) => rank(b) - rank(a))[0] || null;
+  }
+
+  // Stand-in zone for stores upgraded from the flat shipping charge that have no zones yet,
+  // so checkout keeps working until zones are set up. Only standard shipping is offered -
+  // express and overnight at the same price would undercut the store's real rates
+  buildFlatRateZone() {
+    return {
+      _id: null,
+      name: 'Flat rate',
+      methods: [{
+        method: 'standard',
+        isActive: true,
+        baseRate: this.flatRate,
+        weightTiers: [],
+        minDeliveryDays: 1,
+        maxDeliveryDays: 5
+      }]
+    };
+  }
+
+  // Actual, volumetric and chargeable weight (kg) of the items
+  buildParcel(lines) {
+    let actualWeight = 0;
+    let volumetricWeight = 0;
+
+    for (const line of lines) {
+      const specifications = line.product.specifications || {};
+      actualWeight += (specifications.weight || 0) * line.quantity;
+
+      const dimensions = specifications.dimensions || {};
+      if (dimensions.length && dimensions.width && dimensions.height) {
+        const toCm = dimensions.unit === 'in' ? 2.54 : 1;
+        const volume = dimensions.length * dimensions.width * dimensions.height * Math.pow(toCm, 3);
+        volumetricWeight += volume / this.volumetricDivisor * line.quantity;
+      }
+    }
+
+    const round = (weight) => Math.round(weight * 1000) / 1000;
+
+    return {
+      actualWeight: round(actualWeight),
+      volumetricWeight: round(volumetricWeight),
+      chargeableWeight: round(Math.max(actualWeight, volumetricWeight))
+    };
+  }
+
+  // Cost and delivery window of one method, or null when the parcel is too heavy for it
+  priceMethod(method, weight, subtotal) {
+    const tiers = [...method.weightTiers].sort((a, b) => a.maxWeight - b.maxWeight);
+    const tier = tiers.find(candidate => weight <= candidate.maxWeight);
+
+    let weightRate;
+    if (tier) {
+      weightRate = tier.rate;
+    } else if (method.additionalPerKg !== undefined && method.additionalPerKg !== null) {
+      const heaviest = tiers[tiers.length - 1];
+      const extraKg = Math.ceil(weight - (heaviest ? heaviest.maxWeight : 0));
+      weightRate = (heaviest ? heaviest.rate : 0) + extraKg * method.additionalPerKg;
+    } else if (tiers.length > 0) {
+      return null;
+    } else {
+      weightRate = 0;
+    }
+
+    const threshold = method.freeShippingThreshold;
+    const qualifiesForFree = threshold !== undefined && threshold !== null && subtotal >= threshold;
+
+    return {
+      method: method.method,
+      label: method.label || METHOD_LABELS[method.method],
+      cost: qualifiesForFree ? 0 : roundMoney(method.baseRate + weightRate),
+      freeShipping: qualifiesForFree,
+      amountToFreeShipping: threshold && !qualifiesForFree ? roundMoney(threshold - subtotal) : undefined,
+      estimatedDelivery: {
+        minDays: method.minDeliveryDays,
+        maxDays: method.maxDeliveryDays,
+        earliest: this.addBusinessDays(new Date(), method.minDeliveryDays),
+        latest: this.addBusinessDays(new Date(), method.maxDeliveryDays)
+      }
+    };
+  }
+
+  // Date a number of business days (Monday-Friday) from now
+  addBusinessDays(date, days) {
+    const result = new Date(date);
+    let remaining = days;
+
+    while (remaining > 0) {
+      result.setDate(result.getDate() + 1);
+      const day = result.getDay();
+      if (day !== 0 && day !== 6) remaining--;
+    }
+
+    return result;
+  }
+
+  // Look up quoted items
+  async resolveItems(items) {
+    const lines = [];
+
+    for (const item of items) {
+      const product = await this.productRepository.findById(item.productId);
+      const purchasable = product && product.isActive && product.status === 'active'
+        ? product.resolvePurchasable(item.variantId)
+        : null;
+      if (!purchasable) {
+        throw new AppError(`Product ${item.productId} is not available`, 400);
+      }
+
+      lines.push({ product, quantity: item.quantity, price: purchasable.price });
+    }
+
+    return lines;
+  }
+
+  // Look up the items in a customer's cart, or in the anonymous cart when not signed in
+  async resolveCart(customerId, cartId) {
+    if (!customerId && !cartId) {
+      throw new AppError('Items are required when there is no cart', 400);
+    }
+
+    const cart = customerId
+      ? await this.userRepository.getCart(customerId)
+      : await this.cartRepository.getItems(cartId);
+    if (!cart || cart.length === 0) {
+      throw new AppError('Cart is empty', 400);
+    }
+
+    return await this.resolveItems(cart
+      .filter(item => item.product)
+      .map(item => ({
+        productId: item.product._id,
+        variantId: item.variant,
+        quantity: item.quantity
+      })));
+  }
+}
+
+export default ShippingService;
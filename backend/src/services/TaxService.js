@@ -0,0 +1,180 @@
+/**
+ * Tax Service - Business logic layer for order tax
+ * Picks jurisdiction rates from the shipping address and computes tax per order line
+ */
+
+import TaxRateRepository from '../repositories/TaxRateRepository.js';
+import CategoryRepository from '../repositories/CategoryRepository.js';
+import { AppError } from '../utils/AppError.js';
+import { validateTaxRate } from '../validators/taxValidator.js';
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const normalizeZipCode = (zipCode) => String(zipCode || '').toUpperCase().replace(/\s+/g, '');
+
+class TaxService {
+  constructor() {
+    this.taxRateRepository = new TaxRateRepository();
+    this.categoryRepository = new CategoryRepository();
+    // Inclusive pricing: product prices already contain tax, which is extracted rather than added
+    this.pricesIncludeTax = process.env.TAX_PRICES_INCLUDE_TAX === 'true';
+  }
+
+  // Get tax rates (admin only)
+  async getTaxRates(queryParams = {}) {
+    try {
+      const taxRates = await this.taxRateRepository.findAll({
+        country: queryParams.country,
+        isActive: queryParams.isActive === undefined ? undefined : String(queryParams.isActive) === 'true'
+      });
+
+      return {
+        success: true,
+        data: taxRates,
+        pricesIncludeTax: this.pricesIncludeTax
+      };
+    } catch (error) {
+      throw new AppError('Failed to fetch tax rates', 500);
+    }
+  }
+
+  // Create new tax rate (admin only)
+  async createTaxRate(taxRateData, createdBy) {
+    try {
+      const { error, value } = validateTaxRate(taxRateData);
+      if (error) {
+        throw new AppError(error.details[0].message, 400);
+      }
+
+      value.createdBy = createdBy;
+      const taxRate = await this.taxRateRepository.create(value);
+
+      return {
+        success: true,
+        message: 'Tax rate created successfully',
+        data: taxRate
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      if (error.code === 11000) {
+        throw new AppError('A rate for this jurisdiction and tax class already exists', 400);
+      }
+      throw new AppError('Failed to create tax rate', 500);
+    }
+  }
+
+  // Update tax rate (admin only)
+  async updateTaxRate(id, updateData, modifiedBy) {
+    try {
+      const { error, value } = validateTaxRate(updateData, true);
+      if (error) {
+        throw new AppError(error.details[0].message, 400);
+      }
+
+      value.lastModifiedBy = modifiedBy;
+      const taxRate = await this.taxRateRepository.updateById(id, value);
+      if (!taxRate) {
+        throw new AppError('Tax rate not found', 404);
+      }
+
+      return {
+        success: true,
+        message: 'Tax rate updated successfully',
+        data: taxRate
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      if (error.code === 11000) {
+        throw new AppError('A rate for this jurisdiction and tax class already exists', 400);
+      }
+      throw new AppError('Failed to update tax rate', 500);
+    }
+  }
+
+  // Delete tax rate (admin only)
+  // Orders keep their own copy of the rates they were charged
+  async deleteTaxRate(id) {
+    try {
+      const taxRate = await this.taxRateRepository.deleteById(id);
+      if (!taxRate) {
+        throw new AppError('Tax rate not found', 404);
+      }
+
+      return {
+        success: true,
+        message: 'Tax rate deleted successfully'
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to delete tax rate', 500);
+    }
+  }
+
+  // Work out the tax on an order
+  // items: [{ categories, total, discount }] with categories nearest first;
+  // returns one entry per item plus the shipping tax
+  async calculateTax({ items, address, shippingCost = 0, shippingDiscount = 0 }) {
+    const zipCode = normalizeZipCode(address.zipCode);
+    const rates = (await this.taxRateRepository.findForAddress(address.country, address.state))
+      .filter(rate => !rate.zipCodePrefix || zipCode.startsWith(normalizeZipCode(rate.zipCodePrefix)));
+
+    const taxClasses = await this.resolveTaxClasses(items);
+
+    const lines = items.map((item, index) => {
+      const taxClass = taxClasses[index];
+      const rate = taxClass === 'exempt' ? null : this.pickRate(rates, taxClass);
+      const taxableAmount = roundMoney(item.total - (item.discount || 0));
+
+      return {
+        taxClass,
+        rate: rate ? rate.rate : 0,
+        taxableAmount,
+        amount: rate ? this.computeTax(taxableAmount, rate.rate) : 0
+      };
+    });
+
+    const shippingRate = this.pickRate(rates, 'standard');
+    const shippingTax = shippingRate && shippingRate.appliesToShipping
+      ? this.computeTax(roundMoney(shippingCost - shippingDiscount), shippingRate.rate)
+      : 0;
+
+    return {
+      lines,
+      shippingTax,
+      shippingTaxRate: shippingTax > 0 ? shippingRate.rate : 0,
+      total: roundMoney(lines.reduce((sum, line) => sum + line.amount, 0) + shippingTax),
+      pricesIncludeTax: this.pricesIncludeTax
+    };
+  }
+
+  // Tax contained in (inclusive) or added to (exclusive) an amount
+  computeTax(amount, ratePercent) {
+    if (amount <= 0) return 0;
+
+    return roundMoney(this.pricesIncludeTax
+      ? amount - amount / (1 + ratePercent / 100)
+      : amount * ratePercent / 100);
+  }
+
+  // Most specific rate for a tax class
+  pickRate(rates, taxClass) {
+    return rates
+      .filter(rate => rate.taxClass === taxClass)
+      .sort((a, b) => b.specificity - a.specificity)[0] || null;
+  }
+
+  // Tax class for each item - the nearest category with a class set wins
+  async resolveTaxClasses(items) {
+    const categoryIds = [...new Set(items.flatMap(item => (item.categories || []).map(id => id.toString())))];
+    const classes = categoryIds.length > 0
+      ? await this.categoryRepository.findTaxClasses(categoryIds)
+      : new Map();
+
+    return items.map(item => {
+      const categoryId = (item.categories || []).find(id => classes.has(id.toString()));
+      return categoryId ? classes.get(categoryId.toString()) : 'standard';
+    });
+  }
+}
+
+export default TaxService;
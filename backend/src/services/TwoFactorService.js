@@ -0,0 +1,269 @@
+/**
+ * Two-Factor Service - Business logic for TOTP two-factor authentication
+ * Handles setup with an authenticator app, recovery codes and the second step of login
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import UserRepository from '../repositories/UserRepository.js';
+import AccountLockoutService from './AccountLockoutService.js';
+import { AppError } from '../utils/AppError.js';
+import { encryptSecret, decryptSecret } from '../utils/encryption.js';
+import { hashToken } from '../utils/secureToken.js';
+import { generateTotpSecret, verifyTotp, buildOtpauthUri } from '../utils/totp.js';
+import { isTwoFactorRequired } from '../utils/twoFactorPolicy.js';
+import {
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable
+} from '../validators/userValidator.js';
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_AUDIENCE = 'two-factor-login';
+
+// Recovery codes are compared without case, spaces or dashes
+const normalizeRecoveryCode = (code) => code.toLowerCase().replace(/[\s-]/g, '');
+
+class TwoFactorService {
+  constructor() {
+    this.userRepository = new UserRepository();
+    this.accountLockoutService = new AccountLockoutService();
+    this.issuer = process.env.STORE_NAME || 'Product Store';
+    this.challengeExpiresIn = process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m';
+    // Challenge tokens must not be accepted as access tokens, so they get their own secret
+    this.challengeSecret = process.env.TWO_FACTOR_CHALLENGE_SECRET || `${process.env.JWT_ACCESS_SECRET}:two-factor`;
+  }
+
+  // Start setup - a new secret to add to an authenticator app, confirmed with enableTwoFactor
+  async setupTwoFactor(userId) {
+    try {
+      const user = await this.userRepository.findById(userId);
+      if (!user) {
+        throw new AppError('User not found', 404);
+      }
+
+      if (user.twoFactor?.enabled) {
+        throw new AppError('Two-factor authentication is already enabled', 400);
+      }
+
+      const secret = generateTotpSecret();
+      await this.userRepository.setPendingTwoFactorSecret(userId, encryptSecret(secret));
+
+      return {
+        success: true,
+        message: 'Add the key to your authenticator app, then confirm with a code from the app',
+        data: {
+          secret,
+          otpauthUri: buildOtpauthUri({ issuer: this.issuer, account: user.email, secret })
+        }
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to set up two-factor authentication', 500);
+    }
+  }
+
+  // Finish setup with a code from the app - returns the recovery codes (shown only once)
+  async enableTwoFactor(userId, data) {
+    try {
+      const { error, value } = validateTwoFactorCode(data);
+      if (error) {
+        throw new AppError(error.details[0].message, 400);
+      }
+
+      const user = await this.userRepository.findByIdWithTwoFactor(userId);
+      if (!user) {
+        throw new AppError('User not found', 404);
+      }
+
+      if (user.twoFactor?.enabled) {
+        throw new AppError('Two-factor authentication is already enabled', 400);
+      }
+
+      if (!user.twoFactor?.pendingSecret) {
+        throw new AppError('Start two-factor setup first', 400);
+      }
+
+      const step = verifyTotp(decryptSecret(user.twoFactor.pendingSecret), value.code);
+      if (step === null) {
+        throw new AppError('Invalid authentication code', 400);
+      }
+
+      const { codes, hashes } = this.generateRecoveryCodes();
+      const updated = await this.userRepository.enableTwoFactor(userId, user.twoFactor.pendingSecret, hashes, step);
+      if (!updated) {
+        throw new AppError('Two-factor authentication is already enabled', 400);
+      }
+
+      return {
+        success: true,
+        message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe - they are shown only once.',
+        data: {
+          recoveryCodes: codes
+        }
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to enable two-factor authentication', 500);
+    }
+  }
+
+  // Turn off two-factor authentication - needs the password and a code (or recovery code)
+  async disableTwoFactor(userId, data) {
+    try {
+      const { error, value } = validateTwoFactorDisable(data);
+      if (error) {
+        throw new AppError(error.details[0].message, 400);
+      }
+
+      const user = await this.userRepository.findByIdWithTwoFactor(userId);
+      if (!user) {
+        throw new AppError('User not found', 404);
+      }
+
+      if (!user.twoFactor?.enabled) {
+        throw new AppError('Two-factor authentication is not enabled', 400);
+      }
+
+      if (isTwoFactorRequired(user.role)) {
+        throw new AppError(`Two-factor authentication is required for ${user.role} accounts`, 403);
+      }
+
+      const isValidPassword = await user.comparePassword(value.password);
+      if (!isValidPassword) {
+        throw new AppError('Password is incorrect', 400);
+      }
+
+      if (!(await this.verifySecondFactor(user, value))) {
+        throw new AppError('Invalid authentication code', 400);
+      }
+
+      await this.userRepository.disableTwoFactor(userId);
+
+      return {
+        success: true,
+        message: 'Two-factor authentication disabled'
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to disable two-factor authentication', 500);
+    }
+  }
+
+  // Replace the recovery codes (the earlier ones stop working)
+  async regenerateRecoveryCodes(userId, data) {
+    try {
+      const { error, value } = validateTwoFactorCode(data);
+      if (error) {
+        throw new AppError(error.details[0].message, 400);
+      }
+
+      const user = await this.userRepository.findByIdWithTwoFactor(userId);
+      if (!user) {
+        throw new AppError('User not found', 404);
+      }
+
+      if (!user.twoFactor?.enabled) {
+        throw new AppError('Two-factor authentication is not enabled', 400);
+      }
+
+      if (!(await this.verifySecondFactor(user, value))) {
+        throw new AppError('Invalid authentication code', 400);
+      }
+
+      const { codes, hashes } = this.generateRecoveryCodes();
+      await this.userRepository.setTwoFactorRecoveryCodes(userId, hashes);
+
+      return {
+        success: true,
+        message: 'New recovery codes generated. The earlier codes no longer work.',
+        data: {
+          recoveryCodes: codes
+        }
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to generate recovery codes', 500);
+    }
+  }
+
+  // Short-lived token proving the password step of login passed
+  createChallenge(user) {
+    return jwt.sign(
+      { id: user._id },
+      this.challengeSecret,
+      { expiresIn: this.challengeExpiresIn, audience: CHALLENGE_AUDIENCE }
+    );
+  }
+
+  // Second step of login - returns the user when the challenge token and code are valid
+  // Wrong codes count as failed logins towards the account lockout
+  async verifyChallenge(data, context = {}) {
+    try {
+      const { error, value } = validateTwoFactorLogin(data);
+      if (error) {
+        throw new AppError(error.details[0].message, 400);
+      }
+
+      const decoded = jwt.verify(value.challengeToken, this.challengeSecret, { audience: CHALLENGE_AUDIENCE });
+
+      const user = await this.userRepository.findByIdWithTwoFactor(decoded.id);
+      if (!user || !user.isActive || !user.twoFactor?.enabled) {
+        throw new AppError('Two-factor login is no longer valid. Please login again.', 401);
+      }
+
+      // Checked before the code, so a locked account does not use up recovery codes
+      if (user.isLocked) {
+        throw new AppError('Invalid authentication code', 401);
+      }
+
+      if (!(await this.verifySecondFactor(user, value))) {
+        await this.accountLockoutService.recordFailure(user, context);
+        throw new AppError('Invalid authentication code', 401);
+      }
+
+      return user;
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new AppError('Two-factor login expired. Please login again.', 401);
+      }
+      if (error.name === 'JsonWebTokenError') {
+        throw new AppError('Invalid two-factor challenge token', 401);
+      }
+      if (error instanceof AppError) throw error;
+      throw new AppError('Two-factor verification failed', 500);
+    }
+  }
+
+  // Check a code from the app (each one works once) or use up a recovery code
+  async verifySecondFactor(user, { code, recoveryCode }) {
+    if (code) {
+      const step = verifyTotp(decryptSecret(user.twoFactor.secret), code);
+      if (step === null) return false;
+
+      return Boolean(await this.userRepository.recordTwoFactorStep(user._id, step));
+    }
+
+    if (recoveryCode) {
+      const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+      return Boolean(await this.userRepository.useTwoFactorRecoveryCode(user._id, codeHash));
+    }
+
+    return false;
+  }
+
+  // Helper method to create recovery codes - returns { codes, hashes }; show the codes, store the hashes
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+
+    return {
+      codes,
+      hashes: codes.map(code => hashToken(normalizeRecoveryCode(code)))
+    };
+  }
+}
+
+export default TwoFactorService;
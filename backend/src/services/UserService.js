@@ -3,18 +3,42 @@
  * Handles authentication, user management, and business rules
  */
 
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import UserRepository from '../repositories/UserRepository.js';
+import ProductRepository from '../repositories/ProductRepository.js';
+import TwoFactorService from './TwoFactorService.js';
+import AccountLockoutService from './AccountLockoutService.js';
 import { AppError } from '../utils/AppError.js';
-import { validateUser, validateLogin, validateUpdateProfile } from '../validators/userValidator.js';
+import logger from '../utils/logger.js';
+import { createSecureToken, hashToken } from '../utils/secureToken.js';
+import { isTwoFactorRequired } from '../utils/twoFactorPolicy.js';
+import { sendMail } from '../mail/index.js';
+import { emailVerificationMessage, passwordResetMessage } from '../mail/messages.js';
+import {
+  validateUser,
+  validateLogin,
+  validateUpdateProfile,
+  validateEmailVerification,
+  validatePasswordResetRequest,
+  validatePasswordReset
+} from '../validators/userValidator.js';
 
 class UserService {
   constructor() {
     this.userRepository = new UserRepository();
+    this.productRepository = new ProductRepository();
+    this.twoFactorService = new TwoFactorService();
+    this.accountLockoutService = new AccountLockoutService();
+    this.storeUrl = (process.env.STORE_URL || process.env.FRONTEND_URL?.split(',')[0] || 'http://localhost:5173')
+      .replace(/\/$/, '');
+    this.emailVerificationTtlHours = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+    this.passwordResetTtlMinutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+    this.maxSessions = parseInt(process.env.MAX_SESSIONS_PER_USER) || 5;
   }
 
-  // Register new user
-  async registerUser(userData) {
+  // Register new user - context ({ ip, userAgent }) describes the new session
+  async registerUser(userData, context = {}) {
     try {
       // Validate user data
       const { error, value } = validateUser(userData);
@@ -31,26 +55,32 @@ class UserService {
       // Create user
       const user = await this.userRepository.create(value);
 
-      // Generate tokens
-      const accessToken = user.generateAccessToken();
-      const refreshToken = user.generateRefreshToken();
-
-      // Save refresh token
-      await this.userRepository.addRefreshToken(user._id, refreshToken);
+      // Start a session and generate tokens
+      const { sessionId, refreshToken } = await this.createSession(user, context);
+      const accessToken = user.generateAccessToken(sessionId);
 
       // Update last login
       await this.userRepository.updateLastLogin(user._id);
 
+      // Ask the user to verify their email - registration succeeds even if the email cannot be sent,
+      // since a new link can be requested
+      try {
+        await this.sendEmailVerification(user);
+      } catch (mailError) {
+        logger.warn(`Verification email not sent to ${user.email}: ${mailError.message}`, { userId: user._id });
+      }
+
       return {
         success: true,
-        message: 'User registered successfully',
+        message: 'User registered successfully. Please check your email to verify your address.',
         data: {
           user: {
             id: user._id,
             name: user.name,
             email: user.email,
             role: user.role,
-            avatar: user.avatar
+            avatar: user.avatar,
+            emailVerified: user.emailVerified
           },
           tokens: {
             accessToken,
@@ -64,8 +94,9 @@ class UserService {
     }
   }
 
-  // Login user
-  async loginUser(credentials) {
+  // Login user - context ({ ip, userAgent }) describes the new session, and is recorded
+  // when the account gets locked
+  async loginUser(credentials, context = {}) {
     try {
       // Validate credentials
       const { error, value } = validateLogin(credentials);
@@ -76,45 +107,240 @@ class UserService {
       // Find user by credentials
       const user = await this.userRepository.findByCredentials(value.email, value.password);
 
-      // Generate tokens
-      const accessToken = user.generateAccessToken();
-      const refreshToken = user.generateRefreshToken();
+      // With two-factor authentication on, the password only earns a challenge token
+      // to exchange (with a code) at completeTwoFactorLogin
+      if (user.twoFactor?.enabled) {
+        return {
+          success: true,
+          message: 'Enter the code from your authenticator app to finish logging in',
+          data: {
+            twoFactorRequired: true,
+            challengeToken: this.twoFactorService.createChallenge(user)
+          }
+        };
+      }
 
-      // Save refresh token
-      await this.userRepository.addRefreshToken(user._id, refreshToken);
+      return await this.startSession(user, context);
+    } catch (error) {
+      if (error.message === 'Invalid login credentials') {
+        // Wrong passwords for an account count towards its lockout (attempts while locked do not)
+        if (error.user && !error.locked) {
+          await this.accountLockoutService.recordFailure(error.user, context);
+        }
+        throw new AppError('Invalid email or password', 401);
+      }
+      if (error instanceof AppError) throw error;
+      throw new AppError('Login failed', 500);
+    }
+  }
 
-      // Update last login
-      await this.userRepository.updateLastLogin(user._id);
+  // Store a new session (device) - returns its id and first refresh token (only the token's hash is stored)
+  async createSession(user, { ip, userAgent } = {}) {
+    const sessionId = crypto.randomBytes(12).toString('hex');
+    const refreshToken = user.generateRefreshToken(sessionId);
+
+    await this.userRepository.addSession(user._id, {
+      _id: sessionId,
+      tokenHash: hashToken(refreshToken),
+      userAgent: userAgent?.slice(0, 500),
+      ip,
+      expiresAt: new Date(jwt.decode(refreshToken).exp * 1000)
+    }, this.maxSessions);
+
+    return { sessionId, refreshToken };
+  }
+
+  // Second step of login for accounts with two-factor authentication
+  async completeTwoFactorLogin(data, context = {}) {
+    try {
+      const user = await this.twoFactorService.verifyChallenge(data, context);
+
+      return await this.startSession(user, context);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Login failed', 500);
+    }
+  }
+
+  // Issue tokens for a user who passed login
+  async startSession(user, context = {}) {
+    await this.accountLockoutService.recordSuccess(user);
+
+    // Start a session and generate tokens
+    const { sessionId, refreshToken } = await this.createSession(user, context);
+    const accessToken = user.generateAccessToken(sessionId);
+
+    // Update last login
+    await this.userRepository.updateLastLogin(user._id);
+
+    const twoFactorEnabled = Boolean(user.twoFactor?.enabled);
+
+    return {
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          avatar: user.avatar,
+          emailVerified: user.emailVerified,
+          twoFactorEnabled,
+          // The account's role needs two-factor authentication before it can be used
+          ...(!twoFactorEnabled && isTwoFactorRequired(user.role) && { twoFactorSetupRequired: true }),
+          lastLogin: new Date()
+        },
+        tokens: {
+          accessToken,
+          refreshToken
+        }
+      }
+    };
+  }
+
+  // Verify an email address with the token from the verification email
+  async verifyEmail(data) {
+    try {
+      const { error, value } = validateEmailVerification(data);
+      if (error) {
+        throw new AppError(error.details[0].message, 400);
+      }
+
+      const user = await this.userRepository.verifyEmail(hashToken(value.token));
+      if (!user) {
+        throw new AppError('Verification link is invalid or has expired', 400);
+      }
 
       return {
         success: true,
-        message: 'Login successful',
+        message: 'Email verified successfully',
         data: {
-          user: {
-            id: user._id,
-            name: user.name,
-            email: user.email,
-            role: user.role,
-            avatar: user.avatar,
-            lastLogin: new Date()
-          },
-          tokens: {
-            accessToken,
-            refreshToken
-          }
+          id: user._id,
+          email: user.email,
+          emailVerified: true
         }
       };
     } catch (error) {
-      if (error.message === 'Invalid login credentials') {
-        throw new AppError('Invalid email or password', 401);
+      if (error instanceof AppError) throw error;
+      throw new AppError('Email verification failed', 500);
+    }
+  }
+
+  // Send a new verification email (the earlier link stops working)
+  async resendEmailVerification(userId) {
+    try {
+      const user = await this.userRepository.findById(userId);
+      if (!user) {
+        throw new AppError('User not found', 404);
       }
+
+      if (user.emailVerified) {
+        throw new AppError('Email is already verified', 400);
+      }
+
+      await this.sendEmailVerification(user);
+
+      return {
+        success: true,
+        message: `Verification email sent to ${user.email}`
+      };
+    } catch (error) {
       if (error instanceof AppError) throw error;
-      throw new AppError('Login failed', 500);
+      throw new AppError('Failed to send verification email', 500);
     }
   }
 
-  // Refresh access token
-  async refreshToken(refreshToken) {
+  // Issue a verification token and email its link - only the token's hash is stored
+  async sendEmailVerification(user) {
+    const { token, hash } = createSecureToken();
+    const expiresAt = new Date(Date.now() + this.emailVerificationTtlHours * 60 * 60 * 1000);
+
+    await this.userRepository.setEmailVerificationToken(user._id, hash, expiresAt);
+
+    await sendMail({
+      to: user.email,
+      ...emailVerificationMessage({
+        name: user.name,
+        link: `${this.storeUrl}/auth?verifyToken=${token}`,
+        expiresInHours: this.emailVerificationTtlHours
+      })
+    });
+  }
+
+  // Email a password reset link
+  // The response is the same whether or not the email belongs to an account
+  async requestPasswordReset(data) {
+    try {
+      const { error, value } = validatePasswordResetRequest(data);
+      if (error) {
+        throw new AppError(error.details[0].message, 400);
+      }
+
+      const user = await this.userRepository.findByEmail(value.email.toLowerCase());
+      if (user) {
+        const { token, hash } = createSecureToken();
+        const expiresAt = new Date(Date.now() + this.passwordResetTtlMinutes * 60 * 1000);
+
+        await this.userRepository.setPasswordResetToken(user._id, hash, expiresAt);
+
+        // Not awaited, so the response takes as long as for an unknown email
+        sendMail({
+          to: user.email,
+          ...passwordResetMessage({
+            name: user.name,
+            link: `${this.storeUrl}/auth?resetToken=${token}`,
+            expiresInMinutes: this.passwordResetTtlMinutes
+          })
+        }).catch(mailError => {
+          logger.warn(`Password reset email not sent to ${user.email}: ${mailError.message}`, { userId: user._id });
+        });
+      }
+
+      return {
+        success: true,
+        message: 'If an account exists for that email, we sent a link to reset its password.'
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to request password reset', 500);
+    }
+  }
+
+  // Set a new password with the token from a password reset email
+  // The token works once, and every session is signed out
+  async resetPassword(data) {
+    try {
+      const { error, value } = validatePasswordReset(data);
+      if (error) {
+        throw new AppError(error.details[0].message, 400);
+      }
+
+      const user = await this.userRepository.consumePasswordResetToken(hashToken(value.token));
+      if (!user) {
+        throw new AppError('Password reset link is invalid or has expired', 400);
+      }
+
+      await this.userRepository.changePassword(user._id, value.password);
+
+      // Clear all sessions (logout from all devices)
+      await this.userRepository.clearSessions(user._id);
+
+      return {
+        success: true,
+        message: 'Password has been reset. Please login with your new password.',
+        data: {
+          id: user._id
+        }
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to reset password', 500);
+    }
+  }
+
+  // Refresh access token - the refresh token is rotated, and a token used twice ends its session
+  async refreshToken(refreshToken, context = {}) {
     try {
       if (!refreshToken) {
         throw new AppError('Refresh token is required', 400);
@@ -122,10 +348,7 @@ class UserService {
 
       // Verify refresh token
       const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-      
-      // Check if refresh token exists in database
-      const isValid = await this.userRepository.verifyRefreshToken(decoded.id, refreshToken);
-      if (!isValid) {
+      if (!decoded.sid) {
         throw new AppError('Invalid refresh token', 401);
       }
 
@@ -136,12 +359,29 @@ class UserService {
       }
 
       // Generate new tokens
-      const newAccessToken = user.generateAccessToken();
-      const newRefreshToken = user.generateRefreshToken();
-
-      // Replace old refresh token with new one
-      await this.userRepository.removeRefreshToken(decoded.id, refreshToken);
-      await this.userRepository.addRefreshToken(decoded.id, newRefreshToken);
+      const newAccessToken = user.generateAccessToken(decoded.sid);
+      const newRefreshToken = user.generateRefreshToken(decoded.sid);
+
+      // Replace the session's refresh token with the new one
+      const rotated = await this.userRepository.rotateSession(decoded.id, decoded.sid, hashToken(refreshToken), {
+        tokenHash: hashToken(newRefreshToken),
+        expiresAt: new Date(jwt.decode(newRefreshToken).exp * 1000),
+        ip: context.ip,
+        userAgent: context.userAgent?.slice(0, 500)
+      });
+
+      if (!rotated) {
+        // A genuine token that is no longer its session's current one was already rotated, so it
+        // has been copied - end the session, which signs out every token descended from it
+        const revoked = await this.userRepository.removeSession(decoded.id, decoded.sid);
+        if (revoked) {
+          logger.logAuth('refresh_token_reuse_detected', decoded.id, {
+            sessionId: decoded.sid,
+            ip: context.ip
+          });
+        }
+        throw new AppError('Invalid refresh token', 401);
+      }
 
       return {
         success: true,
@@ -169,7 +409,7 @@ class UserService {
   async logoutUser(userId, refreshToken) {
     try {
       if (refreshToken) {
-        await this.userRepository.removeRefreshToken(userId, refreshToken);
+        await this.userRepository.removeSessionByToken(userId, hashToken(refreshToken));
       }
 
       return {
@@ -184,7 +424,7 @@ class UserService {
   // Logout from all devices
   async logoutAllDevices(userId) {
     try {
-      await this.userRepository.clearRefreshTokens(userId);
+      await this.userRepository.clearSessions(userId);
 
       return {
         success: true,
@@ -195,6 +435,50 @@ class UserService {
     }
   }
 
+  // List the signed-in devices, most recently used first
+  async getSessions(userId, currentSessionId) {
+    try {
+      const now = new Date();
+      const sessions = await this.userRepository.findSessions(userId);
+
+      return {
+        success: true,
+        data: sessions
+          .filter(session => session.expiresAt > now)
+          .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+          .map(session => ({
+            id: session._id,
+            userAgent: session.userAgent,
+            ip: session.ip,
+            createdAt: session.createdAt,
+            lastUsedAt: session.lastUsedAt,
+            expiresAt: session.expiresAt,
+            current: session._id === currentSessionId
+          }))
+      };
+    } catch (error) {
+      throw new AppError('Failed to fetch sessions', 500);
+    }
+  }
+
+  // Sign out one device - its refresh token stops working (access tokens expire on their own)
+  async revokeSession(userId, sessionId) {
+    try {
+      const removed = await this.userRepository.removeSession(userId, sessionId);
+      if (!removed) {
+        throw new AppError('Session not found', 404);
+      }
+
+      return {
+        success: true,
+        message: 'Session revoked successfully'
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to revoke session', 500);
+    }
+  }
+
   // Get user profile
   async getUserProfile(userId) {
     try {
@@ -261,8 +545,8 @@ class UserService {
       // Update password
       await this.userRepository.changePassword(userId, newPassword);
 
-      // Clear all refresh tokens (logout from all devices)
-      await this.userRepository.clearRefreshTokens(userId);
+      // Clear all sessions (logout from all devices)
+      await this.userRepository.clearSessions(userId);
 
       return {
         success: true,
@@ -328,8 +612,8 @@ class UserService {
 
       const updatedUser = await this.userRepository.updateById(userId, { role: newRole });
 
-      // Clear user's refresh tokens if role changed to force re-login
-      await this.userRepository.clearRefreshTokens(userId);
+      // Clear user's sessions if role changed to force re-login
+      await this.userRepository.clearSessions(userId);
 
       return {
         success: true,
@@ -357,8 +641,8 @@ class UserService {
 
       await this.userRepository.deleteById(userId);
 
-      // Clear user's refresh tokens
-      await this.userRepository.clearRefreshTokens(userId);
+      // Clear user's sessions
+      await this.userRepository.clearSessions(userId);
 
       return {
         success: true,
@@ -370,6 +654,25 @@ class UserService {
     }
   }
 
+  // Unlock an account locked after failed logins (admin only)
+  async unlockUser(userId) {
+    try {
+      const user = await this.accountLockoutService.unlockAccount(userId);
+      if (!user) {
+        throw new AppError('User not found', 404);
+      }
+
+      return {
+        success: true,
+        message: 'Account unlocked successfully',
+        data: user
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to unlock account', 500);
+    }
+  }
+
   // Cart operations
   async getCart(userId) {
     try {
@@ -384,9 +687,22 @@ class UserService {
     }
   }
 
-  async addToCart(userId, productId, quantity = 1) {
+  async addToCart(userId, productId, quantity = 1, variantId = null) {
     try {
-      await this.userRepository.addToCart(userId, productId, quantity);
+      const product = await this.productRepository.findById(productId);
+      if (!product || !product.isActive) {
+        throw new AppError('Product not found', 404);
+      }
+
+      // Products with variants must be added with a valid variant
+      if (!product.resolvePurchasable(variantId)) {
+        throw new AppError(
+          variantId ? 'Selected option is not available' : 'Please select an option for this product',
+          400
+        );
+      }
+
+      await this.userRepository.addToCart(userId, productId, quantity, product.hasVariants ? variantId : null);
 
       return {
         success: true,
@@ -398,17 +714,17 @@ class UserService {
     }
   }
 
-  async updateCartItem(userId, productId, quantity) {
+  async updateCartItem(userId, productId, quantity, variantId = null) {
     try {
       if (quantity <= 0) {
-        await this.userRepository.removeFromCart(userId, productId);
+        await this.userRepository.removeFromCart(userId, productId, variantId);
         return {
           success: true,
           message: 'Product removed from cart'
         };
       }
 
-      await this.userRepository.updateCartItem(userId, productId, quantity);
+      await this.userRepository.updateCartItem(userId, productId, quantity, variantId);
 
       return {
         success: true,
@@ -420,9 +736,9 @@ class UserService {
     }
   }
 
-  async removeFromCart(userId, productId) {
+  async removeFromCart(userId, productId, variantId = null) {
     try {
-      await this.userRepository.removeFromCart(userId, productId);
+      await this.userRepository.removeFromCart(userId, productId, variantId);
 
       return {
         success: true,
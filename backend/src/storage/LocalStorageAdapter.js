@@ -0,0 +1,55 @@
+/**
+ * Local Storage Adapter - Stores uploaded files on the server's disk
+ * Files are served by the API under /uploads
+ */
+
+import express from 'express';
+import fs from 'fs/promises';
+import path from 'path';
+
+class LocalStorageAdapter {
+  constructor({ rootDir, publicUrl }) {
+    this.rootDir = path.resolve(rootDir);
+    this.publicUrl = publicUrl.replace(/\/$/, '');
+  }
+
+  // Write a file and return its public URL
+  async save(key, buffer) {
+    const filePath = this.resolvePath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return this.getUrl(key);
+  }
+
+  // Remove a file, or a whole folder of files
+  async delete(key) {
+    await fs.rm(this.resolvePath(key), { recursive: true, force: true });
+  }
+
+  getUrl(key) {
+    return `${this.publicUrl}/${key}`;
+  }
+
+  // Middleware serving stored files
+  serve() {
+    return express.static(this.rootDir, {
+      maxAge: '30d',
+      immutable: true,
+      setHeaders: (res) => {
+        // Let the storefront on another origin display the images
+        res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+      }
+    });
+  }
+
+  // Keep keys inside the storage folder
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+}
+
+export default LocalStorageAdapter;
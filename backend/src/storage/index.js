@@ -0,0 +1,32 @@
+// Storage
+// Picks the storage adapter for uploaded files (STORAGE_DRIVER, default "local")
+// Other adapters (e.g. S3) only need save(key, buffer, contentType), delete(key),
+// getUrl(key) and serve() returning middleware or null
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import LocalStorageAdapter from './LocalStorageAdapter.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const adapters = {
+  local: () => new LocalStorageAdapter({
+    rootDir: process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads'),
+    publicUrl: process.env.UPLOAD_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}/uploads`
+  })
+};
+
+const createStorage = () => {
+  const driver = process.env.STORAGE_DRIVER || 'local';
+  if (!adapters[driver]) {
+    throw new Error(`Unknown storage driver: ${driver}`);
+  }
+  return adapters[driver]();
+};
+
+// Create singleton instance
+const storage = createStorage();
+
+export default storage;
+export { createStorage };
@@ -0,0 +1,31 @@
+/**
+ * Cart Cookie
+ * Identifies the anonymous cart of a shopper who is not signed in. The cookie is
+ * signed, so a cart ID cannot be guessed or swapped for someone else's
+ */
+
+const CART_COOKIE = 'cartId';
+
+// How long an untouched anonymous cart is kept
+export const getCartTtlMs = () => (parseInt(process.env.CART_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Read the cart ID from the signed cookie (null when missing or tampered with)
+export const readCartId = (req) => {
+  return (req.signedCookies && req.signedCookies[CART_COOKIE]) || null;
+};
+
+// Set (or refresh) the cart cookie
+export const setCartCookie = (res, cartId) => {
+  res.cookie(CART_COOKIE, cartId.toString(), {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    signed: true,
+    maxAge: getCartTtlMs()
+  });
+};
+
+// Remove the cart cookie (e.g. once the cart is merged at login)
+export const clearCartCookie = (res) => {
+  res.clearCookie(CART_COOKIE);
+};
@@ -0,0 +1,95 @@
+/**
+ * CSV Helpers
+ * Minimal RFC 4180 parsing and formatting for spreadsheet imports and exports
+ */
+
+// Parse CSV text into records keyed by the header row
+// Supports quoted fields, escaped quotes ("") and line breaks inside quotes
+// Each record carries the 1-based line number it started on
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push({ line: rowLine, values: row });
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ line: rowLine, values: row });
+  }
+
+  // Ignore blank lines
+  const nonEmpty = rows.filter(entry => entry.values.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const [header, ...records] = nonEmpty;
+  const columns = header.values.map(column => column.trim());
+
+  return records.map(entry => ({
+    line: entry.line,
+    data: Object.fromEntries(columns.map((column, index) => [column, entry.values[index] ?? '']))
+  }));
+};
+
+// Cells starting with one of these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Prefix text that would be run as a formula with an apostrophe, so it is shown as text
+export const escapeFormula = (text) => (FORMULA_PREFIX.test(text) ? `'${text}` : text);
+
+// Remove the apostrophe escapeFormula added when a cell is read back in
+export const unescapeFormula = (text) => (
+  text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text
+);
+
+// Format one CSV line, quoting values that contain separators, quotes or line breaks
+// Text that looks like a formula is escaped; numbers (e.g. negative amounts) are kept as they are
+export const formatCsvRow = (values) => {
+  return values.map(value => {
+    const text = value === undefined || value === null ? '' : String(value);
+    const safe = typeof value === 'string' ? escapeFormula(text) : text;
+    return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+  }).join(',') + '\r\n';
+};
@@ -0,0 +1,31 @@
+/**
+ * Encryption
+ * AES-256-GCM for secrets the server must read back later (e.g. TOTP secrets),
+ * unlike tokens, which are only stored hashed. The key comes from
+ * SECRET_ENCRYPTION_KEY, falling back to JWT_ACCESS_SECRET
+ */
+
+import crypto from 'crypto';
+
+const getKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.SECRET_ENCRYPTION_KEY || process.env.JWT_ACCESS_SECRET || '')
+  .digest();
+
+// Encrypt a string - returns "iv.authTag.ciphertext" in base64
+export const encryptSecret = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+};
+
+// Decrypt a value from encryptSecret - throws when it was tampered with or the key changed
+export const decryptSecret = (payload) => {
+  const [iv, authTag, ciphertext] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
@@ -82,6 +82,8 @@ const logger = winston.createLogger({
   levels,
   format,
   transports,
+  // Keep test runs out of the log files
+  silent: process.env.NODE_ENV === 'test',
   // Do not exit on handled exceptions
   exitOnError: false
 });
@@ -0,0 +1,41 @@
+/**
+ * Order Lookup Tokens
+ * Signed tokens that let a guest view an order without an account
+ * The token carries the order number and the guest's email, so it cannot be
+ * used for another order or to sign in
+ */
+
+import jwt from 'jsonwebtoken';
+import { AppError } from './AppError.js';
+
+const AUDIENCE = 'order-lookup';
+
+const getSecret = () => process.env.ORDER_LOOKUP_SECRET || process.env.JWT_ACCESS_SECRET;
+
+// Sign a lookup token for a guest order
+export const signOrderLookupToken = (order) => {
+  return jwt.sign(
+    {
+      orderNumber: order.orderNumber,
+      email: order.guest.email
+    },
+    getSecret(),
+    {
+      audience: AUDIENCE,
+      expiresIn: process.env.ORDER_LOOKUP_TOKEN_EXPIRE || '90d'
+    }
+  );
+};
+
+// Verify a lookup token - returns { orderNumber, email }
+export const verifyOrderLookupToken = (token) => {
+  try {
+    const { orderNumber, email } = jwt.verify(token, getSecret(), { audience: AUDIENCE });
+    return { orderNumber, email };
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new AppError('Order lookup link has expired', 401);
+    }
+    throw new AppError('Invalid order lookup token', 401);
+  }
+};
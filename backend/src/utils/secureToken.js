@@ -0,0 +1,16 @@
+/**
+ * Secure Tokens
+ * Random single-use tokens sent to users (e.g. in email links). Only the hash is
+ * stored, so a leaked database cannot be used to redeem them
+ */
+
+import crypto from 'crypto';
+
+// Hash a token for storage and lookups
+export const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Create a token - returns { token, hash }; send the token, store the hash
+export const createSecureToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, hash: hashToken(token) };
+};
@@ -0,0 +1,49 @@
+/**
+ * Text Search Helpers
+ * Tokenizing and trigram utilities for the self-maintained suggestion index
+ */
+
+// Lowercase, strip accents and collapse anything that is not a letter or digit
+export const normalizeText = (value) => {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+};
+
+// Split text into unique words
+export const tokenize = (value) => {
+  const normalized = normalizeText(value);
+  return normalized ? [...new Set(normalized.split(' '))] : [];
+};
+
+// Trigrams for a single word, padded so word starts and ends carry weight
+// e.g. "case" -> ["  c", " ca", "cas", "ase", "se "]
+export const wordTrigrams = (word) => {
+  const padded = `  ${word} `;
+  const grams = new Set();
+
+  for (let i = 0; i < padded.length - 2; i++) {
+    grams.add(padded.substring(i, i + 3));
+  }
+
+  return [...grams];
+};
+
+// Trigrams for every word in a list
+export const trigrams = (words) => {
+  return [...new Set(words.flatMap(wordTrigrams))];
+};
+
+// Dice coefficient between the trigram sets of two words (0 - 1)
+export const wordSimilarity = (a, b) => {
+  if (a === b) return 1;
+
+  const gramsA = wordTrigrams(a);
+  const gramsB = new Set(wordTrigrams(b));
+  const shared = gramsA.filter(gram => gramsB.has(gram)).length;
+
+  return (2 * shared) / (gramsA.length + gramsB.size);
+};
@@ -0,0 +1,10 @@
+/**
+ * Two-Factor Policy
+ * Roles that must use two-factor authentication (TWO_FACTOR_REQUIRED_ROLES, e.g. "admin").
+ * Accounts with those roles cannot use role-protected routes until 2FA is on, and cannot turn it off
+ */
+
+export const isTwoFactorRequired = (role) => (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+  .split(',')
+  .map(name => name.trim())
+  .includes(role);
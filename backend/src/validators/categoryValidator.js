@@ -0,0 +1,80 @@
+/**
+ * Category Validation Schemas
+ * Joi validation schemas for category-related operations
+ */
+
+import Joi from 'joi';
+
+// Category creation/update validation
+export const validateCategory = (data, isUpdate = false) => {
+  const schema = Joi.object({
+    name: Joi.string()
+      .min(2)
+      .max(50)
+      .required()
+      .trim()
+      .messages({
+        'string.min': 'Category name must be at least 2 characters long',
+        'string.max': 'Category name cannot exceed 50 characters',
+        'any.required': 'Category name is required'
+      }),
+
+    slug: Joi.string()
+      .pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+      .max(60)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Slug may only contain lowercase letters, numbers and hyphens'
+      }),
+
+    description: Joi.string()
+      .max(500)
+      .allow('')
+      .optional()
+      .messages({
+        'string.max': 'Description cannot exceed 500 characters'
+      }),
+
+    image: Joi.string()
+      .uri()
+      .allow('')
+      .optional()
+      .messages({
+        'string.uri': 'Please provide a valid image URL'
+      }),
+
+    parent: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .allow(null)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Invalid parent category ID format'
+      }),
+
+    sortOrder: Joi.number()
+      .integer()
+      .default(0),
+
+    taxClass: Joi.string()
+      .valid('standard', 'reduced', 'exempt')
+      .allow(null)
+      .optional()
+      .messages({
+        'any.only': 'Tax class must be standard, reduced or exempt'
+      }),
+
+    isActive: Joi.boolean()
+      .default(true)
+  });
+
+  // Make all fields optional for updates
+  if (isUpdate) {
+    const updateSchema = schema.fork(
+      ['name'],
+      (field) => field.optional()
+    );
+    return updateSchema.validate(data, { abortEarly: false, noDefaults: true });
+  }
+
+  return schema.validate(data, { abortEarly: false });
+};
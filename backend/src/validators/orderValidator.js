@@ -5,9 +5,43 @@
 
 import Joi from 'joi';
 
-// Order creation validation
-export const validateOrder = (data) => {
+// Order creation validation - guest orders carry the guest's contact details instead of an account
+export const validateOrder = (data, isGuest = false) => {
   const schema = Joi.object({
+    guest: isGuest
+      ? Joi.object({
+        email: Joi.string()
+          .email()
+          .lowercase()
+          .trim()
+          .required()
+          .messages({
+            'string.email': 'Please provide a valid email address',
+            'any.required': 'Email is required'
+          }),
+
+        name: Joi.string()
+          .min(2)
+          .max(50)
+          .trim()
+          .required()
+          .messages({
+            'string.min': 'Name must be at least 2 characters long',
+            'string.max': 'Name cannot exceed 50 characters',
+            'any.required': 'Name is required'
+          }),
+
+        phone: Joi.string()
+          .pattern(/^\+?[\d\s-()]+$/)
+          .optional()
+          .messages({
+            'string.pattern.base': 'Please provide a valid phone number'
+          })
+      }).required().messages({
+        'any.required': 'Guest contact details are required'
+      })
+      : Joi.any().strip(),
+
     items: Joi.array()
       .items(
         Joi.object({
@@ -19,6 +53,13 @@ export const validateOrder = (data) => {
               'any.required': 'Product ID is required'
             }),
 
+          variantId: Joi.string()
+            .pattern(/^[0-9a-fA-F]{24}$/)
+            .optional()
+            .messages({
+              'string.pattern.base': 'Invalid variant ID format'
+            }),
+
           quantity: Joi.number()
             .integer()
             .min(1)
@@ -115,33 +156,22 @@ export const validateOrder = (data) => {
         'any.only': 'Currency must be one of USD, EUR, GHS, or GBP'
       }),
 
-    taxRate: Joi.number()
-      .min(0)
-      .max(1)
-      .precision(4)
-      .default(0)
-      .messages({
-        'number.min': 'Tax rate cannot be negative',
-        'number.max': 'Tax rate cannot exceed 100%',
-        'number.precision': 'Tax rate can have maximum 4 decimal places'
-      }),
+    // Ignored - tax is computed on the server from the shipping address
+    taxRate: Joi.any().strip(),
 
-    shippingCost: Joi.number()
-      .min(0)
-      .precision(2)
-      .default(0)
-      .messages({
-        'number.min': 'Shipping cost cannot be negative',
-        'number.precision': 'Shipping cost can have maximum 2 decimal places'
-      }),
+    // Ignored - shipping is priced on the server from the method, parcel and address
+    shippingCost: Joi.any().strip(),
 
-    discount: Joi.number()
-      .min(0)
-      .precision(2)
-      .default(0)
+    // Ignored - discounts are computed on the server from the coupon
+    discount: Joi.any().strip(),
+
+    couponCode: Joi.string()
+      .trim()
+      .max(30)
+      .optional()
+      .allow('')
       .messages({
-        'number.min': 'Discount cannot be negative',
-        'number.precision': 'Discount can have maximum 2 decimal places'
+        'string.max': 'Coupon code cannot exceed 30 characters'
       }),
 
     notes: Joi.object({
@@ -154,6 +184,20 @@ export const validateOrder = (data) => {
   return schema.validate(data, { abortEarly: false });
 };
 
+// Guest order creation validation
+export const validateGuestOrder = (data) => validateOrder(data, true);
+
+// Guest order claim validation - without a lookup token every order placed with
+// the account's (verified) email is claimed
+export const validateGuestOrderClaim = (data) => {
+  const schema = Joi.object({
+    lookupToken: Joi.string()
+      .optional()
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
 // Order status update validation
 export const validateOrderStatusUpdate = (data) => {
   const schema = Joi.object({
@@ -188,15 +232,13 @@ export const validateOrderStatusUpdate = (data) => {
 // Payment processing validation
 export const validatePayment = (data) => {
   const schema = Joi.object({
-    transactionId: Joi.string()
-      .min(5)
-      .max(100)
-      .required()
-      .messages({
-        'string.min': 'Transaction ID must be at least 5 characters',
-        'string.max': 'Transaction ID cannot exceed 100 characters',
-        'any.required': 'Transaction ID is required'
-      }),
+    // Ignored - the payment provider issues the transaction ID
+    transactionId: Joi.any().strip(),
+
+    // Card or wallet token from the provider's client SDK
+    paymentToken: Joi.string()
+      .max(255)
+      .optional(),
 
     amount: Joi.number()
       .min(0.01)
@@ -229,18 +271,67 @@ export const validatePayment = (data) => {
 };
 
 // Refund processing validation
+// Refund order lines and/or shipping (amounts worked out from the order),
+// or a custom amount not tied to any line
 export const validateRefund = (data) => {
   const schema = Joi.object({
+    items: Joi.array()
+      .items(
+        Joi.object({
+          itemId: Joi.string()
+            .pattern(/^[0-9a-fA-F]{24}$/)
+            .required()
+            .messages({
+              'string.pattern.base': 'Invalid order item ID format',
+              'any.required': 'Order item ID is required'
+            }),
+          quantity: Joi.number()
+            .integer()
+            .min(1)
+            .required()
+            .messages({
+              'number.min': 'Refund quantity must be at least 1',
+              'any.required': 'Refund quantity is required'
+            }),
+          // Units to put back in stock (defaults to the whole quantity)
+          restockQuantity: Joi.number()
+            .integer()
+            .min(0)
+            .max(Joi.ref('quantity'))
+            .optional()
+            .messages({
+              'number.max': 'Cannot restock more units than are refunded'
+            })
+        })
+      )
+      .min(1)
+      .unique('itemId')
+      .optional()
+      .messages({
+        'array.unique': 'Each order item can only be listed once per refund'
+      }),
+
+    shippingAmount: Joi.number()
+      .min(0.01)
+      .precision(2)
+      .optional()
+      .messages({
+        'number.min': 'Shipping refund must be greater than 0',
+        'number.precision': 'Shipping refund can have maximum 2 decimal places'
+      }),
+
     amount: Joi.number()
       .min(0.01)
       .precision(2)
-      .required()
+      .optional()
       .messages({
         'number.min': 'Refund amount must be greater than 0',
-        'number.precision': 'Refund amount can have maximum 2 decimal places',
-        'any.required': 'Refund amount is required'
+        'number.precision': 'Refund amount can have maximum 2 decimal places'
       }),
 
+    // Put the refunded quantities back in stock
+    restock: Joi.boolean().default(true),
+
     reason: Joi.string()
       .min(10)
       .max(500)
@@ -257,7 +348,13 @@ export const validateRefund = (data) => {
       .messages({
         'any.only': 'Invalid refund method'
       })
-  });
+  })
+    .or('items', 'shippingAmount', 'amount')
+    .without('amount', ['items', 'shippingAmount'])
+    .messages({
+      'object.missing': 'Refund items, shippingAmount or amount is required',
+      'object.without': 'A custom refund amount cannot be combined with items or shippingAmount'
+    });
 
   return schema.validate(data, { abortEarly: false });
 };
@@ -300,6 +397,86 @@ export const validateTracking = (data) => {
   return schema.validate(data, { abortEarly: false });
 };
 
+// Shipment validation
+export const validateShipment = (data) => {
+  const schema = Joi.object({
+    // Defaults to every item not shipped yet
+    items: Joi.array()
+      .items(
+        Joi.object({
+          itemId: Joi.string()
+            .pattern(/^[0-9a-fA-F]{24}$/)
+            .required()
+            .messages({
+              'string.pattern.base': 'Invalid order item ID format',
+              'any.required': 'Order item ID is required'
+            }),
+          quantity: Joi.number().integer().min(1).required()
+        })
+      )
+      .unique('itemId')
+      .min(1)
+      .optional()
+      .messages({
+        'array.unique': 'Each order item can only be listed once per shipment'
+      }),
+
+    carrier: Joi.string()
+      .max(50)
+      .optional()
+      .messages({
+        'string.max': 'Carrier name cannot exceed 50 characters'
+      }),
+
+    trackingNumber: Joi.string()
+      .min(5)
+      .max(50)
+      .required()
+      .messages({
+        'string.min': 'Tracking number must be at least 5 characters',
+        'string.max': 'Tracking number cannot exceed 50 characters',
+        'any.required': 'Tracking number is required'
+      }),
+
+    trackingUrl: Joi.string()
+      .uri({ scheme: ['http', 'https'] })
+      .optional()
+      .messages({
+        'string.uri': 'Tracking URL must be a valid URL'
+      }),
+
+    shippedDate: Joi.date()
+      .max('now')
+      .optional()
+      .messages({
+        'date.max': 'Shipped date cannot be in the future'
+      }),
+
+    estimatedDeliveryDate: Joi.date()
+      .min('now')
+      .optional()
+      .messages({
+        'date.min': 'Estimated delivery date cannot be in the past'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Shipment delivery validation
+export const validateShipmentDelivery = (data) => {
+  const schema = Joi.object({
+    deliveredDate: Joi.date()
+      .max('now')
+      .optional()
+      .messages({
+        'date.max': 'Delivered date cannot be in the future'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
 // Order query validation (for filtering and pagination)
 export const validateOrderQuery = (query) => {
   const schema = Joi.object({
@@ -314,6 +491,7 @@ export const validateOrderQuery = (query) => {
       'pending',
       'confirmed',
       'processing',
+      'partially_shipped',
       'shipped',
       'delivered',
       'cancelled',
@@ -321,7 +499,7 @@ export const validateOrderQuery = (query) => {
     ).optional(),
     
     paymentStatus: Joi.string().valid(
-      'pending', 'completed', 'failed', 'refunded'
+      'pending', 'completed', 'failed', 'partially_refunded', 'refunded'
     ).optional(),
     
     customerId: Joi.string()
@@ -0,0 +1,53 @@
+/**
+ * Payment Validation Schemas
+ * Joi validation schemas for payment intents and provider event queries
+ */
+
+import Joi from 'joi';
+
+// Payment intent creation validation
+export const validatePaymentIntent = (data) => {
+  const schema = Joi.object({
+    orderId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Invalid order ID format',
+        'any.required': 'Order ID is required'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Guest payment intent validation
+export const validateGuestPaymentIntent = (data) => {
+  const schema = Joi.object({
+    lookupToken: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Order lookup token is required'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Payment event query validation
+export const validatePaymentEventQuery = (data) => {
+  const schema = Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    orderId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Invalid order ID format'
+      }),
+    provider: Joi.string().max(50).optional(),
+    status: Joi.string().valid('received', 'processed', 'ignored', 'failed').optional(),
+    type: Joi.string().max(100).optional()
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
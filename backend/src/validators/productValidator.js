@@ -5,6 +5,45 @@
 
 import Joi from 'joi';
 
+// Variant records must use exactly the declared option axes and values,
+// and no two variants may share the same combination
+const checkVariantOptions = (value, helpers) => {
+  const { options = [], variants = [] } = value;
+  if (variants.length === 0) return value;
+
+  if (options.length === 0) {
+    return helpers.message('Variants require at least one option (e.g. Color or Size)');
+  }
+
+  const seen = new Set();
+  for (const variant of variants) {
+    const variantOptions = variant.options || {};
+
+    for (const option of options) {
+      const selected = variantOptions[option.name];
+      if (!selected) {
+        return helpers.message(`Every variant must define a value for "${option.name}"`);
+      }
+      if (!option.values.includes(selected)) {
+        return helpers.message(`"${selected}" is not a valid value for "${option.name}"`);
+      }
+    }
+
+    const unknown = Object.keys(variantOptions).find(key => !options.some(option => option.name === key));
+    if (unknown) {
+      return helpers.message(`Unknown variant option "${unknown}"`);
+    }
+
+    const combination = options.map(option => variantOptions[option.name]).join('|');
+    if (seen.has(combination)) {
+      return helpers.message(`Duplicate variant for ${options.map(option => variantOptions[option.name]).join(' / ')}`);
+    }
+    seen.add(combination);
+  }
+
+  return value;
+};
+
 // Product creation/update validation
 export const validateProduct = (data, isUpdate = false) => {
   const schema = Joi.object({
@@ -64,6 +103,8 @@ export const validateProduct = (data, isUpdate = false) => {
     imageUrl: Joi.string()
       .uri()
       .required()
+      // Uploaded images stand in for the legacy URL
+      .when('images', { is: Joi.array().min(1).required(), then: Joi.optional() })
       .messages({
         'string.uri': 'Please provide a valid image URL',
         'any.required': 'Product image URL is required'
@@ -74,7 +115,13 @@ export const validateProduct = (data, isUpdate = false) => {
         Joi.object({
           url: Joi.string().uri().required(),
           alt: Joi.string().max(100).default(''),
-          isPrimary: Joi.boolean().default(false)
+          isPrimary: Joi.boolean().default(false),
+          key: Joi.string().pattern(/^products\/[\w-]+$/),
+          renditions: Joi.object({
+            thumbnail: Joi.string().uri(),
+            medium: Joi.string().uri(),
+            large: Joi.string().uri()
+          })
         })
       )
       .max(10)
@@ -84,20 +131,10 @@ export const validateProduct = (data, isUpdate = false) => {
       }),
 
     category: Joi.string()
-      .valid(
-        'Electronics',
-        'Clothing',
-        'Books',
-        'Home & Garden',
-        'Sports',
-        'Beauty',
-        'Automotive',
-        'Food & Beverages',
-        'Other'
-      )
+      .max(100)
       .required()
       .messages({
-        'any.only': 'Please select a valid category',
+        'string.max': 'Category cannot exceed 100 characters',
         'any.required': 'Product category is required'
       }),
 
@@ -122,10 +159,15 @@ export const validateProduct = (data, isUpdate = false) => {
         'string.max': 'SKU cannot exceed 20 characters'
       }),
 
+    // Derived from variant stock when variants are provided
     stock: Joi.number()
       .integer()
       .min(0)
-      .required()
+      .when('variants', {
+        is: Joi.array().min(1).required(),
+        then: Joi.optional(),
+        otherwise: Joi.required()
+      })
       .messages({
         'number.integer': 'Stock must be a whole number',
         'number.min': 'Stock cannot be negative',
@@ -184,8 +226,52 @@ export const validateProduct = (data, isUpdate = false) => {
       color: Joi.string().max(30).optional(),
       material: Joi.string().max(50).optional(),
       warranty: Joi.string().max(100).optional()
-    }).optional()
-  });
+    }).optional(),
+
+    options: Joi.array()
+      .items(
+        Joi.object({
+          name: Joi.string().max(30).required(),
+          values: Joi.array().items(Joi.string().max(50)).min(1).unique().required()
+        })
+      )
+      .max(3)
+      .unique('name')
+      .optional()
+      .messages({
+        'array.max': 'Maximum 3 variant options allowed',
+        'array.unique': 'Variant option names must be unique'
+      }),
+
+    variants: Joi.array()
+      .items(
+        Joi.object({
+          _id: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+          sku: Joi.string().max(30).optional(),
+          options: Joi.object().pattern(Joi.string(), Joi.string().max(50)).required(),
+          price: Joi.number().min(0).precision(2).optional(),
+          originalPrice: Joi.number().min(0).precision(2).optional(),
+          stock: Joi.number().integer().min(0).default(0),
+          lowStockThreshold: Joi.number().integer().min(0).optional(),
+          images: Joi.array()
+            .items(
+              Joi.object({
+                url: Joi.string().uri().required(),
+                alt: Joi.string().max(100).default(''),
+                isPrimary: Joi.boolean().default(false)
+              })
+            )
+            .max(10)
+            .optional(),
+          isActive: Joi.boolean().default(true)
+        })
+      )
+      .max(100)
+      .optional()
+      .messages({
+        'array.max': 'Maximum 100 variants allowed'
+      })
+  }).custom(checkVariantOptions);
 
   // Make all fields optional for updates
   if (isUpdate) {
@@ -199,20 +285,33 @@ export const validateProduct = (data, isUpdate = false) => {
   return schema.validate(data, { abortEarly: false });
 };
 
+// Multi-select filter - "a,b" or repeated query parameters
+const listFilter = Joi.alternatives().try(
+  Joi.string().max(500),
+  Joi.array().items(Joi.string().max(100)).max(20)
+);
+
 // Product search/filter validation
 export const validateProductQuery = (query) => {
   const schema = Joi.object({
+    q: Joi.string().trim().min(2).max(100).optional()
+      .messages({
+        'string.min': 'Search term must be at least 2 characters long'
+      }),
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(100).default(12),
     sortBy: Joi.string().valid(
-      'name', 'price', 'createdAt', 'averageRating', 'viewCount', 'soldCount'
-    ).default('createdAt'),
+      'relevance', 'name', 'price', 'createdAt', 'averageRating', 'viewCount', 'soldCount'
+    ).optional(),
     sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
-    category: Joi.string().optional(),
+    category: listFilter.optional(),
     subcategory: Joi.string().optional(),
-    brand: Joi.string().optional(),
+    brand: listFilter.optional(),
+    color: listFilter.optional(),
+    material: listFilter.optional(),
     minPrice: Joi.number().min(0).optional(),
     maxPrice: Joi.number().min(0).optional(),
+    minRating: Joi.number().min(1).max(5).optional(),
     inStock: Joi.boolean().optional(),
     featured: Joi.boolean().optional(),
     status: Joi.string().valid('active', 'inactive', 'discontinued').default('active'),
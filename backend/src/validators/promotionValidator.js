@@ -0,0 +1,160 @@
+/**
+ * Promotion Validation Schemas
+ * Joi validation schemas for coupon and promotion operations
+ */
+
+import Joi from 'joi';
+
+const objectId = Joi.string()
+  .pattern(/^[0-9a-fA-F]{24}$/)
+  .messages({
+    'string.pattern.base': 'Invalid ID format'
+  });
+
+// Promotion creation/update validation
+// Rules that depend on the promotion type are checked by the promotion service
+export const validatePromotion = (data, isUpdate = false) => {
+  const schema = Joi.object({
+    name: Joi.string()
+      .min(2)
+      .max(100)
+      .required()
+      .trim()
+      .messages({
+        'string.min': 'Promotion name must be at least 2 characters long',
+        'string.max': 'Promotion name cannot exceed 100 characters',
+        'any.required': 'Promotion name is required'
+      }),
+
+    code: Joi.string()
+      .pattern(/^[A-Za-z0-9_-]{3,30}$/)
+      .uppercase()
+      .required()
+      .messages({
+        'string.pattern.base': 'Coupon code must be 3-30 letters, numbers, hyphens or underscores',
+        'any.required': 'Coupon code is required'
+      }),
+
+    description: Joi.string()
+      .max(500)
+      .allow('')
+      .optional()
+      .messages({
+        'string.max': 'Description cannot exceed 500 characters'
+      }),
+
+    type: Joi.string()
+      .valid('percentage', 'fixed_amount', 'free_shipping', 'buy_x_get_y')
+      .required()
+      .messages({
+        'any.only': 'Promotion type must be percentage, fixed_amount, free_shipping or buy_x_get_y',
+        'any.required': 'Promotion type is required'
+      }),
+
+    value: Joi.number()
+      .min(0)
+      .precision(2)
+      .optional()
+      .messages({
+        'number.min': 'Discount value cannot be negative',
+        'number.precision': 'Discount value can have maximum 2 decimal places'
+      }),
+
+    maxDiscount: Joi.number()
+      .min(0)
+      .precision(2)
+      .allow(null)
+      .optional(),
+
+    buyQuantity: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .optional(),
+
+    getQuantity: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .optional(),
+
+    getDiscountPercent: Joi.number()
+      .min(1)
+      .max(100)
+      .default(100)
+      .messages({
+        'number.min': 'Discount on free items must be at least 1%',
+        'number.max': 'Discount on free items cannot exceed 100%'
+      }),
+
+    products: Joi.array()
+      .items(objectId)
+      .max(500)
+      .default([]),
+
+    categories: Joi.array()
+      .items(objectId)
+      .max(100)
+      .default([]),
+
+    minOrderValue: Joi.number()
+      .min(0)
+      .precision(2)
+      .default(0)
+      .messages({
+        'number.min': 'Minimum order value cannot be negative'
+      }),
+
+    usageLimit: Joi.number()
+      .integer()
+      .min(1)
+      .allow(null)
+      .optional(),
+
+    usageLimitPerCustomer: Joi.number()
+      .integer()
+      .min(1)
+      .allow(null)
+      .optional(),
+
+    startsAt: Joi.date()
+      .optional(),
+
+    endsAt: Joi.date()
+      .allow(null)
+      .optional()
+      .when('startsAt', {
+        is: Joi.exist(),
+        then: Joi.date().greater(Joi.ref('startsAt'))
+      })
+      .messages({
+        'date.greater': 'End date must be after the start date'
+      }),
+
+    isActive: Joi.boolean()
+      .default(true)
+  });
+
+  // Make all fields optional for updates
+  if (isUpdate) {
+    const updateSchema = schema.fork(
+      ['name', 'code', 'type'],
+      (field) => field.optional()
+    );
+    return updateSchema.validate(data, { abortEarly: false, noDefaults: true });
+  }
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Promotion query validation (admin listing)
+export const validatePromotionQuery = (query) => {
+  const schema = Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    isActive: Joi.boolean().optional(),
+    search: Joi.string().max(100).optional()
+  });
+
+  return schema.validate(query, { abortEarly: false });
+};
@@ -0,0 +1,158 @@
+/**
+ * Return Validation Schemas
+ * Joi validation schemas for customer returns (RMA)
+ */
+
+import Joi from 'joi';
+
+const objectId = (label) => Joi.string()
+  .pattern(/^[0-9a-fA-F]{24}$/)
+  .messages({
+    'string.pattern.base': `Invalid ${label} ID format`,
+    'any.required': `${label.charAt(0).toUpperCase()}${label.slice(1)} ID is required`
+  });
+
+// Multipart requests send the item list as a JSON string
+const jsonArray = Joi.extend((joi) => ({
+  type: 'array',
+  base: joi.array(),
+  coerce: {
+    from: 'string',
+    method(value, helpers) {
+      try {
+        return { value: JSON.parse(value) };
+      } catch (error) {
+        return { errors: [helpers.error('array.base')] };
+      }
+    }
+  }
+}));
+
+// Return request validation
+export const validateReturnRequest = (data) => {
+  const schema = Joi.object({
+    orderId: objectId('order').required(),
+
+    items: jsonArray.array()
+      .items(
+        Joi.object({
+          itemId: objectId('order item').required(),
+          quantity: Joi.number()
+            .integer()
+            .min(1)
+            .required()
+            .messages({
+              'number.min': 'Return quantity must be at least 1',
+              'any.required': 'Return quantity is required'
+            })
+        })
+      )
+      .min(1)
+      .unique('itemId')
+      .required()
+      .messages({
+        'array.base': 'Items must be a list of order item IDs and quantities',
+        'array.min': 'Select at least one item to return',
+        'array.unique': 'Each order item can only be listed once',
+        'any.required': 'Items to return are required'
+      }),
+
+    reasonCode: Joi.string()
+      .valid('damaged', 'defective', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other')
+      .required()
+      .messages({
+        'any.only': 'Reason must be damaged, defective, wrong_item, not_as_described, no_longer_needed or other',
+        'any.required': 'Return reason is required'
+      }),
+
+    reason: Joi.string()
+      .max(1000)
+      .trim()
+      .when('reasonCode', {
+        is: 'other',
+        then: Joi.required(),
+        otherwise: Joi.optional().allow('')
+      })
+      .messages({
+        'string.max': 'Return reason cannot exceed 1000 characters',
+        'any.required': 'Please describe the reason for the return'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Return approval/rejection validation
+export const validateReturnDecision = (data) => {
+  const schema = Joi.object({
+    note: Joi.string()
+      .min(5)
+      .max(500)
+      .optional()
+      .messages({
+        'string.min': 'Note must be at least 5 characters',
+        'string.max': 'Note cannot exceed 500 characters'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Return rejection validation
+export const validateReturnRejection = (data) => {
+  const schema = Joi.object({
+    reason: Joi.string()
+      .min(5)
+      .max(500)
+      .required()
+      .messages({
+        'string.min': 'Rejection reason must be at least 5 characters',
+        'string.max': 'Rejection reason cannot exceed 500 characters',
+        'any.required': 'Rejection reason is required'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Return receipt validation - lines not listed arrived restockable
+export const validateReturnReceipt = (data) => {
+  const schema = Joi.object({
+    items: Joi.array()
+      .items(
+        Joi.object({
+          itemId: objectId('order item').required(),
+          restockableQuantity: Joi.number().integer().min(0).optional(),
+          damagedQuantity: Joi.number().integer().min(0).default(0)
+        })
+      )
+      .unique('itemId')
+      .default([]),
+
+    note: Joi.string().max(500).optional(),
+
+    refundMethod: Joi.string()
+      .valid('original_payment', 'store_credit', 'bank_transfer')
+      .default('original_payment')
+      .messages({
+        'any.only': 'Invalid refund method'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Return query validation
+export const validateReturnQuery = (data) => {
+  const schema = Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+    status: Joi.string()
+      .valid('requested', 'approved', 'rejected', 'received', 'refunded')
+      .optional(),
+    orderId: objectId('order').optional(),
+    customerId: objectId('customer').optional()
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
@@ -0,0 +1,146 @@
+/**
+ * Shipping Validation Schemas
+ * Joi validation schemas for shipping zones and rate quotes
+ */
+
+import Joi from 'joi';
+
+const shippingMethod = Joi.object({
+  method: Joi.string()
+    .valid('standard', 'express', 'overnight', 'pickup')
+    .required()
+    .messages({
+      'any.only': 'Shipping method must be standard, express, overnight or pickup',
+      'any.required': 'Shipping method is required'
+    }),
+
+  label: Joi.string().max(50).optional(),
+
+  baseRate: Joi.number().min(0).precision(2).default(0),
+
+  weightTiers: Joi.array()
+    .items(
+      Joi.object({
+        maxWeight: Joi.number().min(0).required(),
+        rate: Joi.number().min(0).precision(2).required()
+      })
+    )
+    .max(20)
+    .default([]),
+
+  additionalPerKg: Joi.number().min(0).precision(2).allow(null).optional(),
+
+  freeShippingThreshold: Joi.number().min(0).precision(2).allow(null).optional(),
+
+  minDeliveryDays: Joi.number().integer().min(0).max(90).default(1),
+
+  maxDeliveryDays: Joi.number()
+    .integer()
+    .min(Joi.ref('minDeliveryDays'))
+    .max(90)
+    .default(5)
+    .messages({
+      'number.min': 'Maximum delivery days cannot be less than the minimum'
+    }),
+
+  isActive: Joi.boolean().default(true)
+});
+
+// Shipping zone creation/update validation
+export const validateShippingZone = (data, isUpdate = false) => {
+  const schema = Joi.object({
+    name: Joi.string()
+      .min(2)
+      .max(100)
+      .required()
+      .trim()
+      .messages({
+        'string.min': 'Zone name must be at least 2 characters long',
+        'string.max': 'Zone name cannot exceed 100 characters',
+        'any.required': 'Zone name is required'
+      }),
+
+    countries: Joi.array()
+      .items(Joi.string().min(2).max(50).trim())
+      .max(250)
+      .default([]),
+
+    states: Joi.array()
+      .items(Joi.string().min(2).max(50).trim())
+      .max(100)
+      .default([]),
+
+    isDefault: Joi.boolean().default(false),
+
+    methods: Joi.array()
+      .items(shippingMethod)
+      .unique('method')
+      .min(1)
+      .required()
+      .messages({
+        'array.unique': 'Each shipping method can only be priced once per zone',
+        'array.min': 'A zone needs at least one shipping method',
+        'any.required': 'Shipping methods are required'
+      }),
+
+    isActive: Joi.boolean().default(true)
+  }).custom((value, helpers) => {
+    if (!isUpdate && !value.isDefault && value.countries.length === 0) {
+      return helpers.message('A zone needs at least one country unless it is the default zone');
+    }
+    return value;
+  });
+
+  // Make all fields optional for updates
+  if (isUpdate) {
+    const updateSchema = schema.fork(
+      ['name', 'methods'],
+      (field) => field.optional()
+    );
+    return updateSchema.validate(data, { abortEarly: false, noDefaults: true });
+  }
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Shipping quote validation
+export const validateShippingQuote = (data) => {
+  const schema = Joi.object({
+    // Defaults to the signed-in customer's cart
+    items: Joi.array()
+      .items(
+        Joi.object({
+          productId: Joi.string()
+            .pattern(/^[0-9a-fA-F]{24}$/)
+            .required()
+            .messages({
+              'string.pattern.base': 'Invalid product ID format',
+              'any.required': 'Product ID is required'
+            }),
+          variantId: Joi.string()
+            .pattern(/^[0-9a-fA-F]{24}$/)
+            .optional()
+            .messages({
+              'string.pattern.base': 'Invalid variant ID format'
+            }),
+          quantity: Joi.number().integer().min(1).max(100).required()
+        })
+      )
+      .min(1)
+      .max(100)
+      .optional(),
+
+    address: Joi.object({
+      country: Joi.string().min(2).max(50).required(),
+      state: Joi.string().max(50).allow('').optional(),
+      zipCode: Joi.string().max(20).allow('').optional()
+    })
+      .unknown(true)
+      .required()
+      .messages({
+        'any.required': 'Shipping address is required'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
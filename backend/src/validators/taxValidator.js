@@ -0,0 +1,88 @@
+/**
+ * Tax Validation Schemas
+ * Joi validation schemas for tax rate operations
+ */
+
+import Joi from 'joi';
+
+// Tax rate creation/update validation
+export const validateTaxRate = (data, isUpdate = false) => {
+  const schema = Joi.object({
+    name: Joi.string()
+      .min(2)
+      .max(100)
+      .required()
+      .trim()
+      .messages({
+        'string.min': 'Tax rate name must be at least 2 characters long',
+        'string.max': 'Tax rate name cannot exceed 100 characters',
+        'any.required': 'Tax rate name is required'
+      }),
+
+    country: Joi.string()
+      .min(2)
+      .max(50)
+      .required()
+      .trim()
+      .messages({
+        'string.min': 'Country must be at least 2 characters',
+        'string.max': 'Country cannot exceed 50 characters',
+        'any.required': 'Country is required'
+      }),
+
+    state: Joi.string()
+      .min(2)
+      .max(50)
+      .trim()
+      .allow(null)
+      .optional()
+      .messages({
+        'string.min': 'State must be at least 2 characters',
+        'string.max': 'State cannot exceed 50 characters'
+      }),
+
+    zipCodePrefix: Joi.string()
+      .pattern(/^[A-Za-z0-9 -]{1,20}$/)
+      .allow(null)
+      .optional()
+      .messages({
+        'string.pattern.base': 'ZIP code prefix may only contain letters, numbers, spaces and hyphens'
+      }),
+
+    taxClass: Joi.string()
+      .valid('standard', 'reduced')
+      .default('standard')
+      .messages({
+        'any.only': 'Tax class must be standard or reduced'
+      }),
+
+    rate: Joi.number()
+      .min(0)
+      .max(100)
+      .precision(4)
+      .required()
+      .messages({
+        'number.min': 'Rate cannot be negative',
+        'number.max': 'Rate cannot exceed 100%',
+        'number.precision': 'Rate can have maximum 4 decimal places',
+        'any.required': 'Rate is required'
+      }),
+
+    appliesToShipping: Joi.boolean()
+      .default(false),
+
+    isActive: Joi.boolean()
+      .default(true)
+  });
+
+  // Make all fields optional for updates
+  if (isUpdate) {
+    const updateSchema = schema.fork(
+      ['name', 'country', 'rate'],
+      (field) => field.optional()
+    );
+    return updateSchema.validate(data, { abortEarly: false, noDefaults: true });
+  }
+
+  return schema.validate(data, { abortEarly: false });
+};
@@ -212,6 +212,13 @@ export const validateCartItem = (data) => {
         'any.required': 'Product ID is required'
       }),
 
+    variantId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Invalid variant ID format'
+      }),
+
     quantity: Joi.number()
       .integer()
       .min(1)
@@ -242,6 +249,23 @@ export const validateWishlistItem = (data) => {
   return schema.validate(data, { abortEarly: false });
 };
 
+// Email verification validation
+export const validateEmailVerification = (data) => {
+  const schema = Joi.object({
+    token: Joi.string()
+      .hex()
+      .length(64)
+      .required()
+      .messages({
+        'string.hex': 'Invalid verification token',
+        'string.length': 'Invalid verification token',
+        'any.required': 'Verification token is required'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
 // Password reset request validation
 export const validatePasswordResetRequest = (data) => {
   const schema = Joi.object({
@@ -289,3 +313,68 @@ export const validatePasswordReset = (data) => {
 
   return schema.validate(data, { abortEarly: false });
 };
+
+// Authentication code from an authenticator app
+const twoFactorCode = Joi.string()
+  .trim()
+  .pattern(/^\d{6}$/)
+  .messages({
+    'string.pattern.base': 'Authentication code must be 6 digits',
+    'any.required': 'Authentication code is required'
+  });
+
+// One-time recovery code given when two-factor authentication was turned on
+const recoveryCode = Joi.string()
+  .trim()
+  .max(20)
+  .messages({
+    'string.max': 'Invalid recovery code'
+  });
+
+const secondFactorMessages = {
+  'object.missing': 'Provide an authentication code or a recovery code',
+  'object.xor': 'Provide either an authentication code or a recovery code, not both'
+};
+
+// Two-factor code validation (confirming setup, new recovery codes)
+export const validateTwoFactorCode = (data) => {
+  const schema = Joi.object({
+    code: twoFactorCode.required()
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Two-factor login validation (second step of login)
+export const validateTwoFactorLogin = (data) => {
+  const schema = Joi.object({
+    challengeToken: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Two-factor challenge token is required'
+      }),
+
+    code: twoFactorCode,
+
+    recoveryCode
+  }).xor('code', 'recoveryCode').messages(secondFactorMessages);
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Turning off two-factor authentication validation
+export const validateTwoFactorDisable = (data) => {
+  const schema = Joi.object({
+    password: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Password is required'
+      }),
+
+    code: twoFactorCode,
+
+    recoveryCode
+  }).xor('code', 'recoveryCode').messages(secondFactorMessages);
+
+  return schema.validate(data, { abortEarly: false });
+};
@@ -0,0 +1,42 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { Database } from '../../src/config/database.js';
+
+describe('Database.dropOtherTextIndexes', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const stubCollection = (indexes) => {
+    const collection = {
+      indexes: jest.fn(indexes),
+      dropIndex: jest.fn(async () => null)
+    };
+    jest.spyOn(mongoose.connection, 'collection').mockReturnValue(collection);
+    return collection;
+  };
+
+  it('drops text indexes left by earlier versions and keeps the named one', async () => {
+    const collection = stubCollection(async () => [
+      { name: '_id_', key: { _id: 1 } },
+      { name: 'name_text_description_text_category_text', key: { _fts: 'text', _ftsx: 1 } },
+      { name: 'product_search_text', key: { _fts: 'text', _ftsx: 1 } },
+      { name: 'category_1_status_1_isActive_1', key: { category: 1, status: 1, isActive: 1 } }
+    ]);
+
+    await new Database().dropOtherTextIndexes('products', 'product_search_text');
+
+    expect(collection.dropIndex).toHaveBeenCalledTimes(1);
+    expect(collection.dropIndex).toHaveBeenCalledWith('name_text_description_text_category_text');
+  });
+
+  it('does nothing before the collection exists', async () => {
+    const collection = stubCollection(async () => {
+      throw Object.assign(new Error('ns does not exist'), { codeName: 'NamespaceNotFound' });
+    });
+
+    await new Database().dropOtherTextIndexes('products', 'product_search_text');
+
+    expect(collection.dropIndex).not.toHaveBeenCalled();
+  });
+});
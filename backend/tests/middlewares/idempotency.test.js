@@ -0,0 +1,212 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import IdempotencyKeyRepository from '../../src/repositories/IdempotencyKeyRepository.js';
+import { idempotent } from '../../src/middlewares/idempotency.js';
+import { signOrderLookupToken } from '../../src/utils/orderLookupToken.js';
+
+// In-memory stand-in for the idempotency key collection
+const records = new Map();
+let nextId = 1;
+
+const buildApp = (handler, path = '/api/orders', user = { id: 'user-1' }) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    if (user) req.user = user;
+    next();
+  });
+  app.post(path, idempotent, handler);
+  app.use((err, req, res, next) => res.status(err.statusCode || 500).json({ success: false, message: err.message }));
+  return app;
+};
+
+describe('idempotent middleware', () => {
+  let handler;
+  let app;
+
+  beforeEach(() => {
+    records.clear();
+    handler = jest.fn((req, res) => res.status(201).json({ success: true, data: { total: req.body.total, run: handler.mock.calls.length } }));
+    app = buildApp(handler);
+
+    jest.spyOn(IdempotencyKeyRepository.prototype, 'create').mockImplementation(async (data) => {
+      if ([...records.values()].some(record => record.scope === data.scope && record.key === data.key)) {
+        throw Object.assign(new Error('duplicate key'), { code: 11000 });
+      }
+      const record = { _id: String(nextId++), status: 'processing', updatedAt: new Date(), ...data };
+      records.set(record._id, record);
+      return record;
+    });
+    jest.spyOn(IdempotencyKeyRepository.prototype, 'findByKey').mockImplementation(async (scope, key) =>
+      [...records.values()].find(record => record.scope === scope && record.key === key) || null);
+    jest.spyOn(IdempotencyKeyRepository.prototype, 'markUnknown').mockImplementation(async (id) =>
+      Object.assign(records.get(id), { status: 'unknown' }));
+    jest.spyOn(IdempotencyKeyRepository.prototype, 'complete').mockImplementation(async (id, responseStatus, responseBody) =>
+      Object.assign(records.get(id), { status: 'completed', responseStatus, responseBody }));
+    jest.spyOn(IdempotencyKeyRepository.prototype, 'release').mockImplementation(async (id) => {
+      records.delete(id);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const placeOrder = () => request(app)
+    .post('/api/orders')
+    .set('Idempotency-Key', 'order-attempt-1')
+    .send({ total: 42 });
+
+  it('replays the stored status and body without running the request again', async () => {
+    const first = await placeOrder();
+    const replay = await placeOrder();
+
+    expect(first.status).toBe(201);
+    expect(replay.status).toBe(201);
+    expect(replay.body).toEqual(first.body);
+    expect(replay.headers['idempotent-replayed']).toBe('true');
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses the same key for a different request', async () => {
+    await placeOrder();
+
+    const other = await request(app)
+      .post('/api/orders')
+      .set('Idempotency-Key', 'order-attempt-1')
+      .send({ total: 99 });
+
+    expect(other.status).toBe(409);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses a retry while the first request is still running', async () => {
+    let finish;
+    handler.mockImplementationOnce((req, res) => new Promise(resolve => {
+      finish = () => resolve(res.status(201).json({ success: true }));
+    }));
+
+    const first = placeOrder().then(response => response);
+    while (!finish) await new Promise(resolve => setTimeout(resolve, 5));
+    const retry = await placeOrder();
+    finish();
+
+    expect(retry.status).toBe(409);
+    expect((await first).status).toBe(201);
+  });
+
+  it('frees the key of a failed request so it can be retried', async () => {
+    handler.mockImplementationOnce((req, res) => res.status(400).json({ success: false }));
+
+    const failed = await placeOrder();
+    const retry = await placeOrder();
+
+    expect(failed.status).toBe(400);
+    expect(retry.status).toBe(201);
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('retries saving the response once', async () => {
+    IdempotencyKeyRepository.prototype.complete.mockRejectedValueOnce(new Error('write conflict'));
+
+    await placeOrder();
+    const replay = await placeOrder();
+
+    expect(replay.headers['idempotent-replayed']).toBe('true');
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps the key processing instead of freeing it when the response cannot be saved', async () => {
+    IdempotencyKeyRepository.prototype.complete
+      .mockRejectedValueOnce(new Error('write conflict'))
+      .mockRejectedValueOnce(new Error('write conflict'));
+
+    const first = await placeOrder();
+    const retry = await placeOrder();
+
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(409);
+    expect(IdempotencyKeyRepository.prototype.release).not.toHaveBeenCalled();
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses a retry after a server error, which may have partly run', async () => {
+    handler.mockImplementationOnce((req, res) => res.status(500).json({ success: false }));
+
+    await placeOrder();
+    const retry = await placeOrder();
+
+    expect(retry.status).toBe(409);
+    expect(retry.body.message).toMatch(/may have been partly applied/);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('never runs a request again once it has been processing for a long time', async () => {
+    await placeOrder();
+    Object.assign([...records.values()][0], { status: 'processing', updatedAt: new Date(Date.now() - 60 * 60 * 1000) });
+
+    const retry = await placeOrder();
+
+    expect(retry.status).toBe(409);
+    expect(retry.body.message).toMatch(/did not finish/);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('captures only once when the same payment is sent twice at the same time', async () => {
+    let captures = 0;
+    const payApp = buildApp(async (req, res) => {
+      captures++;
+      await new Promise(resolve => setTimeout(resolve, 20));
+      res.status(200).json({ success: true, data: { captures } });
+    }, '/api/orders/:id/payment');
+
+    const pay = () => request(payApp)
+      .post('/api/orders/order-1/payment')
+      .set('Idempotency-Key', 'payment-attempt-1')
+      .send({ amount: 42 });
+
+    const responses = await Promise.all([pay(), pay()]);
+
+    expect(captures).toBe(1);
+    expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+  });
+
+  describe('guest checkout', () => {
+    const guestApp = () => buildApp(handler, '/api/orders/guest', null);
+
+    const placeGuestOrder = (email) => request(guestApp())
+      .post('/api/orders/guest')
+      .set('Idempotency-Key', 'order-attempt-1')
+      .send({ total: 42, guest: { email } });
+
+    it("scopes keys to the guest's email", async () => {
+      const first = await placeGuestOrder('guest@example.com');
+      const replay = await placeGuestOrder('guest@example.com');
+      const otherGuest = await placeGuestOrder('someone@example.com');
+
+      expect(replay.headers['idempotent-replayed']).toBe('true');
+      expect(replay.body).toEqual(first.body);
+      expect(otherGuest.headers['idempotent-replayed']).toBeUndefined();
+      expect(handler).toHaveBeenCalledTimes(2);
+      expect([...records.values()].map(record => record.scope))
+        .toEqual(['guest:guest@example.com', 'guest:someone@example.com']);
+    });
+
+    it('scopes a guest payment to the email in its lookup token', async () => {
+      const lookupToken = signOrderLookupToken({ orderNumber: 'ORD-TEST-1', guest: { email: 'guest@example.com' } });
+      const app = buildApp(handler, '/api/payments/intents/guest', null);
+      const startPayment = () => request(app)
+        .post('/api/payments/intents/guest')
+        .set('Idempotency-Key', 'intent-attempt-1')
+        .send({ lookupToken });
+
+      await startPayment();
+      const replay = await startPayment();
+
+      expect(replay.headers['idempotent-replayed']).toBe('true');
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect([...records.values()][0].scope).toBe('guest:guest@example.com');
+    });
+  });
+});
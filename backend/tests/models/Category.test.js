@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import Category from '../../src/models/Category.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('Category.buildTree', () => {
+  const electronics = id();
+  const audio = id();
+  const headphones = id();
+  const books = id();
+
+  const categories = [
+    { _id: headphones, name: 'Headphones', parent: audio, ancestors: [electronics, audio], sortOrder: 0 },
+    { _id: books, name: 'Books', parent: null, ancestors: [], sortOrder: 1 },
+    { _id: audio, name: 'Audio', parent: electronics, ancestors: [electronics], sortOrder: 0 },
+    { _id: electronics, name: 'Electronics', parent: null, ancestors: [], sortOrder: 0 }
+  ];
+
+  it('nests categories under their parents in sort order', () => {
+    const tree = Category.buildTree(categories);
+
+    expect(tree.map(node => node.name)).toEqual(['Electronics', 'Books']);
+    expect(tree[0].children.map(node => node.name)).toEqual(['Audio']);
+    expect(tree[0].children[0].children.map(node => node.name)).toEqual(['Headphones']);
+  });
+
+  it('rolls product counts up to every ancestor', () => {
+    const counts = new Map([[headphones.toString(), 3], [audio.toString(), 1], [books.toString(), 2]]);
+
+    const [root, bookNode] = Category.buildTree(categories, counts);
+
+    expect(root.productCount).toBe(0);
+    expect(root.totalProductCount).toBe(4);
+    expect(root.children[0].totalProductCount).toBe(4);
+    expect(bookNode.totalProductCount).toBe(2);
+  });
+
+  it('leaves out categories below one that is not in the list', () => {
+    const cables = id();
+    const counts = new Map([[headphones.toString(), 3], [cables.toString(), 5]]);
+    const withoutAudio = [
+      ...categories.filter(category => category._id !== audio),
+      { _id: cables, name: 'Cables', parent: headphones, ancestors: [electronics, audio, headphones], sortOrder: 0 }
+    ];
+
+    const tree = Category.buildTree(withoutAudio, counts);
+
+    expect(tree.map(node => node.name)).toEqual(['Electronics', 'Books']);
+    expect(tree[0].children).toEqual([]);
+    expect(tree[0].totalProductCount).toBe(0);
+  });
+
+  it('builds the subtree of the given root only', () => {
+    const subtree = categories.filter(category => category._id !== electronics);
+
+    const [node, ...rest] = Category.buildTree(subtree, new Map(), audio);
+
+    expect(rest).toEqual([]);
+    expect(node.name).toBe('Audio');
+    expect(node.children.map(child => child.name)).toEqual(['Headphones']);
+  });
+
+  it('turns names into slugs', () => {
+    expect(Category.slugify('Power Banks & Chargers')).toBe('power-banks-chargers');
+  });
+});
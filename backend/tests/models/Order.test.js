@@ -0,0 +1,117 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Order from '../../src/models/Order.js';
+
+describe('Order shipments', () => {
+  const confirmedOrder = () => {
+    const order = new Order({
+      orderNumber: 'ORD-TEST-2',
+      customer: new mongoose.Types.ObjectId(),
+      items: [
+        { product: new mongoose.Types.ObjectId(), name: 'Lamp', image: 'lamp.jpg', price: 20, quantity: 2, total: 40 },
+        { product: new mongoose.Types.ObjectId(), name: 'Shade', image: 'shade.jpg', price: 10, quantity: 1, total: 10 }
+      ],
+      subtotal: 50,
+      total: 50,
+      status: 'confirmed',
+      payment: { method: 'credit_card', status: 'completed' }
+    });
+    jest.spyOn(order, 'save').mockImplementation(async function() { return this; });
+    return order;
+  };
+
+  const ship = (order, lines, trackingNumber) => order.addShipment({
+    carrier: 'DHL',
+    trackingNumber,
+    shippedDate: new Date(),
+    items: lines.map(([index, quantity]) => ({ item: order.items[index]._id, quantity }))
+  });
+
+  it('is partially shipped until every line has shipped', async () => {
+    const order = confirmedOrder();
+
+    await ship(order, [[0, 1]], 'TRACK-1');
+    expect(order.status).toBe('partially_shipped');
+    expect(order.getUnshippedItems().map(line => [line.name, line.quantity])).toEqual([['Lamp', 1], ['Shade', 1]]);
+
+    await ship(order, [], 'TRACK-2');
+    expect(order.status).toBe('shipped');
+    expect(order.shipments[1].items).toHaveLength(2);
+  });
+
+  it('is delivered once every shipment has been delivered', async () => {
+    const order = confirmedOrder();
+    await ship(order, [[0, 2]], 'TRACK-1');
+    await ship(order, [[1, 1]], 'TRACK-2');
+
+    await order.deliverShipment(order.shipments[0]._id, new Date('2026-03-02'));
+    expect(order.status).toBe('shipped');
+
+    await order.deliverShipment(order.shipments[1]._id, new Date('2026-03-04'));
+    expect(order.status).toBe('delivered');
+    expect(order.shipping.actualDeliveryDate).toEqual(new Date('2026-03-04'));
+  });
+
+  it('refuses to ship more than is left of a line', async () => {
+    const order = confirmedOrder();
+    await ship(order, [[0, 1]], 'TRACK-1');
+
+    await expect(ship(order, [[0, 2]], 'TRACK-2'))
+      .rejects.toThrow(`Only 1 of order item ${order.items[0]._id} can still be shipped`);
+  });
+
+  it('keeps the status of an order without shipments', () => {
+    expect(confirmedOrder().getFulfillmentStatus()).toBeNull();
+  });
+});
+
+const buildOrder = () => new Order({
+  orderNumber: 'ORD-TEST-1',
+  customer: new mongoose.Types.ObjectId(),
+  status: 'pending',
+  payment: { method: 'credit_card', status: 'pending' }
+});
+
+describe('Order.processPayment', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('only writes the payment to an order that is neither cancelled nor paid', async () => {
+    const order = buildOrder();
+    const findOneAndUpdate = jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const result = await order.processPayment('mock_ch_1', 'mock');
+
+    expect(result).toBeNull();
+    expect(findOneAndUpdate).toHaveBeenCalledTimes(1);
+    expect(findOneAndUpdate.mock.calls[0][0]).toEqual({
+      _id: order._id,
+      status: { $ne: 'cancelled' },
+      'payment.status': { $in: ['pending', 'failed'] }
+    });
+  });
+
+  it('confirms a pending order once the payment is recorded', async () => {
+    const order = buildOrder();
+    const paid = { ...order.toObject(), payment: { status: 'completed' } };
+    const confirmed = { ...paid, status: 'confirmed' };
+    const findOneAndUpdate = jest.spyOn(Order, 'findOneAndUpdate')
+      .mockResolvedValueOnce(paid)
+      .mockResolvedValueOnce(confirmed);
+
+    const result = await order.processPayment('mock_ch_1', 'mock');
+
+    expect(result).toBe(confirmed);
+    expect(findOneAndUpdate.mock.calls[1][0]).toEqual({ _id: order._id, status: 'pending' });
+  });
+});
+
+describe('Order.updateStatus', () => {
+  it('does not let a delivered order be marked refunded without a refund', async () => {
+    const order = new Order({ ...buildOrder().toObject(), status: 'delivered' });
+    jest.spyOn(order, 'save').mockImplementation(async function() { return this; });
+
+    await expect(order.updateStatus('refunded')).rejects.toThrow('Cannot transition from delivered to refunded');
+  });
+});
@@ -0,0 +1,47 @@
+import Product from '../../src/models/Product.js';
+
+const buildProduct = () => new Product({
+  name: 'T-shirt',
+  description: 'Plain cotton t-shirt',
+  sku: 'TEE-1',
+  price: 20,
+  imageUrl: 'tee.jpg',
+  images: [{ url: 'tee.jpg', isPrimary: true }],
+  options: [{ name: 'Size', values: ['M', 'L'] }],
+  variants: [
+    { sku: 'TEE-1-M', options: { Size: 'M' }, stock: 5 },
+    { sku: 'TEE-1-L', options: { Size: 'L' }, price: 22, stock: 2, images: [{ url: 'tee-l.jpg' }] },
+    { sku: 'TEE-1-XL', options: { Size: 'XL' }, stock: 4, isActive: false }
+  ]
+});
+
+describe('Product.resolvePurchasable', () => {
+  it('uses the product price and image for a variant without its own', () => {
+    const product = buildProduct();
+    const [medium] = product.variants;
+
+    expect(product.resolvePurchasable(medium._id)).toMatchObject({
+      sku: 'TEE-1-M', price: 20, stock: 5, image: 'tee.jpg', label: 'M'
+    });
+  });
+
+  it('uses the variant price and image when it has them', () => {
+    const product = buildProduct();
+    const large = product.variants[1];
+
+    expect(product.resolvePurchasable(large._id)).toMatchObject({ sku: 'TEE-1-L', price: 22, image: 'tee-l.jpg' });
+  });
+
+  it('refuses a missing, unknown or inactive variant', () => {
+    const product = buildProduct();
+
+    expect(product.resolvePurchasable()).toBeNull();
+    expect(product.resolvePurchasable(product.variants[2]._id)).toBeNull();
+  });
+
+  it('sells a product without variants as itself', () => {
+    const product = new Product({ name: 'Lamp', description: 'Desk lamp with arm', sku: 'LAMP-1', price: 30, stock: 3, imageUrl: 'lamp.jpg' });
+
+    expect(product.resolvePurchasable()).toMatchObject({ variant: null, sku: 'LAMP-1', price: 30, stock: 3 });
+  });
+});
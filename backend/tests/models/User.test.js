@@ -0,0 +1,30 @@
+import { jest } from '@jest/globals';
+import User from '../../src/models/User.js';
+
+describe('User.findByCredentials lockout', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const stubUser = (user) => jest.spyOn(User, 'findOne').mockReturnValue({ select: async () => user });
+
+  it('refuses the right password while the account is locked', async () => {
+    const user = new User({ name: 'Ada', email: 'ada@example.com', password: 'Secret123!', lockUntil: new Date(Date.now() + 60000) });
+    jest.spyOn(user, 'comparePassword').mockResolvedValue(true);
+    stubUser(user);
+
+    await expect(User.findByCredentials('ada@example.com', 'Secret123!')).rejects.toMatchObject({
+      message: 'Invalid login credentials',
+      user,
+      locked: true
+    });
+  });
+
+  it('accepts the right password once the lock has ended', async () => {
+    const user = new User({ name: 'Ada', email: 'ada@example.com', password: 'Secret123!', lockUntil: new Date(Date.now() - 1000) });
+    jest.spyOn(user, 'comparePassword').mockResolvedValue(true);
+    stubUser(user);
+
+    await expect(User.findByCredentials('ada@example.com', 'Secret123!')).resolves.toBe(user);
+  });
+});
@@ -0,0 +1,55 @@
+import MockPaymentProvider, { SIGNATURE_HEADER } from '../../src/payments/MockPaymentProvider.js';
+
+const secret = 'whsec_test';
+const event = {
+  id: 'evt_1',
+  type: 'payment.succeeded',
+  data: { intentId: 'mock_pi_1', orderId: '65f000000000000000000001', transactionId: 'mock_ch_1', amount: 42.5 }
+};
+
+describe('MockPaymentProvider webhook signatures', () => {
+  const provider = new MockPaymentProvider({ webhookSecret: secret });
+
+  it('accepts a correctly signed event and normalizes it', () => {
+    const { body, headers } = provider.signWebhook(event);
+
+    expect(provider.verifyWebhook(Buffer.from(body), headers)).toEqual({
+      id: 'evt_1',
+      type: 'payment.succeeded',
+      intentId: 'mock_pi_1',
+      orderId: '65f000000000000000000001',
+      transactionId: 'mock_ch_1',
+      refundId: undefined,
+      amount: 42.5,
+      data: event.data
+    });
+  });
+
+  it('rejects a body changed after signing', () => {
+    const { body, headers } = provider.signWebhook(event);
+    const tampered = body.replace('42.5', '0.01');
+
+    expect(() => provider.verifyWebhook(Buffer.from(tampered), headers)).toThrow('Invalid webhook signature');
+  });
+
+  it('rejects an event signed with another secret', () => {
+    const forger = new MockPaymentProvider({ webhookSecret: 'guessed' });
+    const { body, headers } = forger.signWebhook(event);
+
+    expect(() => provider.verifyWebhook(Buffer.from(body), headers)).toThrow('Invalid webhook signature');
+  });
+
+  it('rejects a signature outside the tolerance window', () => {
+    const { body, headers } = provider.signWebhook(event, Math.floor(Date.now() / 1000) - 301);
+
+    expect(() => provider.verifyWebhook(Buffer.from(body), headers)).toThrow('Webhook signature has expired');
+  });
+
+  it('rejects missing and malformed signature headers', () => {
+    const { body } = provider.signWebhook(event);
+
+    expect(() => provider.verifyWebhook(Buffer.from(body), {})).toThrow('Missing webhook signature');
+    expect(() => provider.verifyWebhook(Buffer.from(body), { [SIGNATURE_HEADER]: 'v1=abc' }))
+      .toThrow('Malformed webhook signature');
+  });
+});
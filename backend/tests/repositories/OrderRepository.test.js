@@ -0,0 +1,20 @@
+import { jest } from '@jest/globals';
+import Order from '../../src/models/Order.js';
+import OrderRepository from '../../src/repositories/OrderRepository.js';
+
+describe('OrderRepository.expireUnpaid', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('cancels only unpaid pending orders, in the same update that checks them', async () => {
+    const findOneAndUpdate = jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const result = await new OrderRepository().expireUnpaid('order-1', 'Reservation expired');
+
+    expect(result).toBeNull();
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: 'order-1', status: 'pending', 'payment.status': { $in: ['pending', 'failed'] } });
+    expect(update.$set).toEqual({ status: 'cancelled' });
+  });
+});
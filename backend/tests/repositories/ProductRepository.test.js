@@ -0,0 +1,124 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Product from '../../src/models/Product.js';
+import ProductRepository from '../../src/repositories/ProductRepository.js';
+
+const lamp = new mongoose.Types.ObjectId();
+const shade = new mongoose.Types.ObjectId();
+const size = new mongoose.Types.ObjectId();
+
+const items = [
+  { product: lamp, quantity: 2 },
+  { product: shade, variant: size, quantity: 1 }
+];
+
+describe('ProductRepository stock reservation', () => {
+  let repository;
+  let bulkWrite;
+
+  beforeEach(() => {
+    repository = new ProductRepository();
+    bulkWrite = jest.spyOn(Product, 'bulkWrite').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('decrements only while enough stock is left', async () => {
+    const findOneAndUpdate = jest.spyOn(Product, 'findOneAndUpdate').mockResolvedValue({});
+
+    const result = await repository.reserveStock(items);
+
+    expect(result).toEqual({ reserved: items, failed: [] });
+    expect(findOneAndUpdate.mock.calls[0].slice(0, 2)).toEqual([
+      { _id: lamp, stock: { $gte: 2 } },
+      { $inc: { stock: -2 } }
+    ]);
+    expect(findOneAndUpdate.mock.calls[1].slice(0, 2)).toEqual([
+      { _id: shade, variants: { $elemMatch: { _id: size, stock: { $gte: 1 } } } },
+      { $inc: { 'variants.$.stock': -1, stock: -1 } }
+    ]);
+    expect(bulkWrite).not.toHaveBeenCalled();
+  });
+
+  it('gives back what was reserved when an item is out of stock', async () => {
+    jest.spyOn(Product, 'findOneAndUpdate')
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce(null);
+
+    const result = await repository.reserveStock(items);
+
+    expect(result).toEqual({ reserved: [items[0]], failed: [items[1]] });
+    expect(bulkWrite).toHaveBeenCalledWith([
+      { updateOne: { filter: { _id: lamp }, update: { $inc: { stock: 2 } } } }
+    ], { ordered: false });
+  });
+
+  it('gives back what was reserved and rethrows when an update errors', async () => {
+    const dbError = new Error('connection lost');
+    jest.spyOn(Product, 'findOneAndUpdate')
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(dbError);
+
+    await expect(repository.reserveStock(items)).rejects.toBe(dbError);
+    expect(bulkWrite).toHaveBeenCalledWith([
+      { updateOne: { filter: { _id: lamp }, update: { $inc: { stock: 2 } } } }
+    ], { ordered: false });
+  });
+
+  it('releases variant stock together with the product total', async () => {
+    await repository.releaseStock([items[1]]);
+
+    expect(bulkWrite).toHaveBeenCalledWith([
+      {
+        updateOne: {
+          filter: { _id: shade, variants: { $elemMatch: { _id: size } } },
+          update: { $inc: { 'variants.$.stock': 1, stock: 1 } }
+        }
+      }
+    ], { ordered: false });
+  });
+
+  it('does nothing when there is nothing to release', async () => {
+    await expect(repository.releaseStock([])).resolves.toBeNull();
+    expect(bulkWrite).not.toHaveBeenCalled();
+  });
+});
+
+describe('ProductRepository.facetedSearch', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const runSearch = async (filters) => {
+    const aggregate = jest.spyOn(Product, 'aggregate').mockResolvedValue([{
+      results: [], total: [], categories: [], brands: [], colors: [], materials: [], ratings: [], priceRanges: []
+    }]);
+    const result = await new ProductRepository().facetedSearch(filters, { page: 1, limit: 12 });
+    const [[, { $facet: facets }]] = aggregate.mock.calls[0];
+    return { result, facets };
+  };
+
+  it('counts each facet with every filter except its own', async () => {
+    const { facets } = await runSearch({ brand: ['Acme'], minRating: 4 });
+
+    expect(facets.results[0].$match.$and).toHaveLength(2);
+    expect(facets.brands[0].$match.$and).toEqual([{ averageRating: { $gte: 4 } }]);
+    expect(facets.ratings[0].$match.$and).toEqual([{ brand: { $in: [/^Acme$/i] } }]);
+  });
+
+  it('returns zero counts and no pages when nothing matches', async () => {
+    const { result } = await runSearch({});
+
+    expect(result.pagination).toMatchObject({ totalItems: 0, totalPages: 0, hasNextPage: false });
+    expect(result.facets.ratings).toEqual([4, 3, 2, 1].map(minRating => ({ minRating, count: 0 })));
+  });
+
+  it('matches free-text facet values exactly, ignoring case', () => {
+    const [matcher] = new ProductRepository().toExactMatchers(['Acme (EU)']);
+
+    expect(matcher.test('acme (eu)')).toBe(true);
+    expect(matcher.test('Acme (EU) Ltd')).toBe(false);
+  });
+});
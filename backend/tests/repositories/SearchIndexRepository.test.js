@@ -0,0 +1,34 @@
+import { jest } from '@jest/globals';
+import SearchIndex from '../../src/models/SearchIndex.js';
+import SearchIndexRepository from '../../src/repositories/SearchIndexRepository.js';
+
+describe('SearchIndexRepository.findCandidates', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const runPipeline = async () => {
+    const aggregate = jest.spyOn(SearchIndex, 'aggregate').mockResolvedValue([]);
+    await new SearchIndexRepository().findCandidates(['  l', ' la', 'lam', 'amp', 'mp '], 'lamp', 48, 2);
+    const [pipeline] = aggregate.mock.calls[0];
+    return { pipeline, stages: pipeline.map(stage => Object.keys(stage)[0]) };
+  };
+
+  it('drops entries sharing too few trigrams before joining products', async () => {
+    const { pipeline, stages } = await runPipeline();
+
+    const threshold = pipeline[stages.indexOf('$match', 1)].$match;
+    expect(threshold.$or).toContainEqual({ sharedGrams: { $gte: 2 } });
+    expect(threshold.$or).toContainEqual({ words: { $regex: '^lamp' } });
+    expect(stages.indexOf('$match', 1)).toBeLessThan(stages.indexOf('$lookup'));
+  });
+
+  it('ranks by shared trigrams and popularity before limiting', async () => {
+    const { pipeline, stages } = await runPipeline();
+
+    expect(stages.slice(-3)).toEqual(['$addFields', '$sort', '$limit']);
+    expect(pipeline.at(-3).$addFields).toHaveProperty('popularity');
+    expect(pipeline.at(-2).$sort).toEqual({ sharedGrams: -1, popularity: -1 });
+    expect(pipeline.at(-1).$limit).toBe(48);
+  });
+});
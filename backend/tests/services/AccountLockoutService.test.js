@@ -0,0 +1,149 @@
+import { jest } from '@jest/globals';
+import User from '../../src/models/User.js';
+import AccountLockoutService from '../../src/services/AccountLockoutService.js';
+import UserService from '../../src/services/UserService.js';
+import mailTransport from '../../src/mail/index.js';
+import logger from '../../src/utils/logger.js';
+
+// In-memory stand-in for the lockout methods of the user repository
+const buildRepository = (user) => ({
+  incrementFailedLogins: jest.fn(async () => {
+    user.failedLoginAttempts = (user.failedLoginAttempts || 0) + 1;
+    return user;
+  }),
+  delayLogins: jest.fn(async (id, until) => {
+    user.lockUntil = until;
+    return user;
+  }),
+  lockAccount: jest.fn(async (id, until) => {
+    user.lockUntil = until;
+    user.failedLoginAttempts = 0;
+    return user;
+  }),
+  clearFailedLogins: jest.fn(async () => {
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
+    return user;
+  })
+});
+
+describe('AccountLockoutService', () => {
+  const now = new Date('2026-03-02T10:00:00Z').getTime();
+  let service;
+  let user;
+  let send;
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    user = new User({ name: 'Ada', email: 'ada@example.com', password: 'Secret123!', role: 'user' });
+    service = new AccountLockoutService();
+    service.maxAttempts = 5;
+    service.lockoutMinutes = 15;
+    service.delaySeconds = 1;
+    service.notifyOwner = true;
+    service.userRepository = buildRepository(user);
+    send = jest.spyOn(mailTransport, 'send').mockResolvedValue({ messageId: 'test' });
+    jest.spyOn(logger, 'logAuth').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const fail = (times) => Array.from({ length: times }).reduce(
+    (previous) => previous.then(() => service.recordFailure(user, { ip: '203.0.113.7' })),
+    Promise.resolve()
+  );
+
+  it('does not delay the first failed login', async () => {
+    await fail(1);
+
+    expect(service.userRepository.delayLogins).not.toHaveBeenCalled();
+    expect(user.lockUntil).toBeUndefined();
+  });
+
+  it('doubles the delay after each further failure', async () => {
+    await fail(4);
+
+    const delays = service.userRepository.delayLogins.mock.calls.map(([, until]) => until.getTime() - now);
+    expect(delays).toEqual([1000, 2000, 4000]);
+  });
+
+  it('locks the account and tells its owner after too many failures', async () => {
+    await fail(5);
+
+    expect(service.userRepository.lockAccount).toHaveBeenCalledWith(user._id, new Date(now + 15 * 60 * 1000));
+    expect(user.failedLoginAttempts).toBe(0);
+    expect(logger.logAuth).toHaveBeenCalledWith('account_locked', user._id, expect.objectContaining({
+      attempts: 5,
+      ip: '203.0.113.7'
+    }));
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ to: 'ada@example.com' }));
+  });
+
+  it('does not email the owner when notifications are off', async () => {
+    service.notifyOwner = false;
+
+    await fail(5);
+
+    expect(service.userRepository.lockAccount).toHaveBeenCalled();
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  it('forgets failed logins after a successful one', async () => {
+    await fail(2);
+
+    await service.recordSuccess(user);
+
+    expect(user.failedLoginAttempts).toBe(0);
+    expect(user.lockUntil).toBeUndefined();
+  });
+
+  it('skips the write after a successful login with nothing to forget', async () => {
+    await service.recordSuccess(user);
+
+    expect(service.userRepository.clearFailedLogins).not.toHaveBeenCalled();
+  });
+});
+
+describe('UserService login lockout', () => {
+  let service;
+  let user;
+
+  beforeEach(() => {
+    user = new User({ name: 'Ada', email: 'ada@example.com', password: 'Secret123!', role: 'user' });
+    service = new UserService();
+    service.accountLockoutService = { recordFailure: jest.fn(async () => {}) };
+    service.userRepository = {
+      findByCredentials: jest.fn(async () => user)
+    };
+  });
+
+  const failLogin = (extra) => {
+    service.userRepository.findByCredentials.mockRejectedValue(
+      Object.assign(new Error('Invalid login credentials'), extra)
+    );
+    return service.loginUser({ email: 'ada@example.com', password: 'wrong' }, { ip: '203.0.113.7' });
+  };
+
+  it('counts a wrong password towards the lockout', async () => {
+    await expect(failLogin({ user, locked: false })).rejects.toMatchObject({ statusCode: 401 });
+
+    expect(service.accountLockoutService.recordFailure).toHaveBeenCalledWith(user, { ip: '203.0.113.7' });
+  });
+
+  it('answers a locked account like a wrong password without counting the attempt', async () => {
+    await expect(failLogin({ user, locked: true })).rejects.toMatchObject({
+      statusCode: 401,
+      message: 'Invalid email or password'
+    });
+
+    expect(service.accountLockoutService.recordFailure).not.toHaveBeenCalled();
+  });
+
+  it('has nothing to count for an unknown email', async () => {
+    await expect(failLogin({})).rejects.toMatchObject({ statusCode: 401 });
+
+    expect(service.accountLockoutService.recordFailure).not.toHaveBeenCalled();
+  });
+});
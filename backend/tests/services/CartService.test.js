@@ -0,0 +1,83 @@
+import { jest } from '@jest/globals';
+import CartService from '../../src/services/CartService.js';
+
+const product = (id, stock, fields = {}) => ({
+  _id: id,
+  name: id,
+  isActive: true,
+  resolvePurchasable: () => ({ stock }),
+  ...fields
+});
+
+const buildService = ({ cartItems, userCart = [], products }) => {
+  const service = new CartService();
+  service.cartRepository = {
+    findById: jest.fn(async () => ({ _id: 'cart-1', items: cartItems })),
+    deleteById: jest.fn(async () => null)
+  };
+  service.userRepository = {
+    getCart: jest.fn(async () => userCart),
+    setCartItems: jest.fn(async () => null)
+  };
+  service.productRepository = { findById: jest.fn(async (id) => products[id] || null) };
+  return service;
+};
+
+describe('CartService.mergeIntoUser', () => {
+  it('keeps the larger quantity of a line in both carts', async () => {
+    const service = buildService({
+      cartItems: [{ product: 'lamp', quantity: 2 }],
+      userCart: [{ product: { _id: 'lamp' }, quantity: 3 }],
+      products: { lamp: product('lamp', 10) }
+    });
+
+    const result = await service.mergeIntoUser('cart-1', 'user-1');
+
+    expect(result).toEqual({ mergedItems: 1, adjustments: [] });
+    expect(service.userRepository.setCartItems).toHaveBeenCalledWith('user-1', [{ product: 'lamp', variant: undefined, quantity: 3 }]);
+    expect(service.cartRepository.deleteById).toHaveBeenCalledWith('cart-1');
+  });
+
+  it('limits merged lines to the stock available and the line maximum', async () => {
+    const service = buildService({
+      cartItems: [{ product: 'lamp', quantity: 5 }, { product: 'mug', quantity: 150 }],
+      products: { lamp: product('lamp', 2), mug: product('mug', 500) }
+    });
+
+    const result = await service.mergeIntoUser('cart-1', 'user-1');
+
+    expect(service.userRepository.setCartItems).toHaveBeenCalledWith('user-1', [
+      { product: 'lamp', variant: undefined, quantity: 2 },
+      { product: 'mug', variant: undefined, quantity: 100 }
+    ]);
+    expect(result.adjustments.map(adjustment => adjustment.message)).toEqual([
+      'Only 2 of lamp could be kept in your cart',
+      'Only 100 of mug could be kept in your cart'
+    ]);
+  });
+
+  it('leaves out items that are out of stock or gone', async () => {
+    const service = buildService({
+      cartItems: [{ product: 'lamp', quantity: 1 }, { product: 'sofa', quantity: 1 }, { product: 'mug', quantity: 1 }],
+      products: { lamp: product('lamp', 0), mug: product('mug', 4, { isActive: false }) }
+    });
+
+    const result = await service.mergeIntoUser('cart-1', 'user-1');
+
+    expect(result.mergedItems).toBe(0);
+    expect(service.userRepository.setCartItems).not.toHaveBeenCalled();
+    expect(result.adjustments.map(adjustment => adjustment.message)).toEqual([
+      'lamp is out of stock',
+      'Product sofa is no longer available',
+      'mug is no longer available'
+    ]);
+  });
+
+  it('never fails the sign-in when the merge fails', async () => {
+    const service = buildService({ cartItems: [], products: {} });
+    service.userRepository.getCart.mockRejectedValue(new Error('connection lost'));
+
+    await expect(service.mergeIntoUser('cart-1', 'user-1')).resolves.toBeNull();
+    await expect(service.mergeIntoUser(null, 'user-1')).resolves.toBeNull();
+  });
+});
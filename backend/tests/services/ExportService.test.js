@@ -0,0 +1,67 @@
+import Product from '../../src/models/Product.js';
+import ExportService from '../../src/services/ExportService.js';
+
+const collect = async (service, format, products) => {
+  const cursor = (async function *() { yield* products; })();
+  let output = '';
+  for await (const chunk of service.generateChunks(format, cursor)) {
+    output += chunk;
+  }
+  return output;
+};
+
+const buildProduct = (fields = {}) => new Product({
+  name: 'T-shirt',
+  description: 'Plain <cotton> t-shirt',
+  sku: 'TEE-1',
+  price: 20,
+  originalPrice: 25,
+  stock: 5,
+  brand: 'Acme',
+  imageUrl: 'https://example.com/tee.jpg',
+  images: [{ url: 'https://example.com/tee.jpg', isPrimary: true }],
+  ...fields
+});
+
+describe('ExportService', () => {
+  const service = new ExportService();
+  service.storeUrl = 'https://shop.example.com';
+
+  it('lists one feed item per active variant, grouped under the product', () => {
+    const product = buildProduct({
+      options: [{ name: 'Size', values: ['M', 'L'] }],
+      variants: [
+        { sku: 'TEE-1-M', options: { Size: 'M' }, stock: 5 },
+        { sku: 'TEE-1-L', options: { Size: 'L' }, stock: 0 },
+        { sku: 'TEE-1-XL', options: { Size: 'XL' }, stock: 2, isActive: false }
+      ]
+    });
+
+    const items = service.toFeedItems(product);
+
+    expect(items.map(item => item.id)).toEqual(['TEE-1-M', 'TEE-1-L']);
+    expect(items[0]).toMatchObject({ item_group_id: 'TEE-1', size: 'M', availability: 'in_stock', title: 'T-shirt - M' });
+    expect(items[1].availability).toBe('out_of_stock');
+  });
+
+  it('sends the original price as the regular price and ours as the sale price', () => {
+    expect(service.toFeedPrices(20, 25, 'USD')).toEqual({ price: '25.00 USD', sale_price: '20.00 USD' });
+    expect(service.toFeedPrices(20, 15, 'USD')).toEqual({ price: '20.00 USD' });
+  });
+
+  it('escapes text in the XML feed', async () => {
+    const xml = await collect(service, 'google-xml', [buildProduct()]);
+
+    expect(xml).toContain('<g:description>Plain &lt;cotton&gt; t-shirt</g:description>');
+    expect(xml).toContain('<g:link>https://shop.example.com/products/');
+    expect(xml.trim().endsWith('</rss>')).toBe(true);
+  });
+
+  it('writes CSV with the columns the import reads', async () => {
+    const csv = await collect(service, 'csv', [buildProduct()]);
+    const [header, row] = csv.split('\r\n');
+
+    expect(header.split(',').slice(0, 3)).toEqual(['sku', 'slug', 'name']);
+    expect(row.startsWith('TEE-1,,T-shirt,')).toBe(true);
+  });
+});
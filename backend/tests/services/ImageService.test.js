@@ -0,0 +1,58 @@
+import { jest } from '@jest/globals';
+import sharp from 'sharp';
+import ImageService from '../../src/services/ImageService.js';
+
+const buildService = () => {
+  const service = new ImageService();
+  service.storage = {
+    save: jest.fn(async (key) => `http://localhost/uploads/${key}`),
+    delete: jest.fn(async () => null)
+  };
+  service.productRepository = { isImageKeyReferenced: jest.fn(async () => false) };
+  return service;
+};
+
+const pngFile = async (width, height) => ({
+  originalname: 'lamp.png',
+  buffer: await sharp({ create: { width, height, channels: 3, background: '#c0ffee' } }).png().toBuffer()
+});
+
+describe('ImageService', () => {
+  it('stores every rendition as WebP, never larger than the original', async () => {
+    const service = buildService();
+
+    const image = await service.processImage(await pngFile(800, 400), '');
+
+    expect(Object.keys(image.renditions)).toEqual(['thumbnail', 'medium', 'large']);
+    expect(image).toMatchObject({ alt: 'lamp', isPrimary: false, url: image.renditions.large });
+
+    const sizes = await Promise.all(service.storage.save.mock.calls.map(([, buffer]) => sharp(buffer).metadata()));
+    expect(sizes.map(({ format, width }) => [format, width])).toEqual([['webp', 150], ['webp', 600], ['webp', 800]]);
+  });
+
+  it('rejects a file that is not an image', async () => {
+    const service = buildService();
+
+    await expect(service.processImage({ originalname: 'notes.txt', buffer: Buffer.from('hello') }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'notes.txt is not a valid image' });
+    expect(service.storage.save).not.toHaveBeenCalled();
+  });
+
+  it('removes the files of a batch when one upload is rejected', async () => {
+    const service = buildService();
+    const files = [await pngFile(10, 10), { originalname: 'notes.txt', buffer: Buffer.from('hello') }];
+
+    await expect(service.uploadImages(files)).rejects.toMatchObject({ statusCode: 400 });
+    expect(service.storage.delete).toHaveBeenCalledWith(service.storage.save.mock.calls[0][0].replace('/thumbnail.webp', ''));
+  });
+
+  it('keeps files another product still uses', async () => {
+    const service = buildService();
+    service.productRepository.isImageKeyReferenced.mockImplementation(async (key) => key === 'products/shared');
+
+    await service.removeUnusedFiles([{ key: 'products/shared' }, { key: 'products/own' }, { url: 'external.jpg' }]);
+
+    expect(service.storage.delete).toHaveBeenCalledTimes(1);
+    expect(service.storage.delete).toHaveBeenCalledWith('products/own');
+  });
+});
@@ -0,0 +1,133 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Product from '../../src/models/Product.js';
+import ExportService from '../../src/services/ExportService.js';
+import ImportService from '../../src/services/ImportService.js';
+import { formatCsvRow } from '../../src/utils/csv.js';
+
+describe('ImportService row parsing', () => {
+  const service = new ImportService();
+
+  it('maps dotted columns, lists and images from CSV', () => {
+    const csv = 'sku,name,specifications.color,images,metaKeywords,brand\n' +
+      'A-1,Lamp,Red,a.jpg| b.jpg,desk|light,\n';
+
+    const [row] = service.parseCsvRows(csv);
+
+    expect(row).toEqual({
+      rowNumber: 2,
+      data: {
+        sku: 'A-1',
+        name: 'Lamp',
+        specifications: { color: 'Red' },
+        images: [{ url: 'a.jpg' }, { url: 'b.jpg' }],
+        metaKeywords: ['desk', 'light']
+      }
+    });
+  });
+
+  it('fails only the NDJSON lines that are not JSON objects', () => {
+    const rows = service.parseNdjsonRows('{"sku":"A-1"}\n\n[1]\n{"sku":');
+
+    expect(rows[0]).toEqual({ rowNumber: 1, data: { sku: 'A-1' } });
+    expect(rows[1]).toMatchObject({ rowNumber: 3, status: 'failed', messages: ['Invalid JSON: each line must be a JSON object'] });
+    expect(rows[2]).toMatchObject({ rowNumber: 4, status: 'failed' });
+  });
+});
+
+describe('ImportService.processRow dry run', () => {
+  const product = {
+    sku: 'LAMP-1',
+    name: 'Desk lamp',
+    description: 'Adjustable desk lamp',
+    price: 30,
+    stock: 4,
+    category: 'lighting',
+    imageUrl: 'https://example.com/lamp.jpg'
+  };
+
+  const buildService = (existing = null) => {
+    const service = new ImportService();
+    service.productRepository = {
+      findBySku: jest.fn(async () => existing),
+      findBySlug: jest.fn(async () => null)
+    };
+    service.productService = {
+      resolveCategoryId: jest.fn(async () => 'category-1'),
+      createProduct: jest.fn(),
+      updateProduct: jest.fn()
+    };
+    return service;
+  };
+
+  it('reports a repeated SKU as an update without writing anything', async () => {
+    const service = buildService();
+    const seenKeys = new Set();
+
+    const first = await service.processRow({ data: product }, { dryRun: true }, seenKeys);
+    const second = await service.processRow({ data: product }, { dryRun: true }, seenKeys);
+
+    expect(first.status).toBe('created');
+    expect(second.status).toBe('updated');
+    expect(service.productService.createProduct).not.toHaveBeenCalled();
+  });
+
+  it('fails a row that does not validate', async () => {
+    const outcome = await buildService().processRow({ data: { sku: 'LAMP-2', price: -1 } }, { dryRun: true }, new Set());
+
+    expect(outcome.status).toBe('failed');
+    expect(outcome.messages.length).toBeGreaterThan(0);
+  });
+});
+
+// Export one product through the CSV export stream
+const exportedCsv = async (product) => {
+  const cursor = (async function *() { yield product; })();
+  let csv = '';
+  for await (const chunk of new ExportService().generateChunks('csv', cursor)) {
+    csv += chunk;
+  }
+  return csv;
+};
+
+describe('CSV export and re-import', () => {
+  it('keeps variants, options and formula-like text', async () => {
+    const variantId = new mongoose.Types.ObjectId();
+    const product = new Product({
+      name: 'T-shirt',
+      description: '=cheap & cheerful',
+      sku: 'TEE-1',
+      price: 20,
+      stock: 5,
+      options: [{ name: 'Size', values: ['M', 'L'] }],
+      variants: [
+        { _id: variantId, sku: 'TEE-1-M', options: { Size: 'M' }, stock: 5 },
+        { sku: 'TEE-1-L', options: { Size: 'L' }, price: 22, stock: 0, isActive: false }
+      ]
+    });
+
+    const csv = await exportedCsv(product);
+    expect(csv).toContain(",'=cheap & cheerful,");
+
+    const [row] = new ImportService().parseCsvRows(csv);
+
+    expect(row.data.description).toBe('=cheap & cheerful');
+    expect(row.data.options).toEqual([{ name: 'Size', values: ['M', 'L'] }]);
+    expect(row.data.variants).toEqual([
+      { _id: variantId.toString(), sku: 'TEE-1-M', options: { Size: 'M' }, stock: 5, images: [], isActive: true },
+      { _id: expect.any(String), sku: 'TEE-1-L', options: { Size: 'L' }, price: 22, stock: 0, images: [], isActive: false }
+    ]);
+  });
+
+  it('fails only the row whose JSON cannot be read', () => {
+    const csv = formatCsvRow(['sku', 'name', 'variants']) +
+      formatCsvRow(['A-1', 'Good', '']) +
+      formatCsvRow(['B-1', 'Bad', '[{"sku":']);
+
+    const rows = new ImportService().parseCsvRows(csv);
+
+    expect(rows[0].data).toEqual({ sku: 'A-1', name: 'Good' });
+    expect(rows[1]).toMatchObject({ rowNumber: 3, status: 'failed' });
+    expect(rows[1].messages[0]).toMatch(/^Invalid JSON in the variants column/);
+  });
+});
@@ -0,0 +1,90 @@
+import { jest } from '@jest/globals';
+import InvoiceService from '../../src/services/InvoiceService.js';
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+// In-memory stand-in for the invoice collection and its unique series/sequence index
+const buildRepository = () => {
+  const documents = [];
+
+  return {
+    documents,
+    getLastSequence: jest.fn(async (series) => documents
+      .filter(document => document.series === series)
+      .reduce((last, document) => Math.max(last, document.sequence), 0)),
+    create: jest.fn(async (data) => {
+      if (documents.some(document => document.series === data.series && document.sequence === data.sequence)) {
+        throw duplicateKey();
+      }
+      const document = { _id: `doc-${documents.length + 1}`, ...data };
+      documents.push(document);
+      return document;
+    }),
+    findInvoiceForOrder: jest.fn(async (orderId) => documents.find(document => document.type === 'invoice' && document.order === orderId) || null)
+  };
+};
+
+const order = (paymentStatus = 'completed') => ({
+  _id: 'order-1',
+  customer: { _id: 'customer-1' },
+  total: 70,
+  tax: 5,
+  currency: 'USD',
+  payment: { status: paymentStatus }
+});
+
+describe('InvoiceService numbering', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new InvoiceService();
+    service.invoicePrefix = 'INV';
+    service.invoiceRepository = buildRepository();
+  });
+
+  it('numbers invoices one after another', async () => {
+    const first = await service.issue('INV', { type: 'invoice', order: 'order-1' }, async () => null);
+    const second = await service.issue('INV', { type: 'invoice', order: 'order-2' }, async () => null);
+
+    expect([first.number, second.number]).toEqual(['INV-000001', 'INV-000002']);
+  });
+
+  it('takes the next number when another request saved the same one first', async () => {
+    const { create } = service.invoiceRepository;
+    create.mockImplementationOnce(async () => {
+      // A concurrent request wins the number this one read
+      service.invoiceRepository.documents.push({ _id: 'other', series: 'INV', sequence: 1, order: 'order-2' });
+      throw duplicateKey();
+    });
+
+    const invoice = await service.issue('INV', { type: 'invoice', order: 'order-1' }, async () => null);
+
+    expect(invoice.number).toBe('INV-000002');
+    expect(create).toHaveBeenCalledTimes(2);
+  });
+
+  it('returns the document a concurrent request issued for the same order', async () => {
+    const concurrent = { _id: 'other', number: 'INV-000001' };
+    service.invoiceRepository.create.mockRejectedValueOnce(duplicateKey());
+
+    await expect(service.issue('INV', { type: 'invoice', order: 'order-1' }, async () => concurrent)).resolves.toBe(concurrent);
+  });
+
+  it('gives up with a 409 after repeated clashes', async () => {
+    service.invoiceRepository.create.mockRejectedValue(duplicateKey());
+
+    await expect(service.issue('INV', { type: 'invoice' }, async () => null))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(service.invoiceRepository.create).toHaveBeenCalledTimes(5);
+  });
+
+  it('issues one invoice per paid order', async () => {
+    const first = await service.issueInvoice(order());
+    const again = await service.issueInvoice(order());
+
+    expect(again).toBe(first);
+    expect(first).toMatchObject({ type: 'invoice', customer: 'customer-1', amount: 70, taxAmount: 5 });
+    await expect(service.issueInvoice({ ...order('pending'), _id: 'order-2' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,299 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Order from '../../src/models/Order.js';
+import OrderService from '../../src/services/OrderService.js';
+import { signOrderLookupToken } from '../../src/utils/orderLookupToken.js';
+
+const productA = new mongoose.Types.ObjectId();
+const productB = new mongoose.Types.ObjectId();
+
+const paidOrder = () => new Order({
+  orderNumber: 'ORD-TEST-1',
+  customer: new mongoose.Types.ObjectId(),
+  items: [
+    { product: productA, name: 'Lamp', image: 'lamp.jpg', price: 20, quantity: 2, total: 40 },
+    { product: productB, name: 'Shade', image: 'shade.jpg', price: 10, quantity: 3, total: 30 }
+  ],
+  subtotal: 70,
+  total: 70,
+  status: 'confirmed',
+  payment: { method: 'credit_card', status: 'completed' }
+});
+
+const buildService = (order) => {
+  const service = new OrderService();
+  service.orderRepository = {
+    findById: jest.fn(async () => order),
+    addRefund: jest.fn(async (id, refund) => {
+      order.refunds.push(refund);
+      return order;
+    }),
+    updateStatus: jest.fn(async () => order),
+    // Conditional like the real update: only one request gets to cancel
+    cancel: jest.fn(async (id, fromStatuses) => {
+      if (!fromStatuses.includes(order.status)) return null;
+      order.status = 'cancelled';
+      return order;
+    })
+  };
+  service.productRepository = { releaseStock: jest.fn(async () => null) };
+  service.reservationService = { releaseForOrder: jest.fn(async () => null) };
+  service.promotionService = { releaseUsage: jest.fn(async () => null) };
+  service.paymentService = { refundPayment: jest.fn(async () => null) };
+  service.invoiceService = { issueCreditNote: jest.fn(async () => null) };
+  return service;
+};
+
+describe('OrderService refund restocking', () => {
+  it('puts back only the restockable quantity of refunded lines', async () => {
+    const order = paidOrder();
+    const service = buildService(order);
+    const [lamp] = order.items;
+
+    await service.processRefund(order._id, {
+      items: [{ itemId: lamp._id.toString(), quantity: 2, restockQuantity: 1 }],
+      reason: 'One arrived broken'
+    });
+
+    expect(service.productRepository.releaseStock).toHaveBeenCalledWith([
+      { product: productA, variant: undefined, quantity: 1 }
+    ]);
+    expect(order.refunds).toHaveLength(1);
+    expect(order.refunds[0].amount).toBe(40);
+  });
+
+  it('does not restock when the refund says not to', async () => {
+    const order = paidOrder();
+    const service = buildService(order);
+
+    await service.processRefund(order._id, {
+      items: [{ itemId: order.items[0]._id.toString(), quantity: 1 }],
+      restock: false,
+      reason: 'Lost in transit'
+    });
+
+    expect(service.productRepository.releaseStock).not.toHaveBeenCalled();
+  });
+
+  it('refuses to refund more than is left to refund', async () => {
+    const order = paidOrder();
+    const service = buildService(order);
+
+    await expect(service.processRefund(order._id, { amount: 80, reason: 'Goodwill' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Refund amount cannot exceed the refundable balance of 70' });
+  });
+
+  it.each([
+    ['cancelling the order', (service, order) => service.cancelOrder(order._id, order.customer, 'admin', 'Changed my mind')],
+    ['setting the status to cancelled', (service, order) => service.updateOrderStatus(order._id, 'cancelled', order.customer)]
+  ])('does not restock refunded quantities again when %s', async (label, cancel) => {
+    const order = paidOrder();
+    const service = buildService(order);
+
+    await service.processRefund(order._id, {
+      items: [{ itemId: order.items[0]._id.toString(), quantity: 1 }],
+      reason: 'Changed size'
+    });
+    service.productRepository.releaseStock.mockClear();
+
+    await cancel(service, order);
+
+    expect(service.productRepository.releaseStock).toHaveBeenCalledWith([
+      { product: productA, variant: undefined, quantity: 1 },
+      { product: productB, variant: undefined, quantity: 3 }
+    ]);
+  });
+});
+
+describe('OrderService admin status changes', () => {
+  const cancellations = [
+    ['cancelling the order', (service, order) => service.cancelOrder(order._id, order.customer, 'admin', 'Out of stock')],
+    ['setting the status to cancelled', (service, order) => service.updateOrderStatus(order._id, 'cancelled', 'admin-1', 'Out of stock')]
+  ];
+
+  it.each(cancellations)('refunds what is left of a paid order when %s', async (label, cancel) => {
+    const order = paidOrder();
+    const service = buildService(order);
+    await service.processRefund(order._id, {
+      items: [{ itemId: order.items[0]._id.toString(), quantity: 1 }],
+      reason: 'Changed size'
+    });
+
+    await cancel(service, order);
+
+    expect(service.orderRepository.addRefund).toHaveBeenCalledTimes(2);
+    expect(service.orderRepository.addRefund.mock.calls[1][1]).toMatchObject({ amount: 50, reason: 'Out of stock' });
+    expect(order.refundableAmount).toBe(0);
+  });
+
+  it('cancels, restocks and refunds once when two requests cancel at the same time', async () => {
+    const order = paidOrder();
+    const service = buildService(order);
+    // Both requests read the order before either cancels it
+    service.orderRepository.findById.mockImplementation(async () => new Order(order.toObject()));
+
+    const results = await Promise.allSettled([
+      service.cancelOrder(order._id, order.customer, 'customer', 'Changed my mind'),
+      service.updateOrderStatus(order._id, 'cancelled', 'admin-1', 'Out of stock')
+    ]);
+
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+    expect(results[1].reason).toMatchObject({ statusCode: 409 });
+    expect(service.productRepository.releaseStock).toHaveBeenCalledTimes(1);
+    expect(service.orderRepository.addRefund).toHaveBeenCalledTimes(1);
+  });
+
+  it('works out restock and refund from the order as it was cancelled', async () => {
+    const stale = paidOrder();
+    const current = new Order(stale.toObject());
+    current.refunds.push({ amount: 20, items: [{ item: current.items[0]._id, quantity: 1, restockedQuantity: 1, amount: 20 }] });
+    const service = buildService(current);
+    service.orderRepository.findById.mockResolvedValue(stale);
+
+    await service.cancelOrder(stale._id, stale.customer, 'customer');
+
+    expect(service.productRepository.releaseStock).toHaveBeenCalledWith([
+      { product: productA, variant: undefined, quantity: 1 },
+      { product: productB, variant: undefined, quantity: 3 }
+    ]);
+    expect(service.orderRepository.addRefund.mock.calls[0][1].amount).toBe(50);
+  });
+
+  it('refuses to cancel a shipped order', async () => {
+    const order = paidOrder();
+    order.status = 'shipped';
+    const service = buildService(order);
+
+    await expect(service.updateOrderStatus(order._id, 'cancelled', 'admin-1'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Cannot transition from shipped to cancelled' });
+    expect(service.orderRepository.cancel).not.toHaveBeenCalled();
+  });
+
+  it('refuses to mark an order refunded without a refund', async () => {
+    const order = paidOrder();
+    const service = buildService(order);
+
+    await expect(service.updateOrderStatus(order._id, 'refunded', 'admin-1'))
+      .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('/refund') });
+    expect(service.orderRepository.updateStatus).not.toHaveBeenCalled();
+    expect(service.orderRepository.addRefund).not.toHaveBeenCalled();
+  });
+});
+
+describe('OrderService.expireUnpaidOrders', () => {
+  const items = [{ product: 'product-1', quantity: 2 }];
+
+  const buildExpiryService = (expireUnpaid) => {
+    const service = new OrderService();
+    service.orderRepository = { expireUnpaid: jest.fn(expireUnpaid) };
+    service.productRepository = { releaseStock: jest.fn(async () => null) };
+    service.reservationService = {
+      getExpiredOrderIds: jest.fn(async () => ['order-1', 'order-2']),
+      expireForOrder: jest.fn(async () => null)
+    };
+    return service;
+  };
+
+  it('cancels unpaid orders and gives their stock back', async () => {
+    const service = buildExpiryService(async (id) => (id === 'order-1' ? { _id: id, items } : null));
+
+    await expect(service.expireUnpaidOrders()).resolves.toBe(1);
+    expect(service.productRepository.releaseStock).toHaveBeenCalledTimes(1);
+    expect(service.productRepository.releaseStock).toHaveBeenCalledWith(items);
+    expect(service.reservationService.expireForOrder).toHaveBeenCalledWith('order-1');
+    expect(service.reservationService.expireForOrder).toHaveBeenCalledWith('order-2');
+  });
+
+  it('leaves an order changed by another request for the next sweep', async () => {
+    const service = buildExpiryService(async () => {
+      throw Object.assign(new Error('No matching document'), { name: 'VersionError' });
+    });
+
+    await expect(service.expireUnpaidOrders()).resolves.toBe(0);
+    expect(service.productRepository.releaseStock).not.toHaveBeenCalled();
+  });
+});
+
+describe('OrderService guest orders', () => {
+  const guestOrder = { orderNumber: 'ORD-TEST-1', guest: { email: 'guest@example.com' } };
+  const lookupToken = signOrderLookupToken(guestOrder);
+
+  const buildGuestService = (customer) => {
+    const service = new OrderService();
+    service.orderRepository = {
+      findGuestOrder: jest.fn(async (orderNumber, email) => (orderNumber === 'ORD-TEST-1' && email === 'guest@example.com' ? guestOrder : null)),
+      claimGuestOrders: jest.fn(async () => [guestOrder])
+    };
+    service.userRepository = { findById: jest.fn(async () => customer) };
+    return service;
+  };
+
+  it('shows a guest order to the holder of its lookup token', async () => {
+    await expect(buildGuestService().getOrderByLookupToken(lookupToken)).resolves.toMatchObject({ data: guestOrder });
+    await expect(buildGuestService().getOrderByLookupToken('not-a-token')).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('claims the order of a lookup token placed with the same email', async () => {
+    const service = buildGuestService({ email: 'Guest@Example.com', emailVerified: false });
+
+    await service.claimGuestOrders('user-1', lookupToken);
+
+    expect(service.orderRepository.claimGuestOrders).toHaveBeenCalledWith('guest@example.com', 'user-1', 'ORD-TEST-1');
+  });
+
+  it('refuses a lookup token placed with another email', async () => {
+    const service = buildGuestService({ email: 'someone@example.com', emailVerified: true });
+
+    await expect(service.claimGuestOrders('user-1', lookupToken)).rejects.toMatchObject({ statusCode: 403 });
+    expect(service.orderRepository.claimGuestOrders).not.toHaveBeenCalled();
+  });
+
+  it('claims every order of the email only once it is verified', async () => {
+    const unverified = buildGuestService({ email: 'guest@example.com', emailVerified: false });
+    const verified = buildGuestService({ email: 'guest@example.com', emailVerified: true });
+
+    await expect(unverified.claimGuestOrders('user-1')).rejects.toMatchObject({ statusCode: 403 });
+    await expect(verified.claimGuestOrders('user-1')).resolves.toMatchObject({ message: '1 guest order(s) added to your account' });
+    expect(verified.orderRepository.claimGuestOrders).toHaveBeenCalledWith('guest@example.com', 'user-1');
+  });
+});
+
+describe('OrderService payment against the reservation sweeper', () => {
+  const buildPaymentService = (order, lostTo) => {
+    const service = buildService(order);
+    // The conditional write finds the order already changed by the other request
+    service.orderRepository.processPayment = jest.fn(async () => {
+      Object.assign(order, lostTo);
+      return null;
+    });
+    service.paymentService = {
+      capturePayment: jest.fn(async () => ({ provider: 'mock', transactionId: 'mock_ch_1' })),
+      refundCapture: jest.fn(async () => ({ status: 'succeeded' }))
+    };
+    return service;
+  };
+
+  const unpaidOrder = () => new Order({ ...paidOrder().toObject(), status: 'pending', payment: { method: 'credit_card', status: 'pending' } });
+
+  it('refunds a captured payment when the order was cancelled first', async () => {
+    const order = unpaidOrder();
+    const service = buildPaymentService(order, { status: 'cancelled' });
+
+    await expect(service.processPayment(order._id, { amount: 70 })).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Order was cancelled before the payment completed. The payment has been refunded.'
+    });
+    expect(service.paymentService.refundCapture).toHaveBeenCalledWith(order, { provider: 'mock', transactionId: 'mock_ch_1' });
+  });
+
+  it('refunds the second of two captures of the same order', async () => {
+    const order = unpaidOrder();
+    const service = buildPaymentService(order, { status: 'confirmed', payment: { method: 'credit_card', status: 'completed' } });
+
+    await expect(service.processPayment(order._id, { amount: 70 })).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Order was already paid by another payment. The payment has been refunded.'
+    });
+    expect(service.paymentService.refundCapture).toHaveBeenCalledWith(order, { provider: 'mock', transactionId: 'mock_ch_1' });
+  });
+});
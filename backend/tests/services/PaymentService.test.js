@@ -0,0 +1,161 @@
+import { jest } from '@jest/globals';
+import PaymentService from '../../src/services/PaymentService.js';
+
+const orderId = '65f000000000000000000001';
+
+const buildService = (order) => {
+  const service = new PaymentService();
+  service.orderRepository = {
+    findByPaymentIntent: jest.fn(async () => null),
+    findById: jest.fn(async () => order),
+    processPayment: jest.fn(async () => order)
+  };
+  service.reservationService = { commitForOrder: jest.fn(async () => null) };
+  return service;
+};
+
+const pendingOrder = () => ({
+  _id: orderId,
+  status: 'pending',
+  total: 120,
+  payment: { status: 'pending' },
+  refunds: []
+});
+
+describe('PaymentService payment.succeeded events', () => {
+  it('marks the order paid when the amount matches its total', async () => {
+    const service = buildService(pendingOrder());
+
+    const outcome = await service.applyEvent('mock', {
+      id: 'evt_1', type: 'payment.succeeded', orderId, transactionId: 'mock_ch_1', amount: 120
+    });
+
+    expect(outcome.applied).toBe(true);
+    expect(service.orderRepository.processPayment).toHaveBeenCalledWith(orderId, 'mock_ch_1', 'mock');
+    expect(service.reservationService.commitForOrder).toHaveBeenCalledWith(orderId);
+  });
+
+  it('does not apply a payment to a cancelled order', async () => {
+    const service = buildService({ ...pendingOrder(), status: 'cancelled' });
+
+    const outcome = await service.applyEvent('mock', {
+      id: 'evt_4', type: 'payment.succeeded', orderId, transactionId: 'mock_ch_1', amount: 120
+    });
+
+    expect(outcome).toMatchObject({ applied: false, note: 'Order was cancelled before the payment arrived - refund it' });
+    expect(service.orderRepository.processPayment).not.toHaveBeenCalled();
+  });
+
+  it('does not apply a payment to an order cancelled before the write', async () => {
+    const order = pendingOrder();
+    const service = buildService(order);
+    service.orderRepository.processPayment.mockImplementation(async () => {
+      order.status = 'cancelled';
+      return null;
+    });
+
+    const outcome = await service.applyEvent('mock', {
+      id: 'evt_4', type: 'payment.succeeded', orderId, transactionId: 'mock_ch_1', amount: 120
+    });
+
+    expect(outcome).toMatchObject({ applied: false, note: 'Order was cancelled before the payment arrived - refund it' });
+    expect(service.reservationService.commitForOrder).not.toHaveBeenCalled();
+  });
+
+  it('does not apply a payment again when a direct capture recorded it first', async () => {
+    const order = pendingOrder();
+    const service = buildService(order);
+    service.orderRepository.processPayment.mockImplementation(async () => {
+      Object.assign(order, { status: 'confirmed', payment: { status: 'completed' } });
+      return null;
+    });
+
+    const outcome = await service.applyEvent('mock', {
+      id: 'evt_5', type: 'payment.succeeded', orderId, transactionId: 'mock_ch_1', amount: 120
+    });
+
+    expect(outcome).toMatchObject({ applied: false, note: 'Payment already completed' });
+    expect(service.reservationService.commitForOrder).not.toHaveBeenCalled();
+  });
+
+  it('ignores an event without an amount', async () => {
+    const service = buildService(pendingOrder());
+
+    const outcome = await service.applyEvent('mock', {
+      id: 'evt_2', type: 'payment.succeeded', orderId, transactionId: 'mock_ch_1'
+    });
+
+    expect(outcome.applied).toBe(false);
+    expect(service.orderRepository.processPayment).not.toHaveBeenCalled();
+  });
+
+  it('ignores an event whose amount differs from the order total', async () => {
+    const service = buildService(pendingOrder());
+
+    const outcome = await service.applyEvent('mock', {
+      id: 'evt_3', type: 'payment.succeeded', orderId, transactionId: 'mock_ch_1', amount: 0.01
+    });
+
+    expect(outcome.applied).toBe(false);
+    expect(service.orderRepository.processPayment).not.toHaveBeenCalled();
+  });
+});
+
+describe('PaymentService.assertPayable', () => {
+  it.each(['completed', 'partially_refunded', 'refunded'])('refuses to take a payment again once it is %s', (status) => {
+    const service = new PaymentService();
+
+    expect(() => service.assertPayable({ ...pendingOrder(), payment: { status } }))
+      .toThrow('Order payment already completed');
+  });
+
+  it('takes another payment after a failed one', () => {
+    const service = new PaymentService();
+
+    expect(() => service.assertPayable({ ...pendingOrder(), payment: { status: 'failed' } })).not.toThrow();
+  });
+});
+
+describe('payment provider registry', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  const loadRegistry = async () => {
+    let registry;
+    await jest.isolateModulesAsync(async () => {
+      registry = await import('../../src/payments/index.js');
+    });
+    return registry;
+  };
+
+  it('refuses to start the mock provider without a webhook secret', async () => {
+    delete process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+
+    await expect(loadRegistry()).rejects.toThrow('MOCK_PAYMENT_WEBHOOK_SECRET is required');
+  });
+
+  it('does not need the webhook secret when another provider is selected', async () => {
+    delete process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+    process.env.PAYMENT_PROVIDER = 'gateway';
+
+    // Fails on the adapter this tree does not have, not on the mock's secret
+    await expect(loadRegistry()).rejects.toThrow('Unknown payment provider: gateway');
+  });
+
+  it('refuses to start in production without a payment provider', async () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.PAYMENT_PROVIDER;
+
+    await expect(loadRegistry()).rejects.toThrow('PAYMENT_PROVIDER is required in production');
+  });
+
+  it('does not register the mock provider in production', async () => {
+    process.env.NODE_ENV = 'production';
+    process.env.PAYMENT_PROVIDER = 'mock';
+
+    await expect(loadRegistry()).rejects.toThrow('Unknown payment provider: mock');
+  });
+});
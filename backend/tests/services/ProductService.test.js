@@ -0,0 +1,34 @@
+import { jest } from '@jest/globals';
+import ProductService from '../../src/services/ProductService.js';
+
+describe('ProductService.parseListFilter', () => {
+  const service = new ProductService();
+
+  it('splits, trims and de-duplicates multi-select values', () => {
+    expect(service.parseListFilter('red, blue,,red')).toEqual(['red', 'blue']);
+    expect(service.parseListFilter(['red', ' green '])).toEqual(['red', 'green']);
+  });
+
+  it('treats an empty filter as no filter', () => {
+    expect(service.parseListFilter('')).toBeUndefined();
+    expect(service.parseListFilter(' , ')).toBeUndefined();
+  });
+});
+
+describe('ProductService.deleteProduct', () => {
+  it('keeps the image files of a soft-deleted product', async () => {
+    const product = { _id: 'product-1', images: [{ key: 'products/abc', url: 'large.webp' }] };
+    const service = new ProductService();
+    service.productRepository = {
+      findById: jest.fn(async () => product),
+      deleteById: jest.fn(async () => product)
+    };
+    service.searchIndexService = { syncProducts: jest.fn(async () => null) };
+    service.imageService = { removeUnusedFiles: jest.fn(async () => null) };
+
+    await service.deleteProduct('product-1', 'admin-1');
+
+    expect(service.productRepository.deleteById).toHaveBeenCalledWith('product-1', 'admin-1');
+    expect(service.imageService.removeUnusedFiles).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,145 @@
+import { jest } from '@jest/globals';
+import PromotionService from '../../src/services/PromotionService.js';
+
+const line = (product, price, quantity, categories = []) => ({ product, price, quantity, total: price * quantity, categories });
+
+describe('PromotionService.calculateDiscount', () => {
+  const service = new PromotionService();
+  const items = [line('lamp', 40, 1, ['lighting']), line('mug', 10, 3, ['kitchen'])];
+
+  it('caps a percentage discount at its maximum', () => {
+    expect(service.calculateDiscount({ type: 'percentage', value: 50 }, items).itemDiscount).toBe(35);
+    expect(service.calculateDiscount({ type: 'percentage', value: 50, maxDiscount: 20 }, items).itemDiscount).toBe(20);
+  });
+
+  it('never takes a fixed amount below the eligible subtotal', () => {
+    const promotion = { type: 'fixed_amount', value: 50, categories: ['kitchen'] };
+
+    expect(service.calculateDiscount(promotion, items).itemDiscount).toBe(30);
+  });
+
+  it('discounts the cheapest units of each full buy X get Y group', () => {
+    const promotion = { type: 'buy_x_get_y', buyQuantity: 1, getQuantity: 1, getDiscountPercent: 100 };
+
+    // Units sorted 40, 10, 10, 10 - the second unit of each pair is free
+    expect(service.calculateDiscount(promotion, items).itemDiscount).toBe(20);
+  });
+
+  it('covers shipping for free shipping promotions', () => {
+    expect(service.calculateDiscount({ type: 'free_shipping' }, items, 7.5)).toMatchObject({ itemDiscount: 0, shippingDiscount: 7.5 });
+  });
+});
+
+describe('PromotionService.applyCoupon', () => {
+  const items = [line('lamp', 40, 1)];
+
+  const buildService = (promotion) => {
+    const service = new PromotionService();
+    service.promotionRepository = {
+      findByCode: jest.fn(async () => promotion && { code: 'SAVE10', isActive: true, minOrderValue: 0, usageCount: 0, ...promotion }),
+      claimUsage: jest.fn(async () => null)
+    };
+    return service;
+  };
+
+  it('returns the discount for a valid coupon', async () => {
+    const applied = await buildService({ type: 'percentage', value: 10 }).applyCoupon('save10', { items, subtotal: 40 });
+
+    expect(applied).toMatchObject({ itemDiscount: 4, shippingDiscount: 0, discount: 4 });
+  });
+
+  it.each([
+    ['an unknown code', null, 'Coupon code SAVE10 is not valid'],
+    ['an expired coupon', { type: 'percentage', value: 10, endsAt: new Date(Date.now() - 1000) }, 'Coupon code SAVE10 has expired'],
+    ['an order under the minimum', { type: 'percentage', value: 10, minOrderValue: 50 }, 'Coupon code SAVE10 requires a minimum order of 50.00'],
+    ['items outside its scope', { type: 'percentage', value: 10, products: ['sofa'] }, 'Coupon code SAVE10 does not apply to the items in your order']
+  ])('refuses %s', async (label, promotion, message) => {
+    await expect(buildService(promotion).applyCoupon('save10', { items, subtotal: 40 }))
+      .rejects.toMatchObject({ statusCode: 400, message });
+  });
+
+  it('refuses the last use once another order has claimed it', async () => {
+    const service = buildService({ type: 'percentage', value: 10 });
+
+    await expect(service.claimUsage({ _id: 'promo-1', code: 'SAVE10' }))
+      .rejects.toMatchObject({ statusCode: 409, message: 'Coupon code SAVE10 has reached its usage limit' });
+  });
+});
+
+// In-memory stand-in for the conditional updates the repository runs
+const buildRepository = ({ usageLimit = null, ordersBefore = 0 } = {}) => {
+  const counts = new Map();
+  let usageCount = 0;
+
+  return {
+    counts,
+    findCustomerUsage: jest.fn(async (id, key) => (counts.has(key) ? { count: counts.get(key) } : null)),
+    createCustomerUsage: jest.fn(async (id, key, count) => {
+      if (!counts.has(key)) counts.set(key, count);
+    }),
+    countCustomerUsage: jest.fn(async () => ordersBefore),
+    claimCustomerUsage: jest.fn(async (id, key, limit) => {
+      if (counts.get(key) >= limit) return null;
+      counts.set(key, counts.get(key) + 1);
+      return { count: counts.get(key) };
+    }),
+    releaseCustomerUsage: jest.fn(async (id, key) => {
+      if (counts.get(key) > 0) counts.set(key, counts.get(key) - 1);
+    }),
+    claimUsage: jest.fn(async () => {
+      if (usageLimit !== null && usageCount >= usageLimit) return null;
+      usageCount++;
+      return { usageCount };
+    }),
+    releaseUsage: jest.fn(async () => {
+      usageCount--;
+    })
+  };
+};
+
+const promotion = { _id: 'promo-1', code: 'WELCOME', usageLimitPerCustomer: 1 };
+
+describe('PromotionService per-customer limit', () => {
+  it('lets only one of two simultaneous orders use a once-per-customer coupon', async () => {
+    const service = new PromotionService();
+    service.promotionRepository = buildRepository();
+
+    const results = await Promise.allSettled([
+      service.claimUsage(promotion, { customerId: 'user-1' }),
+      service.claimUsage(promotion, { customerId: 'user-1' })
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find(result => result.status === 'rejected').reason)
+      .toMatchObject({ statusCode: 409, message: 'You have already used coupon code WELCOME' });
+  });
+
+  it('counts orders placed before usage was tracked', async () => {
+    const service = new PromotionService();
+    service.promotionRepository = buildRepository({ ordersBefore: 1 });
+
+    await expect(service.claimUsage(promotion, { guestEmail: 'Guest@Example.com' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(service.promotionRepository.counts.get('guest:guest@example.com')).toBe(1);
+  });
+
+  it("gives the customer's use back when the overall limit is reached", async () => {
+    const service = new PromotionService();
+    service.promotionRepository = buildRepository({ usageLimit: 0 });
+
+    await expect(service.claimUsage(promotion, { customerId: 'user-1' }))
+      .rejects.toMatchObject({ message: 'Coupon code WELCOME has reached its usage limit' });
+    expect(service.promotionRepository.counts.get('customer:user-1')).toBe(0);
+  });
+
+  it('releases the customer use recorded on a cancelled order', async () => {
+    const service = new PromotionService();
+    service.promotionRepository = buildRepository();
+    await service.claimUsage(promotion, { customerId: 'user-1' });
+
+    await service.releaseUsage({ promotion: 'promo-1', code: 'WELCOME', usageKey: 'customer:user-1' });
+
+    expect(service.promotionRepository.counts.get('customer:user-1')).toBe(0);
+    await expect(service.claimUsage(promotion, { customerId: 'user-1' })).resolves.toBeTruthy();
+  });
+});
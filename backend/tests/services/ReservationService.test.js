@@ -0,0 +1,17 @@
+import ReservationService from '../../src/services/ReservationService.js';
+
+describe('ReservationService', () => {
+  const service = new ReservationService();
+
+  it('expires only unpaid orders that are not cash on delivery', () => {
+    expect(service.requiresExpiry({ payment: { method: 'credit_card', status: 'pending' } })).toBe(true);
+    expect(service.requiresExpiry({ payment: { method: 'credit_card', status: 'completed' } })).toBe(false);
+    expect(service.requiresExpiry({ payment: { method: 'cash_on_delivery', status: 'pending' } })).toBe(false);
+  });
+
+  it('holds stock for the configured number of minutes', () => {
+    const from = new Date('2026-01-01T10:00:00Z');
+
+    expect(service.getExpiryDate(from)).toEqual(new Date(from.getTime() + service.ttlMinutes * 60 * 1000));
+  });
+});
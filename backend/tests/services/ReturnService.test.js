@@ -0,0 +1,112 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Order from '../../src/models/Order.js';
+import ReturnService from '../../src/services/ReturnService.js';
+
+const customerId = new mongoose.Types.ObjectId();
+
+const deliveredOrder = (fields = {}) => new Order({
+  orderNumber: 'ORD-TEST-1',
+  customer: customerId,
+  items: [
+    { product: new mongoose.Types.ObjectId(), name: 'Lamp', image: 'lamp.jpg', price: 20, quantity: 3, total: 60 },
+    { product: new mongoose.Types.ObjectId(), name: 'Shade', image: 'shade.jpg', price: 10, quantity: 1, total: 10 }
+  ],
+  subtotal: 70,
+  total: 70,
+  status: 'delivered',
+  payment: { method: 'credit_card', status: 'completed' },
+  shipping: { actualDeliveryDate: new Date() },
+  ...fields
+});
+
+const buildService = (order, openReturns = []) => {
+  const service = new ReturnService();
+  service.orderRepository = { findById: jest.fn(async () => order) };
+  service.returnRepository = {
+    findOpenForOrder: jest.fn(async () => openReturns),
+    create: jest.fn()
+  };
+  service.imageService = { uploadImages: jest.fn(), removeUnusedFiles: jest.fn(async () => null) };
+  return service;
+};
+
+describe('ReturnService.resolveReturnItems', () => {
+  it('allows what was bought, less refunds and returns already open', async () => {
+    const order = deliveredOrder();
+    const [lamp] = order.items;
+    order.refunds.push({ items: [{ item: lamp._id, product: lamp.product, name: 'Lamp', quantity: 1, amount: 20 }], amount: 20, reason: 'Broken' });
+    const service = buildService(order, [{ items: [{ item: lamp._id, quantity: 1 }] }]);
+
+    await expect(service.resolveReturnItems(order, [{ itemId: lamp._id.toString(), quantity: 1 }]))
+      .resolves.toEqual([expect.objectContaining({ item: lamp._id, name: 'Lamp', quantity: 1 })]);
+    await expect(service.resolveReturnItems(order, [{ itemId: lamp._id.toString(), quantity: 2 }]))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Only 1 of Lamp can be returned' });
+  });
+
+  it('refuses an item that is not on the order', async () => {
+    const order = deliveredOrder();
+    const stranger = new mongoose.Types.ObjectId().toString();
+
+    await expect(buildService(order).resolveReturnItems(order, [{ itemId: stranger, quantity: 1 }]))
+      .rejects.toMatchObject({ statusCode: 400, message: `Order item ${stranger} not found` });
+  });
+});
+
+describe('ReturnService.resolveConditions', () => {
+  const lampId = new mongoose.Types.ObjectId();
+  const shadeId = new mongoose.Types.ObjectId();
+  const returnRequest = {
+    items: [
+      { item: lampId, name: 'Lamp', quantity: 3 },
+      { item: shadeId, name: 'Shade', quantity: 1 }
+    ]
+  };
+  const service = new ReturnService();
+
+  it('treats unreported lines as restockable and splits reported ones', () => {
+    const conditions = service.resolveConditions(returnRequest, [{ itemId: lampId.toString(), damagedQuantity: 1 }]);
+
+    expect(conditions.get(lampId.toString())).toEqual({ restockableQuantity: 2, damagedQuantity: 1 });
+    expect(conditions.get(shadeId.toString())).toEqual({ restockableQuantity: 1, damagedQuantity: 0 });
+  });
+
+  it('requires restockable and damaged units to add up to the returned quantity', () => {
+    expect(() => service.resolveConditions(returnRequest, [
+      { itemId: lampId.toString(), restockableQuantity: 1, damagedQuantity: 1 }
+    ])).toThrow('Restockable and damaged units of Lamp must add up to 3');
+  });
+
+  it('refuses a line that is not part of the return', () => {
+    const stranger = new mongoose.Types.ObjectId().toString();
+
+    expect(() => service.resolveConditions(returnRequest, [{ itemId: stranger, damagedQuantity: 0 }]))
+      .toThrow(`Item ${stranger} is not part of this return`);
+  });
+});
+
+describe('ReturnService.requestReturn', () => {
+  const request = (order) => ({
+    orderId: order._id.toString(),
+    items: [{ itemId: order.items[0]._id.toString(), quantity: 1 }],
+    reasonCode: 'damaged',
+    reason: 'Arrived with a cracked base'
+  });
+
+  it('only accepts delivered orders', async () => {
+    const order = deliveredOrder({ status: 'shipped' });
+
+    await expect(buildService(order).requestReturn(request(order), [], customerId.toString()))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Only delivered orders can be returned' });
+  });
+
+  it('refuses returns once the return window has closed', async () => {
+    const order = deliveredOrder({ shipping: { actualDeliveryDate: new Date(Date.now() - 31 * 24 * 60 * 60 * 1000) } });
+    const service = buildService(order);
+    service.windowDays = 30;
+
+    await expect(service.requestReturn(request(order), [], customerId.toString()))
+      .rejects.toMatchObject({ statusCode: 400, message: expect.stringMatching(/^The 30-day return window for this order closed on/) });
+    expect(service.returnRepository.create).not.toHaveBeenCalled();
+  });
+});
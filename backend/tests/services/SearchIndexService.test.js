@@ -0,0 +1,46 @@
+import { jest } from '@jest/globals';
+import SearchIndexService from '../../src/services/SearchIndexService.js';
+
+const candidate = (name, fields, popularity = 0) => ({
+  fields,
+  popularity,
+  product: { _id: name, name, stock: 1 }
+});
+
+describe('SearchIndexService.suggest', () => {
+  const buildService = (candidates) => {
+    const service = new SearchIndexService();
+    service.searchIndexRepository = { findCandidates: jest.fn(async () => candidates) };
+    return service;
+  };
+
+  it('finds products despite a typo and completes the last word', async () => {
+    const service = buildService([
+      candidate('Desk lamp', { name: ['desk', 'lamp'] }),
+      candidate('Lampshade', { name: ['lampshade'] }),
+      candidate('Sofa', { name: ['sofa'] })
+    ]);
+
+    const result = await service.suggest('desk lamo');
+    const names = result.data.map(suggestion => suggestion.name);
+
+    expect(names).toEqual(['Desk lamp']);
+    expect(result.data[0].matchedFields).toEqual(['name']);
+  });
+
+  it('ranks exact matches above prefix completions', async () => {
+    const service = buildService([
+      candidate('Lampshade', { name: ['lampshade'] }),
+      candidate('Lamp', { name: ['lamp'] })
+    ]);
+
+    const result = await service.suggest('lamp');
+
+    expect(result.data.map(suggestion => suggestion.name)).toEqual(['Lamp', 'Lampshade']);
+    expect(result.completions).toEqual(expect.arrayContaining(['lamp', 'lampshade']));
+  });
+
+  it('rejects an empty query', async () => {
+    await expect(buildService([]).suggest(' !! ')).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
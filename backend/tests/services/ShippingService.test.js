@@ -0,0 +1,113 @@
+import { jest } from '@jest/globals';
+import ShippingService from '../../src/services/ShippingService.js';
+
+const address = { country: 'GH', state: 'Greater Accra' };
+const lines = [{ product: { specifications: { weight: 2 } }, quantity: 1, price: 30 }];
+
+const buildService = ({ zones = [], hasActiveZones = false } = {}) => {
+  const service = new ShippingService();
+  service.flatRate = 5;
+  service.shippingZoneRepository = {
+    findForCountry: jest.fn(async () => zones),
+    hasActiveZones: jest.fn(async () => hasActiveZones)
+  };
+  return service;
+};
+
+const method = (fields) => ({
+  method: 'standard',
+  baseRate: 5,
+  weightTiers: [{ maxWeight: 1, rate: 0 }, { maxWeight: 5, rate: 3 }],
+  minDeliveryDays: 1,
+  maxDeliveryDays: 5,
+  isActive: true,
+  ...fields
+});
+
+describe('ShippingService.findZone', () => {
+  const zone = (name, fields) => ({ name, countries: [], states: [], isDefault: false, ...fields });
+
+  it('prefers a zone naming the state, then the country, then the default zone', async () => {
+    const fallback = zone('Rest of world', { isDefault: true });
+    const country = zone('Ghana', { countries: ['GH'] });
+    const state = zone('Accra', { countries: ['GH'], states: ['GREATER ACCRA'] });
+
+    await expect(buildService({ zones: [fallback, country, state] }).findZone(address)).resolves.toBe(state);
+    await expect(buildService({ zones: [fallback, country] }).findZone(address)).resolves.toBe(country);
+    await expect(buildService({ zones: [fallback] }).findZone(address)).resolves.toBe(fallback);
+  });
+
+  it('skips a zone limited to other states of the country', async () => {
+    const other = zone('Ashanti', { countries: ['GH'], states: ['ASHANTI'] });
+
+    await expect(buildService({ zones: [other] }).findZone(address)).resolves.toBeNull();
+  });
+});
+
+describe('ShippingService rates', () => {
+  it('charges the larger of actual and volumetric weight', () => {
+    const parcel = buildService().buildParcel([
+      { product: { specifications: { weight: 1, dimensions: { length: 50, width: 40, height: 30 } } }, quantity: 2 }
+    ]);
+
+    expect(parcel).toEqual({ actualWeight: 2, volumetricWeight: 24, chargeableWeight: 24 });
+  });
+
+  it('prices a parcel from its weight tier', () => {
+    const service = buildService();
+
+    expect(service.priceMethod(method(), 0.5, 10).cost).toBe(5);
+    expect(service.priceMethod(method(), 3, 10).cost).toBe(8);
+  });
+
+  it('charges per extra kg above the heaviest tier, or refuses the parcel', () => {
+    const service = buildService();
+
+    expect(service.priceMethod(method({ additionalPerKg: 2 }), 6.2, 10).cost).toBe(12);
+    expect(service.priceMethod(method(), 6.2, 10)).toBeNull();
+  });
+
+  it('ships free above the threshold and says how far away it is', () => {
+    const service = buildService();
+
+    expect(service.priceMethod(method({ freeShippingThreshold: 50 }), 3, 60)).toMatchObject({ cost: 0, freeShipping: true });
+    expect(service.priceMethod(method({ freeShippingThreshold: 50 }), 3, 35)).toMatchObject({ cost: 8, amountToFreeShipping: 15 });
+  });
+
+  it('counts only business days in delivery estimates', () => {
+    const friday = new Date('2026-01-02T12:00:00');
+
+    expect(buildService().addBusinessDays(friday, 1).getDay()).toBe(1);
+    expect(buildService().addBusinessDays(friday, 5).getDate()).toBe(9);
+  });
+
+  it('lists active methods of the zone, cheapest first', async () => {
+    const zone = {
+      _id: 'zone-1',
+      name: 'Ghana',
+      countries: ['GH'],
+      states: [],
+      methods: [method({ method: 'express', baseRate: 15 }), method(), method({ method: 'overnight', isActive: false })]
+    };
+
+    const quote = await buildService({ zones: [zone] }).getRates({ lines, subtotal: 30, address });
+
+    expect(quote.options.map(option => [option.method, option.cost])).toEqual([['standard', 8], ['express', 18]]);
+  });
+});
+
+describe('ShippingService.getRates without a matching zone', () => {
+  it('offers only standard shipping at the flat rate while no zone is set up', async () => {
+    const quote = await buildService().getRates({ lines, subtotal: 30, address });
+
+    expect(quote.zone.name).toBe('Flat rate');
+    expect(quote.options.map(option => [option.method, option.cost])).toEqual([['standard', 5]]);
+  });
+
+  it('refuses addresses no zone covers once zones exist', async () => {
+    const service = buildService({ hasActiveZones: true });
+
+    await expect(service.getRates({ lines, subtotal: 30, address }))
+      .rejects.toMatchObject({ statusCode: 400, message: "We don't ship to GH yet" });
+  });
+});
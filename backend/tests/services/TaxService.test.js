@@ -0,0 +1,98 @@
+import { jest } from '@jest/globals';
+import TaxRate from '../../src/models/TaxRate.js';
+import TaxService from '../../src/services/TaxService.js';
+
+const rate = (fields) => new TaxRate({ country: 'US', taxClass: 'standard', appliesToShipping: false, ...fields });
+
+const buildService = (rates, categoryClasses = new Map()) => {
+  const service = new TaxService();
+  service.pricesIncludeTax = false;
+  service.taxRateRepository = { findForAddress: jest.fn(async () => rates) };
+  service.categoryRepository = { findTaxClasses: jest.fn(async () => categoryClasses) };
+  return service;
+};
+
+const address = { country: 'US', state: 'CA', zipCode: '94105' };
+
+describe('TaxService.computeTax', () => {
+  it('adds tax on top of exclusive prices', () => {
+    const service = buildService([]);
+
+    expect(service.computeTax(100, 8.25)).toBe(8.25);
+    expect(service.computeTax(0, 8.25)).toBe(0);
+  });
+
+  it('extracts the tax already contained in inclusive prices', () => {
+    const service = buildService([]);
+    service.pricesIncludeTax = true;
+
+    expect(service.computeTax(120, 20)).toBe(20);
+    expect(service.computeTax(-5, 20)).toBe(0);
+  });
+});
+
+describe('TaxService.pickRate', () => {
+  const country = rate({ rate: 5 });
+  const state = rate({ state: 'CA', rate: 7 });
+  const zip = rate({ state: 'CA', zipCodePrefix: '941', rate: 8.5 });
+  const longerZip = rate({ state: 'CA', zipCodePrefix: '9410', rate: 9 });
+  const reduced = rate({ state: 'CA', taxClass: 'reduced', rate: 2 });
+
+  it('prefers a zip prefix over the state, and the state over the country', () => {
+    const service = buildService([]);
+
+    expect(service.pickRate([country, state], 'standard')).toBe(state);
+    expect(service.pickRate([country, zip, state], 'standard')).toBe(zip);
+    expect(service.pickRate([zip, longerZip], 'standard')).toBe(longerZip);
+  });
+
+  it('only picks rates of the requested class', () => {
+    const service = buildService([]);
+
+    expect(service.pickRate([country, reduced], 'reduced')).toBe(reduced);
+    expect(service.pickRate([country], 'reduced')).toBeNull();
+  });
+});
+
+describe('TaxService.calculateTax', () => {
+  it('only uses zip-prefixed rates whose prefix matches the address', async () => {
+    const service = buildService([
+      rate({ state: 'CA', rate: 7 }),
+      rate({ state: 'CA', zipCodePrefix: '900', rate: 9.5 }),
+      rate({ state: 'CA', zipCodePrefix: '9 41', rate: 8.5 })
+    ]);
+
+    const tax = await service.calculateTax({ items: [{ total: 100 }], address });
+
+    expect(tax.lines[0]).toEqual({ taxClass: 'standard', rate: 8.5, taxableAmount: 100, amount: 8.5 });
+  });
+
+  it('uses the nearest category with a tax class and charges nothing for exempt items', async () => {
+    const service = buildService(
+      [rate({ rate: 10 }), rate({ taxClass: 'reduced', rate: 5 })],
+      new Map([['books', 'reduced'], ['media', 'standard'], ['food', 'exempt']])
+    );
+
+    const tax = await service.calculateTax({
+      items: [
+        { categories: ['novels', 'books', 'media'], total: 20 },
+        { categories: ['fruit', 'food'], total: 10 },
+        { categories: ['lamps'], total: 30, discount: 10 }
+      ],
+      address
+    });
+
+    expect(tax.lines.map(line => [line.taxClass, line.amount])).toEqual([['reduced', 1], ['exempt', 0], ['standard', 2]]);
+    expect(tax.total).toBe(3);
+  });
+
+  it('taxes shipping only when the standard rate applies to it', async () => {
+    const order = { items: [{ total: 50 }], address, shippingCost: 10, shippingDiscount: 4 };
+
+    const untaxed = await buildService([rate({ rate: 10 })]).calculateTax(order);
+    const taxed = await buildService([rate({ rate: 10, appliesToShipping: true })]).calculateTax(order);
+
+    expect(untaxed).toMatchObject({ shippingTax: 0, shippingTaxRate: 0, total: 5 });
+    expect(taxed).toMatchObject({ shippingTax: 0.6, shippingTaxRate: 10, total: 5.6 });
+  });
+});
@@ -0,0 +1,225 @@
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import User from '../../src/models/User.js';
+import UserService from '../../src/services/UserService.js';
+import mailTransport from '../../src/mail/index.js';
+import { createSecureToken, hashToken } from '../../src/utils/secureToken.js';
+import logger from '../../src/utils/logger.js';
+
+// In-memory stand-in for the session methods of the user repository
+const buildRepository = (user) => {
+  const sessions = new Map();
+
+  return {
+    sessions,
+    findById: jest.fn(async () => user),
+    addSession: jest.fn(async (userId, session) => {
+      sessions.set(session._id, { ...session });
+      return user;
+    }),
+    rotateSession: jest.fn(async (userId, sessionId, tokenHash, update) => {
+      const session = sessions.get(sessionId);
+      if (!session || session.tokenHash !== tokenHash) return null;
+      Object.assign(session, update);
+      return user;
+    }),
+    removeSession: jest.fn(async (userId, sessionId) => (sessions.delete(sessionId) ? user : null))
+  };
+};
+
+describe('UserService refresh token rotation', () => {
+  let service;
+  let user;
+  let logAuth;
+
+  beforeEach(() => {
+    user = new User({ name: 'Ada', email: 'ada@example.com', password: 'Secret123!', role: 'user' });
+    service = new UserService();
+    service.userRepository = buildRepository(user);
+    logAuth = jest.spyOn(logger, 'logAuth').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const refresh = async (token) => (await service.refreshToken(token, { ip: '203.0.113.7' })).data.tokens.refreshToken;
+
+  it('swaps the refresh token for a new one each time', async () => {
+    const { refreshToken } = await service.createSession(user);
+
+    const second = await refresh(refreshToken);
+    const third = await refresh(second);
+
+    expect(second).not.toBe(refreshToken);
+    expect(third).not.toBe(second);
+    expect(logAuth).not.toHaveBeenCalled();
+  });
+
+  it('revokes the whole session when an already rotated token is used again', async () => {
+    const { sessionId, refreshToken } = await service.createSession(user);
+    const current = await refresh(refreshToken);
+
+    await expect(refresh(refreshToken)).rejects.toMatchObject({ statusCode: 401, message: 'Invalid refresh token' });
+
+    expect(service.userRepository.sessions.has(sessionId)).toBe(false);
+    expect(logAuth).toHaveBeenCalledWith('refresh_token_reuse_detected', user._id.toString(), {
+      sessionId,
+      ip: '203.0.113.7'
+    });
+    // The token the legitimate holder got is signed out too
+    await expect(refresh(current)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it("leaves the user's other sessions signed in", async () => {
+    const stolen = await service.createSession(user);
+    const other = await service.createSession(user);
+    await refresh(stolen.refreshToken);
+
+    await expect(refresh(stolen.refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+
+    await expect(refresh(other.refreshToken)).resolves.toEqual(expect.any(String));
+  });
+
+  it('rejects tokens signed with another secret without touching sessions', async () => {
+    const { sessionId } = await service.createSession(user);
+    const forged = jwt.sign({ id: user._id, sid: sessionId }, 'guessed');
+
+    await expect(refresh(forged)).rejects.toMatchObject({ statusCode: 401 });
+    expect(service.userRepository.sessions.has(sessionId)).toBe(true);
+  });
+});
+
+describe('UserService email verification', () => {
+  let service;
+  let user;
+  let send;
+
+  beforeEach(() => {
+    user = new User({ name: 'Ada', email: 'ada@example.com', password: 'Secret123!', role: 'user' });
+    service = new UserService();
+    service.storeUrl = 'https://shop.example.com';
+    service.userRepository = {
+      findById: jest.fn(async () => user),
+      setEmailVerificationToken: jest.fn(async () => user),
+      verifyEmail: jest.fn(async () => null)
+    };
+    send = jest.spyOn(mailTransport, 'send').mockResolvedValue({ messageId: 'test' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores only the hash of the token it emails', async () => {
+    await service.sendEmailVerification(user);
+
+    const [userId, storedHash, expiresAt] = service.userRepository.setEmailVerificationToken.mock.calls[0];
+    const { to, text } = send.mock.calls[0][0];
+    const token = text.match(/verifyToken=([0-9a-f]{64})/)[1];
+
+    expect(userId).toBe(user._id);
+    expect(to).toBe('ada@example.com');
+    expect(storedHash).toBe(hashToken(token));
+    expect(storedHash).not.toBe(token);
+    expect(expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('looks the user up by the hash of the token', async () => {
+    const { token, hash } = createSecureToken();
+    service.userRepository.verifyEmail.mockResolvedValue({ _id: user._id, email: user.email });
+
+    const result = await service.verifyEmail({ token });
+
+    expect(service.userRepository.verifyEmail).toHaveBeenCalledWith(hash);
+    expect(result.data).toMatchObject({ email: 'ada@example.com', emailVerified: true });
+  });
+
+  it('refuses an unknown or expired token', async () => {
+    const { token } = createSecureToken();
+
+    await expect(service.verifyEmail({ token })).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Verification link is invalid or has expired'
+    });
+  });
+
+  it('does not resend to a verified address', async () => {
+    user.emailVerified = true;
+
+    await expect(service.resendEmailVerification(user._id)).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Email is already verified'
+    });
+    expect(send).not.toHaveBeenCalled();
+  });
+});
+
+describe('UserService password reset', () => {
+  let service;
+  let user;
+  let send;
+
+  beforeEach(() => {
+    user = new User({ name: 'Ada', email: 'ada@example.com', password: 'Secret123!', role: 'user' });
+    service = new UserService();
+    service.storeUrl = 'https://shop.example.com';
+
+    // A token works until it is consumed
+    let activeHash = null;
+    service.userRepository = {
+      findByEmail: jest.fn(async (email) => (email === user.email ? user : null)),
+      setPasswordResetToken: jest.fn(async (id, hash) => {
+        activeHash = hash;
+        return user;
+      }),
+      consumePasswordResetToken: jest.fn(async (hash) => {
+        if (!activeHash || hash !== activeHash) return null;
+        activeHash = null;
+        return user;
+      }),
+      changePassword: jest.fn(async () => user),
+      clearSessions: jest.fn(async () => user)
+    };
+    send = jest.spyOn(mailTransport, 'send').mockResolvedValue({ messageId: 'test' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const requestToken = async () => {
+    await service.requestPasswordReset({ email: 'Ada@Example.com' });
+    return send.mock.calls.at(-1)[0].text.match(/resetToken=([0-9a-f]{64})/)[1];
+  };
+
+  it('answers the same for unknown and known emails', async () => {
+    const known = await service.requestPasswordReset({ email: 'ada@example.com' });
+    const unknown = await service.requestPasswordReset({ email: 'nobody@example.com' });
+
+    expect(unknown).toEqual(known);
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  it('sets the new password and signs every session out', async () => {
+    const token = await requestToken();
+
+    await service.resetPassword({ token, password: 'NewSecret1', confirmPassword: 'NewSecret1' });
+
+    expect(service.userRepository.consumePasswordResetToken).toHaveBeenCalledWith(hashToken(token));
+    expect(service.userRepository.changePassword).toHaveBeenCalledWith(user._id, 'NewSecret1');
+    expect(service.userRepository.clearSessions).toHaveBeenCalledWith(user._id);
+  });
+
+  it('accepts a token only once', async () => {
+    const token = await requestToken();
+    const data = { token, password: 'NewSecret1', confirmPassword: 'NewSecret1' };
+    await service.resetPassword(data);
+
+    await expect(service.resetPassword(data)).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Password reset link is invalid or has expired'
+    });
+    expect(service.userRepository.changePassword).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,6 @@
+// Test environment
+// Secrets the app reads at import time, so modules load without a .env file
+
+process.env.JWT_ACCESS_SECRET ||= 'test-access-secret';
+process.env.JWT_REFRESH_SECRET ||= 'test-refresh-secret';
+process.env.MOCK_PAYMENT_WEBHOOK_SECRET ||= 'test-webhook-secret';
@@ -0,0 +1,16 @@
+import path from 'path';
+import LocalStorageAdapter from '../../src/storage/LocalStorageAdapter.js';
+
+describe('LocalStorageAdapter', () => {
+  const adapter = new LocalStorageAdapter({ rootDir: '/srv/uploads', publicUrl: 'https://api.example.com/uploads/' });
+
+  it('builds public URLs for stored keys', () => {
+    expect(adapter.getUrl('products/abc/large.webp')).toBe('https://api.example.com/uploads/products/abc/large.webp');
+  });
+
+  it('keeps keys inside the storage folder', () => {
+    expect(adapter.resolvePath('products/abc')).toBe(path.resolve('/srv/uploads/products/abc'));
+    expect(() => adapter.resolvePath('../etc/passwd')).toThrow('Invalid storage key');
+    expect(() => adapter.resolvePath('')).toThrow('Invalid storage key');
+  });
+});
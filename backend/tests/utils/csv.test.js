@@ -0,0 +1,47 @@
+import { parseCsv, formatCsvRow, escapeFormula, unescapeFormula } from '../../src/utils/csv.js';
+
+describe('CSV helpers', () => {
+  it('parses quoted fields, escaped quotes and line breaks inside quotes', () => {
+    const text = '\uFEFFname,notes\r\nLamp,"line one\nline ""two"""\r\n\r\nShade,plain';
+
+    expect(parseCsv(text)).toEqual([
+      { line: 2, data: { name: 'Lamp', notes: 'line one\nline "two"' } },
+      { line: 5, data: { name: 'Shade', notes: 'plain' } }
+    ]);
+  });
+
+  it('fills missing trailing cells with empty text', () => {
+    expect(parseCsv('sku,name,brand\nA-1,Lamp')).toEqual([{ line: 2, data: { sku: 'A-1', name: 'Lamp', brand: '' } }]);
+  });
+
+  it('reports where an unterminated quote started', () => {
+    expect(() => parseCsv('name\n"Lamp\nShade')).toThrow('Unterminated quoted field starting on line 2');
+  });
+
+  it('quotes cells with separators, quotes or line breaks', () => {
+    expect(formatCsvRow(['Lamp', 20, 'a,b', 'say "hi"', null])).toBe('Lamp,20,"a,b","say ""hi""",\r\n');
+  });
+
+  it.each(['=HYPERLINK("http://evil")', '+1+2', '-2+3', '@SUM(A1)', '\tcmd', '\rcmd'])(
+    'escapes formula-like text %j',
+    (text) => {
+      expect(escapeFormula(text)).toBe(`'${text}`);
+      expect(unescapeFormula(escapeFormula(text))).toBe(text);
+    }
+  );
+
+  it('leaves ordinary text and apostrophes alone', () => {
+    expect(escapeFormula('Desk lamp')).toBe('Desk lamp');
+    expect(unescapeFormula("'Tis the season")).toBe("'Tis the season");
+  });
+
+  it('escapes text cells but not numbers when formatting a row', () => {
+    expect(formatCsvRow(['=1+1', -5, 'a,b', '@x "y"'])).toBe(`'=1+1,-5,"a,b","'@x ""y"""\r\n`);
+  });
+
+  it('parses what it formats', () => {
+    const text = formatCsvRow(['name', 'notes']) + formatCsvRow(['Lamp', 'line one\nline "two"']);
+
+    expect(parseCsv(text)).toEqual([{ line: 2, data: { name: 'Lamp', notes: 'line one\nline "two"' } }]);
+  });
+});
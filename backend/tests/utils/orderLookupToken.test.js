@@ -0,0 +1,29 @@
+import jwt from 'jsonwebtoken';
+import { signOrderLookupToken, verifyOrderLookupToken } from '../../src/utils/orderLookupToken.js';
+
+const order = { orderNumber: 'ORD-TEST-1', guest: { email: 'guest@example.com' } };
+
+describe('order lookup tokens', () => {
+  it('carries the order number and guest email', () => {
+    expect(verifyOrderLookupToken(signOrderLookupToken(order)))
+      .toEqual({ orderNumber: 'ORD-TEST-1', email: 'guest@example.com' });
+  });
+
+  it('refuses an access token or a forged token', () => {
+    const accessToken = jwt.sign({ id: 'user-1' }, process.env.JWT_ACCESS_SECRET);
+    const forged = jwt.sign({ orderNumber: 'ORD-TEST-1', email: 'guest@example.com' }, 'guessed', { audience: 'order-lookup' });
+
+    expect(() => verifyOrderLookupToken(accessToken)).toThrow('Invalid order lookup token');
+    expect(() => verifyOrderLookupToken(forged)).toThrow('Invalid order lookup token');
+  });
+
+  it('says when the link has expired', () => {
+    const expired = jwt.sign(
+      { orderNumber: 'ORD-TEST-1', email: 'guest@example.com', exp: Math.floor(Date.now() / 1000) - 60 },
+      process.env.JWT_ACCESS_SECRET,
+      { audience: 'order-lookup' }
+    );
+
+    expect(() => verifyOrderLookupToken(expired)).toThrow('Order lookup link has expired');
+  });
+});
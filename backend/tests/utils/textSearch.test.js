@@ -0,0 +1,18 @@
+import { normalizeText, tokenize, wordTrigrams, wordSimilarity } from '../../src/utils/textSearch.js';
+
+describe('text search helpers', () => {
+  it('normalizes accents, case and punctuation', () => {
+    expect(normalizeText('  Crème-Brûlée, 2x! ')).toBe('creme brulee 2x');
+    expect(tokenize('Lamp lamp LAMP shade')).toEqual(['lamp', 'shade']);
+    expect(tokenize('  ')).toEqual([]);
+  });
+
+  it('pads trigrams so word starts and ends carry weight', () => {
+    expect(wordTrigrams('case')).toEqual(['  c', ' ca', 'cas', 'ase', 'se ']);
+  });
+
+  it('scores a typo higher than an unrelated word', () => {
+    expect(wordSimilarity('lamp', 'lamp')).toBe(1);
+    expect(wordSimilarity('lamp', 'lmap')).toBeGreaterThan(wordSimilarity('lamp', 'desk'));
+  });
+});
@@ -0,0 +1,43 @@
+import { base32Encode, base32Decode, generateTotp, getTimeStep, verifyTotp } from '../../src/utils/totp.js';
+
+// RFC 6238 appendix B SHA-1 vectors - the key is the ASCII string "12345678901234567890"
+// and our 6-digit codes are the last six digits of the RFC's 8-digit ones
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+describe('TOTP', () => {
+  it('encodes the RFC key as the usual base32 secret and back', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode(RFC_SECRET).toString('ascii')).toBe('12345678901234567890');
+  });
+
+  it.each(RFC_VECTORS)('matches the RFC 6238 code at %i seconds', (seconds, code) => {
+    expect(generateTotp(RFC_SECRET, getTimeStep(seconds * 1000))).toBe(code);
+  });
+
+  it('accepts codes one step either side and returns the matching step', () => {
+    const time = 1111111111 * 1000;
+    const step = getTimeStep(time);
+
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step), { time })).toBe(step);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 1), { time })).toBe(step - 1);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step + 1), { time })).toBe(step + 1);
+  });
+
+  it('rejects codes outside the window and malformed codes', () => {
+    const time = 1111111111 * 1000;
+    const step = getTimeStep(time);
+
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 2), { time })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '12345', { time })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 'abcdef', { time })).toBeNull();
+  });
+});
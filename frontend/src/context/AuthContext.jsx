@@ -43,16 +43,27 @@ export const AuthProvider = ({ children }) => {
     checkAuth();
   }, []);
 
+  // Tell the user about cart items changed when their anonymous cart was merged (e.g. limited by stock)
+  const notifyCartAdjustments = (cart) => {
+    cart?.adjustments?.forEach(adjustment => toast.warning(adjustment.message));
+  };
+
   // Login function
   const login = async (credentials) => {
     try {
       setLoading(true);
       const response = await apiService.login(credentials);
+
+      // The account has two-factor authentication - finish with verifyTwoFactorLogin
+      if (response.success && response.data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: response.data.challengeToken };
+      }
       
       if (response.success) {
         setUser(response.data.user);
         setIsAuthenticated(true);
         toast.success('Login successful!');
+        notifyCartAdjustments(response.data.cart);
         return { success: true, user: response.data.user };
       }
       
@@ -65,6 +76,29 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Second login step with a code from the authenticator app ({ code }) or a recovery code ({ recoveryCode })
+  const verifyTwoFactorLogin = async (challengeToken, secondFactor) => {
+    try {
+      setLoading(true);
+      const response = await apiService.verifyTwoFactorLogin(challengeToken, secondFactor);
+
+      if (response.success) {
+        setUser(response.data.user);
+        setIsAuthenticated(true);
+        toast.success('Login successful!');
+        notifyCartAdjustments(response.data.cart);
+        return { success: true, user: response.data.user };
+      }
+
+      return { success: false, error: 'Login failed' };
+    } catch (error) {
+      toast.error(error.message || 'Login failed');
+      return { success: false, error: error.message };
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // Register function
   const register = async (userData) => {
     try {
@@ -75,6 +109,7 @@ export const AuthProvider = ({ children }) => {
         setUser(response.data.user);
         setIsAuthenticated(true);
         toast.success('Registration successful!');
+        notifyCartAdjustments(response.data.cart);
         return { success: true, user: response.data.user };
       }
       
@@ -135,15 +170,73 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Verify email with the token from the verification link
+  const verifyEmail = async (token) => {
+    try {
+      const response = await apiService.verifyEmail(token);
+
+      if (response.success) {
+        setUser(current => current && { ...current, emailVerified: true });
+        return { success: true };
+      }
+
+      return { success: false, error: 'Email verification failed' };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Send a new verification email
+  const resendVerification = async () => {
+    try {
+      const response = await apiService.resendVerification();
+      toast.success(response.message || 'Verification email sent');
+      return { success: true };
+    } catch (error) {
+      toast.error(error.message || 'Failed to send verification email');
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Ask for a password reset link (the response never says whether the email has an account)
+  const forgotPassword = async (email) => {
+    try {
+      const response = await apiService.forgotPassword(email);
+      return { success: true, message: response.message };
+    } catch (error) {
+      toast.error(error.message || 'Failed to request password reset');
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Set a new password with the token from the reset link - every session is signed out
+  const resetPassword = async (token, password, confirmPassword) => {
+    try {
+      const response = await apiService.resetPassword(token, password, confirmPassword);
+      setUser(null);
+      setIsAuthenticated(false);
+      toast.success(response.message || 'Password has been reset');
+      return { success: true };
+    } catch (error) {
+      toast.error(error.message || 'Failed to reset password');
+      return { success: false, error: error.message };
+    }
+  };
+
   const value = {
     user,
     loading,
     isAuthenticated,
     login,
+    verifyTwoFactorLogin,
     register,
     logout,
     updateProfile,
     changePassword,
+    verifyEmail,
+    resendVerification,
+    forgotPassword,
+    resetPassword,
   };
 
   return (
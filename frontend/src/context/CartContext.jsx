@@ -1,6 +1,7 @@
 /**
  * Cart Context and Hook
- * Provides global cart state management
+ * Provides global cart state management - works signed in or not, since the
+ * backend keeps an anonymous cart and merges it into the account at login
  */
 
 import { createContext, useContext, useState, useEffect } from 'react';
@@ -23,19 +24,13 @@ export const CartProvider = ({ children }) => {
   const [cartItems, setCartItems] = useState([]);
   const [loading, setLoading] = useState(false);
 
-  // Load cart on authentication change
+  // Reload cart on authentication change (the account cart after login, the anonymous one after logout)
   useEffect(() => {
-    if (isAuthenticated) {
-      loadCart();
-    } else {
-      setCartItems([]);
-    }
+    loadCart();
   }, [isAuthenticated]);
 
   // Load cart from API
   const loadCart = async () => {
-    if (!isAuthenticated) return;
-    
     try {
       setLoading(true);
       const items = await apiService.getCart();
@@ -49,15 +44,10 @@ export const CartProvider = ({ children }) => {
   };
 
   // Add item to cart
-  const addToCart = async (productId, quantity = 1) => {
-    if (!isAuthenticated) {
-      toast.error('Please login to add items to cart');
-      return { success: false };
-    }
-
+  const addToCart = async (productId, quantity = 1, variantId) => {
     try {
       setLoading(true);
-      await apiService.addToCart(productId, quantity);
+      await apiService.addToCart(productId, quantity, variantId);
       await loadCart(); // Refresh cart
       toast.success('Item added to cart!');
       return { success: true };
@@ -70,17 +60,15 @@ export const CartProvider = ({ children }) => {
   };
 
   // Update cart item quantity
-  const updateCartItem = async (productId, quantity) => {
-    if (!isAuthenticated) return { success: false };
-
+  const updateCartItem = async (productId, quantity, variantId) => {
     try {
       setLoading(true);
       if (quantity <= 0) {
-        await removeFromCart(productId);
+        await removeFromCart(productId, variantId);
         return { success: true };
       }
       
-      await apiService.updateCartItem(productId, quantity);
+      await apiService.updateCartItem(productId, quantity, variantId);
       await loadCart(); // Refresh cart
       toast.success('Cart updated!');
       return { success: true };
@@ -93,12 +81,10 @@ export const CartProvider = ({ children }) => {
   };
 
   // Remove item from cart
-  const removeFromCart = async (productId) => {
-    if (!isAuthenticated) return { success: false };
-
+  const removeFromCart = async (productId, variantId) => {
     try {
       setLoading(true);
-      await apiService.removeFromCart(productId);
+      await apiService.removeFromCart(productId, variantId);
       await loadCart(); // Refresh cart
       toast.success('Item removed from cart!');
       return { success: true };
@@ -112,8 +98,6 @@ export const CartProvider = ({ children }) => {
 
   // Clear entire cart
   const clearCart = async () => {
-    if (!isAuthenticated) return { success: false };
-
     try {
       setLoading(true);
       await apiService.clearCart();
@@ -132,7 +116,9 @@ export const CartProvider = ({ children }) => {
   const cartTotals = {
     itemCount: cartItems.reduce((total, item) => total + item.quantity, 0),
     subtotal: cartItems.reduce((total, item) => {
-      const price = item.product?.price || 0;
+      // Variant price overrides the product price when set
+      const variant = item.variant && item.product?.variants?.find(v => v._id === item.variant);
+      const price = variant?.price ?? item.product?.price ?? 0;
       return total + (price * item.quantity);
     }, 0),
     get total() {
@@ -1,16 +1,270 @@
 /**
  * Auth Page - Login and Registration forms
- * Features: Toggle between login/register, form validation
+ * Features: Toggle between login/register, form validation, email verification status,
+ * forgot password and reset password (from the emailed ?resetToken= link)
  */
 
-import { useState } from 'react';
+import { useState, useEffect, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+const BANNER_STYLES = {
+  verifying: 'bg-blue-50 border-blue-200 text-blue-800',
+  verified: 'bg-green-50 border-green-200 text-green-800',
+  failed: 'bg-red-50 border-red-200 text-red-800',
+  unverified: 'bg-yellow-50 border-yellow-200 text-yellow-800',
+};
+
+// Verification status - checks the token from a verification link (?verifyToken=),
+// or reminds a signed-in user whose email is not verified yet
+const VerifyEmailBanner = () => {
+  const { user, isAuthenticated, verifyEmail, resendVerification } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState('');
+  const [sending, setSending] = useState(false);
+  const checkedToken = useRef(null);
+
+  const token = searchParams.get('verifyToken');
+
+  useEffect(() => {
+    // Tokens are single-use, so never send the same one twice
+    if (!token || checkedToken.current === token) return;
+    checkedToken.current = token;
+
+    const verify = async () => {
+      setStatus('verifying');
+      const result = await verifyEmail(token);
+      setStatus(result.success ? 'verified' : 'failed');
+      setError(result.error || '');
+      setSearchParams({}, { replace: true });
+    };
+
+    verify();
+  }, [token, verifyEmail, setSearchParams]);
+
+  const handleResend = async () => {
+    setSending(true);
+    await resendVerification();
+    setSending(false);
+  };
+
+  const current = status || (isAuthenticated && user && !user.emailVerified ? 'unverified' : null);
+  if (!current) return null;
+
+  return (
+    <div className={`mb-6 border rounded-lg p-4 text-sm ${BANNER_STYLES[current]}`}>
+      {current === 'verifying' && 'Verifying your email address...'}
+      {current === 'verified' && 'Your email address is verified. Thank you!'}
+      {current === 'failed' && (error || 'This verification link is invalid or has expired.')}
+      {current === 'unverified' && `Please verify your email address. We sent a link to ${user.email}.`}
+
+      {(current === 'unverified' || (current === 'failed' && isAuthenticated && !user?.emailVerified)) && (
+        <button
+          onClick={handleResend}
+          disabled={sending}
+          className="block mt-2 font-medium underline disabled:opacity-50"
+        >
+          {sending ? 'Sending...' : 'Send a new verification link'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const AuthLayout = ({ children }) => (
+  <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+    <div className="max-w-md w-full bg-white rounded-lg shadow-lg p-8">
+      {children}
+    </div>
+  </div>
+);
+
+// Ask for a reset link - the same confirmation is shown whether or not the email has an account
+const ForgotPasswordForm = ({ onBack }) => {
+  const { forgotPassword } = useAuth();
+  const [email, setEmail] = useState('');
+  const [sentMessage, setSentMessage] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    const result = await forgotPassword(email);
+    setSubmitting(false);
+    if (result.success) {
+      setSentMessage(result.message);
+    }
+  };
+
+  return (
+    <>
+      <div className="text-center mb-8">
+        <h2 className="text-3xl font-bold text-gray-900">Forgot Password</h2>
+        <p className="text-gray-600 mt-2">
+          Enter your email and we will send you a link to choose a new password
+        </p>
+      </div>
+
+      {sentMessage ? (
+        <div className="border rounded-lg p-4 text-sm bg-green-50 border-green-200 text-green-800">
+          {sentMessage}
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Email
+            </label>
+            <input
+              type="email"
+              required
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className={inputClassName}
+              placeholder="Enter your email"
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={submitting}
+            className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            {submitting ? 'Sending...' : 'Send Reset Link'}
+          </button>
+        </form>
+      )}
+
+      <div className="mt-6 text-center">
+        <button onClick={onBack} className="text-blue-600 hover:text-blue-700">
+          Back to sign in
+        </button>
+      </div>
+    </>
+  );
+};
+
+// Choose a new password with the token from the reset link
+const ResetPasswordForm = ({ token, onDone }) => {
+  const { resetPassword } = useAuth();
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setError('');
+    setSubmitting(true);
+    const result = await resetPassword(token, password, confirmPassword);
+    setSubmitting(false);
+
+    if (result.success) {
+      onDone();
+    } else {
+      setError(result.error || 'Failed to reset password');
+    }
+  };
+
+  return (
+    <>
+      <div className="text-center mb-8">
+        <h2 className="text-3xl font-bold text-gray-900">Reset Password</h2>
+        <p className="text-gray-600 mt-2">
+          Choose a new password - you will be signed out on all devices
+        </p>
+      </div>
+
+      {error && (
+        <div className="mb-6 border rounded-lg p-4 text-sm bg-red-50 border-red-200 text-red-800">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            New Password
+          </label>
+          <input
+            type="password"
+            required
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className={inputClassName}
+            placeholder="At least 6 characters, with upper and lower case letters and a number"
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Confirm Password
+          </label>
+          <input
+            type="password"
+            required
+            value={confirmPassword}
+            onChange={(e) => setConfirmPassword(e.target.value)}
+            className={inputClassName}
+            placeholder="Enter the new password again"
+          />
+        </div>
+
+        <button
+          type="submit"
+          disabled={submitting}
+          className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          {submitting ? 'Saving...' : 'Reset Password'}
+        </button>
+      </form>
+    </>
+  );
+};
 
 const AuthPage = () => {
   const [isLogin, setIsLogin] = useState(true);
+  const [searchParams, setSearchParams] = useSearchParams();
+  // ?forgotPassword=1 comes from the account locked email
+  const [showForgotPassword, setShowForgotPassword] = useState(searchParams.get('forgotPassword') === '1');
+
+  const resetToken = searchParams.get('resetToken');
+
+  if (resetToken) {
+    return (
+      <AuthLayout>
+        <ResetPasswordForm
+          token={resetToken}
+          onDone={() => {
+            setSearchParams({}, { replace: true });
+            setIsLogin(true);
+          }}
+        />
+      </AuthLayout>
+    );
+  }
+
+  if (showForgotPassword) {
+    return (
+      <AuthLayout>
+        <ForgotPasswordForm onBack={() => setShowForgotPassword(false)} />
+      </AuthLayout>
+    );
+  }
 
   return (
     <div className="min-h-screen bg-gray-50 flex items-center justify-center">
       <div className="max-w-md w-full bg-white rounded-lg shadow-lg p-8">
+        <VerifyEmailBanner />
+
         <div className="text-center mb-8">
           <h2 className="text-3xl font-bold text-gray-900">
             {isLogin ? 'Welcome Back' : 'Create Account'}
@@ -54,6 +308,17 @@ const AuthPage = () => {
               className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
               placeholder="Enter your password"
             />
+            {isLogin && (
+              <div className="mt-2 text-right">
+                <button
+                  type="button"
+                  onClick={() => setShowForgotPassword(true)}
+                  className="text-sm text-blue-600 hover:text-blue-700"
+                >
+                  Forgot password?
+                </button>
+              </div>
+            )}
           </div>
 
           <button
@@ -9,6 +9,7 @@ import { ArrowLeft, Upload, Eye, Save, X } from 'lucide-react';
 import { Button, TextField, TextArea, Card, Badge, Flex } from '@radix-ui/themes';
 import { motion } from 'framer-motion';
 import { useProducts } from '../hooks/useProducts';
+import { productService } from '../services/productService';
 import { validateProduct, formatPrice } from '../utils/helpers';
 
 const CreatePage = () => {
@@ -23,8 +24,10 @@ const CreatePage = () => {
     description: '',
   });
 
+  const [images, setImages] = useState([]);
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isUploading, setIsUploading] = useState(false);
   const [showPreview, setShowPreview] = useState(false);
 
   // Handle input changes with real-time validation
@@ -52,6 +55,26 @@ const CreatePage = () => {
     }
   };
 
+  // Upload selected files and use the first one as the product image
+  const handleImageUpload = async (e) => {
+    const files = e.target.files;
+    if (!files || files.length === 0) return;
+
+    setIsUploading(true);
+    setErrors(prev => ({ ...prev, imageUrl: null }));
+
+    try {
+      const uploaded = await productService.uploadImages(files, formData.name.trim());
+      setImages(uploaded);
+      setFormData(prev => ({ ...prev, imageUrl: uploaded[0]?.url || prev.imageUrl }));
+    } catch (error) {
+      setErrors(prev => ({ ...prev, imageUrl: error.message || 'Failed to upload images' }));
+    } finally {
+      setIsUploading(false);
+      e.target.value = '';
+    }
+  };
+
   // Handle form submission
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -73,6 +96,7 @@ const CreatePage = () => {
         imageUrl: formData.imageUrl.trim(),
         stock: parseInt(formData.stock),
         description: formData.description.trim(),
+        ...(images.length > 0 && { images }),
       });
       
       // Navigate back to homepage after successful creation
@@ -93,6 +117,7 @@ const CreatePage = () => {
       stock: '',
       description: '',
     });
+    setImages([]);
     setErrors({});
     setShowPreview(false);
   };
@@ -220,7 +245,10 @@ const CreatePage = () => {
                     placeholder="https://example.com/image.jpg"
                     type="url"
                     value={formData.imageUrl}
-                    onChange={(e) => handleInputChange('imageUrl', e.target.value)}
+                    onChange={(e) => {
+                      setImages([]);
+                      handleInputChange('imageUrl', e.target.value);
+                    }}
                     color={errors.imageUrl ? 'red' : undefined}
                     size="3"
                   >
@@ -232,8 +260,31 @@ const CreatePage = () => {
                     <p className="text-red-500 text-sm mt-1">{errors.imageUrl}</p>
                   )}
                   <p className="text-gray-500 text-xs mt-1">
-                    Enter a valid image URL for your product
+                    Enter a valid image URL for your product, or upload images
                   </p>
+                  <input
+                    type="file"
+                    accept="image/jpeg,image/png,image/webp,image/gif"
+                    multiple
+                    onChange={handleImageUpload}
+                    disabled={isUploading || isSubmitting}
+                    className="mt-2 block w-full text-sm text-gray-600"
+                  />
+                  {isUploading && (
+                    <p className="text-gray-500 text-xs mt-1">Uploading images...</p>
+                  )}
+                  {images.length > 0 && (
+                    <div className="flex gap-2 mt-2">
+                      {images.map((image, index) => (
+                        <img
+                          key={image.key}
+                          src={image.renditions?.thumbnail || image.url}
+                          alt={image.alt}
+                          className={`w-16 h-16 rounded object-cover ${index === 0 ? 'ring-2 ring-blue-500' : ''}`}
+                        />
+                      ))}
+                    </div>
+                  )}
                 </div>
 
                 {/* Description */}
@@ -291,7 +342,7 @@ const CreatePage = () => {
                     <Button
                       type="submit"
                       loading={isSubmitting}
-                      disabled={isSubmitting}
+                      disabled={isSubmitting || isUploading}
                       size="3"
                     >
                       <Save size={16} />
@@ -33,7 +33,7 @@ const Homepage = () => {
         setFeaturedProducts(featured);
 
         // Calculate stats
-        const categories = [...new Set(products.map(p => p.category))].length;
+        const categories = [...new Set(products.map(p => p.category?._id))].length;
         const inStock = products.filter(p => p.stock > 0).length;
         
         setStats({
@@ -36,7 +36,7 @@ const ProductsPage = () => {
     // Category filter
     if (localFilters.category) {
       filtered = filtered.filter(product => 
-        product.category.toLowerCase() === localFilters.category.toLowerCase()
+        (product.category?.name || '').toLowerCase() === localFilters.category.toLowerCase()
       );
     }
 
@@ -5,13 +5,69 @@
 
 const BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 
+// Mutating order and payment calls the backend runs once per Idempotency-Key
+const IDEMPOTENT_ENDPOINTS = [
+  /^\/orders(\/guest)?$/,
+  /^\/orders\/[^/]+\/(cancel|status|payment|refund|tracking|shipments)(\/|$)/,
+  /^\/payments\/intents(\/guest)?$/,
+];
+
+// Times a keyed call is re-sent when no response arrives
+const NETWORK_RETRIES = 2;
+
+// randomUUID needs a secure context, so fall back to random bytes on plain http
+const createIdempotencyKey = () => {
+  if (crypto.randomUUID) return crypto.randomUUID();
+  return Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
 class ApiService {
   constructor() {
     this.baseURL = BASE_URL;
+    // Keyed calls in flight, or whose last attempt got no response, by method, endpoint and body
+    this.idempotentCalls = new Map();
   }
 
   // Generic request method with error handling
   async request(endpoint, options = {}) {
+    const method = options.method || 'GET';
+    if (method !== 'GET' && IDEMPOTENT_ENDPOINTS.some(pattern => pattern.test(endpoint.split('?')[0]))) {
+      return this.idempotentRequest(endpoint, options);
+    }
+
+    return this.send(endpoint, options);
+  }
+
+  // Send a call with an Idempotency-Key so the backend runs it only once
+  // An identical call made while one is in flight (e.g. a double-click) shares its result,
+  // and one repeated after the network failed reuses the failed call's key
+  async idempotentRequest(endpoint, options) {
+    const fingerprint = `${options.method} ${endpoint} ${options.body || ''}`;
+    const previous = this.idempotentCalls.get(fingerprint);
+    if (previous && previous.promise) return previous.promise;
+
+    const key = previous ? previous.key : createIdempotencyKey();
+    const promise = this.send(endpoint, options, key).then(
+      (data) => {
+        this.idempotentCalls.delete(fingerprint);
+        return data;
+      },
+      (error) => {
+        // Keep the key only when the server may have handled the call without answering
+        if (error.status) {
+          this.idempotentCalls.delete(fingerprint);
+        } else {
+          this.idempotentCalls.set(fingerprint, { key });
+        }
+        throw error;
+      }
+    );
+
+    this.idempotentCalls.set(fingerprint, { key, promise });
+    return promise;
+  }
+
+  async send(endpoint, options = {}, idempotencyKey) {
     const url = `${this.baseURL}${endpoint}`;
     
     const config = {
@@ -22,14 +78,19 @@ class ApiService {
       credentials: 'include', // Include cookies for authentication
       ...options,
     };
+    if (idempotencyKey) {
+      config.headers = { ...config.headers, 'Idempotency-Key': idempotencyKey };
+    }
 
     try {
-      const response = await fetch(url, config);
+      const response = await this.fetchWithRetry(url, config, idempotencyKey ? NETWORK_RETRIES : 0);
       
       const data = await response.json();
       
       if (!response.ok) {
-        throw new Error(data.error?.message || data.message || `HTTP Error: ${response.status}`);
+        const error = new Error(data.error?.message || data.message || `HTTP Error: ${response.status}`);
+        error.status = response.status;
+        throw error;
       }
 
       return data;
@@ -39,6 +100,18 @@ class ApiService {
     }
   }
 
+  // Re-send a request that got no response - only safe for keyed calls
+  async fetchWithRetry(url, config, retries) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fetch(url, config);
+      } catch (error) {
+        if (attempt >= retries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 500 * 2 ** attempt));
+      }
+    }
+  }
+
   // GET request
   async get(endpoint, params = {}) {
     const queryString = new URLSearchParams(params).toString();
@@ -75,11 +148,40 @@ class ApiService {
     return this.request(endpoint, { method: 'DELETE' });
   }
 
+  // Multipart upload - no Content-Type so the browser adds the form boundary
+  async upload(endpoint, formData) {
+    return this.request(endpoint, {
+      method: 'POST',
+      headers: {},
+      body: formData,
+    });
+  }
+
   // Authentication methods
   async login(credentials) {
     return this.post('/auth/login', credentials);
   }
 
+  async verifyTwoFactorLogin(challengeToken, { code, recoveryCode }) {
+    return this.post('/auth/2fa/login', { challengeToken, code, recoveryCode });
+  }
+
+  async setupTwoFactor() {
+    return this.post('/auth/2fa/setup');
+  }
+
+  async enableTwoFactor(code) {
+    return this.post('/auth/2fa/enable', { code });
+  }
+
+  async disableTwoFactor(password, { code, recoveryCode }) {
+    return this.post('/auth/2fa/disable', { password, code, recoveryCode });
+  }
+
+  async regenerateRecoveryCodes(code) {
+    return this.post('/auth/2fa/recovery-codes', { code });
+  }
+
   async register(userData) {
     return this.post('/auth/register', userData);
   }
@@ -92,6 +194,22 @@ class ApiService {
     return this.get('/auth/me');
   }
 
+  async verifyEmail(token) {
+    return this.post('/auth/verify-email', { token });
+  }
+
+  async resendVerification() {
+    return this.post('/auth/resend-verification');
+  }
+
+  async forgotPassword(email) {
+    return this.post('/auth/forgot-password', { email });
+  }
+
+  async resetPassword(token, password, confirmPassword) {
+    return this.post('/auth/reset-password', { token, password, confirmPassword });
+  }
+
   async updateProfile(profileData) {
     return this.put('/auth/profile', profileData);
   }
@@ -100,6 +218,14 @@ class ApiService {
     return this.post('/auth/change-password', passwordData);
   }
 
+  async getSessions() {
+    return this.get('/users/sessions');
+  }
+
+  async revokeSession(sessionId) {
+    return this.delete(`/users/sessions/${sessionId}`);
+  }
+
   // Product methods
   async getProducts(params = {}) {
     const response = await this.get('/products', params);
@@ -116,6 +242,15 @@ class ApiService {
     return response.data || [];
   }
 
+  // Returns results with pagination and facet counts for the filter sidebar
+  async searchProductsWithFacets(params = {}) {
+    return this.get('/products/search', params);
+  }
+
+  async getSuggestions(query, limit = 8) {
+    return this.get('/products/suggest', { q: query, limit });
+  }
+
   async getFeaturedProducts(limit = 8) {
     const response = await this.get('/products/featured', { limit });
     return response.data || [];
@@ -143,22 +278,30 @@ class ApiService {
     return this.delete(`/products/${id}`);
   }
 
-  // Cart methods
+  async uploadProductImages(files, alt) {
+    const formData = new FormData();
+    Array.from(files).forEach(file => formData.append('images', file));
+    if (alt) formData.append('alt', alt);
+    return this.upload('/products/images', formData);
+  }
+
+  // Cart methods - also work when not signed in (anonymous cart kept by a cookie)
   async getCart() {
     const response = await this.get('/users/cart');
     return response.data || [];
   }
 
-  async addToCart(productId, quantity = 1) {
-    return this.post('/users/cart', { productId, quantity });
+  async addToCart(productId, quantity = 1, variantId) {
+    return this.post('/users/cart', { productId, quantity, ...(variantId && { variantId }) });
   }
 
-  async updateCartItem(productId, quantity) {
-    return this.put(`/users/cart/${productId}`, { quantity });
+  async updateCartItem(productId, quantity, variantId) {
+    return this.put(`/users/cart/${productId}`, { quantity, ...(variantId && { variantId }) });
   }
 
-  async removeFromCart(productId) {
-    return this.delete(`/users/cart/${productId}`);
+  async removeFromCart(productId, variantId) {
+    const query = variantId ? `?variantId=${variantId}` : '';
+    return this.delete(`/users/cart/${productId}${query}`);
   }
 
   async clearCart() {
@@ -184,6 +327,21 @@ class ApiService {
     return this.post('/orders', orderData);
   }
 
+  // Guest checkout - keep the returned lookupToken to view and pay for the order
+  async createGuestOrder(orderData) {
+    return this.post('/orders/guest', orderData);
+  }
+
+  async lookupGuestOrder(lookupToken) {
+    const response = await this.get(`/orders/lookup/${encodeURIComponent(lookupToken)}`);
+    return response.data;
+  }
+
+  // Without a lookup token, claims every guest order placed with the account's verified email
+  async claimGuestOrders(lookupToken) {
+    return this.post('/orders/claim', lookupToken ? { lookupToken } : {});
+  }
+
   async getOrders(params = {}) {
     const response = await this.get('/orders', params);
     return response.data || [];
@@ -207,6 +365,33 @@ class ApiService {
     return this.delete(`/orders/${id}/cancel`, { reason });
   }
 
+  // Per-parcel tracking, plus any items still waiting to ship
+  async getOrderShipments(id) {
+    const response = await this.get(`/orders/${id}/shipments`);
+    return response.data;
+  }
+
+  async processPayment(id, paymentData) {
+    return this.post(`/orders/${id}/payment`, paymentData);
+  }
+
+  // Payment methods
+  async createPaymentIntent(orderId) {
+    const response = await this.post('/payments/intents', { orderId });
+    return response.data;
+  }
+
+  async createGuestPaymentIntent(lookupToken) {
+    const response = await this.post('/payments/intents/guest', { lookupToken });
+    return response.data;
+  }
+
+  // Shipping methods - quotes the signed-in cart when no items are given
+  async getShippingQuote(address, items) {
+    const response = await this.post('/shipping/quote', items ? { address, items } : { address });
+    return response.data;
+  }
+
   // Health check
   async healthCheck() {
     return this.get('/health');
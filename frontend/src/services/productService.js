@@ -39,6 +39,12 @@ export const productService = {
     return response.data;
   },
 
+  // Upload image files - returns image entries to send with the product
+  async uploadImages(files, alt) {
+    const response = await apiService.uploadProductImages(files, alt);
+    return response.data || [];
+  },
+
   // Search products
   async searchProducts(query) {
     const response = await apiService.get(`/products?search=${encodeURIComponent(query)}`);